@@ -3,7 +3,7 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { FlyControls } from 'three/addons/controls/FlyControls.js';
 
 // Control mode constants
-const CONTROL_MODES = {
+export const CONTROL_MODES = {
 	ORBIT: 'orbit',
 	FLY: 'fly'
 };
@@ -134,6 +134,16 @@ export function initControls(camera, domElement) {
 		},
 		getActiveControls: () => activeControls,
 		
+		// Current mode, one of CONTROL_MODES
+		getControlMode: () => activeControlMode,
+		
+		// Switch to a mode the same way the toggle button does; unknown modes are ignored
+		setControlMode: (mode) => {
+			if (mode !== activeControlMode && Object.values(CONTROL_MODES).includes(mode)) {
+				toggleButton.click();
+			}
+		},
+		
 		// Add methods to enable/disable controls temporarily
 		// This is useful for camera animations
 		disableControls: () => {
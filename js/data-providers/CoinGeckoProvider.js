@@ -4,13 +4,28 @@
  */
 
 import { TokenDataProvider } from './TokenDataProvider.js';
+import { DEFAULT_RESOLUTION, pointsToCandles } from '../utils/candles.js';
+
+// How many days of market_chart to request per resolution; CoinGecko picks the point spacing
+// from the range (5 minutes for 1 day, hourly up to 90 days, daily beyond)
+const HISTORY_DAYS = {
+	'5m': 1,
+	'1h': 7,
+	'4h': 30,
+	'1d': 365
+};
 
 export class CoinGeckoProvider extends TokenDataProvider {
-	constructor() {
-		super();
+	/**
+	 * @param {Object} options Provider options
+	 * @param {string} options.baseUrl API root to use instead of api.coingecko.com/api/v3
+	 *        (e.g. '/api/tokens/coingecko' to go through the server-side proxy)
+	 */
+	constructor(options = {}) {
+		super(options);
 		
 		// CoinGecko API endpoints
-		this.apiEndpoint = 'https://api.coingecko.com/api/v3';
+		this.apiEndpoint = options.baseUrl || 'https://api.coingecko.com/api/v3';
 		this.coinListEndpoint = `${this.apiEndpoint}/coins/markets`;
 		this.coinDetailsEndpoint = `${this.apiEndpoint}/coins`;
 		
@@ -46,13 +61,7 @@ export class CoinGeckoProvider extends TokenDataProvider {
 			const url = `${this.coinListEndpoint}?${params.toString()}`;
 			
 			// Fetch data
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			
-			// Parse response
-			const rawData = await response.json();
+			const rawData = await this.scheduler.fetchJson(url);
 			
 			// Process data
 			this.tokenData = this.processData(rawData);
@@ -61,6 +70,7 @@ export class CoinGeckoProvider extends TokenDataProvider {
 			this.sortTokenData();
 			
 			this.lastFetchTime = Date.now();
+			this.recordPriceSamples(this.tokenData);
 			
 			// Notify callbacks with updated data
 			this.notifyCallbacks(this.tokenData);
@@ -143,28 +153,27 @@ export class CoinGeckoProvider extends TokenDataProvider {
 	}
 	
 	/**
-	 * Get price history for a specific token
+	 * Fetch price history for a specific token as candles built from market_chart prices
 	 * @param {Object} token Token to get price history for
-	 * @returns {Promise<Array>} Array of price history points
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
 	 */
-	async getTokenPriceHistory(token) {
+	async fetchTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
 		try {
 			const coinId = token.tokenAddress; // We use coin ID as tokenAddress
-			const url = `${this.coinDetailsEndpoint}/${coinId}/market_chart?vs_currency=usd&days=7`;
+			const days = HISTORY_DAYS[resolution] || HISTORY_DAYS[DEFAULT_RESOLUTION];
+			const url = `${this.coinDetailsEndpoint}/${coinId}/market_chart?vs_currency=usd&days=${days}`;
 			
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			
-			const data = await response.json();
+			const data = await this.scheduler.fetchJson(url);
 			
-			// Convert to our standard format
+			// Convert to our standard format. total_volumes are rolling 24h totals rather than
+			// per-candle volume, so candles from CoinGecko have no volume.
 			if (data.prices && Array.isArray(data.prices)) {
-				return data.prices.map(point => ({
+				const points = data.prices.map(point => ({
 					time: point[0], // timestamp
 					price: point[1]  // price
 				}));
+				return pointsToCandles(points, resolution);
 			}
 			
 			return null;
@@ -243,12 +252,7 @@ export class CoinGeckoProvider extends TokenDataProvider {
 		try {
 			const url = `${this.coinDetailsEndpoint}/${coinId}`;
 			
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			
-			return await response.json();
+			return await this.scheduler.fetchJson(url);
 		} catch (error) {
 			console.error(`Error fetching details for coin ${coinId}:`, error);
 			return null;
@@ -0,0 +1,347 @@
+/**
+ * Composite Token Provider
+ * Implements TokenDataProvider on top of several other providers, merging their token lists
+ * by getTokenKey so the visualizations can draw from every source through one provider.
+ * Conflicting fields are resolved per field with a configurable precedence, and each merged
+ * token records which source every field came from in _metadata.fieldSources.
+ * A source that fails keeps contributing its last good token list.
+ */
+
+import { TokenDataProvider } from './TokenDataProvider.js';
+import { getTokenKey } from '../utils/tokenKey.js';
+import { DEFAULT_RESOLUTION } from '../utils/candles.js';
+
+// Market data goes stale quickly, so the most recently fetched source wins;
+// descriptive fields prefer DexScreener, which has the richest profiles
+const DEFAULT_PRECEDENCE = {
+	priceUsd: 'freshest',
+	priceNative: 'freshest',
+	priceChange: 'freshest',
+	volume: 'freshest',
+	liquidity: 'freshest',
+	txns: 'freshest',
+	marketCap: 'freshest',
+	fdv: 'freshest',
+	links: ['dexscreener'],
+	info: ['dexscreener'],
+	imageUrl: ['dexscreener'],
+	description: ['dexscreener']
+};
+
+export class CompositeTokenProvider extends TokenDataProvider {
+	/**
+	 * @param {Object} options Provider options
+	 * @param {Array<Object>} options.sources Providers to merge, as { name, provider } in order of
+	 *        preference (a bare provider is named after its class, e.g. GeckoTerminalProvider -> 'geckoterminal')
+	 * @param {Object} options.precedence Map of field name to 'freshest' or an array of source names,
+	 *        merged over the defaults; fields without a rule take the first source in options.sources order
+	 */
+	constructor(options = {}) {
+		super();
+		
+		this.sources = (options.sources || []).map(source => {
+			const provider = source.provider || source;
+			return {
+				name: source.name || CompositeTokenProvider.getSourceName(provider),
+				provider,
+				tokens: [],
+				fetchedAt: 0,
+				callback: null
+			};
+		});
+		
+		if (this.sources.length === 0) {
+			throw new Error('CompositeTokenProvider needs at least one source');
+		}
+		
+		this.precedence = { ...DEFAULT_PRECEDENCE, ...(options.precedence || {}) };
+		
+		// Merged token list, and each key's per-source tokens for price history lookups
+		this.tokenData = [];
+		this.entriesByKey = new Map();
+		
+		// Set while refreshData() is polling the sources, so their own callbacks don't each trigger a merge
+		this.refreshing = false;
+		
+		// Pick up updates the sources push by themselves (auto-refresh, streams)
+		for (const source of this.sources) {
+			source.callback = (data) => {
+				this.updateSource(source, data);
+				if (!this.refreshing) {
+					this.mergeSources();
+					return this.notifyCallbacks(this.tokenData);
+				}
+			};
+			source.provider.registerUpdateCallback(source.callback);
+		}
+	}
+	
+	/**
+	 * Derive a source name from a provider's class name
+	 * @param {TokenDataProvider} provider The provider
+	 * @returns {string} Source name, e.g. 'dexscreener'
+	 */
+	static getSourceName(provider) {
+		return provider.constructor.name.replace(/Provider$/, '').toLowerCase();
+	}
+	
+	/**
+	 * Get a source by name
+	 * @param {string} name Source name
+	 * @returns {Object|undefined} The source entry { name, provider, tokens, fetchedAt }
+	 */
+	getSource(name) {
+		return this.sources.find(source => source.name === name);
+	}
+	
+	/**
+	 * Record a token list delivered by a source
+	 * An empty list from a source that had tokens is treated as a failed fetch and ignored,
+	 * so an upstream outage doesn't remove every token it contributed.
+	 * @param {Object} source The source entry
+	 * @param {Array} tokens Tokens from the source
+	 * @returns {boolean} Whether the list was accepted
+	 */
+	updateSource(source, tokens) {
+		if (!Array.isArray(tokens) || (tokens.length === 0 && source.tokens.length > 0)) {
+			return false;
+		}
+		
+		source.tokens = tokens;
+		source.fetchedAt = Date.now();
+		return true;
+	}
+	
+	/**
+	 * Merge every source's tokens into one list keyed by getTokenKey
+	 * Tokens keep the order in which they first appear, walking the sources in preference order.
+	 * @returns {Array} The merged token list
+	 */
+	mergeSources() {
+		const entriesByKey = new Map();
+		
+		for (const source of this.sources) {
+			for (const token of source.tokens) {
+				const key = getTokenKey(token);
+				if (!key) continue;
+				
+				if (!entriesByKey.has(key)) {
+					entriesByKey.set(key, []);
+				}
+				entriesByKey.get(key).push({
+					source: source.name,
+					token,
+					fetchedAt: token._metadata?.fetchedAt || source.fetchedAt
+				});
+			}
+		}
+		
+		this.entriesByKey = entriesByKey;
+		this.tokenData = Array.from(entriesByKey.values()).map(entries => this.mergeEntries(entries));
+		this.lastFetchTime = Date.now();
+		
+		return this.tokenData;
+	}
+	
+	/**
+	 * Merge the tokens different sources have for the same key
+	 * @param {Array<Object>} entries { source, token, fetchedAt } in source preference order
+	 * @returns {Object} Merged token with _metadata { source, sources, fieldSources, fetchedAt }
+	 */
+	mergeEntries(entries) {
+		const merged = {};
+		const fieldSources = {};
+		
+		const fields = new Set(entries.flatMap(entry => Object.keys(entry.token)));
+		fields.delete('_metadata');
+		
+		for (const field of fields) {
+			const candidates = entries.filter(entry => entry.token[field] !== undefined && entry.token[field] !== null);
+			if (candidates.length === 0) continue;
+			
+			const winner = this.pickEntry(field, candidates);
+			merged[field] = winner.token[field];
+			fieldSources[field] = winner.source;
+		}
+		
+		merged._metadata = {
+			source: 'composite',
+			sources: entries.map(entry => entry.source),
+			fieldSources,
+			fetchedAt: Math.max(...entries.map(entry => entry.fetchedAt))
+		};
+		
+		return merged;
+	}
+	
+	/**
+	 * Choose which source's value to use for a field
+	 * @param {string} field Field name
+	 * @param {Array<Object>} candidates Entries that have a value for the field, in source preference order
+	 * @returns {Object} The winning entry
+	 */
+	pickEntry(field, candidates) {
+		const rule = this.precedence[field];
+		
+		if (rule === 'freshest') {
+			// Ties go to the earlier source
+			return candidates.reduce((best, entry) => (entry.fetchedAt > best.fetchedAt ? entry : best));
+		}
+		
+		if (Array.isArray(rule)) {
+			for (const name of rule) {
+				const entry = candidates.find(candidate => candidate.source === name);
+				if (entry) return entry;
+			}
+		}
+		
+		return candidates[0];
+	}
+	
+	/**
+	 * Start auto-refresh on every source; each keeps its own interval and pushes its updates to us
+	 * @param {number} interval Optional refresh interval in milliseconds applied to every source
+	 */
+	startAutoRefresh(interval = null) {
+		for (const source of this.sources) {
+			source.provider.startAutoRefresh(interval);
+		}
+	}
+	
+	/**
+	 * Stop auto-refresh on every source
+	 */
+	stopAutoRefresh() {
+		for (const source of this.sources) {
+			source.provider.stopAutoRefresh();
+		}
+	}
+	
+	/**
+	 * Stop listening to the sources
+	 */
+	dispose() {
+		this.stopAutoRefresh();
+		for (const source of this.sources) {
+			source.provider.unregisterUpdateCallback(source.callback);
+		}
+	}
+	
+	/**
+	 * Get the merged tokens (DexScreenerProvider-compatible)
+	 * @returns {Promise<Array>} Array of token data
+	 */
+	async getCurrentPageTokens() {
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		return [...this.tokenData];
+	}
+	
+	// --- TokenDataProvider Interface Implementation ---
+	
+	/**
+	 * Refresh every source and merge the results
+	 * A source that throws keeps its last good token list.
+	 * @returns {Promise<Array>} The merged token data
+	 */
+	async refreshData() {
+		this.refreshing = true;
+		
+		try {
+			const results = await Promise.allSettled(this.sources.map(async source => {
+				const provider = source.provider;
+				await provider.refreshData();
+				
+				// Prefer the page-shaped list where a provider has one
+				return provider.getCurrentPageTokens ? provider.getCurrentPageTokens() : provider.getAllTokenData();
+			}));
+			
+			results.forEach((result, index) => {
+				const source = this.sources[index];
+				if (result.status === 'fulfilled') {
+					this.updateSource(source, result.value);
+				} else {
+					console.error(`CompositeTokenProvider: Source ${source.name} failed, keeping its last data:`, result.reason);
+				}
+			});
+		} finally {
+			this.refreshing = false;
+		}
+		
+		this.mergeSources();
+		await this.notifyCallbacks(this.tokenData);
+		
+		return this.tokenData;
+	}
+	
+	/**
+	 * Get top tokens by market cap
+	 * @param {number} limit Maximum number of tokens to return
+	 * @returns {Promise<Array>} Array of top tokens
+	 */
+	async getTopTokens(limit = 10) {
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		return [...this.tokenData]
+			.sort((a, b) => parseFloat(b.marketCap || 0) - parseFloat(a.marketCap || 0))
+			.slice(0, limit);
+	}
+	
+	/**
+	 * Get price history for a token, asking each source that lists it until one answers
+	 * Each source is given its own version of the token, since pair addresses differ between sources.
+	 * @param {Object} token Token to get price history for
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
+	 */
+	async getTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
+		const entries = this.entriesByKey.get(getTokenKey(token));
+		if (!entries) {
+			return this.sources[0].provider.getTokenPriceHistory(token, resolution);
+		}
+		
+		for (const entry of entries) {
+			try {
+				const history = await this.getSource(entry.source).provider.getTokenPriceHistory(entry.token, resolution);
+				if (history && history.length > 0) {
+					return history;
+				}
+			} catch (error) {
+				console.error(`CompositeTokenProvider: Price history from ${entry.source} failed:`, error);
+			}
+		}
+		
+		return null;
+	}
+	
+	/**
+	 * Get all available token data
+	 * @returns {Array} All available token data
+	 */
+	getAllTokenData() {
+		return [...this.tokenData];
+	}
+	
+	/**
+	 * Calculate a visual size for a token
+	 * Uses the first source so every token is sized on the same scale, whichever source it came from.
+	 * @param {Object} token Token to calculate size for
+	 * @returns {number} Size value
+	 */
+	calculateTokenSize(token) {
+		return this.sources[0].provider.calculateTokenSize(token);
+	}
+	
+	/**
+	 * Format market cap for display
+	 * @param {number} marketCap Market cap value
+	 * @returns {string} Formatted market cap
+	 */
+	formatMarketCap(marketCap) {
+		return this.sources[0].provider.formatMarketCap(marketCap);
+	}
+}
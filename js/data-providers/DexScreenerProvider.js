@@ -4,16 +4,24 @@
  */
 
 import { TokenDataProvider } from './TokenDataProvider.js';
+import { DEFAULT_RESOLUTION, aggregateCandles, makeCandle } from '../utils/candles.js';
 
 export class DexScreenerProvider extends TokenDataProvider {
-	constructor() {
-		super();
+	/**
+	 * @param {Object} options Provider options
+	 * @param {string} options.baseUrl API root to use instead of api.dexscreener.com
+	 *        (e.g. '/api/tokens/dexscreener' to go through the server-side proxy)
+	 */
+	constructor(options = {}) {
+		super(options);
 		
 		// DexScreener API endpoints
-		this.apiEndpointProfiles = 'https://api.dexscreener.com/token-profiles/latest/v1';
-		this.apiEndpointSearch = 'https://api.dexscreener.com/latest/dex/search';
-		this.apiEndpointPairs = 'https://api.dexscreener.com/latest/dex/pairs';
-		this.apiEndpointTokenPairs = 'https://api.dexscreener.com/token-pairs/v1';
+		this.apiBaseUrl = options.baseUrl || 'https://api.dexscreener.com';
+		this.apiEndpointProfiles = `${this.apiBaseUrl}/token-profiles/latest/v1`;
+		this.apiEndpointSearch = `${this.apiBaseUrl}/latest/dex/search`;
+		this.apiEndpointPairs = `${this.apiBaseUrl}/latest/dex/pairs`;
+		this.apiEndpointTokens = `${this.apiBaseUrl}/tokens/v1`;
+		this.apiEndpointBoosts = `${this.apiBaseUrl}/token-boosts`;
 		
 		// Storage for tokens and profiles
 		this.tokenData = [];
@@ -24,9 +32,26 @@ export class DexScreenerProvider extends TokenDataProvider {
 		this.tokensByPage = new Map();
 		this.currentPage = 'dexscreener/latest';
 		
-		// Initial load configuration
-		this.isFirstLoad = true;
-		this.refreshTokenCount = 2;      // Get 2 tokens on regular refresh
+		// Page handlers keyed by the page id without its query, e.g. 'dexscreener/latest?chain=solana' -> 'dexscreener/latest'
+		this.pageHandlers = {
+			'dexscreener/latest': async (params) => this.fetchProfilesPage(await this.fetchLatestTokenProfiles(), params),
+			'dexscreener/boosts/latest': async (params) => this.fetchProfilesPage(await this.fetchTokenProfileList(`${this.apiEndpointBoosts}/latest/v1`), params),
+			'dexscreener/boosts/top': async (params) => this.fetchProfilesPage(await this.fetchTokenProfileList(`${this.apiEndpointBoosts}/top/v1`), params),
+			'dexscreener/gainers': (params) => this.getMoversPage('gainers', params),
+			'dexscreener/losers': (params) => this.getMoversPage('losers', params),
+			'dexscreener/search': (params) => this.fetchSearchPage(params)
+		};
+		
+		// Chains offered as per-chain pages, and how many tokens the gainers/losers pages show
+		this.pageChains = ['solana', 'ethereum', 'base', 'bsc'];
+		this.moversPageSize = 30;
+		
+		// Search queries saved as pages
+		this.savedSearches = this.loadSavedSearches();
+		
+		// Market data refresh configuration
+		this.refreshTokenCount = 2;      // Refresh at least 2 stale tokens on regular refresh
+		this.maxAddressesPerRequest = 30; // Most addresses DexScreener accepts in one tokens request
 		
 		// Set refresh rate for token data
 		this.fetchInterval = 6000; // 6 seconds 
@@ -40,6 +65,7 @@ export class DexScreenerProvider extends TokenDataProvider {
 		
 		// Save timestamp of last cache save to localStorage
 		this.lastCacheSave = 0;
+		this.cacheSaveTimer = null;
 		this.cacheSaveInterval = 60 * 1000; // 1 minute
 		
 		// Clear any outdated cache on initialization to ensure fresh data
@@ -136,11 +162,7 @@ export class DexScreenerProvider extends TokenDataProvider {
 	 */
 	async fetchLatestTokenProfiles() {
 		try {
-			const response = await fetch(this.apiEndpointProfiles);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			const data = await response.json();
+			const data = await this.scheduler.fetchJson(this.apiEndpointProfiles);
 			
 			// Store profiles for later use
 			// Check if the data is an array (direct token array) or has a tokens property
@@ -189,8 +211,13 @@ export class DexScreenerProvider extends TokenDataProvider {
 			timestamp: Date.now()
 		});
 		
-		// Schedule a cache save
-		setTimeout(() => this.saveCacheToStorage(), 100);
+		// Schedule a cache save, once for a whole batch of pairs
+		if (!this.cacheSaveTimer) {
+			this.cacheSaveTimer = setTimeout(() => {
+				this.cacheSaveTimer = null;
+				this.saveCacheToStorage();
+			}, 100);
+		}
 	}
 	
 	/**
@@ -201,12 +228,7 @@ export class DexScreenerProvider extends TokenDataProvider {
 	 */
 	async fetchPairData(chainId, pairAddress) {
 		try {
-			const response = await fetch(`${this.apiEndpointPairs}/${chainId}/${pairAddress}`);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			
-			const data = await response.json();
+			const data = await this.scheduler.fetchJson(`${this.apiEndpointPairs}/${chainId}/${pairAddress}`);
 			if (data.pairs && data.pairs.length > 0) {
 				return data.pairs[0];
 			}
@@ -220,8 +242,10 @@ export class DexScreenerProvider extends TokenDataProvider {
 	
 	/**
 	 * Fetch market data for specific tokens
+	 * Tokens missing from the cache are looked up per chain, up to maxAddressesPerRequest
+	 * addresses in each tokens request, and every pair found is cached with cacheTokenPair.
 	 * @param {Array} tokens Array of tokens to fetch market data for
-	 * @returns {Promise<Array>} Array of tokens with market data
+	 * @returns {Promise<Array>} Array of tokens with market data, in the order given
 	 */
 	async fetchTokenMarketData(tokens) {
 		if (!tokens || tokens.length === 0) {
@@ -231,142 +255,158 @@ export class DexScreenerProvider extends TokenDataProvider {
 		try {
 			console.log(`DexScreenerProvider: Fetching market data for ${tokens.length} tokens`);
 			let cacheHits = 0;
-			let apiHits = 0;
 			
-			// Create array of promises for each token's market data
-			const promises = tokens.map(async (token) => {
-				// Skip if token doesn't have required data
-				if (!token.chainId || !token.tokenAddress) {
-					return null;
-				}
+			// Skip tokens without the data needed to look them up
+			const validTokens = tokens.filter(token => token.chainId && token.tokenAddress);
+			
+			// Group the tokens missing from the cache by chain
+			const addressesByChain = new Map();
+			for (const token of validTokens) {
+				this.fetchedTokenAddresses.add(`${token.chainId}-${token.tokenAddress}`);
 				
-				// Check if we already have this token in our cache
-				const cachedPair = this.getCachedTokenPair(token.chainId, token.tokenAddress);
-				if (cachedPair) {
-					// Use cached data but mark as fetched
-					this.fetchedTokenAddresses.add(`${token.chainId}-${token.tokenAddress}`);
+				if (this.getCachedTokenPair(token.chainId, token.tokenAddress)) {
 					cacheHits++;
-					return { ...token, ...cachedPair };
+					continue;
 				}
 				
-				// Mark token as fetched
-				this.fetchedTokenAddresses.add(`${token.chainId}-${token.tokenAddress}`);
-				
-				// Use token-pairs endpoint to get all pairs for this token
-				const url = `${this.apiEndpointTokenPairs}/${token.chainId}/${token.tokenAddress}`;
-				
-				const response = await fetch(url);
-				if (!response.ok) {
-					throw new Error(`HTTP error! status: ${response.status}`);
+				if (!addressesByChain.has(token.chainId)) {
+					addressesByChain.set(token.chainId, new Set());
 				}
+				addressesByChain.get(token.chainId).add(token.tokenAddress);
+			}
 				
-				apiHits++;
-				const data = await response.json();
-				
-				// If we got pairs data (should be an array of pairs)
-				if (Array.isArray(data) && data.length > 0) {
-					// Find the top pair by liquidity
-					const topPair = data.reduce((best, current) => {
-						const bestLiquidity = parseFloat(best.liquidity?.usd || 0);
-						const currentLiquidity = parseFloat(current.liquidity?.usd || 0);
-						return currentLiquidity > bestLiquidity ? current : best;
-					}, data[0]);
-					
-					// Cache this pair for later use
-					this.cacheTokenPair(token.chainId, token.tokenAddress, topPair);
-					
-					// Merge the pair data with our token data (preserving token profile info)
-					return { 
-						...token,
-						...topPair
-					};
+			// One request per batch; the scheduler keeps them within DexScreener's rate limit
+			const requests = [];
+			for (const [chainId, addresses] of addressesByChain) {
+				const list = Array.from(addresses);
+				for (let i = 0; i < list.length; i += this.maxAddressesPerRequest) {
+					requests.push(this.fetchTokenPairsBatch(chainId, list.slice(i, i + this.maxAddressesPerRequest)));
 				}
-				
-				return token;
-			});
-			
-			// Wait for all promises to resolve
-			const results = await Promise.all(promises);
+			}
+			await Promise.all(requests);
 			
 			// Log source of token data
-			console.log(`DexScreenerProvider: Data sources - API: ${apiHits}, Cache: ${cacheHits}`);
+			console.log(`DexScreenerProvider: Data sources - API: ${requests.length} requests, Cache: ${cacheHits}`);
 			
-			// Filter out null values
-			return results.filter(result => result !== null);
+			// Merge the pair data with our token data (preserving token profile info);
+			// tokens a failed batch didn't cover are kept without market data
+			return validTokens.map(token => {
+				const pair = this.getCachedTokenPair(token.chainId, token.tokenAddress);
+				return pair ? { ...token, ...pair } : token;
+			});
 		} catch (error) {
 			console.error('Error fetching token market data:', error);
 			return [];
 		}
 	}
 	
+	/**
+	 * Fetch the pairs for several tokens on one chain in a single request, caching each token's
+	 * most liquid pair
+	 * @param {string} chainId The chain ID
+	 * @param {Array<string>} addresses Token addresses (at most maxAddressesPerRequest)
+	 * @returns {Promise<number>} How many of the tokens a pair was found for
+	 */
+	async fetchTokenPairsBatch(chainId, addresses) {
+		let pairs;
+		try {
+			pairs = await this.scheduler.fetchJson(`${this.apiEndpointTokens}/${chainId}/${addresses.join(',')}`);
+		} catch (error) {
+			console.error(`Error fetching market data for ${addresses.length} tokens on ${chainId}:`, error);
+			return 0;
+		}
+		
+		if (!Array.isArray(pairs)) {
+			return 0;
+		}
+		
+		// The response mixes every token's pairs; find each token's top pair by liquidity.
+		// EVM addresses may come back in a different case than we asked for.
+		const topPairs = new Map();
+		for (const pair of pairs) {
+			const address = pair.baseToken?.address?.toLowerCase();
+			if (!address) continue;
+				
+			const best = topPairs.get(address);
+			if (!best || parseFloat(pair.liquidity?.usd || 0) > parseFloat(best.liquidity?.usd || 0)) {
+				topPairs.set(address, pair);
+			}
+		}
+		
+		let found = 0;
+		for (const address of addresses) {
+			const topPair = topPairs.get(address.toLowerCase());
+			if (topPair) {
+				this.cacheTokenPair(chainId, address, topPair);
+				found++;
+			}
+		}
+		
+		return found;
+	}
+	
 	/**
 	 * Select a subset of tokens for market data update
-	 * @param {Array} profiles New token profiles
-	 * @returns {Array} Array of tokens to update
+	 * Tokens with no cached pair, or an expired one, are always selected. The stalest cached tokens
+	 * then fill up the batches those lookups will send anyway, so a refresh costs no extra requests;
+	 * at least refreshTokenCount of them are refreshed even when nothing is missing.
+	 * @param {Array} profiles Tokens on the current page
+	 * @returns {Array} Array of tokens to update, stalest first
 	 */
 	selectTokensForMarketDataUpdate(profiles) {
-		const tokensToUpdate = [];
+		const now = Date.now();
 		
-		// Process tokens from the latest API fetch
 		console.log(`DexScreenerProvider: Processing ${profiles.length} token profiles for updates`);
 		
-		if (this.isFirstLoad) {
-			console.log(`DexScreenerProvider: First load, selecting all ${profiles.length} tokens for market data update`);
-			for (const token of profiles) {
-				if (!token.chainId || !token.tokenAddress) continue;
-				const tokenKey = `${token.chainId}-${token.tokenAddress}`;
-				tokensToUpdate.push(token);
-				this.fetchedTokenAddresses.add(tokenKey);
-			}
-			this.isFirstLoad = false;
-			console.log(`DexScreenerProvider: First load completed`);
-		} else {
-			for (const token of profiles) {
-				if (!token.chainId || !token.tokenAddress) continue;
-				
-				const tokenKey = `${token.chainId}-${token.tokenAddress}`;
-				// Check if we need to fetch market data (not in cache or cache expired)
-				const cachedData = this.getCachedTokenPair(token.chainId, token.tokenAddress);
-				if (!cachedData) {
-					tokensToUpdate.push(token);
-					console.log(`Added token for update (no or expired cache): ${tokenKey}`);
-				}
-				// Mark as seen, even if using cached data
-				this.fetchedTokenAddresses.add(tokenKey);
-			}
+		// Candidates are the page's tokens and those we already hold, once each
+		const candidates = new Map();
+		for (const token of [...profiles, ...this.tokenData]) {
+			if (!token.chainId || !token.tokenAddress) continue;
 			
-			// If not the first load, refresh a few existing tokens
-			console.log(`DexScreenerProvider: Regular refresh, selecting up to ${this.refreshTokenCount} additional tokens`);
+			const tokenKey = `${token.chainId}-${token.tokenAddress}`;
+			if (candidates.has(tokenKey)) continue;
 			
-			if (this.tokenData.length > 0) {
-				const randomCount = Math.min(this.refreshTokenCount, this.tokenData.length);
-				const indexes = new Set();
-				
-				while (indexes.size < randomCount) {
-					indexes.add(Math.floor(Math.random() * this.tokenData.length));
-				}
-				
-				for (const index of indexes) {
-					const token = this.tokenData[index];
-					const tokenKey = `${token.chainId}-${token.tokenAddress}`;
-					
-					// Remove from cache to force fresh data fetch
-					if (token.chainId && token.tokenAddress) {
-						const cacheKey = `${token.chainId}-${token.tokenAddress}`;
-						if (this.tokenPairCache.has(cacheKey)) {
-							this.tokenPairCache.delete(cacheKey);
-							console.log(`Removed token from cache to force refresh: ${cacheKey}`);
-						}
-					}
-					
-					if (!tokensToUpdate.some(t => `${t.chainId}-${t.tokenAddress}` === tokenKey)) {
-						tokensToUpdate.push(token);
-					}
-				}
+			const cached = this.tokenPairCache.get(tokenKey);
+			candidates.set(tokenKey, {
+				token,
+				tokenKey,
+				staleness: cached ? now - cached.timestamp : Infinity
+			});
+			
+			// Mark as seen, even if using cached data
+			this.fetchedTokenAddresses.add(tokenKey);
+		}
+		
+		const byStaleness = Array.from(candidates.values()).sort((a, b) => b.staleness - a.staleness);
+		const selected = byStaleness.filter(candidate => candidate.staleness > this.cacheExpiryTime);
+		const fresh = byStaleness.filter(candidate => candidate.staleness <= this.cacheExpiryTime);
+		
+		// Refresh a few of the stalest cached tokens even if nothing is missing
+		const forced = fresh.splice(0, Math.max(0, this.refreshTokenCount - selected.length));
+		selected.push(...forced);
+		
+		// Top up each chain's last batch with its stalest cached tokens
+		const countByChain = new Map();
+		for (const { token } of selected) {
+			countByChain.set(token.chainId, (countByChain.get(token.chainId) || 0) + 1);
+		}
+		for (const candidate of fresh) {
+			const count = countByChain.get(candidate.token.chainId);
+			if (count && count % this.maxAddressesPerRequest !== 0) {
+				selected.push(candidate);
+				forced.push(candidate);
+				countByChain.set(candidate.token.chainId, count + 1);
 			}
 		}
 		
-		return tokensToUpdate;
+		// Remove refreshed tokens from the cache so fetchTokenMarketData asks for fresh data
+		for (const { tokenKey } of forced) {
+			this.tokenPairCache.delete(tokenKey);
+		}
+		
+		console.log(`DexScreenerProvider: Selected ${selected.length - forced.length} missing and ${forced.length} stale tokens across ${countByChain.size} chains`);
+		
+		return selected.map(candidate => candidate.token);
 	}
 	
 	/**
@@ -398,9 +438,20 @@ export class DexScreenerProvider extends TokenDataProvider {
 		}
 	}
 	
+	/**
+	 * Split a page id into its handler key and query parameters
+	 * @param {string} pageId The page identifier (e.g., 'dexscreener/latest?chain=solana')
+	 * @returns {Object} { type, params } where params is a URLSearchParams
+	 */
+	parsePageId(pageId) {
+		const [type, query = ''] = pageId.split('?');
+		return { type, params: new URLSearchParams(query) };
+	}
+	
 	/**
 	 * Get tokens by page identifier
-	 * @param {string} pageId The page identifier (e.g., 'dexscreener/latest')
+	 * @param {string} pageId The page identifier (e.g., 'dexscreener/latest', 'dexscreener/boosts/top',
+	 *        'dexscreener/latest?chain=solana', 'dexscreener/gainers' or 'dexscreener/search?q=pepe')
 	 * @returns {Promise<Array>} Array of tokens for the requested page
 	 */
 	async getTokensByPage(pageId = 'dexscreener/latest') {
@@ -412,27 +463,198 @@ export class DexScreenerProvider extends TokenDataProvider {
 			return this.tokensByPage.get(pageId);
 		}
 		
-		// Handle different page types
-		if (pageId === 'dexscreener/latest') {
-			// Fetch latest token profiles
-			const profiles = await this.fetchLatestTokenProfiles();
+		const { type, params } = this.parsePageId(pageId);
+		const handler = this.pageHandlers[type];
 			
-			// Fetch market data for these profiles
-			const tokensWithData = await this.fetchTokenMarketData(profiles);
-			
-			// Store in our page map
-			this.tokensByPage.set(pageId, tokensWithData);
+		// Default: return empty array if page type not recognized
+		if (!handler) {
+			console.warn(`DexScreenerProvider: Unknown page ${pageId}`);
+			return [];
+		}
+		
+		const tokens = await handler(params);
+		
+		// Store in our page map
+		this.tokensByPage.set(pageId, tokens);
+		
+		// Also update our main token data store
+		this.updateTokenDataWithNewMarketData(tokens);
+		
+		return tokens;
+	}
+	
+	/**
+	 * Build a page from a list of token profiles (latest profiles or boosts)
+	 * @param {Array} profiles Token profiles
+	 * @param {URLSearchParams} params Page parameters; 'chain' limits the page to one chain
+	 * @returns {Promise<Array>} Tokens with market data
+	 */
+	async fetchProfilesPage(profiles, params) {
+		const chain = params.get('chain');
+		if (chain) {
+			profiles = profiles.filter(profile => profile.chainId === chain);
+		}
+		
+		// Boost lists can name the same token more than once
+		const seen = new Set();
+		profiles = profiles.filter(profile => {
+			const key = `${profile.chainId}-${profile.tokenAddress}`;
+			if (seen.has(key)) return false;
+			seen.add(key);
+			return true;
+		});
+		
+		// Fetch market data for these profiles
+		return this.fetchTokenMarketData(profiles);
+	}
+	
+	/**
+	 * Fetch a list of token profiles, such as the boosted tokens
+	 * @param {string} url Endpoint returning token profiles
+	 * @returns {Promise<Array>} Array of token profiles
+	 */
+	async fetchTokenProfileList(url) {
+		try {
+			const data = await this.scheduler.fetchJson(url);
+			return Array.isArray(data) ? data : data.tokens || [];
+		} catch (error) {
+			console.error(`Error fetching token profiles from ${url}:`, error);
+			return [];
+		}
+	}
+	
+	/**
+	 * Build the top gainers or losers page from pairs we already have, without any requests
+	 * @param {string} direction 'gainers' or 'losers'
+	 * @param {URLSearchParams} params Page parameters; 'chain' limits the page to one chain
+	 * @returns {Array} Tokens sorted by 24h price change
+	 */
+	getMoversPage(direction, params) {
+		const tokensByKey = new Map();
+		
+		// Cached pairs first, then our token data on top since it also carries profile info
+		for (const [cacheKey, cached] of this.tokenPairCache.entries()) {
+			const pair = cached.data;
+			if (!pair || Date.now() - cached.timestamp > this.cacheExpiryTime) continue;
+			tokensByKey.set(cacheKey, {
+				chainId: pair.chainId,
+				tokenAddress: pair.baseToken?.address,
+				...pair
+			});
+		}
+		for (const token of this.tokenData) {
+			const key = `${token.chainId}-${token.tokenAddress}`;
+			tokensByKey.set(key, { ...tokensByKey.get(key), ...token });
+		}
+		
+		const chain = params.get('chain');
+		const sign = direction === 'losers' ? -1 : 1;
+		
+		return Array.from(tokensByKey.values())
+			.filter(token => token.priceChange?.h24 !== undefined && (!chain || token.chainId === chain))
+			.filter(token => sign * parseFloat(token.priceChange.h24) > 0)
+			.sort((a, b) => sign * (parseFloat(b.priceChange.h24) - parseFloat(a.priceChange.h24)))
+			.slice(0, this.moversPageSize);
+	}
+	
+	/**
+	 * Build a page from a DexScreener search, one token per base token using its most liquid pair
+	 * @param {URLSearchParams} params Page parameters; 'q' is the search query
+	 * @returns {Promise<Array>} Matching tokens
+	 */
+	async fetchSearchPage(params) {
+		const query = params.get('q');
+		if (!query) return [];
+		
+		try {
+			const data = await this.scheduler.fetchJson(`${this.apiEndpointSearch}?q=${encodeURIComponent(query)}`);
+			const topPairs = new Map();
 			
-			// Also update our main token data store
-			this.updateTokenDataWithNewMarketData(tokensWithData);
+			for (const pair of data.pairs || []) {
+				if (!pair.chainId || !pair.baseToken?.address) continue;
+				
+				const key = `${pair.chainId}-${pair.baseToken.address}`;
+				const best = topPairs.get(key);
+				if (!best || parseFloat(pair.liquidity?.usd || 0) > parseFloat(best.liquidity?.usd || 0)) {
+					topPairs.set(key, pair);
+				}
+			}
 			
-			return tokensWithData;
+			return Array.from(topPairs.values()).map(pair => {
+				// The search already returned the pair, so save a tokens request later
+				this.cacheTokenPair(pair.chainId, pair.baseToken.address, pair);
+				return { tokenAddress: pair.baseToken.address, ...pair };
+			});
+		} catch (error) {
+			console.error(`Error searching DexScreener for "${query}":`, error);
+			return [];
 		}
+	}
+	
+	/**
+	 * Load saved search queries from localStorage
+	 * @returns {Array<string>} Saved queries
+	 */
+	loadSavedSearches() {
+		try {
+			const saved = JSON.parse(localStorage.getItem('dexscreenerSavedSearches') || '[]');
+			return Array.isArray(saved) ? saved : [];
+		} catch (error) {
+			console.error('Error loading saved searches:', error);
+			return [];
+		}
+	}
+	
+	/**
+	 * Save a search query so it is offered as a page
+	 * @param {string} query Search query
+	 * @returns {string} The page id for the search
+	 */
+	saveSearch(query) {
+		const trimmed = query.trim();
+		if (trimmed && !this.savedSearches.includes(trimmed)) {
+			this.savedSearches.push(trimmed);
+			localStorage.setItem('dexscreenerSavedSearches', JSON.stringify(this.savedSearches));
+		}
+		return `dexscreener/search?q=${encodeURIComponent(trimmed)}`;
+	}
+	
+	/**
+	 * Remove a saved search query
+	 * @param {string} query Search query
+	 */
+	removeSearch(query) {
+		this.savedSearches = this.savedSearches.filter(saved => saved !== query);
+		localStorage.setItem('dexscreenerSavedSearches', JSON.stringify(this.savedSearches));
+	}
+	
+	/**
+	 * List the pages this provider offers, for page selectors
+	 * @returns {Array<Object>} { id, label } for each page
+	 */
+	getAvailablePages() {
+		return [
+			{ id: 'dexscreener/latest', label: 'Latest profiles' },
+			...this.pageChains.map(chain => ({ id: `dexscreener/latest?chain=${chain}`, label: `Latest on ${chain}` })),
+			{ id: 'dexscreener/boosts/latest', label: 'Latest boosts' },
+			{ id: 'dexscreener/boosts/top', label: 'Top boosts' },
+			{ id: 'dexscreener/gainers', label: 'Top gainers (24h)' },
+			{ id: 'dexscreener/losers', label: 'Top losers (24h)' },
+			...this.savedSearches.map(query => ({ id: `dexscreener/search?q=${encodeURIComponent(query)}`, label: `Search: ${query}` }))
+		];
+	}
+	
+	/**
+	 * Switch to another page and refresh, so callbacks receive the new page's tokens
+	 * @param {string} pageId The page identifier
+	 * @returns {Promise<Array>} Tokens for the new page
+	 */
+	async setCurrentPage(pageId) {
+		this.currentPage = pageId;
 		
-		// For future page types, add more handlers here
-		
-		// Default: return empty array if page type not recognized
-		return [];
+		// Force a full refresh rather than a partial update of the previous page's tokens
+		this.lastFetchTime = 0;
+		return this.refreshData();
 	}
 	
 	/**
@@ -519,6 +741,7 @@ export class DexScreenerProvider extends TokenDataProvider {
 				
 				// Update existing token data with the new market data
 				this.updateTokenDataWithNewMarketData(updatedTokens);
+				this.recordPriceSamples(updatedTokens);
 				
 				// Sort and limit data
 				this.sortTokenData();
@@ -589,11 +812,12 @@ export class DexScreenerProvider extends TokenDataProvider {
 	}
 	
 	/**
-	 * Get price history for a specific token
+	 * Fetch price history for a specific token as candles
 	 * @param {Object} token Token to get price history for
-	 * @returns {Promise<Array>} Array of price history points
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
 	 */
-	async getTokenPriceHistory(token) {
+	async fetchTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
 		if (!token || !token.chainId || !token.pairAddress) {
 			return null;
 		}
@@ -602,23 +826,25 @@ export class DexScreenerProvider extends TokenDataProvider {
 			// Construct API URL - Note: Correct endpoint for candles
 			const url = `${this.apiEndpointPairs}/${token.chainId}/${token.pairAddress}/candles`;
 			
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			
-			const data = await response.json();
+			const data = await this.scheduler.fetchJson(url);
 			
 			// Process candlestick data
 			if (data.candles && data.candles.length > 0) {
 				// Sort by time
 				const sortedCandles = [...data.candles].sort((a, b) => a.time - b.time);
 				
-				// Map to price points (time, price)
-				return sortedCandles.map(candle => ({
-					time: candle.time,
-					price: parseFloat(candle.close)
-				}));
+				// Merge into candles of the requested resolution
+				return aggregateCandles(sortedCandles.map(candle => {
+					const close = parseFloat(candle.close);
+					return makeCandle(
+						candle.time,
+						parseFloat(candle.open ?? close),
+						parseFloat(candle.high ?? close),
+						parseFloat(candle.low ?? close),
+						close,
+						parseFloat(candle.volume || 0)
+					);
+				}), resolution);
 			}
 			
 			return null;
@@ -0,0 +1,332 @@
+/**
+ * GeckoTerminal API Provider
+ * Implementation of TokenDataProvider for GeckoTerminal's trending and new pool feeds
+ */
+
+import { TokenDataProvider } from './TokenDataProvider.js';
+import { getTokenKey } from '../utils/tokenKey.js';
+import { DEFAULT_RESOLUTION, makeCandle } from '../utils/candles.js';
+
+// GeckoTerminal network ids that differ from DexScreener chain ids
+const NETWORK_TO_CHAIN = {
+	eth: 'ethereum',
+	polygon_pos: 'polygon',
+	avax: 'avalanche'
+};
+
+const CHAIN_TO_NETWORK = Object.fromEntries(
+	Object.entries(NETWORK_TO_CHAIN).map(([network, chainId]) => [chainId, network])
+);
+
+// OHLCV timeframe and aggregate for each candle resolution
+const OHLCV_TIMEFRAMES = {
+	'5m': { timeframe: 'minute', aggregate: 5 },
+	'1h': { timeframe: 'hour', aggregate: 1 },
+	'4h': { timeframe: 'hour', aggregate: 4 },
+	'1d': { timeframe: 'day', aggregate: 1 }
+};
+
+export class GeckoTerminalProvider extends TokenDataProvider {
+	/**
+	 * @param {Object} options Provider options
+	 * @param {string} options.baseUrl API root to use instead of api.geckoterminal.com/api/v2
+	 *        (e.g. '/api/tokens/geckoterminal' to go through the server-side proxy)
+	 * @param {string} options.feed Which pool list to show: 'trending' (default) or 'new'
+	 */
+	constructor(options = {}) {
+		super(options);
+		
+		// GeckoTerminal API endpoints
+		this.apiEndpoint = options.baseUrl || 'https://api.geckoterminal.com/api/v2';
+		this.feed = options.feed === 'new' ? 'new' : 'trending';
+		this.poolListEndpoint = `${this.apiEndpoint}/networks/${this.feed}_pools`;
+		
+		// Token data storage
+		this.tokenData = [];
+		this.maxTokensToStore = 100;
+		
+		// Set refresh rate
+		this.fetchInterval = 60000; // 1 minute (public API allows ~30 calls a minute)
+	}
+	
+	/**
+	 * Convert a GeckoTerminal network id to a DexScreener chain id
+	 * @param {string} network GeckoTerminal network id
+	 * @returns {string} Chain id
+	 */
+	static toChainId(network) {
+		return NETWORK_TO_CHAIN[network] || network;
+	}
+	
+	/**
+	 * Convert a DexScreener chain id to a GeckoTerminal network id
+	 * @param {string} chainId Chain id
+	 * @returns {string} GeckoTerminal network id
+	 */
+	static toNetwork(chainId) {
+		return CHAIN_TO_NETWORK[chainId] || chainId;
+	}
+	
+	/**
+	 * Refresh all token data from GeckoTerminal
+	 * @returns {Promise<Array>} The updated token data
+	 */
+	async refreshData() {
+		try {
+			const url = `${this.poolListEndpoint}?include=base_token,quote_token,dex&page=1`;
+			
+			const rawData = await this.scheduler.fetchJson(url);
+			
+			this.tokenData = this.processData(rawData);
+			this.sortTokenData();
+			
+			this.lastFetchTime = Date.now();
+			this.recordPriceSamples(this.tokenData);
+			
+			// Notify callbacks with updated data
+			this.notifyCallbacks(this.tokenData);
+			
+			return this.tokenData;
+		} catch (error) {
+			console.error('Error fetching GeckoTerminal data:', error);
+			return this.tokenData;
+		}
+	}
+	
+	/**
+	 * Process a GeckoTerminal pool list response
+	 * @param {Object} rawData JSON:API response with pools in data and tokens/dexes in included
+	 * @returns {Array} Processed data in a standardized format, one entry per base token
+	 */
+	processData(rawData) {
+		const included = new Map((rawData.included || []).map(item => [item.id, item]));
+		const tokensByKey = new Map();
+		
+		for (const pool of rawData.data || []) {
+			const token = this.processPool(pool, included);
+			if (!token) continue;
+			
+			// A token can trend in several pools; keep the most liquid one
+			const key = getTokenKey(token);
+			const existing = tokensByKey.get(key);
+			if (!existing || token.liquidity.usd > existing.liquidity.usd) {
+				tokensByKey.set(key, token);
+			}
+		}
+		
+		return Array.from(tokensByKey.values());
+	}
+	
+	/**
+	 * Convert one pool to our standardized token format
+	 * @param {Object} pool GeckoTerminal pool resource
+	 * @param {Map} included Included resources keyed by id
+	 * @returns {Object|null} Token data, or null if the pool's base token is missing
+	 */
+	processPool(pool, included) {
+		const attributes = pool.attributes || {};
+		const relationships = pool.relationships || {};
+		
+		const baseToken = included.get(relationships.base_token?.data?.id)?.attributes;
+		if (!baseToken) return null;
+		
+		const quoteToken = included.get(relationships.quote_token?.data?.id)?.attributes;
+		const network = pool.id.split('_')[0];
+		const chainId = GeckoTerminalProvider.toChainId(network);
+		
+		const transactions = attributes.transactions || {};
+		const txnsFor = period => ({
+			buys: transactions[period]?.buys || 0,
+			sells: transactions[period]?.sells || 0
+		});
+		
+		// market_cap_usd is only set when GeckoTerminal can verify supply; fall back to FDV
+		const fdv = parseFloat(attributes.fdv_usd || 0);
+		const marketCap = parseFloat(attributes.market_cap_usd || 0) || fdv;
+		
+		return {
+			chainId,
+			dexId: relationships.dex?.data?.id,
+			url: `https://www.geckoterminal.com/${network}/pools/${attributes.address}`,
+			pairAddress: attributes.address,
+			tokenAddress: baseToken.address,
+			baseToken: {
+				address: baseToken.address,
+				name: baseToken.name,
+				symbol: baseToken.symbol
+			},
+			quoteToken: quoteToken ? {
+				address: quoteToken.address,
+				name: quoteToken.name,
+				symbol: quoteToken.symbol
+			} : undefined,
+			priceNative: attributes.base_token_price_native_currency,
+			priceUsd: attributes.base_token_price_usd,
+			txns: {
+				m5: txnsFor('m5'),
+				h1: txnsFor('h1'),
+				h24: txnsFor('h24')
+			},
+			volume: {
+				m5: parseFloat(attributes.volume_usd?.m5 || 0),
+				h1: parseFloat(attributes.volume_usd?.h1 || 0),
+				h24: parseFloat(attributes.volume_usd?.h24 || 0)
+			},
+			priceChange: {
+				m5: parseFloat(attributes.price_change_percentage?.m5 || 0),
+				h1: parseFloat(attributes.price_change_percentage?.h1 || 0),
+				h24: parseFloat(attributes.price_change_percentage?.h24 || 0)
+			},
+			liquidity: {
+				usd: parseFloat(attributes.reserve_in_usd || 0)
+			},
+			fdv,
+			marketCap,
+			pairCreatedAt: attributes.pool_created_at ? Date.parse(attributes.pool_created_at) : undefined,
+			imageUrl: baseToken.image_url && baseToken.image_url !== 'missing.png' ? baseToken.image_url : undefined,
+			dataSource: 'geckoterminal'
+		};
+	}
+	
+	/**
+	 * Sort token data by 24h volume (descending) for the trending feed, newest first for the new feed
+	 */
+	sortTokenData() {
+		if (this.feed === 'new') {
+			this.tokenData.sort((a, b) => (b.pairCreatedAt || 0) - (a.pairCreatedAt || 0));
+		} else {
+			this.tokenData.sort((a, b) => (b.volume?.h24 || 0) - (a.volume?.h24 || 0));
+		}
+		
+		// Limit the number of tokens
+		if (this.tokenData.length > this.maxTokensToStore) {
+			this.tokenData = this.tokenData.slice(0, this.maxTokensToStore);
+		}
+	}
+	
+	/**
+	 * Get top tokens in feed order
+	 * @param {number} limit Maximum number of tokens to return
+	 * @returns {Promise<Array>} Array of top tokens
+	 */
+	async getTopTokens(limit = 10) {
+		// Ensure we have some data
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		// Return top N tokens
+		return this.tokenData.slice(0, limit);
+	}
+	
+	/**
+	 * Get tokens for the current feed, tagged with where they came from
+	 * @returns {Promise<Array>} Array of token data
+	 */
+	async getCurrentPageTokens() {
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		return this.tokenData.map(token => ({
+			...token,
+			_metadata: {
+				source: 'geckoterminal',
+				page: `geckoterminal/${this.feed}`,
+				fetchedAt: this.lastFetchTime
+			}
+		}));
+	}
+	
+	/**
+	 * Fetch price history for a specific token from its pool's OHLCV candles
+	 * @param {Object} token Token to get price history for
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
+	 */
+	async fetchTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
+		if (!token || !token.chainId || !token.pairAddress) {
+			return null;
+		}
+		
+		try {
+			const network = GeckoTerminalProvider.toNetwork(token.chainId);
+			const { timeframe, aggregate } = OHLCV_TIMEFRAMES[resolution] || OHLCV_TIMEFRAMES[DEFAULT_RESOLUTION];
+			const url = `${this.apiEndpoint}/networks/${network}/pools/${token.pairAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=168`;
+			
+			const data = await this.scheduler.fetchJson(url);
+			
+			// Candles are [timestamp (s), open, high, low, close, volume], newest first
+			const candles = data.data?.attributes?.ohlcv_list;
+			if (Array.isArray(candles) && candles.length > 0) {
+				return candles
+					.map(candle => makeCandle(
+						candle[0] * 1000,
+						parseFloat(candle[1]),
+						parseFloat(candle[2]),
+						parseFloat(candle[3]),
+						parseFloat(candle[4]),
+						parseFloat(candle[5] || 0)
+					))
+					.sort((a, b) => a.time - b.time);
+			}
+			
+			return null;
+		} catch (error) {
+			console.error(`Error fetching price history for token ${token.baseToken?.symbol}:`, error);
+			return null;
+		}
+	}
+	
+	/**
+	 * Get all available token data
+	 * @returns {Array} All available token data
+	 */
+	getAllTokenData() {
+		return [...this.tokenData];
+	}
+	
+	/**
+	 * Calculate a visual size for a token based on its market cap, with a boost for trading activity
+	 * @param {Object} token Token to calculate size for
+	 * @returns {number} Size value based on a reference scale of 0.5 to 2.0
+	 */
+	calculateTokenSize(token) {
+		if (!token) return 0.7; // Default size
+		
+		let size = 0.7;
+		
+		// Same log scale as DexScreener so mixed feeds look consistent
+		const marketCap = parseFloat(token.marketCap || 0);
+		if (marketCap > 0) {
+			size = 0.5 + Math.log10(marketCap) / 8;
+		}
+		
+		// Trending pools are ranked by activity, so let busy ones stand out a little
+		const txnsH24 = (token.txns?.h24?.buys || 0) + (token.txns?.h24?.sells || 0);
+		if (txnsH24 > 0) {
+			size += Math.min(Math.log10(txnsH24) / 20, 0.25);
+		}
+		
+		return size;
+	}
+	
+	/**
+	 * Format market cap for display
+	 * @param {number} marketCap Market cap value
+	 * @returns {string} Formatted market cap
+	 */
+	formatMarketCap(marketCap) {
+		if (!marketCap || marketCap <= 0) return 'N/A';
+		
+		if (marketCap >= 1e9) {
+			return `$${(marketCap / 1e9).toFixed(2)}B`;
+		} else if (marketCap >= 1e6) {
+			return `$${(marketCap / 1e6).toFixed(2)}M`;
+		} else if (marketCap >= 1e3) {
+			return `$${(marketCap / 1e3).toFixed(2)}K`;
+		} else {
+			return `$${marketCap.toFixed(2)}`;
+		}
+	}
+}
@@ -0,0 +1,314 @@
+/**
+ * Price History Store
+ * Keeps the price, volume, liquidity and market cap the providers observe on every refresh,
+ * per getTokenKey, so a chart can still be drawn when an upstream history endpoint fails.
+ * Each token's samples live in a fixed-size ring buffer persisted to IndexedDB; without
+ * IndexedDB (e.g. in private windows or tests) the store keeps them in memory only.
+ */
+
+import { getTokenKey } from '../utils/tokenKey.js';
+
+const DB_NAME = 'memecube-price-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'series';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request The request
+ * @returns {Promise<*>} The request's result
+ */
+function requestToPromise(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+export class PriceHistoryStore {
+	/**
+	 * @param {Object} options Store options
+	 * @param {number} options.capacity Samples kept per token; the oldest are overwritten (default: a day at one a minute)
+	 * @param {number} options.minInterval Shortest gap between samples for a token in milliseconds; closer ones are dropped
+	 * @param {number} options.maxAge How long samples are kept in milliseconds
+	 * @param {number} options.maxSeries How many tokens to keep history for; the least recently updated go first
+	 * @param {number} options.flushDelay How long to gather samples before writing them to IndexedDB in milliseconds
+	 * @param {IDBFactory|null} options.indexedDB IndexedDB to use (default: the browser's; null keeps everything in memory)
+	 */
+	constructor(options = {}) {
+		this.capacity = options.capacity ?? 1440;
+		this.minInterval = options.minInterval ?? 60 * 1000;
+		this.maxAge = options.maxAge ?? 7 * 24 * 60 * 60 * 1000;
+		this.maxSeries = options.maxSeries ?? 300;
+		this.flushDelay = options.flushDelay ?? 5000;
+		this.indexedDB = options.indexedDB !== undefined
+			? options.indexedDB
+			: (typeof indexedDB !== 'undefined' ? indexedDB : null);
+		
+		// Series loaded or recorded this session: key -> { key, samples, next, updatedAt }
+		// samples is the ring buffer and next the slot the next sample overwrites once it is full
+		this.series = new Map();
+		
+		// Series being read from IndexedDB, so concurrent callers share the read
+		this.loading = new Map();
+		
+		// Keys to write or delete on the next flush
+		this.dirty = new Set();
+		this.deleted = new Set();
+		this.flushTimer = null;
+		
+		this.dbPromise = null;
+	}
+	
+	/**
+	 * Open the database (once), dropping series past their retention limits
+	 * @returns {Promise<IDBDatabase|null>} The database, or null to keep samples in memory only
+	 */
+	openDatabase() {
+		if (!this.dbPromise) {
+			this.dbPromise = this.indexedDB ? this.connect().catch(error => {
+				console.warn('PriceHistoryStore: IndexedDB unavailable, keeping price history in memory:', error);
+				return null;
+			}) : Promise.resolve(null);
+		}
+		return this.dbPromise;
+	}
+	
+	/**
+	 * Connect to IndexedDB, creating the object store on first use
+	 * @returns {Promise<IDBDatabase>} The database
+	 */
+	async connect() {
+		const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+			store.createIndex('updatedAt', 'updatedAt');
+		};
+		
+		const db = await requestToPromise(request);
+		await this.prune(db);
+		return db;
+	}
+	
+	/**
+	 * Delete series not updated within maxAge, then the least recently updated beyond maxSeries
+	 * @param {IDBDatabase} db The database
+	 */
+	async prune(db) {
+		const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+		const index = store.index('updatedAt');
+		
+		const expired = await requestToPromise(index.getAllKeys(IDBKeyRange.upperBound(Date.now() - this.maxAge)));
+		const remaining = await requestToPromise(index.getAllKeys());
+		const excess = remaining.filter(key => !expired.includes(key)).slice(0, Math.max(0, remaining.length - expired.length - this.maxSeries));
+		
+		await Promise.all([...expired, ...excess].map(key => requestToPromise(store.delete(key))));
+	}
+	
+	/**
+	 * Make sure the series for some keys are in memory, reading any we haven't seen from IndexedDB
+	 * @param {Array<string>} keys Token keys
+	 */
+	async loadSeries(keys) {
+		const db = await this.openDatabase();
+		const missing = keys.filter(key => !this.series.has(key) && !this.loading.has(key));
+		
+		if (db && missing.length > 0) {
+			const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+			const read = Promise.all(missing.map(key => requestToPromise(store.get(key))))
+				.then(records => {
+					for (const record of records) {
+						// Anything recorded while the read was in flight is newer, so keep that
+						if (record && !this.series.has(record.key)) {
+							this.series.set(record.key, record);
+						}
+					}
+				})
+				.catch(error => console.error('PriceHistoryStore: Failed to read price history:', error))
+				.finally(() => missing.forEach(key => this.loading.delete(key)));
+			
+			missing.forEach(key => this.loading.set(key, read));
+		}
+		
+		await Promise.all(keys.filter(key => this.loading.has(key)).map(key => this.loading.get(key)));
+	}
+	
+	/**
+	 * Record a sample for each token
+	 * @param {Array} tokens Tokens from a refresh (DexScreener-shaped)
+	 * @param {number} time Sample timestamp in milliseconds
+	 * @returns {Promise<number>} How many samples were recorded
+	 */
+	async record(tokens, time = Date.now()) {
+		const samples = new Map();
+		for (const token of tokens || []) {
+			const price = parseFloat(token.priceUsd);
+			const key = getTokenKey(token);
+			if (!key || !(price > 0)) continue;
+			
+			samples.set(key, {
+				time,
+				price,
+				volume: parseFloat(token.volume?.h24 || 0),
+				liquidity: parseFloat(token.liquidity?.usd || 0),
+				marketCap: parseFloat(token.marketCap || 0)
+			});
+		}
+		
+		await this.loadSeries(Array.from(samples.keys()));
+		
+		let recorded = 0;
+		for (const [key, sample] of samples) {
+			if (this.append(key, sample)) {
+				recorded++;
+			}
+		}
+		
+		if (recorded > 0) {
+			this.evict();
+			this.scheduleFlush();
+		}
+		
+		return recorded;
+	}
+	
+	/**
+	 * Add a sample to a token's ring buffer
+	 * @param {string} key Token key
+	 * @param {Object} sample { time, price, volume, liquidity, marketCap }
+	 * @returns {boolean} Whether the sample was kept (it is dropped if too close to the last one)
+	 */
+	append(key, sample) {
+		let series = this.series.get(key);
+		if (!series) {
+			series = { key, samples: [], next: 0, updatedAt: 0 };
+			this.series.set(key, series);
+		}
+		
+		// The newest sample sits just before the slot the next one goes in
+		const count = series.samples.length;
+		const last = count > 0 ? series.samples[(series.next - 1 + count) % count] : null;
+		if (last && sample.time - last.time < this.minInterval) {
+			return false;
+		}
+		
+		if (series.samples.length < this.capacity) {
+			series.samples.push(sample);
+		} else {
+			series.samples[series.next] = sample;
+			series.next = (series.next + 1) % this.capacity;
+		}
+		
+		series.updatedAt = sample.time;
+		this.dirty.add(key);
+		this.deleted.delete(key);
+		return true;
+	}
+	
+	/**
+	 * Get a ring buffer's samples, oldest first
+	 * @param {Object} series The series
+	 * @returns {Array<Object>} Samples
+	 */
+	getOrderedSamples(series) {
+		if (series.next === 0) {
+			return series.samples;
+		}
+		return [...series.samples.slice(series.next), ...series.samples.slice(0, series.next)];
+	}
+	
+	/**
+	 * Get the samples recorded for a token within maxAge, oldest first
+	 * @param {Object|string} token Token, or its getTokenKey key
+	 * @returns {Promise<Array<Object>>} Samples { time, price, volume, liquidity, marketCap }
+	 */
+	async getSamples(token) {
+		const key = typeof token === 'string' ? token : getTokenKey(token);
+		if (!key) return [];
+		
+		await this.loadSeries([key]);
+		
+		const series = this.series.get(key);
+		if (!series) return [];
+		
+		const cutoff = Date.now() - this.maxAge;
+		return this.getOrderedSamples(series).filter(sample => sample.time >= cutoff);
+	}
+	
+	/**
+	 * Drop the least recently updated series beyond maxSeries
+	 */
+	evict() {
+		if (this.series.size <= this.maxSeries) return;
+		
+		const oldest = Array.from(this.series.values())
+			.sort((a, b) => a.updatedAt - b.updatedAt)
+			.slice(0, this.series.size - this.maxSeries);
+		
+		for (const series of oldest) {
+			this.series.delete(series.key);
+			this.dirty.delete(series.key);
+			this.deleted.add(series.key);
+		}
+	}
+	
+	/**
+	 * Write pending changes after flushDelay, so a burst of refreshes becomes one transaction
+	 */
+	scheduleFlush() {
+		if (this.flushTimer) return;
+		
+		this.flushTimer = setTimeout(() => {
+			this.flushTimer = null;
+			this.flush();
+		}, this.flushDelay);
+	}
+	
+	/**
+	 * Write pending changes to IndexedDB now
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		const db = await this.openDatabase();
+		if (!db) {
+			this.dirty.clear();
+			this.deleted.clear();
+			return;
+		}
+		
+		const dirty = Array.from(this.dirty).map(key => this.series.get(key)).filter(Boolean);
+		const deleted = Array.from(this.deleted);
+		this.dirty.clear();
+		this.deleted.clear();
+		if (dirty.length === 0 && deleted.length === 0) return;
+		
+		try {
+			const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+			await Promise.all([
+				...dirty.map(series => requestToPromise(store.put(series))),
+				...deleted.map(key => requestToPromise(store.delete(key)))
+			]);
+		} catch (error) {
+			console.error('PriceHistoryStore: Failed to save price history:', error);
+		}
+	}
+	
+	/**
+	 * Forget all recorded history
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+		this.series.clear();
+		this.dirty.clear();
+		this.deleted.clear();
+		
+		const db = await this.openDatabase();
+		if (db) {
+			await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+		}
+	}
+}
+
+// Store shared by every provider, so history recorded by one is available to all
+export const defaultPriceHistoryStore = new PriceHistoryStore();
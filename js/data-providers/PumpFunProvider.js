@@ -0,0 +1,284 @@
+/**
+ * pump.fun Data Provider
+ * Implementation of TokenDataProvider for pump.fun's feed of newly launched Solana tokens
+ */
+
+import { TokenDataProvider } from './TokenDataProvider.js';
+import { DEFAULT_RESOLUTION, aggregateCandles, makeCandle } from '../utils/candles.js';
+
+// Every pump.fun token has 6 decimals
+const TOKEN_DECIMALS = 6;
+const LAMPORTS_PER_SOL = 1000000000;
+
+export class PumpFunProvider extends TokenDataProvider {
+	/**
+	 * @param {Object} options Provider options
+	 * @param {string} options.baseUrl API root to use instead of frontend-api-v3.pump.fun
+	 *        (e.g. '/api/tokens/pumpfun' to go through the server-side proxy)
+	 * @param {boolean} options.includeNsfw Whether to include tokens pump.fun flags as NSFW
+	 */
+	constructor(options = {}) {
+		super(options);
+		
+		// pump.fun API endpoints
+		this.apiEndpoint = options.baseUrl || 'https://frontend-api-v3.pump.fun';
+		this.coinListEndpoint = `${this.apiEndpoint}/coins`;
+		this.candlesEndpoint = `${this.apiEndpoint}/candlesticks`;
+		
+		// Newest launches first
+		this.defaultParams = {
+			offset: 0,
+			limit: 50,
+			sort: 'created_timestamp',
+			order: 'DESC',
+			includeNsfw: Boolean(options.includeNsfw)
+		};
+		
+		// Token data storage
+		this.tokenData = [];
+		this.maxTokensToStore = 100;
+		
+		// SOL price implied by the last response, for converting SOL-denominated candles
+		this.solPriceUsd = 0;
+		
+		// New launches move fast
+		this.fetchInterval = 15000; // 15 seconds
+	}
+	
+	/**
+	 * Refresh the list of new launches
+	 * @returns {Promise<Array>} The updated token data
+	 */
+	async refreshData() {
+		try {
+			const params = new URLSearchParams(this.defaultParams);
+			const url = `${this.coinListEndpoint}?${params.toString()}`;
+			
+			const rawData = await this.scheduler.fetchJson(url);
+			
+			this.tokenData = this.processData(rawData);
+			this.sortTokenData();
+			
+			this.lastFetchTime = Date.now();
+			this.recordPriceSamples(this.tokenData);
+			
+			// Notify callbacks with updated data
+			this.notifyCallbacks(this.tokenData);
+			
+			return this.tokenData;
+		} catch (error) {
+			console.error('Error fetching pump.fun data:', error);
+			return this.tokenData;
+		}
+	}
+	
+	/**
+	 * Work out the SOL price implied by a coin list
+	 * market_cap is quoted in SOL and usd_market_cap in USD, so any coin with both gives the price.
+	 * @param {Array} rawData Raw data from the API
+	 * @returns {number} SOL price in USD, or the previous one if no coin reports both
+	 */
+	getSolPriceUsd(rawData) {
+		const coin = rawData.find(coin => coin.market_cap > 0 && parseFloat(coin.usd_market_cap || 0) > 0);
+		return coin ? parseFloat(coin.usd_market_cap) / coin.market_cap : this.solPriceUsd;
+	}
+	
+	/**
+	 * Process the raw coin list from pump.fun
+	 * @param {Array} rawData Raw data from the API
+	 * @returns {Array} Processed data in a standardized format
+	 */
+	processData(rawData) {
+		// Every coin's liquidity is converted at the same SOL price, whichever coin reports it
+		this.solPriceUsd = this.getSolPriceUsd(rawData);
+		
+		return rawData.map(coin => {
+			const marketCapUsd = parseFloat(coin.usd_market_cap || 0);
+			const supply = parseFloat(coin.total_supply || 0) / 10 ** TOKEN_DECIMALS;
+			const priceUsd = supply > 0 ? marketCapUsd / supply : 0;
+			
+			// Until a token graduates its liquidity is the SOL held by the bonding curve
+			const liquiditySol = parseFloat(coin.real_sol_reserves || 0) / LAMPORTS_PER_SOL;
+			
+			return {
+				chainId: 'solana',
+				dexId: coin.complete ? 'raydium' : 'pumpfun',
+				url: `https://pump.fun/coin/${coin.mint}`,
+				pairAddress: coin.complete && coin.raydium_pool ? coin.raydium_pool : coin.bonding_curve,
+				tokenAddress: coin.mint,
+				baseToken: {
+					address: coin.mint,
+					name: coin.name,
+					symbol: coin.symbol
+				},
+				priceUsd: priceUsd.toString(),
+				priceChange: {
+					h24: 0 // Not reported by the coin list
+				},
+				volume: {
+					h24: 0 // Not reported by the coin list
+				},
+				liquidity: {
+					usd: liquiditySol * this.solPriceUsd
+				},
+				fdv: marketCapUsd,
+				marketCap: marketCapUsd,
+				pairCreatedAt: coin.created_timestamp,
+				imageUrl: coin.image_uri,
+				links: {
+					website: coin.website || undefined,
+					twitter: coin.twitter || undefined,
+					telegram: coin.telegram || undefined
+				},
+				graduated: Boolean(coin.complete),
+				dataSource: 'pumpfun'
+			};
+		});
+	}
+	
+	/**
+	 * Sort token data by launch time (newest first)
+	 */
+	sortTokenData() {
+		this.tokenData.sort((a, b) => (b.pairCreatedAt || 0) - (a.pairCreatedAt || 0));
+		
+		// Limit the number of tokens
+		if (this.tokenData.length > this.maxTokensToStore) {
+			this.tokenData = this.tokenData.slice(0, this.maxTokensToStore);
+		}
+	}
+	
+	/**
+	 * Get the newest launches
+	 * @param {number} limit Maximum number of tokens to return
+	 * @returns {Promise<Array>} Array of top tokens
+	 */
+	async getTopTokens(limit = 10) {
+		// Ensure we have some data
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		// Return top N tokens
+		return this.tokenData.slice(0, limit);
+	}
+	
+	/**
+	 * Get the newest launches, tagged with where they came from
+	 * @returns {Promise<Array>} Array of token data
+	 */
+	async getCurrentPageTokens() {
+		if (this.tokenData.length === 0) {
+			await this.refreshData();
+		}
+		
+		return this.tokenData.map(token => ({
+			...token,
+			_metadata: {
+				source: 'pumpfun',
+				page: 'pumpfun/new',
+				fetchedAt: this.lastFetchTime
+			}
+		}));
+	}
+	
+	/**
+	 * Fetch price history for a specific token from its 5 minute candles, merged up to the resolution
+	 * @param {Object} token Token to get price history for
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
+	 */
+	async fetchTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
+		if (!token || !token.tokenAddress) {
+			return null;
+		}
+		
+		try {
+			const url = `${this.candlesEndpoint}/${token.tokenAddress}?offset=0&limit=1000&timeframe=5`;
+			
+			const candles = await this.scheduler.fetchJson(url);
+			
+			// Candle prices are in SOL per token and volume in raw token units;
+			// convert both to USD with the SOL price from the coin list
+			if (Array.isArray(candles) && candles.length > 0 && this.solPriceUsd > 0) {
+				const toUsd = value => parseFloat(value) * this.solPriceUsd;
+				const usdCandles = candles
+					.map(candle => makeCandle(
+						candle.timestamp * 1000,
+						toUsd(candle.open),
+						toUsd(candle.high),
+						toUsd(candle.low),
+						toUsd(candle.close),
+						parseFloat(candle.volume || 0) / 10 ** TOKEN_DECIMALS * toUsd(candle.close)
+					))
+					.sort((a, b) => a.time - b.time);
+				
+				return aggregateCandles(usdCandles, resolution);
+			}
+			
+			return null;
+		} catch (error) {
+			console.error(`Error fetching price history for token ${token.baseToken?.symbol}:`, error);
+			return null;
+		}
+	}
+	
+	/**
+	 * Get all available token data
+	 * @returns {Array} All available token data
+	 */
+	getAllTokenData() {
+		return [...this.tokenData];
+	}
+	
+	/**
+	 * Calculate a visual size for a new launch from its market cap, favouring the freshest
+	 * and those that have graduated from the bonding curve
+	 * @param {Object} token Token to calculate size for
+	 * @returns {number} Size value based on a reference scale of 0.5 to 2.0
+	 */
+	calculateTokenSize(token) {
+		if (!token) return 0.7; // Default size
+		
+		let size = 0.7;
+		
+		// Launches sit between a few thousand dollars and graduation (~$70K), so spread that range out
+		const marketCap = parseFloat(token.marketCap || 0);
+		if (marketCap > 0) {
+			size = 0.5 + Math.max(0, Math.log10(marketCap) - 3) / 3;
+		}
+		
+		if (token.graduated) {
+			size += 0.3;
+		}
+		
+		// Tokens launched in the last hour get a boost that fades as they age
+		if (token.pairCreatedAt) {
+			const ageHours = (Date.now() - token.pairCreatedAt) / (60 * 60 * 1000);
+			if (ageHours >= 0 && ageHours < 1) {
+				size += 0.3 * (1 - ageHours);
+			}
+		}
+		
+		return size;
+	}
+	
+	/**
+	 * Format market cap for display
+	 * @param {number} marketCap Market cap value
+	 * @returns {string} Formatted market cap
+	 */
+	formatMarketCap(marketCap) {
+		if (!marketCap || marketCap <= 0) return 'N/A';
+		
+		if (marketCap >= 1e9) {
+			return `$${(marketCap / 1e9).toFixed(2)}B`;
+		} else if (marketCap >= 1e6) {
+			return `$${(marketCap / 1e6).toFixed(2)}M`;
+		} else if (marketCap >= 1e3) {
+			return `$${(marketCap / 1e3).toFixed(2)}K`;
+		} else {
+			return `$${marketCap.toFixed(2)}`;
+		}
+	}
+}
@@ -0,0 +1,226 @@
+/**
+ * Request Scheduler
+ * Shared by the data providers so their requests respect each API's rate limits:
+ * per-host concurrency caps, a token bucket per host, Retry-After on 429/503,
+ * exponential backoff on failures, and coalescing of identical in-flight requests.
+ */
+
+// Limits per host; DexScreener allows 300 requests a minute on its pair endpoints, the
+// CoinGecko and GeckoTerminal public APIs about 30. The server-side proxy caches, so
+// same-origin requests get the roomier default.
+const DEFAULT_HOST_LIMITS = {
+	'api.dexscreener.com': { concurrency: 4, requestsPerMinute: 300, burst: 20 },
+	'api.coingecko.com': { concurrency: 2, requestsPerMinute: 30, burst: 5 },
+	'api.geckoterminal.com': { concurrency: 2, requestsPerMinute: 30, burst: 5 },
+	'frontend-api-v3.pump.fun': { concurrency: 2, requestsPerMinute: 60, burst: 10 }
+};
+
+const DEFAULT_LIMIT = { concurrency: 6, requestsPerMinute: 600, burst: 30 };
+
+// Statuses worth trying again; anything else fails straight away
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export class RequestScheduler {
+	/**
+	 * @param {Object} options Scheduler options
+	 * @param {Object} options.hostLimits Map of host to { concurrency, requestsPerMinute, burst }, merged over the defaults
+	 * @param {Object} options.defaultLimit Limit for hosts without their own entry
+	 * @param {number} options.maxRetries How many times to retry a failed request
+	 * @param {number} options.baseDelay First backoff delay in milliseconds, doubled on each retry
+	 * @param {number} options.maxDelay Longest backoff or Retry-After wait in milliseconds
+	 */
+	constructor(options = {}) {
+		this.hostLimits = { ...DEFAULT_HOST_LIMITS, ...(options.hostLimits || {}) };
+		this.defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+		this.maxRetries = options.maxRetries ?? 3;
+		this.baseDelay = options.baseDelay ?? 1000;
+		this.maxDelay = options.maxDelay ?? 60000;
+		
+		// Per-host state: { limit, active, queue, tokens, lastRefill, blockedUntil, timer }
+		this.hosts = new Map();
+		
+		// In-flight requests keyed by URL, so identical requests share one promise
+		this.inFlight = new Map();
+	}
+	
+	/**
+	 * Fetch a URL and parse the JSON response, within the host's limits
+	 * Identical URLs requested while one is in flight share its result.
+	 * @param {string} url URL to fetch
+	 * @returns {Promise<*>} The parsed response body
+	 * @throws {Error} With a status property for HTTP errors, once retries are used up
+	 */
+	fetchJson(url) {
+		if (this.inFlight.has(url)) {
+			return this.inFlight.get(url);
+		}
+		
+		const request = new Promise((resolve, reject) => {
+			this.enqueue({ url, attempt: 0, resolve, reject });
+		}).finally(() => this.inFlight.delete(url));
+		
+		this.inFlight.set(url, request);
+		return request;
+	}
+	
+	/**
+	 * Get the host a URL is rate limited under
+	 * @param {string} url Absolute or same-origin URL
+	 * @returns {string} Host name
+	 */
+	getHostKey(url) {
+		const base = typeof location !== 'undefined' ? location.href : 'http://localhost';
+		return new URL(url, base).host;
+	}
+	
+	/**
+	 * Get (creating if needed) the state for a host
+	 * @param {string} hostKey Host name
+	 * @returns {Object} Host state
+	 */
+	getHost(hostKey) {
+		if (!this.hosts.has(hostKey)) {
+			const limit = this.hostLimits[hostKey] || this.defaultLimit;
+			this.hosts.set(hostKey, {
+				limit,
+				active: 0,
+				queue: [],
+				tokens: limit.burst,
+				lastRefill: Date.now(),
+				blockedUntil: 0,
+				timer: null
+			});
+		}
+		return this.hosts.get(hostKey);
+	}
+	
+	/**
+	 * Queue a job on its host and start whatever can run
+	 * @param {Object} job { url, attempt, resolve, reject }
+	 */
+	enqueue(job) {
+		const hostKey = this.getHostKey(job.url);
+		this.getHost(hostKey).queue.push(job);
+		this.pump(hostKey);
+	}
+	
+	/**
+	 * Top up a host's token bucket for the time that has passed
+	 * @param {Object} host Host state
+	 * @param {number} now Current timestamp
+	 */
+	refill(host, now) {
+		const perMs = host.limit.requestsPerMinute / 60000;
+		host.tokens = Math.min(host.limit.burst, host.tokens + (now - host.lastRefill) * perMs);
+		host.lastRefill = now;
+	}
+	
+	/**
+	 * Start queued jobs on a host while its concurrency cap, bucket and any Retry-After allow,
+	 * and set a timer to try again when they don't
+	 * @param {string} hostKey Host name
+	 */
+	pump(hostKey) {
+		const host = this.getHost(hostKey);
+		
+		while (host.queue.length > 0 && host.active < host.limit.concurrency) {
+			const now = Date.now();
+			this.refill(host, now);
+			
+			let wait = 0;
+			if (host.blockedUntil > now) {
+				wait = host.blockedUntil - now;
+			} else if (host.tokens < 1) {
+				wait = Math.ceil((1 - host.tokens) / (host.limit.requestsPerMinute / 60000));
+			}
+			
+			if (wait > 0) {
+				if (!host.timer) {
+					host.timer = setTimeout(() => {
+						host.timer = null;
+						this.pump(hostKey);
+					}, wait);
+				}
+				return;
+			}
+			
+			host.tokens -= 1;
+			host.active++;
+			this.run(host, hostKey, host.queue.shift());
+		}
+	}
+	
+	/**
+	 * Run one attempt of a job, retrying or settling it
+	 * @param {Object} host Host state
+	 * @param {string} hostKey Host name
+	 * @param {Object} job { url, attempt, resolve, reject }
+	 */
+	async run(host, hostKey, job) {
+		let retryDelay = null;
+		
+		try {
+			const response = await fetch(job.url);
+			
+			if (response.ok) {
+				job.resolve(await response.json());
+			} else if (RETRYABLE_STATUSES.has(response.status) && job.attempt < this.maxRetries) {
+				const retryAfter = this.parseRetryAfter(response.headers?.get?.('Retry-After'));
+				retryDelay = retryAfter ?? this.getBackoffDelay(job.attempt);
+				
+				// A rate limit applies to the whole host, not just this URL
+				if (response.status === 429) {
+					host.blockedUntil = Math.max(host.blockedUntil, Date.now() + retryDelay);
+				}
+			} else {
+				const error = new Error(`HTTP error! status: ${response.status}`);
+				error.status = response.status;
+				job.reject(error);
+			}
+		} catch (error) {
+			// Network errors (and bad JSON) get the same backoff as server errors
+			if (job.attempt < this.maxRetries) {
+				retryDelay = this.getBackoffDelay(job.attempt);
+			} else {
+				job.reject(error);
+			}
+		} finally {
+			host.active--;
+		}
+		
+		if (retryDelay !== null) {
+			console.warn(`RequestScheduler: Retrying ${job.url} in ${retryDelay}ms (attempt ${job.attempt + 1} of ${this.maxRetries})`);
+			setTimeout(() => this.enqueue({ ...job, attempt: job.attempt + 1 }), retryDelay);
+		}
+		
+		this.pump(hostKey);
+	}
+	
+	/**
+	 * Backoff delay for a retry: doubles each attempt, with jitter so clients don't retry in step
+	 * @param {number} attempt Attempts made so far (0 for the first retry)
+	 * @returns {number} Delay in milliseconds
+	 */
+	getBackoffDelay(attempt) {
+		const delay = this.baseDelay * 2 ** attempt;
+		return Math.min(this.maxDelay, Math.round(delay * (0.75 + Math.random() * 0.5)));
+	}
+	
+	/**
+	 * Parse a Retry-After header, given either in seconds or as an HTTP date
+	 * @param {string|null} value Header value
+	 * @returns {number|null} Delay in milliseconds, or null if absent or unreadable
+	 */
+	parseRetryAfter(value) {
+		if (!value) return null;
+		
+		const seconds = Number(value);
+		const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+		if (!Number.isFinite(delay)) return null;
+		
+		return Math.min(this.maxDelay, Math.max(0, delay));
+	}
+}
+
+// Scheduler shared by every provider, so limits hold across providers that call the same host
+export const defaultScheduler = new RequestScheduler();
@@ -0,0 +1,415 @@
+/**
+ * Streaming Token Provider
+ * Implements TokenDataProvider on top of the server's live token stream (Server-Sent Events)
+ * The server polls once and pushes added / updated / removed tokens to every tab,
+ * so callbacks receive incremental changes instead of each tab polling for full snapshots.
+ * Falls back to polling through a DexScreenerProvider if the stream isn't available
+ * (e.g. when the app is served by a static file server).
+ */
+
+import { TokenDataProvider } from './TokenDataProvider.js';
+import { DexScreenerProvider } from './DexScreenerProvider.js';
+import { getTokenKey } from '../utils/tokenKey.js';
+
+// The page the server streams; other pages are polled through the REST provider
+const STREAM_PAGE = 'dexscreener/latest';
+
+export class StreamingTokenProvider extends TokenDataProvider {
+	/**
+	 * @param {Object} options Provider options
+	 * @param {string} options.url Stream endpoint (default '/api/tokens/stream')
+	 * @param {string} options.baseUrl DexScreener API root for the polling fallback, price history and sizing
+	 * @param {TokenDataProvider} options.restProvider Provider to use for those instead of a new DexScreenerProvider
+	 * @param {number} options.connectTimeout How long to wait for the first snapshot before falling back (ms)
+	 */
+	constructor(options = {}) {
+		super();
+		
+		this.streamUrl = options.url || '/api/tokens/stream';
+		this.connectTimeout = options.connectTimeout || 10000;
+		
+		// Request/response provider used for price history, sizing and as a polling fallback
+		this.restProvider = options.restProvider || new DexScreenerProvider({ baseUrl: options.baseUrl });
+		this.fetchInterval = this.restProvider.fetchInterval;
+		
+		// Record streamed prices where the REST provider records its own, so history is shared
+		this.priceHistoryStore = this.restProvider.priceHistoryStore || null;
+		
+		// Current token list keyed by getTokenKey, in the order the server sent them
+		this.tokensByKey = new Map();
+		
+		// Stream state
+		this.eventSource = null;
+		this.usingFallback = false;
+		this.hasSnapshot = false;
+		this.lastEventId = null;
+		
+		// Page being shown; anything but the streamed page is polled through the REST provider
+		this.currentPage = STREAM_PAGE;
+		
+		// Resolves once we have a first snapshot (or have given up and fallen back to polling)
+		this.readyPromise = null;
+		this.resolveReady = null;
+		
+		// Falls back to polling if the current connection sends no snapshot in time
+		this.connectTimer = null;
+		
+		// Forward fallback and non-streamed page polling results to our own callbacks
+		this.restProvider.registerUpdateCallback((data) => {
+			if (this.isPolling()) {
+				return this.notifyCallbacks(data);
+			}
+		});
+	}
+	
+	/**
+	 * Whether tokens currently come from the REST provider rather than the stream
+	 * @returns {boolean} True when falling back or showing a page the server doesn't stream
+	 */
+	isPolling() {
+		return this.usingFallback || this.currentPage !== STREAM_PAGE;
+	}
+	
+	/**
+	 * List the pages that can be shown (DexScreenerProvider-compatible)
+	 * @returns {Array<Object>} { id, label } for each page
+	 */
+	getAvailablePages() {
+		return this.restProvider.getAvailablePages ? this.restProvider.getAvailablePages() : [];
+	}
+	
+	/**
+	 * Save a search query as a page (DexScreenerProvider-compatible); searches are polled
+	 * @param {string} query Search query
+	 * @returns {string|null} The search's page id, or null if the REST provider has no searches
+	 */
+	saveSearch(query) {
+		return this.restProvider.saveSearch ? this.restProvider.saveSearch(query) : null;
+	}
+	
+	/**
+	 * Remove a saved search query (DexScreenerProvider-compatible)
+	 * @param {string} query Search query
+	 */
+	removeSearch(query) {
+		if (this.restProvider.removeSearch) {
+			this.restProvider.removeSearch(query);
+		}
+	}
+	
+	/**
+	 * Switch page: the streamed page reconnects to the stream, any other page is polled
+	 * @param {string} pageId The page identifier
+	 * @returns {Promise<Array>} Tokens for the new page
+	 */
+	async setCurrentPage(pageId) {
+		this.currentPage = pageId;
+		
+		if (this.isPolling()) {
+			this.disconnect();
+			this.restProvider.startAutoRefresh(this.fetchInterval);
+			return this.restProvider.setCurrentPage(pageId);
+		}
+		
+		// Back to the stream; its snapshot notifies callbacks with the full list
+		this.restProvider.stopAutoRefresh();
+		this.restProvider.currentPage = pageId;
+		await this.connect();
+		return this.getTokenList();
+	}
+	
+	/**
+	 * Open the stream if it isn't already open
+	 * @returns {Promise<void>} Resolves when the first snapshot arrives or the provider falls back to polling
+	 */
+	connect() {
+		if (this.isPolling()) {
+			return Promise.resolve();
+		}
+		
+		if (this.readyPromise) {
+			return this.readyPromise;
+		}
+		
+		this.readyPromise = new Promise(resolve => {
+			this.resolveReady = resolve;
+		});
+		
+		if (typeof EventSource === 'undefined') {
+			console.warn('StreamingTokenProvider: EventSource not supported, falling back to polling');
+			this.fallBackToPolling();
+			return this.readyPromise;
+		}
+		
+		console.log(`StreamingTokenProvider: Connecting to ${this.streamUrl}`);
+		this.eventSource = new EventSource(this.streamUrl);
+		
+		this.eventSource.addEventListener('snapshot', (event) => this.handleSnapshot(event));
+		this.eventSource.addEventListener('diff', (event) => this.handleDiff(event));
+		
+		this.eventSource.onerror = () => {
+			// CONNECTING means the browser is retrying by itself; CLOSED means the endpoint isn't a stream
+			if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+				console.warn('StreamingTokenProvider: Stream unavailable, falling back to polling');
+				this.fallBackToPolling();
+			}
+		};
+		
+		// Don't leave callers waiting forever on a stream that never answers
+		this.connectTimer = setTimeout(() => {
+			this.connectTimer = null;
+			if (!this.hasSnapshot && !this.isPolling()) {
+				console.warn('StreamingTokenProvider: No snapshot received in time, falling back to polling');
+				this.fallBackToPolling();
+			}
+		}, this.connectTimeout);
+		
+		return this.readyPromise;
+	}
+	
+	/**
+	 * Close the stream
+	 */
+	disconnect() {
+		if (this.eventSource) {
+			this.eventSource.close();
+			this.eventSource = null;
+		}
+		
+		// A pending timeout belongs to this connection; don't let it switch a later one to polling
+		this.clearConnectTimer();
+		
+		// Release anyone still waiting in connect() before the promise is dropped
+		this.markReady();
+		
+		this.hasSnapshot = false;
+		this.readyPromise = null;
+	}
+	
+	/**
+	 * Cancel the pending connect timeout, if any
+	 */
+	clearConnectTimer() {
+		if (this.connectTimer) {
+			clearTimeout(this.connectTimer);
+			this.connectTimer = null;
+		}
+	}
+	
+	/**
+	 * Stop streaming and poll through the REST provider instead
+	 */
+	fallBackToPolling() {
+		if (this.usingFallback) return;
+		this.usingFallback = true;
+		this.clearConnectTimer();
+		
+		if (this.eventSource) {
+			this.eventSource.close();
+			this.eventSource = null;
+		}
+		
+		this.restProvider.startAutoRefresh(this.fetchInterval);
+		
+		// Release anyone waiting in connect(); they'll read from the REST provider from now on
+		this.markReady();
+	}
+	
+	/**
+	 * Mark the provider as ready for callers waiting in connect()
+	 */
+	markReady() {
+		if (this.resolveReady) {
+			this.resolveReady();
+			this.resolveReady = null;
+		}
+	}
+	
+	/**
+	 * Handle the full token list sent when the stream opens (or reopens)
+	 * @param {MessageEvent} event The snapshot event
+	 */
+	async handleSnapshot(event) {
+		try {
+			const { tokens } = JSON.parse(event.data);
+			this.lastEventId = event.lastEventId;
+			
+			this.tokensByKey = new Map();
+			for (const token of tokens || []) {
+				const key = getTokenKey(token);
+				if (key) {
+					this.tokensByKey.set(key, token);
+				}
+			}
+			
+			this.hasSnapshot = true;
+			this.clearConnectTimer();
+			this.lastFetchTime = Date.now();
+			this.recordPriceSamples(tokens);
+			this.markReady();
+			
+			console.log(`StreamingTokenProvider: Snapshot with ${this.tokensByKey.size} tokens`);
+			
+			// A snapshot replaces everything, so callbacks get it without a change set
+			await this.notifyCallbacks(this.getTokenList());
+		} catch (error) {
+			console.error('StreamingTokenProvider: Error handling snapshot:', error);
+		}
+	}
+	
+	/**
+	 * Handle an incremental change set from the stream
+	 * @param {MessageEvent} event The diff event
+	 */
+	async handleDiff(event) {
+		try {
+			const changes = JSON.parse(event.data);
+			this.lastEventId = event.lastEventId;
+			
+			this.applyChanges(changes);
+			this.lastFetchTime = Date.now();
+			this.recordPriceSamples([...changes.added, ...changes.updated]);
+			
+			console.log(`StreamingTokenProvider: Diff +${changes.added.length} ~${changes.updated.length} -${changes.removed.length}`);
+			
+			await this.notifyCallbacks(this.getTokenList(), changes);
+		} catch (error) {
+			console.error('StreamingTokenProvider: Error handling diff:', error);
+		}
+	}
+	
+	/**
+	 * Apply a change set to the current token list
+	 * @param {Object} changes { added, updated, removed } where removed is an array of token keys
+	 */
+	applyChanges(changes) {
+		for (const token of [...(changes.added || []), ...(changes.updated || [])]) {
+			const key = getTokenKey(token);
+			if (key) {
+				this.tokensByKey.set(key, token);
+			}
+		}
+		
+		for (const key of changes.removed || []) {
+			this.tokensByKey.delete(key);
+		}
+	}
+	
+	/**
+	 * Get the current token list as an array
+	 * @returns {Array} Current tokens
+	 */
+	getTokenList() {
+		return Array.from(this.tokensByKey.values());
+	}
+	
+	/**
+	 * Get tokens for the current page (DexScreenerProvider-compatible)
+	 * @returns {Promise<Array>} Array of token data
+	 */
+	async getCurrentPageTokens() {
+		await this.connect();
+		if (this.isPolling()) {
+			return this.restProvider.getCurrentPageTokens();
+		}
+		
+		// Add metadata to identify these tokens as coming from the provider
+		return this.getTokenList().map(token => ({
+			...token,
+			_metadata: {
+				source: 'dexscreener',
+				page: 'dexscreener/latest',
+				fetchedAt: this.lastFetchTime
+			}
+		}));
+	}
+	
+	/**
+	 * Start receiving updates
+	 * The stream pushes updates by itself, so the interval only applies to the polling fallback.
+	 * @param {number} interval Optional custom refresh interval in milliseconds
+	 */
+	startAutoRefresh(interval = null) {
+		if (interval !== null) {
+			this.fetchInterval = interval;
+		}
+		
+		if (this.isPolling()) {
+			this.restProvider.startAutoRefresh(this.fetchInterval);
+		} else {
+			this.connect();
+		}
+	}
+	
+	/**
+	 * Stop receiving updates
+	 */
+	stopAutoRefresh() {
+		this.disconnect();
+		this.restProvider.stopAutoRefresh();
+	}
+	
+	// --- TokenDataProvider Interface Implementation ---
+	
+	/**
+	 * Get the latest token data
+	 * With a live stream this doesn't hit the network; the data is already current.
+	 * @returns {Promise<Array>} The current token data
+	 */
+	async refreshData() {
+		await this.connect();
+		return this.isPolling() ? this.restProvider.refreshData() : this.getTokenList();
+	}
+	
+	/**
+	 * Get top tokens by market cap
+	 * @param {number} limit Maximum number of tokens to return
+	 * @returns {Promise<Array>} Array of top tokens
+	 */
+	async getTopTokens(limit = 10) {
+		await this.connect();
+		if (this.isPolling()) {
+			return this.restProvider.getTopTokens(limit);
+		}
+		
+		return this.getTokenList()
+			.sort((a, b) => parseFloat(b.marketCap || 0) - parseFloat(a.marketCap || 0))
+			.slice(0, limit);
+	}
+	
+	/**
+	 * Get price history for a specific token (not streamed, fetched on demand)
+	 * @param {Object} token Token to get price history for
+	 * @param {string} resolution Candle resolution: '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<Array>} Array of candles, oldest first
+	 */
+	async getTokenPriceHistory(token, resolution) {
+		return this.restProvider.getTokenPriceHistory(token, resolution);
+	}
+	
+	/**
+	 * Get all available token data
+	 * @returns {Array} All available token data
+	 */
+	getAllTokenData() {
+		return this.isPolling() ? this.restProvider.getAllTokenData() : this.getTokenList();
+	}
+	
+	/**
+	 * Calculate a visual size for a token
+	 * @param {Object} token Token to calculate size for
+	 * @returns {number} Size value
+	 */
+	calculateTokenSize(token) {
+		return this.restProvider.calculateTokenSize(token);
+	}
+	
+	/**
+	 * Format market cap for display
+	 * @param {number} marketCap Market cap value
+	 * @returns {string} Formatted market cap
+	 */
+	formatMarketCap(marketCap) {
+		return this.restProvider.formatMarketCap(marketCap);
+	}
+}
@@ -4,12 +4,27 @@
  * Provider-agnostic interface that different data sources can implement
  */
 
+import { DEFAULT_RESOLUTION, getResolutionMs, pointsToCandles } from '../utils/candles.js';
+import { defaultScheduler } from './RequestScheduler.js';
+import { defaultPriceHistoryStore } from './PriceHistoryStore.js';
+
 export class TokenDataProvider {
-	constructor() {
+	/**
+	 * @param {Object} options Provider options
+	 * @param {RequestScheduler} options.scheduler Scheduler for API requests (default: the shared one)
+	 * @param {PriceHistoryStore|null} options.priceHistoryStore Where prices seen on each refresh are recorded for price history (default: the shared one; null turns it off)
+	 */
+	constructor(options = {}) {
 		this.callbacks = [];
 		this.lastFetchTime = 0;
 		this.fetchInterval = 60000; // Default 1 minute
 		this.autoRefreshInterval = null;
+		
+		// Shared scheduler keeps requests within the API's rate limits
+		this.scheduler = options.scheduler || defaultScheduler;
+		
+		// Prices seen on each refresh are recorded here and fill gaps in the upstream price history
+		this.priceHistoryStore = options.priceHistoryStore !== undefined ? options.priceHistoryStore : defaultPriceHistoryStore;
 	}
 	
 	/**
@@ -36,14 +51,17 @@ export class TokenDataProvider {
 	/**
 	 * Notify all registered callbacks with the updated data
 	 * @param {Array} data The updated data
+	 * @param {Object} changes Optional incremental changes { added, updated, removed } behind this update,
+	 *        for providers that know them (removed is an array of token keys)
 	 */
-	async notifyCallbacks(data) {
+	async notifyCallbacks(data, changes = null) {
 		const callbackPromises = [];
 		
 		for (const callback of this.callbacks) {
 			try {
 				// Execute the callback and handle it whether sync or async
-				const result = callback(data);
+				// (changes are only passed when there are some, so plain full updates look as they always did)
+				const result = changes ? callback(data, changes) : callback(data);
 				if (result instanceof Promise) {
 					callbackPromises.push(result);
 				}
@@ -90,6 +108,66 @@ export class TokenDataProvider {
 		}
 	}
 	
+	/**
+	 * Record the tokens' current price, volume, liquidity and market cap in the price history store
+	 * @param {Array} tokens Tokens from the latest refresh
+	 */
+	recordPriceSamples(tokens) {
+		if (!this.priceHistoryStore) return;
+		
+		this.priceHistoryStore.record(tokens).catch(error => {
+			console.error('Error recording price samples:', error);
+		});
+	}
+	
+	/**
+	 * Get price history for a specific token as OHLCV candles
+	 * Candles come from fetchTokenPriceHistory(), merged with the prices recorded locally.
+	 * Each candle also has price set to its close, for consumers that only draw a line.
+	 * @param {Object} token Token to get price history for
+	 * @param {string} resolution Candle resolution: '5m', '1h' (default), '4h' or '1d'
+	 * @returns {Promise<Array>} Candles { time, open, high, low, close, volume, price }, oldest first
+	 */
+	async getTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
+		const candles = await this.fetchTokenPriceHistory(token, resolution);
+		return this.mergeRecordedHistory(token, candles, resolution);
+	}
+	
+	/**
+	 * Merge candles from the upstream with the prices recorded locally for a token
+	 * Upstream candles win for any period they cover and recorded prices fill the rest,
+	 * so the chart still shows what we have seen when the upstream history endpoint fails.
+	 * @param {Object} token Token the history is for
+	 * @param {Array|null} candles Candles from the upstream, or null if there were none
+	 * @param {string} resolution Candle resolution
+	 * @returns {Promise<Array|null>} Merged candles, oldest first, or null if there are none
+	 */
+	async mergeRecordedHistory(token, candles, resolution = DEFAULT_RESOLUTION) {
+		let samples = [];
+		if (this.priceHistoryStore && token) {
+			try {
+				samples = await this.priceHistoryStore.getSamples(token);
+			} catch (error) {
+				console.error('Error reading recorded price history:', error);
+			}
+		}
+		
+		if (samples.length === 0) {
+			return candles && candles.length > 0 ? candles : null;
+		}
+		
+		// Recorded volumes are rolling 24h totals, so recorded candles only carry prices
+		const recorded = pointsToCandles(samples.map(sample => ({ time: sample.time, price: sample.price })), resolution);
+		
+		const bucketMs = getResolutionMs(resolution);
+		const candlesByTime = new Map(recorded.map(candle => [candle.time, candle]));
+		for (const candle of candles || []) {
+			candlesByTime.set(Math.floor(candle.time / bucketMs) * bucketMs, candle);
+		}
+		
+		return Array.from(candlesByTime.values()).sort((a, b) => a.time - b.time);
+	}
+	
 	// --- Methods that must be implemented by subclasses ---
 	
 	/**
@@ -110,12 +188,14 @@ export class TokenDataProvider {
 	}
 	
 	/**
-	 * Get price history for a specific token
+	 * Fetch price history for a specific token from the provider's upstream
 	 * @param {Object} token Token to get price history for
-	 * @returns {Promise<Array>} Array of price history points
+	 * @param {string} resolution Candle resolution: '5m', '1h' (default), '4h' or '1d'
+	 * @returns {Promise<Array|null>} Candles { time, open, high, low, close, volume, price }, oldest first,
+	 *          or null if the upstream has none
 	 */
-	async getTokenPriceHistory(token) {
-		throw new Error('getTokenPriceHistory() must be implemented by subclasses');
+	async fetchTokenPriceHistory(token, resolution = DEFAULT_RESOLUTION) {
+		throw new Error('fetchTokenPriceHistory() must be implemented by subclasses');
 	}
 	
 	/**
@@ -0,0 +1,248 @@
+/**
+ * Colour modes for token tags
+ * A colour mode maps a token to a tag colour and describes the mapping for the legend;
+ * the cluster uses one at a time and new modes are added by registering them.
+ *
+ * A mode is { id, label, colour(token, context), legend(tokens) } where colour returns a hex
+ * colour string, context holds { now }, and legend returns [{ colour, label }] entries.
+ */
+
+import { getTokenKey } from '../../utils/tokenKey.js';
+import { Registry } from '../../utils/registry.js';
+
+export const DEFAULT_COLOUR_MODE = 'chain';
+
+export const CHAIN_COLOURS = {
+	'ethereum': '#3C3C3D', // Dark grey for Ethereum
+	'binance-smart-chain': '#F0B90B', // Yellow for BSC
+	'polygon': '#8247E5', // Purple for Polygon
+	'avalanche': '#E84142', // Red for Avalanche
+	'optimism': '#FF0420', // Bright red for Optimism
+	'arbitrum': '#28A0F0', // Blue for Arbitrum
+	'solana': '#14F195', // Bright teal for Solana
+	'base': '#0052FF' // Bright blue for Base
+};
+
+// Colour for anything a mode has no data for
+const UNKNOWN_COLOUR = '#FFFFFF';
+
+/**
+ * Get a colour based on the blockchain network
+ * @param {string} chainId - The ID of the blockchain network
+ * @returns {string} - Hex colour code, white if the chain isn't known
+ */
+export function getChainColour(chainId) {
+	return CHAIN_COLOURS[chainId?.toLowerCase()] || UNKNOWN_COLOUR;
+}
+
+/**
+ * Blend two hex colours
+ * @param {string} from - Hex colour at t = 0
+ * @param {string} to - Hex colour at t = 1
+ * @param {number} t - Blend amount from 0 to 1
+ * @returns {string} - Hex colour code
+ */
+export function mixColours(from, to, t) {
+	const a = parseInt(from.slice(1), 16);
+	const b = parseInt(to.slice(1), 16);
+	const channel = shift => Math.round(((a >> shift) & 0xff) + (((b >> shift) & 0xff) - ((a >> shift) & 0xff)) * t);
+	
+	const mixed = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+	return `#${mixed.toString(16).padStart(6, '0').toUpperCase()}`;
+}
+
+// 24h change diverges from grey at 0% to red at -50% and green at +50%
+const CHANGE_NEGATIVE = '#FF2A2A';
+const CHANGE_NEUTRAL = '#8A8A8A';
+const CHANGE_POSITIVE = '#2AFF5A';
+const CHANGE_RANGE = 50;
+
+/**
+ * Get the colour for a 24h price change on the diverging scale
+ * @param {number} change - Price change in percent
+ * @returns {string} - Hex colour code
+ */
+function getChangeColour(change) {
+	const t = Math.min(Math.abs(change), CHANGE_RANGE) / CHANGE_RANGE;
+	return mixColours(CHANGE_NEUTRAL, change < 0 ? CHANGE_NEGATIVE : CHANGE_POSITIVE, t);
+}
+
+// Age buckets, youngest first; maxAge in ms
+const AGE_BUCKETS = [
+	{ maxAge: 3600000, colour: '#FF00FF', label: '< 1 hour' },
+	{ maxAge: 6 * 3600000, colour: '#FF6AD5', label: '1-6 hours' },
+	{ maxAge: 86400000, colour: '#C774E8', label: '6-24 hours' },
+	{ maxAge: 7 * 86400000, colour: '#8795E8', label: '1-7 days' },
+	{ maxAge: Infinity, colour: '#3A6EA5', label: '> 7 days' }
+];
+
+// Liquidity buckets, smallest first; max in USD
+const LIQUIDITY_BUCKETS = [
+	{ max: 10_000, colour: '#FF4D4D', label: '< $10K' },
+	{ max: 100_000, colour: '#FFA64D', label: '$10K-$100K' },
+	{ max: 1_000_000, colour: '#FFE14D', label: '$100K-$1M' },
+	{ max: 10_000_000, colour: '#7DFF4D', label: '$1M-$10M' },
+	{ max: Infinity, colour: '#4DD2FF', label: '> $10M' }
+];
+
+// Brand-ish colours for common DEXes; others get a stable colour from their name
+const DEX_COLOURS = {
+	'raydium': '#C200FB',
+	'pumpfun': '#53D38C',
+	'pumpswap': '#2E9E63',
+	'orca': '#FFD15C',
+	'meteora': '#FF6B2C',
+	'uniswap': '#FF007A',
+	'pancakeswap': '#1FC7D4',
+	'sushiswap': '#FA52A0',
+	'aerodrome': '#0433FF',
+	'quickswap': '#418AC9',
+	'traderjoe': '#F2716A'
+};
+
+/**
+ * Get a colour for a DEX, derived from its name when it isn't one we know
+ * @param {string} dexId - DEX id, e.g. 'raydium'
+ * @returns {string} - Hex colour code
+ */
+function getDexColour(dexId) {
+	if (!dexId) return UNKNOWN_COLOUR;
+	
+	const id = dexId.toLowerCase();
+	if (DEX_COLOURS[id]) return DEX_COLOURS[id];
+	
+	// Hash the name to a hue so the same DEX always gets the same colour
+	let hash = 0;
+	for (const char of id) {
+		hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+	}
+	const hue = hash % 360;
+	return hslToHex(hue, 0.7, 0.6);
+}
+
+/**
+ * Convert an HSL colour to hex
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation from 0 to 1
+ * @param {number} lightness - Lightness from 0 to 1
+ * @returns {string} - Hex colour code
+ */
+function hslToHex(hue, saturation, lightness) {
+	const a = saturation * Math.min(lightness, 1 - lightness);
+	const channel = n => {
+		const k = (n + hue / 30) % 12;
+		const value = lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+		return Math.round(value * 255).toString(16).padStart(2, '0');
+	};
+	return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+}
+
+/**
+ * List the distinct values tokens have for a field, most common first
+ * @param {Array} tokens - Token data
+ * @param {Function} read - Reads the value from a token
+ * @returns {Array<string>} - Distinct values
+ */
+function distinctValues(tokens, read) {
+	const counts = new Map();
+	const seen = new Set();
+	for (const token of tokens || []) {
+		// Count each token once, even if it appears twice in the list
+		const key = getTokenKey(token);
+		if (seen.has(key)) continue;
+		seen.add(key);
+		
+		const value = read(token);
+		if (value) counts.set(value, (counts.get(value) || 0) + 1);
+	}
+	return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+const chainMode = {
+	id: 'chain',
+	label: 'Chain',
+	colour: token => getChainColour(token.chainId || token.baseToken?.chainId || 'ethereum'),
+	legend: tokens => distinctValues(tokens, token => token.chainId?.toLowerCase())
+		.map(chainId => ({ colour: getChainColour(chainId), label: chainId }))
+};
+
+const changeMode = {
+	id: 'change24h',
+	label: '24h change',
+	colour: token => {
+		const change = parseFloat(token.priceChange?.h24);
+		return Number.isFinite(change) ? getChangeColour(change) : UNKNOWN_COLOUR;
+	},
+	legend: () => [-50, -25, 0, 25, 50].map(change => ({
+		colour: getChangeColour(change),
+		label: change <= -CHANGE_RANGE ? `${change}% or lower`
+			: change >= CHANGE_RANGE ? `+${change}% or higher`
+			: `${change > 0 ? '+' : ''}${change}%`
+	}))
+};
+
+const ageMode = {
+	id: 'age',
+	label: 'Pair age',
+	colour: (token, { now = Date.now() } = {}) => {
+		const createdAt = parseFloat(token.pairCreatedAt);
+		if (!(createdAt > 0)) return UNKNOWN_COLOUR;
+		
+		const age = Math.max(0, now - createdAt);
+		return AGE_BUCKETS.find(bucket => age < bucket.maxAge).colour;
+	},
+	legend: () => AGE_BUCKETS.map(({ colour, label }) => ({ colour, label }))
+};
+
+const liquidityMode = {
+	id: 'liquidity',
+	label: 'Liquidity',
+	colour: token => {
+		const liquidity = parseFloat(token.liquidity?.usd);
+		if (!Number.isFinite(liquidity)) return UNKNOWN_COLOUR;
+		
+		return LIQUIDITY_BUCKETS.find(bucket => liquidity < bucket.max).colour;
+	},
+	legend: () => LIQUIDITY_BUCKETS.map(({ colour, label }) => ({ colour, label }))
+};
+
+const dexMode = {
+	id: 'dex',
+	label: 'DEX',
+	colour: token => getDexColour(token.dexId),
+	legend: tokens => distinctValues(tokens, token => token.dexId?.toLowerCase())
+		.map(dexId => ({ colour: getDexColour(dexId), label: dexId }))
+};
+
+/**
+ * Check a colour mode can be registered
+ * @param {Object} mode - { id, label, colour(token, context), legend(tokens) }
+ * @throws {Error} - If it has no id or colour function
+ */
+function validateColourMode(mode) {
+	if (!mode || !mode.id || typeof mode.colour !== 'function') {
+		throw new Error('Colour modes need an id and a colour function');
+	}
+}
+
+/**
+ * Colour modes by id
+ */
+export class ColourModeRegistry extends Registry {
+	constructor() {
+		super(validateColourMode);
+	}
+}
+
+/**
+ * Create the colour mode registry a TagCluster uses unless given its own
+ * @returns {ColourModeRegistry} - Registry with chain, 24h change, pair age, liquidity and DEX modes
+ */
+export function createDefaultColourRegistry() {
+	return new ColourModeRegistry()
+		.register(chainMode)
+		.register(changeMode)
+		.register(ageMode)
+		.register(liquidityMode)
+		.register(dexMode);
+}
@@ -0,0 +1,166 @@
+/**
+ * Sizing strategies for TagCluster
+ * A strategy turns a token's market data into a tag size; the cluster uses one at a time
+ * and new strategies are added by registering them.
+ *
+ * A strategy is { id, label, description, size(token, context) } where context holds:
+ * - minTagSize, maxTagSize - the cluster's size reference scale
+ * - initialToken - the token's data when its tag was created, if it has one
+ * - risk - the token's RiskService result ({ score, level, flags }), if the cluster scored it
+ */
+
+import { Registry } from '../../utils/registry.js';
+
+export const DEFAULT_SIZING_STRATEGY = 'marketCap';
+
+/**
+ * Map a value onto the tag size scale logarithmically
+ * Values outside low-high give sizes outside the scale, down to a tenth of low.
+ * @param {number} value - Value to map
+ * @param {number} low - Value that maps to minTagSize
+ * @param {number} high - Value that maps to maxTagSize
+ * @param {Object} context - Sizing context with minTagSize and maxTagSize
+ * @returns {number|null} - Size, or null if the value isn't positive
+ */
+export function logScaleSize(value, low, high, { minTagSize, maxTagSize }) {
+	if (!(value > 0)) return null;
+	
+	const logMin = Math.log(low);
+	const logMax = Math.log(high);
+	const logValue = Math.log(Math.max(low / 10, value));
+	
+	return minTagSize + (maxTagSize - minTagSize) * (logValue - logMin) / (logMax - logMin);
+}
+
+/**
+ * Read a number from token data that may be a number, a numeric string or missing
+ * @param {*} value - Raw value
+ * @returns {number} - The number, or 0
+ */
+function toNumber(value) {
+	const number = parseFloat(value);
+	return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Get a token's 24h price change in percent
+ * @param {Object} token - Token data
+ * @returns {number} - Price change, or 0 if unknown
+ */
+function getPriceChange(token) {
+	if (token.priceChange?.h24) return toNumber(token.priceChange.h24);
+	if (typeof token.priceChange !== 'object') return toNumber(token.priceChange);
+	return 0;
+}
+
+const marketCapStrategy = {
+	id: 'marketCap',
+	label: 'Market cap',
+	description: 'Market cap from $10K to $10B (liquidity when there is none), bigger when the price moves a lot unless the token is high risk',
+	size(token, context) {
+		const marketCap = toNumber(token.marketCap || token.fdv);
+		const liquidity = toNumber(token.liquidity?.usd || (typeof token.liquidity === 'string' ? token.liquidity : 0));
+		
+		let size = logScaleSize(marketCap, 10_000, 10_000_000_000, context)
+			?? logScaleSize(liquidity, 1_000, 1_000_000, context)
+			?? 1.0;
+		
+		// Up to 30% bigger for price changes over 5%, capped at 50%.
+		// High risk tokens don't get it, so a rug pull's crash doesn't make its tag grow.
+		const absPriceChange = Math.abs(getPriceChange(token));
+		if (absPriceChange > 5 && context.risk?.level !== 'high') {
+			size *= 1 + Math.min(absPriceChange, 50) / 50 * 0.3;
+		}
+		
+		return size;
+	}
+};
+
+const volumeStrategy = {
+	id: 'volume',
+	label: '24h volume',
+	description: '24h trading volume from $1K to $100M',
+	size(token, context) {
+		return logScaleSize(toNumber(token.volume?.h24), 1_000, 100_000_000, context) ?? context.minTagSize;
+	}
+};
+
+const liquidityStrategy = {
+	id: 'liquidity',
+	label: 'Liquidity',
+	description: 'Pool liquidity from $1K to $1M',
+	size(token, context) {
+		return logScaleSize(toNumber(token.liquidity?.usd), 1_000, 1_000_000, context) ?? context.minTagSize;
+	}
+};
+
+const holdersGrowthStrategy = {
+	id: 'holdersGrowth',
+	label: 'Holder growth',
+	description: 'Growth in holders since the tag appeared, up to doubling; tokens without holder counts stay small',
+	size(token, { minTagSize, maxTagSize, initialToken }) {
+		// Prefer a reported change, otherwise compare with the count when the tag was created
+		let growth = token.holdersChange?.h24 !== undefined ? toNumber(token.holdersChange.h24) : null;
+		if (growth === null) {
+			const holders = toNumber(token.holders);
+			const initialHolders = toNumber(initialToken?.holders);
+			growth = holders > 0 && initialHolders > 0 ? (holders / initialHolders - 1) * 100 : 0;
+		}
+		
+		return minTagSize + (maxTagSize - minTagSize) * Math.min(Math.max(growth, 0), 100) / 100;
+	}
+};
+
+const sponsorshipStrategy = {
+	id: 'sponsorship',
+	label: 'Sponsorship only',
+	description: 'Every tag the same size, so only sponsored tokens (boosted by their sponsorship) stand out',
+	size(token, { minTagSize }) {
+		return minTagSize;
+	}
+};
+
+const momentumStrategy = {
+	id: 'momentum',
+	label: 'Momentum',
+	description: '24h volume times the size of the 24h price change, from $100 to $10M, so big moves either way stand out',
+	size(token, context) {
+		const momentum = toNumber(token.volume?.h24) * Math.abs(getPriceChange(token)) / 100;
+		return logScaleSize(momentum, 100, 10_000_000, context) ?? context.minTagSize;
+	}
+};
+
+/**
+ * Check a sizing strategy can be registered
+ * @param {Object} strategy - { id, label, description, size(token, context) }
+ * @throws {Error} - If it has no id or size function
+ */
+function validateSizingStrategy(strategy) {
+	if (!strategy || !strategy.id || typeof strategy.size !== 'function') {
+		throw new Error('Sizing strategies need an id and a size function');
+	}
+}
+
+/**
+ * Sizing strategies by id
+ */
+export class SizingStrategyRegistry extends Registry {
+	constructor() {
+		super(validateSizingStrategy);
+	}
+}
+
+/**
+ * Create the sizing registry a TagCluster uses unless given its own
+ * @returns {SizingStrategyRegistry} - Registry with market cap, volume, liquidity, holder growth,
+ *          sponsorship-only and momentum strategies
+ */
+export function createDefaultSizingRegistry() {
+	return new SizingStrategyRegistry()
+		.register(marketCapStrategy)
+		.register(volumeStrategy)
+		.register(liquidityStrategy)
+		.register(holdersGrowthStrategy)
+		.register(sponsorshipStrategy)
+		.register(momentumStrategy);
+}
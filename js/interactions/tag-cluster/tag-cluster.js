@@ -4,11 +4,14 @@
  * 
  * Features:
  * - Dynamic creation and removal of token tags with smooth animations
- * - Market cap-based sizing of tags for visual importance
+ * - Pluggable sizing strategies (market cap by default), switchable at runtime with a smooth resize
  * - Fly-in animation for new tokens and fly-out animation for removed tokens
  * - Balanced addition of tokens (60 on first update, then 2 per update)
  * - Token data mapping with fallback strategies for incomplete data
  * - Support for sponsored tokens with special styling (gold color and increased size)
+ * - Risky tokens (see RiskService) shown in warning colours in chain mode (a warning glow in other modes), cracked when the risk is high
+ * - Selectable colour modes (chain by default, or 24h change, pair age, liquidity or DEX), applied live
+ * - Filtering (see utils/tokenFilter.js): tags that don't match fly out of the cube and return when they match again
  */
 
 import * as THREE from 'three';
@@ -16,6 +19,17 @@ import { TagManager } from '../tag-manager.js';
 import { TagPhysics } from '../tag-physics.js';
 import { getTokenKey } from '../../utils/tokenKey.js';
 import { SponsoredTokenService } from '../../services/SponsoredTokenService.js';
+import { RiskService } from '../../services/RiskService.js';
+import { createDefaultSizingRegistry, DEFAULT_SIZING_STRATEGY } from './sizing-strategies.js';
+import { createDefaultColourRegistry, DEFAULT_COLOUR_MODE, getChainColour } from './colour-modes.js';
+import { matchesFilter, isEmptyFilter } from '../../utils/tokenFilter.js';
+
+// Tag look for each risk level; low risk tags keep their chain colour.
+// Other colour modes keep the mode's colour and show risk with the stronger glow instead.
+const RISK_STYLES = {
+	medium: { color: 0xff8c1a, emissive: 0x331a00, glow: 0x804000, roughness: 0.4, cracked: false },
+	high: { color: 0xff2020, emissive: 0x330000, glow: 0x800000, roughness: 0.7, cracked: true }
+};
 
 export class TagCluster {
 	/**
@@ -52,6 +66,10 @@ export class TagCluster {
 			minTagSize: 1,                 // Minimum tag size
 			maxTagSize: 5.0,                 // Maximum tag size
 			initialTagCount: 50,              // Initial number of tags
+			sizingStrategy: DEFAULT_SIZING_STRATEGY, // Id of the sizing strategy to start with
+			resizeDuration: 1000,             // How long tags take to resize when the strategy changes (ms)
+			colourMode: DEFAULT_COLOUR_MODE,  // Id of the colour mode to start with
+			filterOutDuration: 1000,          // How long filtered out tags take to fly out of the cube (ms)
 			baseTokenUrl: 'https://dexscreener.com/ethereum/',
 			...configOptions,
 			...options
@@ -67,10 +85,27 @@ export class TagCluster {
 		// Create a sponsored token service
 		this.sponsorService = new SponsoredTokenService();
 		
+		// Sizing strategies; pass options.sizingRegistry to add your own
+		this.sizingRegistry = this.options.sizingRegistry || createDefaultSizingRegistry();
+		this.sizingStrategy = this.sizingRegistry.get(this.options.sizingStrategy) ||
+			this.sizingRegistry.get(DEFAULT_SIZING_STRATEGY);
+		
+		// Colour modes; pass options.colourRegistry to add your own
+		this.colourRegistry = this.options.colourRegistry || createDefaultColourRegistry();
+		this.colourMode = this.colourRegistry.get(this.options.colourMode) ||
+			this.colourRegistry.get(DEFAULT_COLOUR_MODE);
+		
+		// Risk scores for token tags; pass options.riskService to share one with other views
+		this.riskService = this.options.riskService || new RiskService();
+		
 		// Track tokens and tags
 		this.tokens = [];           // Token data from DexScreener
 		this.tokenTags = new Map(); // Map token addresses to tag IDs
 		
+		// Current filter (see utils/tokenFilter.js); null shows every token
+		this.filter = null;
+		this.filteringOut = new Set(); // Token keys whose tags are flying out because of the filter
+		
 		// State tracking
 		this.initialized = false;
 		this.lastUpdateTime = 0;
@@ -92,12 +127,35 @@ export class TagCluster {
 		
 		// Immediately apply sponsorship styling
 		Array.from(this.tokenTags.entries()).forEach(([key, tagId]) => {
-			if (key === tokenId) {
+			const sponsorToken = this.parseTokenKey(key);
+			if (sponsorToken && this.sponsorService.createTokenId(sponsorToken.chainId, sponsorToken.tokenAddress) === tokenId) {
 				this.applySponsorshipStyling(key);
 			}
 		});
 	}
 	
+	/**
+	 * Find the tag showing a token
+	 * @param {string} tokenKey The token key (see getTokenKey)
+	 * @returns {Object|null} The tag, or null if the token has none
+	 */
+	getTagForToken(tokenKey) {
+		const tagId = this.tokenTags.get(tokenKey);
+		if (!tagId) return null;
+		
+		return this.tagManager.tags.find(t => t.id === tagId) || null;
+	}
+	
+	/**
+	 * Get the chain and token address back out of a getTokenKey key
+	 * @param {string} tokenKey The token key, e.g. 'solana-token-ABC'
+	 * @returns {Object|null} { chainId, tokenAddress } or null for keys without a token address
+	 */
+	parseTokenKey(tokenKey) {
+		const match = tokenKey.match(/^(.+?)-token-(.+)$/);
+		return match ? { chainId: match[1], tokenAddress: match[2] } : null;
+	}
+	
 	/**
 	 * Apply sponsorship styling to a tag if it's sponsored
 	 * @param {string} tokenKey The token key
@@ -112,11 +170,11 @@ export class TagCluster {
 		if (!tag || !tag.mesh) return;
 		
 		// Parse the token key for chainId and tokenAddress
-		const [chainId, tokenAddress] = tokenKey.split('-');
-		if (!chainId || !tokenAddress) return;
+		const sponsorToken = this.parseTokenKey(tokenKey);
+		if (!sponsorToken) return;
 		
 		// Check if this token is sponsored
-		const sponsorInfo = this.sponsorService.getSponsoredTokenVisuals(chainId, tokenAddress);
+		const sponsorInfo = this.sponsorService.getSponsoredTokenVisuals(sponsorToken.chainId, sponsorToken.tokenAddress);
 		
 		if (sponsorInfo) {
 			// Apply sponsor styling
@@ -169,6 +227,132 @@ export class TagCluster {
 		}
 	}
 	
+	/**
+	 * Whether risk styling recolours tags; only chain mode, where colour says nothing about the market
+	 * @returns {boolean} - True in chain mode
+	 */
+	riskRecoloursTags() {
+		return this.colourMode.id === DEFAULT_COLOUR_MODE;
+	}
+	
+	/**
+	 * Apply risk styling to a token's tag: orange for medium risk, red and cracked for high risk
+	 * Outside chain mode the tag keeps its colour mode colour and glows orange or red instead.
+	 * Sponsored tags keep their gold colour, though high risk ones still show the cracks.
+	 * @param {string} tokenKey - The token key
+	 * @param {Object} token - Current token data
+	 */
+	applyRiskStyling(tokenKey, token) {
+		const tag = this.getTagForToken(tokenKey);
+		if (!tag || !tag.mesh || !tag.mesh.material || !token) return;
+		
+		const risk = this.riskService.getRisk(token);
+		tag.risk = risk;
+		
+		const material = tag.mesh.material;
+		const style = RISK_STYLES[risk.level];
+		
+		if (!style) {
+			this.clearRiskStyling(tag);
+			return;
+		}
+		
+		// Sponsorship styling stores originalColor while it's applied
+		if (!tag.originalColor) {
+			// Remember the chain colour so it can come back if the risk goes away
+			if (tag.riskOriginalColor === undefined) {
+				tag.riskOriginalColor = material.color.getHex();
+				tag.riskOriginalRoughness = material.roughness;
+			}
+			
+			if (this.riskRecoloursTags()) {
+				material.color.setHex(style.color);
+				material.emissive.setHex(style.emissive);
+				material.roughness = style.roughness;
+			} else {
+				material.color.setHex(tag.riskOriginalColor);
+				material.emissive.setHex(style.glow);
+				material.roughness = tag.riskOriginalRoughness;
+			}
+			material.emissiveIntensity = 0.4;
+		}
+		
+		if (style.cracked && !tag.riskCracks) {
+			tag.riskCracks = this.createCrackLines(tag.mesh.geometry);
+			tag.mesh.add(tag.riskCracks);
+		} else if (!style.cracked) {
+			this.removeCrackLines(tag);
+		}
+	}
+	
+	/**
+	 * Restore a tag's look from before it was styled as risky
+	 * @param {Object} tag - The tag
+	 */
+	clearRiskStyling(tag) {
+		this.removeCrackLines(tag);
+		if (tag.riskOriginalColor === undefined || tag.originalColor || !tag.mesh?.material) return;
+		
+		const material = tag.mesh.material;
+		material.color.setHex(tag.riskOriginalColor);
+		material.emissive.setHex(0x000000);
+		material.emissiveIntensity = 0;
+		material.roughness = tag.riskOriginalRoughness;
+		
+		delete tag.riskOriginalColor;
+		delete tag.riskOriginalRoughness;
+	}
+	
+	/**
+	 * Create jagged lines across the front of a tag so it looks cracked
+	 * @param {THREE.BufferGeometry} geometry - The tag's text geometry
+	 * @returns {THREE.LineSegments} - Crack lines to add as a child of the tag mesh
+	 */
+	createCrackLines(geometry) {
+		if (!geometry.boundingBox) {
+			geometry.computeBoundingBox();
+		}
+		const { min, max } = geometry.boundingBox;
+		const width = max.x - min.x;
+		const height = max.y - min.y;
+		const z = max.z + 0.01; // Just in front of the face
+		
+		const points = [];
+		const crackCount = Math.max(2, Math.round(width / height));
+		for (let i = 0; i < crackCount; i++) {
+			// Each crack zig-zags from top to bottom across its own slice of the tag
+			let x = min.x + width * (i + 0.2 + Math.random() * 0.6) / crackCount;
+			let y = max.y;
+			const steps = 4;
+			for (let step = 1; step <= steps; step++) {
+				const nextX = x + (Math.random() - 0.5) * height * 0.6;
+				const nextY = max.y - height * step / steps;
+				points.push(new THREE.Vector3(x, y, z), new THREE.Vector3(nextX, nextY, z));
+				x = nextX;
+				y = nextY;
+			}
+		}
+		
+		const crackGeometry = new THREE.BufferGeometry().setFromPoints(points);
+		const crackMaterial = new THREE.LineBasicMaterial({ color: 0x1a0000 });
+		const cracks = new THREE.LineSegments(crackGeometry, crackMaterial);
+		cracks.name = 'riskCracks';
+		return cracks;
+	}
+	
+	/**
+	 * Remove and dispose a tag's crack lines, if it has any
+	 * @param {Object} tag - The tag
+	 */
+	removeCrackLines(tag) {
+		if (!tag.riskCracks) return;
+		
+		tag.riskCracks.parent?.remove(tag.riskCracks);
+		tag.riskCracks.geometry.dispose();
+		tag.riskCracks.material.dispose();
+		delete tag.riskCracks;
+	}
+	
 	/**
 	 * Initialize the tag cluster without initial data
 	 */
@@ -207,6 +391,9 @@ export class TagCluster {
 	async updateTokens(newTokens) {
 		if (!this.initialized || !newTokens) return;
 		
+		// Record liquidity on every refresh, even rate limited ones, so pulls are caught
+		this.riskService.observe(newTokens);
+		
 		// Track the current time
 		const now = Date.now();
 		
@@ -247,7 +434,7 @@ export class TagCluster {
 		// Find tokens to add (new tokens, ensuring no duplicates)
 		const tokensToAdd = [];
 		newTokensMap.forEach((token, key) => {
-			if (!existingTokensMap.has(key)) {
+			if (!existingTokensMap.has(key) && this.tokenMatchesFilter(token, key)) {
 				tokensToAdd.push(token);
 			}
 		});
@@ -260,8 +447,8 @@ export class TagCluster {
 			const { tokenData } = sponsoredToken;
 			const key = getTokenKey(tokenData);
 			
-			// Only add if not already in the new tokens list or existing tokens
-			if (key && !newTokensMap.has(key) && !existingTokensMap.has(key)) {
+			// Only add if not already in the new tokens list or existing tokens, and not filtered out
+			if (key && !newTokensMap.has(key) && !existingTokensMap.has(key) && this.tokenMatchesFilter(tokenData, key)) {
 				// Add to the beginning to ensure sponsored tokens are added first
 				tokensToAdd.unshift(tokenData);
 				console.log(`Adding sponsored token with priority: ${key}`);
@@ -286,9 +473,10 @@ export class TagCluster {
 				if (addedTag) {
 					console.log(`Successfully added token ${i+1}/${tagsToAdd}: ${addedTag.originalName}`);
 					
-					// Check if it's sponsored and apply styling
+					// Check if it's risky or sponsored and apply styling
 					const tokenKey = getTokenKey(tokensToAdd[i]);
 					if (tokenKey) {
+						this.applyRiskStyling(tokenKey, tokensToAdd[i]);
 						this.applySponsorshipStyling(tokenKey);
 					}
 				} else {
@@ -297,12 +485,19 @@ export class TagCluster {
 			}
 		}
 		
-		// Update existing token tags
+		// Update existing token tags, flying out any that no longer match the filter
 		newTokensMap.forEach((token, key) => {
-			if (existingTokensMap.has(key)) {
+			if (existingTokensMap.has(key) && !this.filteringOut.has(key)) {
+				if (!this.tokenMatchesFilter(token, key)) {
+					this.filterOutTokenTag(key);
+					return;
+				}
+				
 				this.updateTokenTag(token);
 				
-				// Check if sponsored and apply styling
+				// Recolour, then check if risky or sponsored and apply styling
+				this.applyColourMode(key, token);
+				this.applyRiskStyling(key, token);
 				this.applySponsorshipStyling(key);
 			}
 		});
@@ -321,6 +516,186 @@ export class TagCluster {
 		}
 	}
 	
+	/**
+	 * Apply incremental token changes (e.g. from a StreamingTokenProvider) without diffing a full snapshot
+	 * @param {Object} changes - { added, updated, removed } where removed is an array of token keys
+	 * Unlike updateTokens this isn't rate limited, as skipping a change set would lose it.
+	 * Added tokens are still capped by maxTags.
+	 */
+	async applyTokenChanges(changes) {
+		if (!this.initialized || !changes) return;
+		
+		const { added = [], updated = [], removed = [] } = changes;
+		this.lastUpdateTime = Date.now();
+		this.riskService.observe([...added, ...updated]);
+		
+		// Keep our token list in step with the changes
+		const removedKeys = new Set(removed);
+		const changedTokens = new Map();
+		[...added, ...updated].forEach(token => {
+			const key = getTokenKey(token);
+			if (key) {
+				changedTokens.set(key, token);
+			}
+		});
+		this.tokens = this.tokens
+			.filter(token => {
+				const key = getTokenKey(token);
+				return !removedKeys.has(key) && !changedTokens.has(key);
+			})
+			.concat(Array.from(changedTokens.values()));
+		
+		// Remove tokens that dropped out first so their slots can be reused
+		removed.forEach(key => this.animateTokenRemoval(key));
+		
+		// Add new tokens while there's room; with a filter on, updated tokens may have started matching
+		const candidates = this.filter ? [...added, ...updated] : added;
+		for (const token of candidates) {
+			const key = getTokenKey(token);
+			if (!key || this.tokenTags.has(key) || !this.tokenMatchesFilter(token, key)) continue;
+			if (this.tokenTags.size >= this.options.maxTags) break;
+			
+			const addedTag = await this.addTokenTag(token);
+			if (addedTag) {
+				this.applyRiskStyling(key, token);
+				this.applySponsorshipStyling(key);
+			}
+		}
+		
+		// Update tokens we already show, flying out any that no longer match the filter
+		updated.forEach(token => {
+			const key = getTokenKey(token);
+			if (key && this.tokenTags.has(key) && !this.filteringOut.has(key)) {
+				if (!this.tokenMatchesFilter(token, key)) {
+					this.filterOutTokenTag(key);
+					return;
+				}
+				
+				this.updateTokenTag(token);
+				this.applyColourMode(key, token);
+				this.applyRiskStyling(key, token);
+				this.applySponsorshipStyling(key);
+			}
+		});
+		
+		console.log(`Applied token changes: +${added.length} ~${updated.length} -${removed.length}`);
+		
+		// If we have an update callback, call it
+		if (this.updateCallback) {
+			this.updateCallback(this.tokens, this.tokenTags);
+		}
+	}
+	
+	/**
+	 * Check whether a token passes the current filter
+	 * @param {Object} token - Token data
+	 * @param {string} tokenKey - The token key, if already known
+	 * @returns {boolean} - True if the token should have a tag
+	 */
+	tokenMatchesFilter(token, tokenKey = getTokenKey(token)) {
+		if (isEmptyFilter(this.filter)) return true;
+		
+		const sponsorToken = tokenKey ? this.parseTokenKey(tokenKey) : null;
+		const isSponsored = !!sponsorToken && this.sponsorService.isTokenSponsored(sponsorToken.chainId, sponsorToken.tokenAddress);
+		
+		return matchesFilter(token, this.filter, { now: Date.now(), isSponsored });
+	}
+	
+	/**
+	 * Filter the cube, flying out tags that don't match and bringing back tokens that do
+	 * @param {Object|null} filter - Filter from parseFilterQuery, or null to show everything
+	 * @returns {Promise<Object>} - { matching, hidden } token counts once matching tags have been added
+	 */
+	async setFilter(filter) {
+		this.filter = isEmptyFilter(filter) ? null : filter;
+		
+		// Latest data for every token we know about, including sponsored ones outside the list
+		const latestTokens = new Map();
+		this.sponsorService.getAllSponsoredTokens().forEach(({ tokenData }) => {
+			const key = getTokenKey(tokenData);
+			if (key) latestTokens.set(key, tokenData);
+		});
+		this.tokens.forEach(token => {
+			const key = getTokenKey(token);
+			if (key) latestTokens.set(key, token);
+		});
+		
+		// Fly out tags that no longer match
+		Array.from(this.tokenTags.keys()).forEach(key => {
+			const token = latestTokens.get(key) || this.getTagForToken(key)?.token;
+			if (!this.tokenMatchesFilter(token, key)) {
+				this.filterOutTokenTag(key);
+			}
+		});
+		
+		// Bring back tokens that match, while there's room
+		let matching = 0;
+		let hidden = 0;
+		for (const [key, token] of latestTokens) {
+			if (!this.tokenMatchesFilter(token, key)) {
+				hidden++;
+				continue;
+			}
+			
+			matching++;
+			if (this.tokenTags.has(key) || this.tokenTags.size - this.filteringOut.size >= this.options.maxTags) continue;
+			
+			const addedTag = await this.addTokenTag(token);
+			if (addedTag) {
+				this.applyRiskStyling(key, token);
+				this.applySponsorshipStyling(key);
+			}
+		}
+		
+		console.log(`Filter applied: ${matching} tokens match, ${hidden} filtered out`);
+		
+		if (this.updateCallback) {
+			this.updateCallback(this.tokens, this.tokenTags);
+		}
+		
+		return { matching, hidden };
+	}
+	
+	/**
+	 * Fly a tag out of the cube because its token doesn't match the filter
+	 * Uses the physics system's removal animation so the cube closes the gap as the tag leaves.
+	 * If the token matches again by the time the tag has gone, it's added back.
+	 * @param {string} tokenKey - Token key whose tag should go
+	 */
+	filterOutTokenTag(tokenKey) {
+		const tag = this.getTagForToken(tokenKey);
+		if (!tag || this.filteringOut.has(tokenKey)) return;
+		
+		const physics = this.tagManager.physics;
+		if (!physics?.removeTagWithAnimation) {
+			this.animateTokenRemoval(tokenKey);
+			return;
+		}
+		
+		this.filteringOut.add(tokenKey);
+		this.removeCrackLines(tag);
+		
+		physics.removeTagWithAnimation(tag.id, this.options.filterOutDuration).then(() => {
+			this.filteringOut.delete(tokenKey);
+			
+			// Physics has already let go of the tag, so this just disposes it
+			if (this.tokenTags.get(tokenKey) === tag.id) {
+				this.removeTokenTag(tokenKey);
+			}
+			
+			// The filter may have been cleared while the tag was on its way out
+			const token = this.tokens.find(t => getTokenKey(t) === tokenKey);
+			if (token && this.tokenMatchesFilter(token, tokenKey) && this.tokenTags.size < this.options.maxTags) {
+				this.addTokenTag(token).then(addedTag => {
+					if (addedTag) {
+						this.applyRiskStyling(tokenKey, token);
+						this.applySponsorshipStyling(tokenKey);
+					}
+				});
+			}
+		});
+	}
+	
 	/**
 	 * Animate token tag removal with fly-out effect
 	 * @param {string} tokenKey - Token key to remove
@@ -399,17 +774,80 @@ export class TagCluster {
 	 * @returns {string} - Hex colour code
 	 */
 	getChainColour(chainId) {
-		const chainColours = {
-			'ethereum': '#3C3C3D', // Dark grey for Ethereum
-			'binance-smart-chain': '#F0B90B', // Yellow for BSC
-			'polygon': '#8247E5', // Purple for Polygon
-			'avalanche': '#E84142', // Red for Avalanche
-			'optimism': '#FF0420', // Bright red for Optimism
-			'arbitrum': '#28A0F0', // Blue for Arbitrum
-			'solana': '#14F195', // Bright teal for Solana
-			'base': '#0052FF' // Bright blue for Base
-		};
-		return chainColours[chainId?.toLowerCase()] || '#FFFFFF'; // Default to white if chain not found
+		return getChainColour(chainId);
+	}
+	
+	/**
+	 * Get a token's tag colour in the current colour mode
+	 * @param {Object} token - Token data
+	 * @returns {string} - Hex colour code
+	 */
+	getTagColour(token) {
+		return this.colourMode.colour(token, { now: Date.now() });
+	}
+	
+	/**
+	 * Colour a token's tag for the current colour mode
+	 * Risk and sponsorship styling stay on top; the colour is what they go back to when they're removed.
+	 * @param {string} tokenKey - The token key
+	 * @param {Object} token - Current token data
+	 */
+	applyColourMode(tokenKey, token) {
+		const tag = this.getTagForToken(tokenKey);
+		if (!tag || !tag.mesh || !tag.mesh.material || !token) return;
+		
+		// Only touch the material when the colour has changed
+		const colour = this.getTagColour(token);
+		if (tag.colourModeColour === colour) return;
+		tag.colourModeColour = colour;
+		
+		const hex = new THREE.Color(colour).getHex();
+		if (tag.riskOriginalColor !== undefined) {
+			tag.riskOriginalColor = hex;
+			if (!this.riskRecoloursTags() && !tag.originalColor) {
+				tag.mesh.material.color.setHex(hex);
+			}
+		} else if (tag.originalColor) {
+			tag.originalColor = hex;
+		} else {
+			tag.mesh.material.color.setHex(hex);
+		}
+	}
+	
+	/**
+	 * Switch to another colour mode and recolour every tag
+	 * @param {string} modeId - Id of a registered colour mode
+	 * @returns {Object} - The mode now in use
+	 * @throws {Error} - If no mode is registered with that id
+	 */
+	setColourMode(modeId) {
+		const mode = this.colourRegistry.get(modeId);
+		if (!mode) {
+			throw new Error(`Unknown colour mode: ${modeId}`);
+		}
+		
+		this.colourMode = mode;
+		
+		// Colour each tag from the latest data we have for its token, then restyle risky ones
+		// since risk shows differently in chain mode
+		const latestTokens = new Map(this.tokens.map(token => [getTokenKey(token), token]));
+		this.tokenTags.forEach((tagId, key) => {
+			const tag = this.tagManager.tags.find(t => t.id === tagId);
+			const token = latestTokens.get(key) || tag?.token || tag?.tokenData;
+			this.applyColourMode(key, token);
+			this.applyRiskStyling(key, token);
+		});
+		
+		console.log(`Colouring tags by ${mode.label}`);
+		return mode;
+	}
+	
+	/**
+	 * Get the legend entries for the current colour mode
+	 * @returns {Array<Object>} - [{ colour, label }] for the tokens in the cluster
+	 */
+	getColourLegend() {
+		return this.colourMode.legend ? this.colourMode.legend(this.tokens) : [];
 	}
 	
 	/**
@@ -484,8 +922,8 @@ export class TagCluster {
 		}
 		if (!chainId) chainId = 'ethereum'; // Default to Ethereum
 		
-		// Get the colour based on the chain
-		const tagColour = this.getChainColour(chainId);
+		// Get the colour for the current colour mode
+		const tagColour = this.getTagColour(token);
 		
 		console.log(`Creating tag for token: ${displaySymbol} with size ${size.toFixed(2)} and colour ${tagColour}`);
 		
@@ -502,6 +940,7 @@ export class TagCluster {
 				// If successful, store in our mapping
 				if (tag) {
 					this.tokenTags.set(tokenKey, tag.id);
+					tag.colourModeColour = tagColour;
 					console.log(`Added token tag via tagsManager: ${displaySymbol}`);
 				}
 				
@@ -524,6 +963,7 @@ export class TagCluster {
 				// If successful, store in our mapping
 				if (tag) {
 					this.tokenTags.set(tokenKey, tag.id);
+					tag.colourModeColour = tagColour;
 					// Set initial lastInteractionTime to creation time
 					tag.lastInteractionTime = tag.createdAt;
 					console.log(`Added token tag directly: ${displaySymbol}`);
@@ -560,11 +1000,11 @@ export class TagCluster {
 		if (!tag) return false;
 		
 		// Calculate new size based on updated market data
-		const newSize = this.calculateTokenSize(token);
+		const newSize = this.calculateTokenSize(token, tag.tokenData);
 		
-		// Only resize if the size has changed significantly (>5%)
+		// Only resize if the size has changed significantly (>5%), and not while a strategy change is resizing it
 		const currentSize = tag.mesh?.scale.x || 0;
-		if (Math.abs(newSize - currentSize) / currentSize > 0.05) {
+		if (!tag.resizeAnimation && Math.abs(newSize - currentSize) / currentSize > 0.05) {
 			this.tagManager.resizeTag(tagId, newSize);
 		}
 		
@@ -588,6 +1028,11 @@ export class TagCluster {
 		const tag = this.tagManager.tags.find(t => t.id === tagId);
 		const name = tag ? tag.originalName : tokenKey;
 		
+		// The tag manager disposes the mesh but not children we added to it
+		if (tag) {
+			this.removeCrackLines(tag);
+		}
+		
 		// Remove from tag manager
 		this.tagManager.removeTag(tagId);
 		
@@ -599,81 +1044,82 @@ export class TagCluster {
 	}
 	
 	/**
-	 * Calculate token size based on market data
+	 * Calculate token size with the current sizing strategy
 	 * @param {Object} token - Token data
+	 * @param {Object} initialToken - The token's data when its tag was created, if it has one
 	 * @returns {number} - Size value using minTagSize and maxTagSize as the scale reference
 	 */
-	calculateTokenSize(token) {
+	calculateTokenSize(token, initialToken = null) {
 		const { minTagSize, maxTagSize } = this.options;
 		
-		// Base size
-		let size = 1.0;
-		
-		// Handle different token data structures
-		const marketCap = parseFloat(token.marketCap || token.fdv || 0);
-		const liquidity = parseFloat(
-			token.liquidity?.usd || 
-			(token.liquidity && typeof token.liquidity === 'string' ? token.liquidity : 0)
-		);
+		// Sizes aren't clamped, so tags can be bigger or smaller than the reference scale
+		const risk = this.riskService.getRisk(token);
+		return this.sizingStrategy.size(token, { minTagSize, maxTagSize, initialToken, risk });
+	}
 		
-		let priceChange = 0;
-		if (token.priceChange?.h24) {
-			priceChange = parseFloat(token.priceChange.h24);
-		} else if (token.priceChange) {
-			priceChange = parseFloat(token.priceChange);
+	/**
+	 * Switch to another sizing strategy and smoothly resize every tag to match
+	 * @param {string} strategyId - Id of a registered sizing strategy
+	 * @returns {Object} - The strategy now in use
+	 * @throws {Error} - If no strategy is registered with that id
+	 */
+	setSizingStrategy(strategyId) {
+		const strategy = this.sizingRegistry.get(strategyId);
+		if (!strategy) {
+			throw new Error(`Unknown sizing strategy: ${strategyId}`);
 		}
+		if (strategy === this.sizingStrategy) return strategy;
 		
-		// If we have market cap, use it as primary size factor
-		if (marketCap > 0) {
-			// Logarithmic scale between $10K and $10B
-			const minMarketCap = 10_000;      // $10K
-			const maxMarketCap = 10_000_000_000; // $10B
-			
-			// Use logarithmic scale
-			const logMin = Math.log(minMarketCap);
-			const logMax = Math.log(maxMarketCap);
-			const logValue = Math.log(Math.max(minMarketCap / 10, marketCap)); // Lower minimum to allow smaller sizes
+		this.sizingStrategy = strategy;
+		
+		// Size each tag from the latest data we have for its token
+		const latestTokens = new Map(this.tokens.map(token => [getTokenKey(token), token]));
+		this.tokenTags.forEach((tagId, key) => {
+			const tag = this.tagManager.tags.find(t => t.id === tagId);
+			const token = latestTokens.get(key) || tag?.token || tag?.tokenData;
+			if (!tag || !tag.mesh || !token) return;
 			
-			// Normalize to 0-1 range, but don't clamp - allow values outside 0-1 range
-			const normalizedValue = (logValue - logMin) / (logMax - logMin);
+			this.animateTagResize(key, tag, this.calculateTokenSize(token, tag.tokenData));
+		});
 			
-			// Calculate size - can be bigger or smaller than reference scale
-			size = minTagSize + (maxTagSize - minTagSize) * normalizedValue;
-		} 
-		// Fallback to liquidity if no market cap
-		else if (liquidity > 0) {
-			// Logarithmic scale between $1K and $1M
-			const minLiquidity = 1_000;       // $1K
-			const maxLiquidity = 1_000_000;   // $1M
+		console.log(`Sizing tags by ${strategy.label}`);
+		return strategy;
+	}
 			
-			// Use logarithmic scale
-			const logMin = Math.log(minLiquidity);
-			const logMax = Math.log(maxLiquidity);
-			const logValue = Math.log(Math.max(minLiquidity / 10, liquidity)); // Lower minimum to allow smaller sizes
+	/**
+	 * Resize a tag over resizeDuration through the physics resize path, so neighbours make room as it grows
+	 * @param {string} tokenKey - The tag's token key
+	 * @param {Object} tag - The tag
+	 * @param {number} targetSize - Size to end at, before any sponsorship boost
+	 */
+	animateTagResize(tokenKey, tag, targetSize) {
+		// Sponsored tags are drawn at a multiple of their unboosted size
+		const boost = tag.originalScale ? tag.mesh.scale.x / tag.originalScale : 1;
+		const startSize = tag.mesh.scale.x;
+		const endSize = targetSize * boost;
+		const startTime = Date.now();
+		const animation = {};
+		tag.resizeAnimation = animation;
 			
-			// Normalize to 0-1 range, but don't clamp - allow values outside 0-1 range
-			const normalizedValue = (logValue - logMin) / (logMax - logMin);
+		const step = () => {
+			// A newer resize, or the tag's removal, takes over
+			if (tag.resizeAnimation !== animation || !tag.mesh || !this.tokenTags.has(tokenKey)) return;
 			
-			// Calculate size - can be bigger or smaller than reference scale
-			size = minTagSize + (maxTagSize - minTagSize) * normalizedValue;
-		}
-		
-		// Bonus size boost for high price change (positive or negative)
-		if (priceChange !== 0) {
-			const absPriceChange = Math.abs(priceChange);
+			const progress = Math.min((Date.now() - startTime) / this.options.resizeDuration, 1);
+			const size = startSize + (endSize - startSize) * this.easeOutCubic(progress);
+			this.tagManager.resizeTag(tag.id, size);
 			
-			// If price change is significant (>5%), boost size
-			if (absPriceChange > 5) {
-				// Cap at 50% change
-				const changeFactor = Math.min(absPriceChange, 50) / 50; 
-				
-				// Add up to 30% bonus size for high volatility
-				size *= (1 + changeFactor * 0.3);
+			if (progress < 1) {
+				requestAnimationFrame(step);
+			} else {
+				delete tag.resizeAnimation;
+				if (tag.originalScale) {
+					tag.originalScale = targetSize;
+				}
 			}
-		}
+		};
 		
-		// Return the calculated size without clamping
-		return size;
+		step();
 	}
 	
 	/**
@@ -771,11 +1217,13 @@ export class TagCluster {
 		// Clean up tag manager
 		if (this.tagManager) {
 			// Remove all tags
+			this.tagManager.tags.forEach(tag => this.removeCrackLines(tag));
 			const tagIds = this.tagManager.tags.map(tag => tag.id);
 			tagIds.forEach(id => this.tagManager.removeTag(id));
 			
 			// Clear token tag map
 			this.tokenTags.clear();
+			this.filteringOut.clear();
 		}
 		
 		// Clear tokens
@@ -135,7 +135,8 @@ export class TagsManager {
 			scale: finalSize,
 			size: 0.5, // Base text size before scaling
 			source: metadata.source || 'userAdded', 
-			chainId: tokenData?.chainId
+			chainId: tokenData?.chainId,
+			color: metadata.color // Callers like TagCluster pick the colour; TagManager falls back to the chain's
 		}, tokenData);
 		
 		// Ensure the tagManager has a visualization manager reference
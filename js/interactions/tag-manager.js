@@ -7,6 +7,7 @@ import * as THREE from 'three';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
 import { TagPhysics } from './tag-physics.js';
+import { getChainColour } from './tag-cluster/colour-modes.js';
 
 export class TagManager {
 	/**
@@ -154,6 +155,12 @@ export class TagManager {
 			const intersectedTag = this.findIntersectedTag();
 			
 			if (intersectedTag) {
+				// Shift-click pins the token to the chart's comparison instead
+				if (event.shiftKey) {
+					this.togglePinnedTag(intersectedTag);
+					return;
+				}
+				
 				// Set as clicked tag
 				this.clickedTag = intersectedTag;
 				
@@ -164,18 +171,13 @@ export class TagManager {
 	}
 	
 
+	/**
+	 * Get a colour based on the blockchain network
+	 * @param {string} chainId - The ID of the blockchain network
+	 * @returns {string} - Hex colour code
+	 */
 	getChainColour(chainId) {
-		const chainColours = {
-			'ethereum': '#3C3C3D', // Dark grey for Ethereum
-			'binance-smart-chain': '#F0B90B', // Yellow for BSC
-			'polygon': '#8247E5', // Purple for Polygon
-			'avalanche': '#E84142', // Red for Avalanche
-			'optimism': '#FF0420', // Bright red for Optimism
-			'arbitrum': '#28A0F0', // Blue for Arbitrum
-			'solana': '#14F195', // Bright teal for Solana
-			'base': '#0052FF' // Bright blue for Base
-		};
-		return chainColours[chainId?.toLowerCase()] || '#FFFFFF'; // Default to white if chain not found
+		return getChainColour(chainId);
 	}
 
 
@@ -489,6 +491,29 @@ export class TagManager {
 		console.log(`Tag click handling complete for ${tag.name}`);
 	}
 	
+	/**
+	 * Pin a tag's token to the chart's comparison, or unpin it, in its chain's colour
+	 * @param {Object} tag - The tag that was shift-clicked
+	 * @returns {boolean} - Whether the token is pinned now
+	 */
+	togglePinnedTag(tag) {
+		if (!tag?.tokenData) {
+			console.warn(`Cannot compare ${tag?.name}: tag has no token data`);
+			return false;
+		}
+		
+		tag.lastInteractionTime = Date.now();
+		this.pulseTag(tag);
+		
+		if (typeof this.visualizationManager?.togglePinnedToken !== 'function') {
+			console.warn('VisualizationManager cannot pin tokens for comparison');
+			return false;
+		}
+		
+		const colour = this.getChainColour(tag.tokenData.chainId);
+		return this.visualizationManager.togglePinnedToken(tag.tokenData, colour);
+	}
+	
 	/**
 	 * Ensure token data has all required fields for display
 	 * @param {Object} tokenData - Token data to augment
@@ -597,6 +597,12 @@ export class TagPhysics {
         // Process each tag
         const tagUpdateStart = performance.now();
         for (const [tagId, physicsData] of this.tags.entries()) {
+            // Tags on their way out only follow their removal animation
+            if (physicsData.isRemoving) {
+                this.handleRemovalAnimation(tagId, physicsData, currentElapsedTime);
+                continue;
+            }
+            
             // Collect flipped stationary tags for floating effects
             if (physicsData.flipCompleted && 
                 (!physicsData.isMoving || physicsData.velocity.length() < 0.1)) {
@@ -2380,9 +2386,10 @@ export class TagPhysics {
         physicsData.removalTargetPosition = flyOutDirection.clone().multiplyScalar(targetDistance);
         physicsData.removalStartPosition = tag.mesh.position.clone();
         
-        // Store original opacity if material supports it
+        // Store original opacity if material supports it, and let the fade show
         if (tag.mesh.material) {
             physicsData.originalOpacity = tag.mesh.material.opacity !== undefined ? tag.mesh.material.opacity : 1.0;
+            tag.mesh.material.transparent = true;
         } else {
             physicsData.originalOpacity = 1.0;
         }
@@ -2543,8 +2550,8 @@ export class TagPhysics {
         // Current elapsed time for collision tracking
         const currentElapsedTime = this.clock.getElapsedTime();
         
-        // Get all tag IDs
-        const tagIds = Array.from(this.tags.keys());
+        // Get all tag IDs, leaving out tags being removed so they don't push the others around
+        const tagIds = Array.from(this.tags.keys()).filter(tagId => !this.tags.get(tagId).isRemoving);
         if (tagIds.length < 2) return;
         
         // Create spatial grid - simple spatial hash partitioning
@@ -4,9 +4,33 @@ import { TagsManager } from './interactions/tag-cluster/tags.js';
 import { initControls } from './core/controls.js';
 import { Utils } from './utils/utils.js';
 import { VisualizationManager } from './ui/VisualizationManager.js';
+import { StreamingTokenProvider } from './data-providers/StreamingTokenProvider.js';
+import { CompositeTokenProvider } from './data-providers/CompositeTokenProvider.js';
 import { DexScreenerProvider } from './data-providers/DexScreenerProvider.js';
+import { GeckoTerminalProvider } from './data-providers/GeckoTerminalProvider.js';
+import { PumpFunProvider } from './data-providers/PumpFunProvider.js';
 import { getTokenKey } from './utils/tokenKey.js';
 import { SponsoredTokenUI } from './ui/SponsoredTokenUI.js';
+import { WatchlistUI } from './ui/WatchlistUI.js';
+import { ColourLegendUI } from './ui/ColourLegendUI.js';
+import { ScoreboardLayoutUI } from './ui/ScoreboardLayoutUI.js';
+import { FilterBarUI } from './ui/FilterBarUI.js';
+import { DeepLinkUI } from './ui/DeepLinkUI.js';
+import { CaptureUI } from './ui/CaptureUI.js';
+
+// Server-side proxy roots for the upstream token APIs (see server/token-proxy.js)
+const TOKEN_API_PROXY = {
+	dexscreener: '/api/tokens/dexscreener',
+	coingecko: '/api/tokens/coingecko',
+	geckoterminal: '/api/tokens/geckoterminal',
+	pumpfun: '/api/tokens/pumpfun',
+	stream: '/api/tokens/stream'
+};
+
+// Where tokens come from, picked with ?sources= in the page URL:
+// 'stream' (default) - DexScreener's latest tokens pushed live from the server
+// 'all' - DexScreener, GeckoTerminal and pump.fun merged into one list and polled
+const TOKEN_SOURCES = new URLSearchParams(window.location.search).get('sources') === 'all' ? 'all' : 'stream';
 
 class MemeCube {
 	constructor() {
@@ -18,6 +42,12 @@ class MemeCube {
 		this.visualizationManager = null;
 		this.dataProvider = null;
 		this.sponsoredTokenUI = null;
+		this.watchlistUI = null;
+		this.colourLegendUI = null;
+		this.scoreboardLayoutUI = null;
+		this.filterBarUI = null;
+		this.deepLinkUI = null;
+		this.captureUI = null;
 		this.demoMode = false;
 		this.demoInterval = null;
 		this.clock = new THREE.Clock();
@@ -44,6 +74,31 @@ class MemeCube {
 		this.init();
 	}
 	
+	/**
+	 * Create the data provider for a token source setting
+	 * @param {string} sources 'stream' or 'all' (see TOKEN_SOURCES)
+	 * @returns {TokenDataProvider} The provider
+	 */
+	createDataProvider(sources) {
+		if (sources === 'all') {
+			// Every upstream through the shared token proxy, merged by token
+			return new CompositeTokenProvider({
+				sources: [
+					{ name: 'dexscreener', provider: new DexScreenerProvider({ baseUrl: TOKEN_API_PROXY.dexscreener }) },
+					{ name: 'geckoterminal', provider: new GeckoTerminalProvider({ baseUrl: TOKEN_API_PROXY.geckoterminal }) },
+					{ name: 'pumpfun', provider: new PumpFunProvider({ baseUrl: TOKEN_API_PROXY.pumpfun }) }
+				]
+			});
+		}
+		
+		// Live updates pushed from the server (see server/token-stream.js),
+		// falling back to polling DexScreener through the shared token proxy
+		return new StreamingTokenProvider({
+			url: TOKEN_API_PROXY.stream,
+			baseUrl: TOKEN_API_PROXY.dexscreener
+		});
+	}
+	
 	async init() {
 		// Initialize scene
 		this.scene = new Scene(this.canvas);
@@ -54,8 +109,8 @@ class MemeCube {
 		// Initialize controls
 		this.controls = initControls(this.scene.camera, this.canvas);
 		
-		// Create the data provider
-		this.dataProvider = new DexScreenerProvider();
+		// Create the data provider for the configured sources
+		this.dataProvider = this.createDataProvider(TOKEN_SOURCES);
 		
 		// Initialize visualization module first to get token data
 		await this.initVisualizations(true);
@@ -63,6 +118,24 @@ class MemeCube {
 		// Initialize the sponsored token UI with the data provider
 		this.sponsoredTokenUI = new SponsoredTokenUI(this.dataProvider);
 		
+		// Watchlist alerts are checked on every provider refresh
+		this.watchlistUI = new WatchlistUI(this.dataProvider, this.visualizationManager);
+		
+		// Legend for the tag colours, with the colour mode selector
+		this.colourLegendUI = new ColourLegendUI(this.dataProvider, this.visualizationManager);
+		
+		// Layout and sort order selectors for the scoreboard's token list
+		this.scoreboardLayoutUI = new ScoreboardLayoutUI(this.visualizationManager);
+		
+		// Query bar that filters the cube, restoring any filter in the URL
+		this.filterBarUI = new FilterBarUI(this.dataProvider, this.visualizationManager);
+		
+		// Keep the view in the URL and restore it from shared links
+		this.deepLinkUI = new DeepLinkUI(this.visualizationManager, this.controls);
+		
+		// Screenshots and orbit clips for sharing
+		this.captureUI = new CaptureUI(this.scene, this.visualizationManager, this.controls);
+		
 		// Now that visualizationManager is created, connect it to the tagsManager
 		if (this.visualizationManager) {
 			console.log('Connecting VisualizationManager to TagManager');
@@ -1193,11 +1266,11 @@ class MemeCube {
 		
 		this.canvas.addEventListener('click', (event) => {
 			// Handle click on visualizations 
-			this.handleClick();
+			this.handleClick(event);
 		});
 	}
 	
-	handleClick() {
+	handleClick(event = null) {
 		// Update the raycaster with the mouse position and camera
 		this.raycaster.setFromCamera(this.mouse, this.scene.camera);
 		
@@ -1210,6 +1283,11 @@ class MemeCube {
 		// Use raycaster to check for intersections with any tag
 		const intersectedTag = this.tagsManager.tagManager.findIntersectedTag();
 		
+		// Shift-click pins the tag for comparison, which TagManager's own click listener handles
+		if (intersectedTag && event?.shiftKey) {
+			return;
+		}
+		
 		if (intersectedTag) {
 			console.log("Tag clicked:", intersectedTag.name);
 			
@@ -0,0 +1,231 @@
+/**
+ * Capture Service
+ * Renders the cube to PNG screenshots at any size the GPU can draw, including larger than
+ * the window, and records WebM clips of the camera orbiting the cube. Either can carry a
+ * watermark with the stats of the token open on the scoreboard.
+ */
+
+import * as THREE from 'three';
+import { getCaptureSize, getOrbitOffset, getWatermarkLines, pickVideoMimeType } from '../utils/capture.js';
+
+// Watermark text colours: app name, then token stats
+const WATERMARK_TITLE_COLOUR = '#00BFFF';
+const WATERMARK_TEXT_COLOUR = '#FFFFFF';
+
+export class CaptureService {
+	/**
+	 * @param {Object} options
+	 * @param {THREE.WebGLRenderer} options.renderer Renderer drawing the cube
+	 * @param {THREE.Scene} options.scene Scene to render
+	 * @param {THREE.PerspectiveCamera} options.camera Camera to render from
+	 * @param {Object} options.controls Camera controls from initControls, paused while recording
+	 */
+	constructor({ renderer, scene, camera, controls = null }) {
+		this.renderer = renderer;
+		this.scene = scene;
+		this.camera = camera;
+		this.controls = controls;
+		this.recording = false;
+	}
+	
+	/**
+	 * Get the largest width or height the renderer can draw in one go
+	 * @returns {number} Size in pixels
+	 */
+	getMaxCaptureSize() {
+		const gl = this.renderer.getContext();
+		return Math.min(
+			this.renderer.capabilities.maxTextureSize,
+			gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+			...gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+		);
+	}
+	
+	/**
+	 * Render the cube to a PNG
+	 * The renderer is drawn at the capture size off screen and put back straight after,
+	 * so the window doesn't change size.
+	 * @param {Object} options
+	 * @param {string} options.resolution Id from CAPTURE_RESOLUTIONS
+	 * @param {boolean} options.watermark Whether to stamp a watermark on the image
+	 * @param {Object|null} options.watermarkToken Token whose stats to show in the watermark
+	 * @returns {Promise<Blob>} PNG image
+	 */
+	async takeScreenshot({ resolution = 'window', watermark = false, watermarkToken = null } = {}) {
+		const windowSize = {
+			width: window.innerWidth,
+			height: window.innerHeight,
+			pixelRatio: this.renderer.getPixelRatio()
+		};
+		const { width, height } = getCaptureSize(resolution, windowSize, this.getMaxCaptureSize());
+		
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const context = canvas.getContext('2d');
+		
+		try {
+			this.renderer.setPixelRatio(1);
+			this.renderer.setSize(width, height, false);
+			this.camera.aspect = width / height;
+			this.camera.updateProjectionMatrix();
+			
+			// The drawing buffer is only readable until the browser shows it, so copy it now
+			this.renderer.render(this.scene, this.camera);
+			context.drawImage(this.renderer.domElement, 0, 0, width, height);
+		} finally {
+			this.renderer.setPixelRatio(windowSize.pixelRatio);
+			this.renderer.setSize(windowSize.width, windowSize.height);
+			this.camera.aspect = windowSize.width / windowSize.height;
+			this.camera.updateProjectionMatrix();
+		}
+		
+		if (watermark) {
+			this.drawWatermark(context, width, height, watermarkToken);
+		}
+		
+		return new Promise((resolve, reject) => {
+			canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the screenshot')), 'image/png');
+		});
+	}
+	
+	/**
+	 * Record the camera making a full turn around the point it orbits
+	 * The camera goes back to where it was when the clip ends.
+	 * @param {Object} options
+	 * @param {number} options.duration Length of the clip (ms)
+	 * @param {number} options.fps Frames per second to record
+	 * @param {boolean} options.watermark Whether to stamp a watermark on the clip
+	 * @param {Function} options.getWatermarkToken Returns the token whose stats to stamp, checked every frame
+	 * @returns {Promise<Blob>} WebM video
+	 */
+	recordOrbit({ duration = 8000, fps = 30, watermark = false, getWatermarkToken = () => null } = {}) {
+		if (this.recording) {
+			return Promise.reject(new Error('A clip is already recording'));
+		}
+		
+		const source = this.renderer.domElement;
+		if (typeof source.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+			return Promise.reject(new Error('This browser cannot record video from the page'));
+		}
+		const mimeType = pickVideoMimeType(type => MediaRecorder.isTypeSupported(type));
+		if (!mimeType) {
+			return Promise.reject(new Error('This browser cannot record WebM video'));
+		}
+		
+		// The watermark is drawn over each frame on a canvas of our own, which is what gets recorded
+		let compositeCanvas = null;
+		let compositeContext = null;
+		if (watermark) {
+			compositeCanvas = document.createElement('canvas');
+			compositeCanvas.width = source.width;
+			compositeCanvas.height = source.height;
+			compositeContext = compositeCanvas.getContext('2d');
+		}
+		
+		const stream = (compositeCanvas || source).captureStream(fps);
+		const recorder = new MediaRecorder(stream, { mimeType });
+		const chunks = [];
+		recorder.ondataavailable = event => {
+			if (event.data.size > 0) chunks.push(event.data);
+		};
+		
+		const activeControls = this.controls?.getActiveControls?.();
+		const orbitControls = activeControls?.target ? activeControls : null;
+		const target = orbitControls ? orbitControls.target.clone() : new THREE.Vector3();
+		const startPosition = this.camera.position.clone();
+		const startOffset = startPosition.clone().sub(target).toArray();
+		
+		this.recording = true;
+		this.controls?.disableControls();
+		
+		return new Promise((resolve, reject) => {
+			const finish = () => {
+				this.recording = false;
+				this.camera.position.copy(startPosition);
+				this.camera.lookAt(target);
+				this.controls?.enableControls();
+				if (orbitControls) orbitControls.update();
+				stream.getTracks().forEach(track => track.stop());
+			};
+			
+			recorder.onstop = () => {
+				finish();
+				resolve(new Blob(chunks, { type: 'video/webm' }));
+			};
+			recorder.onerror = event => {
+				finish();
+				reject(event.error || new Error('Recording failed'));
+			};
+			
+			let startTime = null;
+			const step = (currentTime) => {
+				if (startTime === null) startTime = currentTime;
+				const progress = Math.min((currentTime - startTime) / duration, 1);
+				
+				const offset = getOrbitOffset(startOffset, progress);
+				this.camera.position.copy(target).add(new THREE.Vector3().fromArray(offset));
+				this.camera.lookAt(target);
+				
+				if (compositeContext) {
+					// Render here rather than waiting for the main loop, so the frame is still readable
+					this.renderer.render(this.scene, this.camera);
+					compositeContext.drawImage(source, 0, 0, compositeCanvas.width, compositeCanvas.height);
+					this.drawWatermark(compositeContext, compositeCanvas.width, compositeCanvas.height, getWatermarkToken());
+				}
+				
+				if (progress < 1) {
+					requestAnimationFrame(step);
+				} else {
+					recorder.stop();
+				}
+			};
+			
+			recorder.start();
+			requestAnimationFrame(step);
+		});
+	}
+	
+	/**
+	 * Stamp the watermark in the bottom left corner of a capture
+	 * @param {CanvasRenderingContext2D} context Context to draw on
+	 * @param {number} width Capture width in pixels
+	 * @param {number} height Capture height in pixels
+	 * @param {Object|null} token Token whose stats to show
+	 */
+	drawWatermark(context, width, height, token) {
+		const lines = getWatermarkLines(token);
+		
+		// Scale the text with the capture so it reads the same at any resolution
+		const fontSize = Math.max(12, Math.round(Math.min(width, height) / 36));
+		const lineHeight = Math.round(fontSize * 1.3);
+		const padding = Math.round(fontSize * 0.6);
+		const margin = Math.round(fontSize);
+		
+		context.save();
+		context.textBaseline = 'top';
+		
+		const fonts = lines.map((line, index) => index === 0
+			? `bold ${fontSize}px "Courier New", monospace`
+			: `${Math.round(fontSize * 0.8)}px "Courier New", monospace`);
+		const textWidth = Math.max(...lines.map((line, index) => {
+			context.font = fonts[index];
+			return context.measureText(line).width;
+		}));
+		const boxWidth = textWidth + padding * 2;
+		const boxHeight = lines.length * lineHeight + padding * 2;
+		const boxX = margin;
+		const boxY = height - margin - boxHeight;
+		
+		context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+		context.fillRect(boxX, boxY, boxWidth, boxHeight);
+		
+		lines.forEach((line, index) => {
+			context.font = fonts[index];
+			context.fillStyle = index === 0 ? WATERMARK_TITLE_COLOUR : WATERMARK_TEXT_COLOUR;
+			context.fillText(line, boxX + padding, boxY + padding + index * lineHeight);
+		});
+		
+		context.restore();
+	}
+}
@@ -0,0 +1,177 @@
+/**
+ * Risk Service
+ * Scores tokens for common rug pull warning signs: liquidity being pulled, one-sided trading,
+ * very young pairs, no socials and thin liquidity for the market cap.
+ * Liquidity pulls need history, so the service remembers each token's recent peak liquidity
+ * from the refreshes it observes, keyed by getTokenKey.
+ */
+
+import { getTokenKey } from '../utils/tokenKey.js';
+
+// Sources whose tokens never carry social links, so a missing link says nothing about them
+const SOURCES_WITHOUT_SOCIALS = ['geckoterminal', 'coingecko'];
+
+export const RISK_THRESHOLDS = {
+	liquidityPullRatio: 0.5,        // Liquidity down by half or more from its recent peak
+	liquidityPullWindowMs: 3600000, // Peak liquidity is remembered for an hour
+	minPeakLiquidity: 1000,         // Ignore pulls from pools that never held $1K
+	imbalanceShare: 0.85,           // One side makes up 85% or more of 24h trades...
+	minImbalanceTxns: 20,           // ...over at least this many trades
+	newPairAgeMs: 3600000,          // Younger than an hour
+	youngPairAgeMs: 86400000,       // Younger than a day
+	liquidityToMcapRatio: 0.03      // Less than 3% of the market cap in liquidity
+};
+
+// Score at or above which a token is medium or high risk
+export const RISK_LEVELS = {
+	medium: 25,
+	high: 50
+};
+
+/**
+ * Check whether a token has any social or website links, in any of the shapes providers use
+ * @param {Object} token Token data
+ * @returns {boolean} True if the token links to at least one social account or website
+ */
+export function hasSocialLinks(token) {
+	if (!token) return false;
+	
+	const hasValues = links => Boolean(links) && (Array.isArray(links)
+		? links.length > 0
+		: typeof links === 'object' && Object.values(links).some(Boolean));
+	
+	return Boolean(token.website)
+		|| hasValues(token.links)
+		|| hasValues(token.socialLinks)
+		|| hasValues(token.info?.socials)
+		|| hasValues(token.info?.websites);
+}
+
+/**
+ * Score a token's risk from its current data
+ * @param {Object} token Token data
+ * @param {Object} context What else is known about the token
+ * @param {number} context.peakLiquidity Highest liquidity seen recently, for spotting pulls
+ * @param {number} context.now Current time (default: Date.now())
+ * @returns {Object} { score (0-100), level ('low', 'medium' or 'high'), flags: [{ id, label, weight, detail }] }
+ */
+export function scoreTokenRisk(token, { peakLiquidity = 0, now = Date.now() } = {}) {
+	const flags = [];
+	if (!token) return { score: 0, level: 'low', flags };
+	
+	const liquidity = parseFloat(token.liquidity?.usd);
+	const marketCap = parseFloat(token.marketCap || token.fdv || 0);
+	
+	// Liquidity pulled out of the pool since its recent peak
+	if (Number.isFinite(liquidity) && peakLiquidity >= RISK_THRESHOLDS.minPeakLiquidity
+		&& liquidity <= peakLiquidity * (1 - RISK_THRESHOLDS.liquidityPullRatio)) {
+		const drop = (1 - liquidity / peakLiquidity) * 100;
+		flags.push({ id: 'liquidityPull', label: 'LIQ PULLED', weight: 40, detail: `Liquidity down ${drop.toFixed(0)}% from its recent peak` });
+	}
+	
+	// Almost all buys can mean a honeypot nobody can sell; almost all sells, a dump
+	const buys = token.txns?.h24?.buys || 0;
+	const sells = token.txns?.h24?.sells || 0;
+	const total = buys + sells;
+	if (total >= RISK_THRESHOLDS.minImbalanceTxns) {
+		const buyShare = buys / total;
+		if (buyShare >= RISK_THRESHOLDS.imbalanceShare) {
+			flags.push({ id: 'tradeImbalance', label: 'NO SELLS', weight: 20, detail: `${(buyShare * 100).toFixed(0)}% of 24h trades are buys` });
+		} else if (1 - buyShare >= RISK_THRESHOLDS.imbalanceShare) {
+			flags.push({ id: 'tradeImbalance', label: 'SELL-OFF', weight: 20, detail: `${((1 - buyShare) * 100).toFixed(0)}% of 24h trades are sells` });
+		}
+	}
+	
+	// Very young pairs haven't had time to prove anything
+	const createdAt = parseFloat(token.pairCreatedAt);
+	if (createdAt > 0) {
+		const age = now - createdAt;
+		if (age >= 0 && age < RISK_THRESHOLDS.newPairAgeMs) {
+			flags.push({ id: 'youngPair', label: 'NEW PAIR', weight: 20, detail: `Pair created ${Math.max(1, Math.round(age / 60000))}m ago` });
+		} else if (age >= 0 && age < RISK_THRESHOLDS.youngPairAgeMs) {
+			flags.push({ id: 'youngPair', label: 'YOUNG PAIR', weight: 10, detail: `Pair created ${Math.round(age / 3600000)}h ago` });
+		}
+	}
+	
+	// No socials, unless the token came from a source that doesn't report them
+	if (!SOURCES_WITHOUT_SOCIALS.includes(token.dataSource) && !hasSocialLinks(token)) {
+		flags.push({ id: 'noSocials', label: 'NO SOCIALS', weight: 15, detail: 'No website or social links' });
+	}
+	
+	// Little liquidity behind a big valuation means the price is easy to move
+	if (Number.isFinite(liquidity) && liquidity > 0 && marketCap > 0
+		&& liquidity / marketCap < RISK_THRESHOLDS.liquidityToMcapRatio) {
+		flags.push({ id: 'thinLiquidity', label: 'THIN LIQ', weight: 20, detail: `Liquidity is ${(liquidity / marketCap * 100).toFixed(1)}% of market cap` });
+	}
+	
+	const score = Math.min(100, flags.reduce((sum, flag) => sum + flag.weight, 0));
+	const level = score >= RISK_LEVELS.high ? 'high' : score >= RISK_LEVELS.medium ? 'medium' : 'low';
+	
+	return { score, level, flags };
+}
+
+/**
+ * Describe a risk score in one short line, e.g. 'RISK 60: LIQ PULLED, NO SOCIALS'
+ * @param {Object} risk Result of scoreTokenRisk
+ * @returns {string} Description, or '' when nothing was flagged
+ */
+export function describeRisk(risk) {
+	if (!risk || risk.flags.length === 0) return '';
+	
+	const labels = [...risk.flags]
+		.sort((a, b) => b.weight - a.weight)
+		.map(flag => flag.label);
+	return `RISK ${risk.score}: ${labels.join(', ')}`;
+}
+
+export class RiskService {
+	/**
+	 * @param {Object} options Service options
+	 * @param {number} options.peakWindowMs How long a token's peak liquidity is remembered
+	 */
+	constructor(options = {}) {
+		this.peakWindowMs = options.peakWindowMs || RISK_THRESHOLDS.liquidityPullWindowMs;
+		
+		// Recent peak liquidity per token: key => { liquidity, time }
+		this.peaks = new Map();
+	}
+	
+	/**
+	 * Record the liquidity of tokens in a refresh
+	 * @param {Array} tokens Tokens from a provider refresh
+	 * @param {number} time Time of the refresh
+	 */
+	observe(tokens, time = Date.now()) {
+		for (const token of tokens || []) {
+			const key = getTokenKey(token);
+			const liquidity = parseFloat(token.liquidity?.usd);
+			if (!key || !Number.isFinite(liquidity)) continue;
+			
+			// A new high, or an old one that has expired, becomes the peak
+			const peak = this.peaks.get(key);
+			if (!peak || liquidity >= peak.liquidity || time - peak.time > this.peakWindowMs) {
+				this.peaks.set(key, { liquidity, time });
+			}
+		}
+	}
+	
+	/**
+	 * Get the risk score for a token, using the peak liquidity observed for it
+	 * @param {Object} token Token data
+	 * @param {number} now Current time
+	 * @returns {Object} Result of scoreTokenRisk
+	 */
+	getRisk(token, now = Date.now()) {
+		const peak = this.peaks.get(getTokenKey(token));
+		const peakLiquidity = peak && now - peak.time <= this.peakWindowMs ? peak.liquidity : 0;
+		
+		return scoreTokenRisk(token, { peakLiquidity, now });
+	}
+	
+	/**
+	 * Forget the liquidity history
+	 */
+	clear() {
+		this.peaks.clear();
+	}
+}
@@ -1,15 +1,35 @@
 /**
  * Sponsored Token Service
  * Manages token sponsorships and their timers
+ * Sponsorships live in the server's ledger (see server/sponsorship-ledger.js) so every
+ * viewer sees the same ones; this service keeps a local copy in sync with it.
  */
 
+import { getTokenKey } from '../utils/tokenKey.js';
+
 export class SponsoredTokenService {
-	constructor() {
+	/**
+	 * @param {Object} options Service options
+	 * @param {string} options.apiUrl Sponsorship ledger endpoint
+	 * @param {number} options.syncInterval How often to re-sync from the ledger (ms)
+	 */
+	constructor(options = {}) {
 		// Map to store sponsored tokens: tokenId => [sponsorshipInfo, ...]
 		this.sponsoredTokens = new Map();
 		
+		// Server ledger
+		this.apiUrl = options.apiUrl || '/api/sponsorships';
+		this.syncInterval = options.syncInterval || 30 * 1000;
+		this.lastSyncTime = 0;
+		
+		// Server clock minus ours, from the last sync; expiry times are on the server's clock
+		this.serverTimeOffset = 0;
+		
+		// Latest payment config per chain, from the server
+		this.paymentConfigs = new Map();
+		
 		// Sponsorship parameters
-		this.basePaymentAmount = 0.1; // 0.1 SOL per sponsorship
+		this.basePaymentAmount = 0.1; // 0.1 SOL per sponsorship (other chains get theirs from the payment config)
 		this.baseSponsorshipDuration = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
 		this.baseVisualMultiplier = 1.5; // Size multiplier for sponsored tokens
 		
@@ -19,8 +39,159 @@ export class SponsoredTokenService {
 		// Start the timer to update sponsorships
 		this.startSponsorshipTimer();
 		
-		// Try to load sponsorships from localStorage
-		this.loadSponsorshipsFromStorage();
+		// Pick up sponsorships made through other service instances straight away
+		document.addEventListener('token-sponsorship-updated', this.handleSponsorshipUpdated.bind(this));
+		
+		// Load the current sponsorships from the ledger
+		this.syncFromServer();
+	}
+	
+	/**
+	 * Fetch all active sponsorships from the server ledger
+	 * Announces a 'token-sponsorship-updated' event for every token whose sponsorships changed.
+	 * @returns {Promise<boolean>} True if the sync succeeded
+	 */
+	async syncFromServer() {
+		try {
+			const response = await fetch(this.apiUrl);
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+			
+			const data = await response.json();
+			
+			// Group the ledger's records by token
+			const synced = new Map();
+			for (const sponsorship of data.sponsorships || []) {
+				if (!synced.has(sponsorship.tokenId)) {
+					synced.set(sponsorship.tokenId, []);
+				}
+				synced.get(sponsorship.tokenId).push(sponsorship);
+			}
+			
+			// Work out which tokens changed so only they get restyled
+			const changedTokenIds = new Set();
+			for (const tokenId of new Set([...this.sponsoredTokens.keys(), ...synced.keys()])) {
+				if (JSON.stringify(this.sponsoredTokens.get(tokenId)) !== JSON.stringify(synced.get(tokenId))) {
+					changedTokenIds.add(tokenId);
+				}
+			}
+			
+			this.sponsoredTokens = synced;
+			this.lastSyncTime = Date.now();
+			if (Number.isFinite(data.serverTime)) {
+				this.serverTimeOffset = data.serverTime - this.lastSyncTime;
+			}
+			
+			for (const tokenId of changedTokenIds) {
+				this.dispatchSponsorshipUpdated(tokenId);
+			}
+			
+			return true;
+		} catch (error) {
+			console.error('Error syncing sponsorships from server:', error);
+			return false;
+		}
+	}
+	
+	/**
+	 * Get the current time on the server's clock, so a wrong local clock can't
+	 * keep expired sponsorships showing or drop live ones early
+	 * @returns {number} Server-adjusted timestamp (ms)
+	 */
+	getServerNow() {
+		return Date.now() + this.serverTimeOffset;
+	}
+	
+	/**
+	 * Announce that a token's sponsorships changed
+	 * @param {string} tokenId The token identifier
+	 */
+	dispatchSponsorshipUpdated(tokenId) {
+		document.dispatchEvent(new CustomEvent('token-sponsorship-updated', {
+			detail: {
+				tokenId,
+				sponsorships: this.sponsoredTokens.get(tokenId) || []
+			}
+		}));
+	}
+	
+	/**
+	 * Take sponsorship changes announced by another service instance
+	 * @param {CustomEvent} event The sponsorship updated event
+	 */
+	handleSponsorshipUpdated(event) {
+		const { tokenId, sponsorships } = event.detail || {};
+		if (!tokenId || !Array.isArray(sponsorships)) return;
+		
+		if (sponsorships.length > 0) {
+			this.sponsoredTokens.set(tokenId, sponsorships);
+		} else {
+			this.sponsoredTokens.delete(tokenId);
+		}
+	}
+	
+	/**
+	 * Send a sponsorship request to the server ledger
+	 * @param {string} url Endpoint to post to
+	 * @param {Object} body Request payload
+	 * @returns {Promise<Object>} The ledger's response
+	 */
+	async postToLedger(url, body) {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body)
+		});
+		
+		const data = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			throw new Error(data.error || `HTTP error! status: ${response.status}`);
+		}
+		
+		return data;
+	}
+	
+	/**
+	 * Get where and how to pay for sponsoring a token on a chain
+	 * Tokens are paid for on their own chain where the server accepts payments there, otherwise in SOL
+	 * @param {string} chainId The sponsored token's chain
+	 * @returns {Promise<Object>} { chainId, network, currency, recipient, memoPrefix, basePaymentAmount,
+	 *          plus recentBlockhash (Solana) or evmChainId (EVM) }
+	 */
+	async getPaymentConfig(chainId) {
+		const query = chainId ? `?chainId=${encodeURIComponent(chainId)}` : '';
+		const response = await fetch(`${this.apiUrl}/payment-config${query}`);
+		
+		const data = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			throw new Error(data.error || `HTTP error! status: ${response.status}`);
+		}
+		
+		this.paymentConfigs.set(chainId, data);
+		return data;
+	}
+	
+	/**
+	 * Get the price of one sponsorship unit for a token's chain
+	 * @param {string} chainId The sponsored token's chain
+	 * @returns {Object} { amount, currency } from the last payment config, or the SOL default
+	 */
+	getBasePayment(chainId) {
+		const config = this.paymentConfigs.get(chainId);
+		return config
+			? { amount: config.basePaymentAmount, currency: config.currency }
+			: { amount: this.basePaymentAmount, currency: 'SOL' };
+	}
+	
+	/**
+	 * Build the memo a sponsorship payment must carry, tying it to one token
+	 * @param {Object} token The token being sponsored
+	 * @param {string} memoPrefix Prefix from the payment config
+	 * @returns {string} Memo text
+	 */
+	createPaymentMemo(token, memoPrefix) {
+		return `${memoPrefix}${getTokenKey(token)}`;
 	}
 	
 	/**
@@ -34,14 +205,15 @@ export class SponsoredTokenService {
 	}
 	
 	/**
-	 * Add or extend a token sponsorship
+	 * Add or extend a token sponsorship in the server ledger
 	 * @param {Object} token The token to sponsor
 	 * @param {string} userAddress Sponsor's wallet address
-	 * @param {number} paymentAmount Amount paid in SOL
+	 * @param {number} paymentAmount Amount paid, in the token's payment currency
 	 * @param {boolean} extendTime Whether to extend time instead of increasing size
-	 * @returns {Object} Updated sponsorship information
+	 * @param {string} signature Signature of the payment transaction, which the server verifies on-chain
+	 * @returns {Promise<Array>} Active sponsorships for the token after the update
 	 */
-	sponsorToken(token, userAddress, paymentAmount, extendTime = false) {
+	async sponsorToken(token, userAddress, paymentAmount, extendTime = false, signature = null) {
 		if (!token || !token.chainId || !token.tokenAddress) {
 			throw new Error('Invalid token data for sponsorship');
 		}
@@ -50,66 +222,32 @@ export class SponsoredTokenService {
 			throw new Error('User address is required for sponsorship');
 		}
 		
-		// Calculate number of sponsorship units (1 unit = 0.1 SOL)
-		const sponsorshipUnits = Math.floor(paymentAmount / this.basePaymentAmount);
+		// Check the minimum here too so we don't bother the server with it
+		const basePayment = this.getBasePayment(token.chainId);
+		const sponsorshipUnits = Math.floor(paymentAmount / basePayment.amount + 1e-9);
 		if (sponsorshipUnits <= 0) {
-			throw new Error(`Minimum payment of ${this.basePaymentAmount} SOL required`);
+			throw new Error(`Minimum payment of ${basePayment.amount} ${basePayment.currency} required`);
 		}
 		
-		// Generate token identifier
-		const tokenId = this.createTokenId(token.chainId, token.tokenAddress);
-		
-		// Get current sponsorships for this token
-		let tokenSponsorships = this.sponsoredTokens.get(tokenId) || [];
-		
-		// Check if this user is already sponsoring the token
-		const now = Date.now();
-		const existingSponsorshipIndex = tokenSponsorships.findIndex(
-			s => s.userAddress === userAddress && s.expiresAt > now
-		);
-		
-		if (existingSponsorshipIndex >= 0) {
-			// Update existing sponsorship
-			const existingSponsorship = tokenSponsorships[existingSponsorshipIndex];
-			
-			if (extendTime) {
-				// Extend the duration
-				existingSponsorship.expiresAt += sponsorshipUnits * this.baseSponsorshipDuration;
-			} else {
-				// Increase the size multiplier
-				existingSponsorship.sizeMultiplier += sponsorshipUnits * (this.baseVisualMultiplier - 1);
-			}
-			
-			// Update the amount paid
-			existingSponsorship.amountPaid += paymentAmount;
-			existingSponsorship.lastUpdated = now;
-			
-			// Update in the array
-			tokenSponsorships[existingSponsorshipIndex] = existingSponsorship;
-		} else {
-			// Create new sponsorship
-			const newSponsorship = {
-				userAddress,
-				tokenData: token,
-				amountPaid: paymentAmount,
-				sizeMultiplier: this.baseVisualMultiplier,
-				startedAt: now,
-				expiresAt: now + (this.baseSponsorshipDuration * sponsorshipUnits),
-				lastUpdated: now
-			};
-			
-			// Add to the array
-			tokenSponsorships.push(newSponsorship);
+		if (!signature) {
+			throw new Error('Payment signature is required for sponsorship');
 		}
 		
-		// Update the map
-		this.sponsoredTokens.set(tokenId, tokenSponsorships);
+		// The ledger tops up this user's existing sponsorship of the token if there is one.
+		// The amount credited is whatever the transaction actually paid.
+		const result = await this.postToLedger(this.apiUrl, {
+			token,
+			userAddress,
+			extendTime,
+			signature
+		});
 		
-		// Save to localStorage
-		this.saveSponsorshipsToStorage();
+		// Update our copy with the ledger's view of this token
+		const tokenId = this.createTokenId(token.chainId, token.tokenAddress);
+		this.sponsoredTokens.set(tokenId, result.tokenSponsorships || [result.sponsorship]);
 		
 		// Return the current sponsorships for this token
-		return tokenSponsorships;
+		return this.sponsoredTokens.get(tokenId);
 	}
 	
 	/**
@@ -123,7 +261,7 @@ export class SponsoredTokenService {
 		const sponsorships = this.sponsoredTokens.get(tokenId) || [];
 		
 		// Check if there are any active sponsorships
-		const now = Date.now();
+		const now = this.getServerNow();
 		return sponsorships.some(sponsorship => sponsorship.expiresAt > now);
 	}
 	
@@ -138,7 +276,7 @@ export class SponsoredTokenService {
 		const sponsorships = this.sponsoredTokens.get(tokenId) || [];
 		
 		// Filter to active sponsorships only
-		const now = Date.now();
+		const now = this.getServerNow();
 		return sponsorships.filter(sponsorship => sponsorship.expiresAt > now);
 	}
 	
@@ -148,7 +286,7 @@ export class SponsoredTokenService {
 	 */
 	getAllSponsoredTokens() {
 		const result = [];
-		const now = Date.now();
+		const now = this.getServerNow();
 		
 		// Loop through all tokens
 		for (const [tokenId, sponsorships] of this.sponsoredTokens.entries()) {
@@ -214,14 +352,18 @@ export class SponsoredTokenService {
 		setInterval(() => {
 			this.cleanExpiredSponsorships();
 		}, 60 * 1000); // 1 minute
+		
+		// Re-sync from the ledger to see other viewers' sponsorships
+		setInterval(() => {
+			this.syncFromServer();
+		}, this.syncInterval);
 	}
 	
 	/**
 	 * Clean up expired sponsorships
 	 */
 	cleanExpiredSponsorships() {
-		const now = Date.now();
-		let changed = false;
+		const now = this.getServerNow();
 		
 		// Loop through all tokens
 		for (const [tokenId, sponsorships] of this.sponsoredTokens.entries()) {
@@ -230,8 +372,6 @@ export class SponsoredTokenService {
 			
 			// If some sponsorships expired, update the map
 			if (activeSponsorships.length !== sponsorships.length) {
-				changed = true;
-				
 				if (activeSponsorships.length === 0) {
 					// Remove the token if no active sponsorships
 					this.sponsoredTokens.delete(tokenId);
@@ -239,13 +379,11 @@ export class SponsoredTokenService {
 					// Update with active sponsorships only
 					this.sponsoredTokens.set(tokenId, activeSponsorships);
 				}
+				
+				// Let the visuals drop the styling
+				this.dispatchSponsorshipUpdated(tokenId);
 			}
 		}
-		
-		// Save to localStorage if changed
-		if (changed) {
-			this.saveSponsorshipsToStorage();
-		}
 	}
 	
 	/**
@@ -255,7 +393,7 @@ export class SponsoredTokenService {
 	 */
 	getUserSponsorships(userAddress) {
 		const result = [];
-		const now = Date.now();
+		const now = this.getServerNow();
 		
 		// Loop through all tokens
 		for (const [tokenId, sponsorships] of this.sponsoredTokens.entries()) {
@@ -276,56 +414,4 @@ export class SponsoredTokenService {
 		
 		return result;
 	}
-	
-	/**
-	 * Save sponsorships to localStorage
-	 */
-	saveSponsorshipsToStorage() {
-		try {
-			// Convert Map to array for storage
-			const sponsorshipsArray = Array.from(this.sponsoredTokens.entries());
-			
-			// Save to localStorage
-			localStorage.setItem('sponsoredTokens', JSON.stringify({
-				timestamp: Date.now(),
-				sponsorships: sponsorshipsArray
-			}));
-			
-			console.log('Saved sponsorships to localStorage');
-		} catch (error) {
-			console.error('Error saving sponsorships to localStorage:', error);
-		}
-	}
-	
-	/**
-	 * Load sponsorships from localStorage
-	 */
-	loadSponsorshipsFromStorage() {
-		try {
-			const stored = localStorage.getItem('sponsoredTokens');
-			if (!stored) return;
-			
-			const data = JSON.parse(stored);
-			
-			// Check if data is expired (older than 7 days)
-			const now = Date.now();
-			const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-			
-			if (now - data.timestamp > maxAge) {
-				console.log('Sponsorships data in localStorage is too old, discarding');
-				localStorage.removeItem('sponsoredTokens');
-				return;
-			}
-			
-			// Recreate the Map
-			this.sponsoredTokens = new Map(data.sponsorships);
-			
-			// Clean up expired sponsorships immediately
-			this.cleanExpiredSponsorships();
-			
-			console.log(`Loaded ${this.sponsoredTokens.size} sponsored tokens from localStorage`);
-		} catch (error) {
-			console.error('Error loading sponsorships from localStorage:', error);
-		}
-	}
-} 
\ No newline at end of file
+}
\ No newline at end of file
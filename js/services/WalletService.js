@@ -0,0 +1,220 @@
+/**
+ * Wallet Service
+ * Manages the connection to whichever wallet the user picked, through the adapters in
+ * services/wallets (Phantom, Solflare, Backpack and EVM wallets)
+ */
+
+import { createDefaultWalletRegistry } from './wallets/WalletAdapterRegistry.js';
+
+export class WalletService {
+	/**
+	 * @param {Object} options Service options
+	 * @param {WalletAdapterRegistry} options.registry Wallets to offer (defaults to the built-in set)
+	 */
+	constructor(options = {}) {
+		this.registry = options.registry || createDefaultWalletRegistry();
+		this.adapter = null;
+		this.isConnected = false;
+		this.connectionListeners = [];
+		this.disconnectionListeners = [];
+	}
+	
+	/**
+	 * Get the wallets that can pay on a network
+	 * @param {string} network Payment network ('solana' or 'evm'), or omit for all
+	 * @returns {Array<WalletAdapter>} Matching wallet adapters, installed or not
+	 */
+	getAvailableWallets(network) {
+		return this.registry.list({ network });
+	}
+	
+	/**
+	 * Get the payment network of the connected wallet
+	 * @returns {string|null} 'solana', 'evm' or null if not connected
+	 */
+	getNetwork() {
+		return this.adapter ? this.adapter.network : null;
+	}
+	
+	/**
+	 * Connect to a wallet
+	 * @param {string} walletId Registry id of the wallet, e.g. 'phantom'
+	 * @returns {Promise<string>} Connected wallet address
+	 */
+	async connect(walletId) {
+		try {
+			const adapter = this.registry.get(walletId);
+			if (!adapter) {
+				throw new Error(`Unknown wallet: ${walletId}`);
+			}
+			
+			if (!adapter.isInstalled()) {
+				throw new Error(`${adapter.name} wallet is not installed`);
+			}
+			
+			// Only one wallet at a time
+			if (this.isConnected && this.adapter !== adapter) {
+				await this.disconnect();
+			}
+			
+			const address = await adapter.connect();
+			
+			// Store the connection details
+			this.adapter = adapter;
+			this.isConnected = true;
+			
+			// Notify connection listeners
+			this.notifyConnectionListeners(address);
+			
+			return address;
+		} catch (error) {
+			console.error('Wallet connection error:', error);
+			
+			// Handle user rejection separately
+			if (error.code === 4001) {
+				throw new Error('Connection request was rejected by the user');
+			}
+			
+			throw error;
+		}
+	}
+	
+	/**
+	 * Disconnect from the wallet
+	 */
+	async disconnect() {
+		try {
+			if (this.adapter && this.isConnected) {
+				await this.adapter.disconnect();
+			}
+		} catch (error) {
+			console.error('Error disconnecting wallet:', error);
+		} finally {
+			// Reset state regardless of disconnect success
+			this.adapter = null;
+			this.isConnected = false;
+			
+			// Notify disconnection listeners
+			this.notifyDisconnectionListeners();
+		}
+	}
+	
+	/**
+	 * Get the connected wallet address
+	 * @returns {string|null} Wallet address or null if not connected
+	 */
+	getWalletAddress() {
+		return this.adapter ? this.adapter.getAddress() : null;
+	}
+	
+	/**
+	 * Add a connection listener
+	 * @param {Function} listener Function to call when wallet connects
+	 */
+	addConnectionListener(listener) {
+		if (typeof listener === 'function') {
+			this.connectionListeners.push(listener);
+		}
+	}
+	
+	/**
+	 * Remove a connection listener
+	 * @param {Function} listener Listener to remove
+	 */
+	removeConnectionListener(listener) {
+		const index = this.connectionListeners.indexOf(listener);
+		if (index !== -1) {
+			this.connectionListeners.splice(index, 1);
+		}
+	}
+	
+	/**
+	 * Add a disconnection listener
+	 * @param {Function} listener Function to call when wallet disconnects
+	 */
+	addDisconnectionListener(listener) {
+		if (typeof listener === 'function') {
+			this.disconnectionListeners.push(listener);
+		}
+	}
+	
+	/**
+	 * Remove a disconnection listener
+	 * @param {Function} listener Listener to remove
+	 */
+	removeDisconnectionListener(listener) {
+		const index = this.disconnectionListeners.indexOf(listener);
+		if (index !== -1) {
+			this.disconnectionListeners.splice(index, 1);
+		}
+	}
+	
+	/**
+	 * Notify all connection listeners
+	 * @param {string} address Connected wallet address
+	 */
+	notifyConnectionListeners(address) {
+		for (const listener of this.connectionListeners) {
+			try {
+				listener(address);
+			} catch (error) {
+				console.error('Error in connection listener:', error);
+			}
+		}
+	}
+	
+	/**
+	 * Notify all disconnection listeners
+	 */
+	notifyDisconnectionListeners() {
+		for (const listener of this.disconnectionListeners) {
+			try {
+				listener();
+			} catch (error) {
+				console.error('Error in disconnection listener:', error);
+			}
+		}
+	}
+	
+	/**
+	 * Send a payment, signed and submitted by the connected wallet
+	 * @param {Object} payment Payment parameters
+	 * @param {number} payment.amount Amount in the payment chain's native currency
+	 * @param {string} payment.recipient Recipient address
+	 * @param {string} payment.memo Memo to attach (the server checks it names the sponsored token)
+	 * @param {string} payment.network Network the payment must be made on ('solana' or 'evm')
+	 * @param {string} payment.recentBlockhash Recent blockhash (Solana payments)
+	 * @param {number} payment.evmChainId Chain to pay on (EVM payments)
+	 * @returns {Promise<Object>} Transaction details including the signature
+	 */
+	async sendPayment(payment) {
+		if (!this.isConnected || !this.adapter) {
+			throw new Error('Wallet not connected');
+		}
+		
+		if (payment.network && !this.adapter.supportsNetwork(payment.network)) {
+			throw new Error(`${this.adapter.name} can't pay on ${payment.network}; connect a ${payment.network === 'evm' ? 'EVM' : 'Solana'} wallet`);
+		}
+		
+		try {
+			const signature = await this.adapter.signAndSend(payment);
+			
+			return {
+				success: true,
+				signature,
+				amount: payment.amount,
+				sender: this.adapter.getAddress(),
+				recipient: payment.recipient,
+				timestamp: Date.now()
+			};
+		} catch (error) {
+			console.error('Payment error:', error);
+			
+			if (error.code === 4001) {
+				throw new Error('Payment was rejected by the user');
+			}
+			
+			throw error;
+		}
+	}
+}
\ No newline at end of file
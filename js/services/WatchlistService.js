@@ -0,0 +1,314 @@
+/**
+ * Watchlist Service
+ * Keeps the tokens a user follows, with alert rules on their price, 24h change,
+ * liquidity or market cap, and checks the rules against every provider refresh.
+ * The watchlist and the triggered alerts are saved to localStorage, keyed by getTokenKey.
+ */
+
+import { getTokenKey } from '../utils/tokenKey.js';
+
+const STORAGE_KEY = 'memecubeWatchlist';
+
+// Metrics a rule can watch, and how to read them from a token
+export const WATCHLIST_METRICS = {
+	price: { label: 'Price', read: token => parseFloat(token.priceUsd) },
+	change24h: { label: '24h change', read: token => parseFloat(token.priceChange?.h24) },
+	liquidity: { label: 'Liquidity', read: token => parseFloat(token.liquidity?.usd) },
+	marketCap: { label: 'Market cap', read: token => parseFloat(token.marketCap) }
+};
+
+export class WatchlistService {
+	/**
+	 * @param {Object} options Service options
+	 * @param {number} options.maxAlerts How many triggered alerts to keep
+	 * @param {boolean} options.notifications Whether to show browser notifications for alerts
+	 */
+	constructor(options = {}) {
+		this.maxAlerts = options.maxAlerts || 50;
+		this.notifications = options.notifications !== false;
+		
+		// Watched tokens: key => { key, chainId, tokenAddress, symbol, addedAt, rules: [...] }
+		// A rule is { id, metric, condition ('above' or 'below'), threshold, met, lastTriggeredAt }
+		this.watchlist = new Map();
+		
+		// Triggered alerts, newest first
+		this.alerts = [];
+		
+		// Listeners for new alerts and for any change to the watchlist
+		this.alertListeners = [];
+		this.changeListeners = [];
+		
+		this.nextId = Date.now();
+		
+		this.load();
+	}
+	
+	/**
+	 * Load the watchlist and alerts from localStorage
+	 */
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+			this.watchlist = new Map((saved.tokens || []).map(entry => [entry.key, entry]));
+			this.alerts = Array.isArray(saved.alerts) ? saved.alerts : [];
+		} catch (error) {
+			console.error('Error loading watchlist:', error);
+		}
+	}
+	
+	/**
+	 * Save the watchlist and alerts to localStorage and tell change listeners
+	 */
+	save() {
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify({
+				tokens: Array.from(this.watchlist.values()),
+				alerts: this.alerts
+			}));
+		} catch (error) {
+			console.error('Error saving watchlist:', error);
+		}
+		
+		this.changeListeners.forEach(listener => listener(this));
+	}
+	
+	/**
+	 * Register a callback for new alerts
+	 * @param {Function} listener Called with each triggered alert
+	 */
+	addAlertListener(listener) {
+		this.alertListeners.push(listener);
+	}
+	
+	/**
+	 * Register a callback for changes to the watchlist or alerts
+	 * @param {Function} listener Called with the service
+	 */
+	addChangeListener(listener) {
+		this.changeListeners.push(listener);
+	}
+	
+	/**
+	 * Check whether a token is watched
+	 * @param {Object|string} token Token, or its getTokenKey key
+	 * @returns {boolean} True if the token is on the watchlist
+	 */
+	isWatched(token) {
+		return this.watchlist.has(typeof token === 'string' ? token : getTokenKey(token));
+	}
+	
+	/**
+	 * Get the watched tokens, most recently added first
+	 * @returns {Array<Object>} Watchlist entries
+	 */
+	getWatchedTokens() {
+		return Array.from(this.watchlist.values()).sort((a, b) => b.addedAt - a.addedAt);
+	}
+	
+	/**
+	 * Add a token to the watchlist
+	 * @param {Object} token Token to watch
+	 * @returns {Object|null} The watchlist entry, or null if the token has no key
+	 */
+	watchToken(token) {
+		const key = getTokenKey(token);
+		if (!key) return null;
+		
+		if (!this.watchlist.has(key)) {
+			this.watchlist.set(key, {
+				key,
+				chainId: token.chainId,
+				tokenAddress: token.tokenAddress || token.baseToken?.address,
+				symbol: token.baseToken?.symbol || token.symbol || 'TOKEN',
+				addedAt: Date.now(),
+				rules: []
+			});
+			this.save();
+		}
+		
+		return this.watchlist.get(key);
+	}
+	
+	/**
+	 * Remove a token and its rules from the watchlist
+	 * @param {string} key Token key
+	 */
+	unwatchToken(key) {
+		if (this.watchlist.delete(key)) {
+			this.save();
+		}
+	}
+	
+	/**
+	 * Add an alert rule for a token, watching it if it isn't already
+	 * @param {Object} token Token the rule is for
+	 * @param {Object} rule { metric, condition, threshold }
+	 * @returns {Object} The added rule
+	 * @throws {Error} If the metric, condition or threshold is invalid
+	 */
+	addRule(token, { metric, condition, threshold }) {
+		if (!WATCHLIST_METRICS[metric]) {
+			throw new Error(`Unknown watchlist metric: ${metric}`);
+		}
+		if (condition !== 'above' && condition !== 'below') {
+			throw new Error(`Unknown watchlist condition: ${condition}`);
+		}
+		if (!Number.isFinite(threshold)) {
+			throw new Error('Alert threshold must be a number');
+		}
+		
+		const entry = this.watchToken(token);
+		if (!entry) {
+			throw new Error('Token cannot be watched without a chain and address');
+		}
+		
+		// Start as met if the token is already past the threshold, so adding a rule doesn't fire it
+		const value = WATCHLIST_METRICS[metric].read(token);
+		const rule = {
+			id: `rule-${this.nextId++}`,
+			metric,
+			condition,
+			threshold,
+			met: Number.isFinite(value) && this.isMet(value, condition, threshold),
+			lastTriggeredAt: null
+		};
+		
+		entry.rules.push(rule);
+		this.save();
+		return rule;
+	}
+	
+	/**
+	 * Remove an alert rule
+	 * @param {string} key Token key
+	 * @param {string} ruleId Rule id
+	 */
+	removeRule(key, ruleId) {
+		const entry = this.watchlist.get(key);
+		if (!entry) return;
+		
+		entry.rules = entry.rules.filter(rule => rule.id !== ruleId);
+		this.save();
+	}
+	
+	/**
+	 * Check whether a value is past a threshold
+	 * @param {number} value Current value
+	 * @param {string} condition 'above' or 'below'
+	 * @param {number} threshold Threshold
+	 * @returns {boolean} True if the condition holds
+	 */
+	isMet(value, condition, threshold) {
+		return condition === 'above' ? value >= threshold : value <= threshold;
+	}
+	
+	/**
+	 * Check the rules of watched tokens in a refresh
+	 * A rule fires when its token crosses the threshold, then not again until it has crossed back.
+	 * @param {Array} tokens Tokens from a provider refresh
+	 * @param {number} time Time of the refresh
+	 * @returns {Array<Object>} Alerts triggered by this refresh
+	 */
+	evaluate(tokens, time = Date.now()) {
+		const triggered = [];
+		let changed = false;
+		
+		for (const token of tokens || []) {
+			const entry = this.watchlist.get(getTokenKey(token));
+			if (!entry) continue;
+			
+			for (const rule of entry.rules) {
+				const value = WATCHLIST_METRICS[rule.metric]?.read(token);
+				if (!Number.isFinite(value)) continue;
+				
+				const met = this.isMet(value, rule.condition, rule.threshold);
+				if (met === rule.met) continue;
+				
+				rule.met = met;
+				changed = true;
+				if (!met) continue;
+				
+				rule.lastTriggeredAt = time;
+				triggered.push({
+					id: `alert-${this.nextId++}`,
+					key: entry.key,
+					symbol: entry.symbol,
+					ruleId: rule.id,
+					metric: rule.metric,
+					condition: rule.condition,
+					threshold: rule.threshold,
+					value,
+					time
+				});
+			}
+		}
+		
+		if (triggered.length > 0) {
+			this.alerts = [...[...triggered].reverse(), ...this.alerts].slice(0, this.maxAlerts);
+		}
+		if (changed) {
+			this.save();
+		}
+		
+		triggered.forEach(alert => {
+			this.showNotification(alert);
+			this.alertListeners.forEach(listener => listener(alert));
+		});
+		
+		return triggered;
+	}
+	
+	/**
+	 * Forget the triggered alerts
+	 */
+	clearAlerts() {
+		this.alerts = [];
+		this.save();
+	}
+	
+	/**
+	 * Describe an alert in one line, e.g. '$PEPE price above $0.00001 (now $0.000012)'
+	 * @param {Object} alert Triggered alert, or a rule with a symbol
+	 * @returns {string} Description
+	 */
+	describeAlert(alert) {
+		const format = value => alert.metric === 'change24h'
+			? `${value.toFixed(2)}%`
+			: `$${value < 1 ? value.toPrecision(3) : value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+		
+		const label = WATCHLIST_METRICS[alert.metric]?.label.toLowerCase() || alert.metric;
+		const now = alert.value !== undefined ? ` (now ${format(alert.value)})` : '';
+		return `$${alert.symbol} ${label} ${alert.condition} ${format(alert.threshold)}${now}`;
+	}
+	
+	/**
+	 * Ask for permission to show browser notifications
+	 * Must be called from a user gesture in most browsers.
+	 * @returns {Promise<string>} The permission: 'granted', 'denied', 'default' or 'unsupported'
+	 */
+	async requestNotificationPermission() {
+		if (typeof Notification === 'undefined') return 'unsupported';
+		if (Notification.permission !== 'default') return Notification.permission;
+		
+		return Notification.requestPermission();
+	}
+	
+	/**
+	 * Show a browser notification for an alert, if they are allowed
+	 * @param {Object} alert Triggered alert
+	 */
+	showNotification(alert) {
+		if (!this.notifications || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+			return;
+		}
+		
+		try {
+			new Notification('MemeCube alert', {
+				body: this.describeAlert(alert),
+				tag: alert.ruleId // Replaces an earlier notification for the same rule
+			});
+		} catch (error) {
+			console.error('Error showing notification:', error);
+		}
+	}
+}
@@ -0,0 +1,121 @@
+/**
+ * EVM Wallet Adapter
+ * Adapter for EIP-1193 browser wallets (MetaMask, Coinbase Wallet, Rabby...) found at window.ethereum
+ * Pays native currency (ETH, BNB) on whichever EVM chain the sponsored token lives on
+ */
+
+import { WalletAdapter } from './WalletAdapter.js';
+import { toHexChainId, toWeiHex, utf8ToHex } from '../../utils/evmTransaction.js';
+
+export class EvmWalletAdapter extends WalletAdapter {
+	/**
+	 * @param {Object} options Adapter options (see WalletAdapter)
+	 * @param {Function} options.getProvider Returns the EIP-1193 provider, or null if not installed
+	 */
+	constructor(options = {}) {
+		super({
+			id: 'evm',
+			name: 'EVM Wallet',
+			installUrl: 'https://metamask.io/',
+			...options,
+			network: 'evm'
+		});
+		this.getProvider = options.getProvider ||
+			(() => (typeof window !== 'undefined' && window.ethereum) || null);
+	}
+	
+	/**
+	 * Get a friendlier name for the installed wallet
+	 * @returns {string} Display name
+	 */
+	getDisplayName() {
+		const provider = this.getProvider();
+		if (provider?.isRabby) return 'Rabby';
+		if (provider?.isCoinbaseWallet) return 'Coinbase Wallet';
+		if (provider?.isMetaMask) return 'MetaMask';
+		return this.name;
+	}
+	
+	/**
+	 * Check whether the wallet is available in this browser
+	 * @returns {boolean} True if installed
+	 */
+	isInstalled() {
+		return this.getProvider() !== null;
+	}
+	
+	/**
+	 * Ask the wallet to connect
+	 * @returns {Promise<string>} Connected address
+	 */
+	async connect() {
+		const provider = this.getProvider();
+		if (!provider) {
+			throw new Error('No EVM wallet is installed');
+		}
+		
+		const accounts = await provider.request({ method: 'eth_requestAccounts' });
+		if (!accounts || accounts.length === 0) {
+			throw new Error('Failed to connect to wallet');
+		}
+		
+		this.address = accounts[0];
+		return this.address;
+	}
+	
+	/**
+	 * Disconnect from the wallet
+	 * EIP-1193 has no disconnect; we just forget the account
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		this.address = null;
+	}
+	
+	/**
+	 * Switch the wallet to the chain the payment is on
+	 * @param {number} chainId Numeric EVM chain id
+	 */
+	async switchChain(chainId) {
+		const provider = this.getProvider();
+		const hexChainId = toHexChainId(chainId);
+		
+		const currentChainId = await provider.request({ method: 'eth_chainId' });
+		if (currentChainId?.toLowerCase() === hexChainId) return;
+		
+		await provider.request({
+			method: 'wallet_switchEthereumChain',
+			params: [{ chainId: hexChainId }]
+		});
+	}
+	
+	/**
+	 * Send native currency with the memo as calldata, signed and submitted by the wallet
+	 * @param {Object} payment Payment details
+	 * @param {number} payment.amount Amount in the chain's native currency
+	 * @param {string} payment.recipient Recipient address
+	 * @param {string} payment.memo Memo to attach
+	 * @param {number} payment.evmChainId Numeric chain id to pay on
+	 * @returns {Promise<string>} Transaction hash
+	 */
+	async signAndSend({ amount, recipient, memo, evmChainId }) {
+		if (!this.address) {
+			throw new Error('Wallet not connected');
+		}
+		
+		const provider = this.getProvider();
+		if (evmChainId) {
+			await this.switchChain(evmChainId);
+		}
+		
+		return provider.request({
+			method: 'eth_sendTransaction',
+			params: [{
+				from: this.address,
+				to: recipient,
+				value: toWeiHex(amount),
+				data: utf8ToHex(memo)
+			}]
+		});
+	}
+}
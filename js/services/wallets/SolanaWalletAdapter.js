@@ -0,0 +1,150 @@
+/**
+ * Solana Wallet Adapter
+ * Adapter for browser Solana wallets (Phantom, Solflare, Backpack)
+ * Uses the wallet's Wallet Standard features when it has registered them,
+ * otherwise its injected window provider
+ */
+
+import { WalletAdapter } from './WalletAdapter.js';
+import { findStandardWallet } from './walletStandard.js';
+import {
+	buildTransferMessage,
+	encodeBase58,
+	serializeUnsignedTransaction,
+	solToLamports
+} from '../../utils/solanaTransaction.js';
+
+const SOLANA_CHAIN = 'solana:mainnet';
+
+export class SolanaWalletAdapter extends WalletAdapter {
+	/**
+	 * @param {Object} options Adapter options (see WalletAdapter)
+	 * @param {Function} options.getProvider Returns the wallet's injected provider, or null if not installed
+	 */
+	constructor(options = {}) {
+		super({ ...options, network: 'solana' });
+		this.getProvider = options.getProvider || (() => null);
+		
+		// Set when connected through Wallet Standard
+		this.standardAccount = null;
+	}
+	
+	/**
+	 * Get the wallet's Wallet Standard registration, if any
+	 * @returns {Object|null} Standard wallet or null
+	 */
+	getStandardWallet() {
+		const wallet = findStandardWallet(this.name);
+		return wallet?.features?.['standard:connect'] ? wallet : null;
+	}
+	
+	/**
+	 * Check whether the wallet is available in this browser
+	 * @returns {boolean} True if installed
+	 */
+	isInstalled() {
+		return this.getStandardWallet() !== null || this.getProvider() !== null;
+	}
+	
+	/**
+	 * Ask the wallet to connect
+	 * @returns {Promise<string>} Connected address
+	 */
+	async connect() {
+		const standardWallet = this.getStandardWallet();
+		
+		if (standardWallet) {
+			const { accounts } = await standardWallet.features['standard:connect'].connect();
+			const account = accounts.find(acc => (acc.chains || [SOLANA_CHAIN]).some(chain => chain.startsWith('solana:')));
+			if (!account) {
+				throw new Error(`${this.name} did not share a Solana account`);
+			}
+			
+			this.standardAccount = account;
+			this.address = account.address;
+			return this.address;
+		}
+		
+		const provider = this.getProvider();
+		if (!provider) {
+			throw new Error(`${this.name} wallet is not installed`);
+		}
+		
+		const { publicKey } = await provider.connect();
+		if (!publicKey) {
+			throw new Error('Failed to connect to wallet');
+		}
+		
+		this.address = publicKey.toString();
+		return this.address;
+	}
+	
+	/**
+	 * Disconnect from the wallet
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		try {
+			const standardWallet = this.standardAccount ? this.getStandardWallet() : null;
+			const provider = this.getProvider();
+			
+			// Not every wallet can disconnect itself
+			if (standardWallet?.features['standard:disconnect']) {
+				await standardWallet.features['standard:disconnect'].disconnect();
+			} else if (typeof provider?.disconnect === 'function') {
+				await provider.disconnect();
+			}
+		} finally {
+			this.standardAccount = null;
+			this.address = null;
+		}
+	}
+	
+	/**
+	 * Send SOL with a memo, signed and submitted by the wallet
+	 * @param {Object} payment Payment details
+	 * @param {number} payment.amount Amount in SOL
+	 * @param {string} payment.recipient Recipient address
+	 * @param {string} payment.memo Memo to attach
+	 * @param {string} payment.recentBlockhash Recent blockhash to build the transaction with
+	 * @returns {Promise<string>} Transaction signature
+	 */
+	async signAndSend({ amount, recipient, memo, recentBlockhash }) {
+		if (!this.address) {
+			throw new Error('Wallet not connected');
+		}
+		
+		const message = buildTransferMessage({
+			from: this.address,
+			to: recipient,
+			lamports: solToLamports(amount),
+			memo,
+			recentBlockhash
+		});
+		
+		// Wallet Standard takes the raw unsigned transaction
+		const feature = this.standardAccount
+			? this.getStandardWallet()?.features['solana:signAndSendTransaction']
+			: null;
+		if (feature) {
+			const [output] = await feature.signAndSendTransaction({
+				account: this.standardAccount,
+				chain: SOLANA_CHAIN,
+				transaction: serializeUnsignedTransaction(message)
+			});
+			return encodeBase58(output.signature);
+		}
+		
+		// Phantom's injected provider takes the unsigned message base58-encoded
+		const provider = this.getProvider();
+		if (typeof provider?.request === 'function') {
+			const { signature } = await provider.request({
+				method: 'signAndSendTransaction',
+				params: { message: encodeBase58(message) }
+			});
+			return signature;
+		}
+		
+		throw new Error(`${this.name} can't send transactions from this page. Try updating the wallet.`);
+	}
+}
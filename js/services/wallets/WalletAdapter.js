@@ -0,0 +1,75 @@
+/**
+ * Wallet Adapter Interface
+ * Base class for wallets the app can pay sponsorships with
+ * Each adapter wraps one wallet (or family of wallets) behind the same
+ * connect / disconnect / signAndSend interface, so the UI doesn't care which one is in use
+ */
+
+export class WalletAdapter {
+	/**
+	 * @param {Object} options Adapter options
+	 * @param {string} options.id Registry id, e.g. 'phantom'
+	 * @param {string} options.name Display name
+	 * @param {string} options.network Payment network the wallet signs for ('solana' or 'evm')
+	 * @param {string} options.installUrl Where to get the wallet if it isn't installed
+	 */
+	constructor(options = {}) {
+		this.id = options.id;
+		this.name = options.name;
+		this.network = options.network;
+		this.installUrl = options.installUrl || null;
+		this.address = null;
+	}
+	
+	/**
+	 * Whether the wallet can be used for a payment network
+	 * @param {string} network Payment network ('solana' or 'evm')
+	 * @returns {boolean} True if this wallet pays on that network
+	 */
+	supportsNetwork(network) {
+		return this.network === network;
+	}
+	
+	/**
+	 * Get the connected address
+	 * @returns {string|null} Address or null if not connected
+	 */
+	getAddress() {
+		return this.address;
+	}
+	
+	// --- Methods that must be implemented by subclasses ---
+	
+	/**
+	 * Check whether the wallet is available in this browser
+	 * @returns {boolean} True if installed
+	 */
+	isInstalled() {
+		throw new Error('isInstalled() must be implemented by subclasses');
+	}
+	
+	/**
+	 * Ask the wallet to connect
+	 * @returns {Promise<string>} Connected address
+	 */
+	async connect() {
+		throw new Error('connect() must be implemented by subclasses');
+	}
+	
+	/**
+	 * Disconnect from the wallet
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		throw new Error('disconnect() must be implemented by subclasses');
+	}
+	
+	/**
+	 * Sign and submit a payment
+	 * @param {Object} payment Payment details from the server's payment config plus the amount
+	 * @returns {Promise<string>} Transaction signature (or hash on EVM chains)
+	 */
+	async signAndSend(payment) {
+		throw new Error('signAndSend() must be implemented by subclasses');
+	}
+}
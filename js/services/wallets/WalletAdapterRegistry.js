@@ -0,0 +1,70 @@
+/**
+ * Wallet Adapter Registry
+ * Holds the wallets the app can pay with; new wallets are added by registering an adapter
+ */
+
+import { SolanaWalletAdapter } from './SolanaWalletAdapter.js';
+import { EvmWalletAdapter } from './EvmWalletAdapter.js';
+import { Registry } from '../../utils/registry.js';
+
+/**
+ * Check a wallet adapter can be registered
+ * @param {WalletAdapter} adapter The adapter
+ * @throws {Error} If it has no id
+ */
+function validateAdapter(adapter) {
+	if (!adapter || !adapter.id) {
+		throw new Error('Wallet adapters need an id');
+	}
+}
+
+export class WalletAdapterRegistry extends Registry {
+	constructor() {
+		super(validateAdapter);
+	}
+	
+	/**
+	 * List registered adapters
+	 * @param {Object} filter Optional filter
+	 * @param {string} filter.network Only adapters that pay on this network
+	 * @param {boolean} filter.installed Only adapters installed in this browser
+	 * @returns {Array<WalletAdapter>} Matching adapters
+	 */
+	list({ network, installed } = {}) {
+		return super.list().filter(adapter => {
+			if (network && !adapter.supportsNetwork(network)) return false;
+			if (installed && !adapter.isInstalled()) return false;
+			return true;
+		});
+	}
+}
+
+/**
+ * Create a registry with the wallets we support out of the box
+ * @returns {WalletAdapterRegistry} Registry with Phantom, Solflare, Backpack and EVM wallets
+ */
+export function createDefaultWalletRegistry() {
+	const browserWindow = typeof window !== 'undefined' ? window : {};
+	
+	return new WalletAdapterRegistry()
+		.register(new SolanaWalletAdapter({
+			id: 'phantom',
+			name: 'Phantom',
+			installUrl: 'https://phantom.app/',
+			getProvider: () => browserWindow.phantom?.solana ||
+				(browserWindow.solana?.isPhantom ? browserWindow.solana : null)
+		}))
+		.register(new SolanaWalletAdapter({
+			id: 'solflare',
+			name: 'Solflare',
+			installUrl: 'https://solflare.com/',
+			getProvider: () => (browserWindow.solflare?.isSolflare ? browserWindow.solflare : null)
+		}))
+		.register(new SolanaWalletAdapter({
+			id: 'backpack',
+			name: 'Backpack',
+			installUrl: 'https://backpack.app/',
+			getProvider: () => (browserWindow.backpack?.isBackpack ? browserWindow.backpack : null)
+		}))
+		.register(new EvmWalletAdapter());
+}
@@ -0,0 +1,71 @@
+/**
+ * Wallet Standard discovery
+ *
+ * Modern Solana wallets (Phantom, Solflare, Backpack...) announce themselves through the
+ * Wallet Standard events rather than only a window global. We listen for them here so
+ * adapters can use the standard features, which take raw transaction bytes and so work
+ * without @solana/web3.js.
+ */
+
+const wallets = [];
+
+/**
+ * Register wallets announced by the page
+ * @param {...Object} newWallets - Wallet Standard wallet objects
+ * @returns {Function} - Unregister function
+ */
+function register(...newWallets) {
+	for (const wallet of newWallets) {
+		if (!wallets.includes(wallet)) {
+			wallets.push(wallet);
+		}
+	}
+	
+	return () => {
+		for (const wallet of newWallets) {
+			const index = wallets.indexOf(wallet);
+			if (index !== -1) wallets.splice(index, 1);
+		}
+	};
+}
+
+const api = Object.freeze({ register });
+
+if (typeof window !== 'undefined') {
+	// Wallets that load after us announce themselves with this event
+	window.addEventListener('wallet-standard:register-wallet', (event) => {
+		try {
+			event.detail(api);
+		} catch (error) {
+			console.error('Error registering wallet:', error);
+		}
+	});
+	
+	// Wallets that loaded before us are waiting for this one
+	try {
+		window.dispatchEvent(new CustomEvent('wallet-standard:app-ready', { detail: api }));
+	} catch (error) {
+		console.error('Error announcing wallet-standard app:', error);
+	}
+}
+
+/**
+ * Find a registered Solana wallet by name
+ * @param {string} name - Wallet name, e.g. 'Phantom'
+ * @returns {Object|null} - Wallet Standard wallet or null if it hasn't registered
+ */
+export function findStandardWallet(name) {
+	return wallets.find(wallet =>
+		wallet.name === name &&
+		(wallet.chains || []).some(chain => chain.startsWith('solana:'))
+	) || null;
+}
+
+/**
+ * Register wallets directly (for tests and wallets that don't use the events)
+ * @param {...Object} newWallets - Wallet Standard wallet objects
+ * @returns {Function} - Unregister function
+ */
+export function registerStandardWallet(...newWallets) {
+	return register(...newWallets);
+}
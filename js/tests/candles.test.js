@@ -0,0 +1,41 @@
+/**
+ * Candle utility tests
+ */
+
+import { aggregateCandles, pointsToCandles, makeCandle, getResolutionMs } from '../utils/candles.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('candles', () => {
+	test('merges fine candles into coarser ones', () => {
+		const candles = [
+			makeCandle(0, 1, 2, 0.5, 1.5, 10),
+			makeCandle(HOUR, 1.5, 3, 1.4, 2, 20),
+			makeCandle(4 * HOUR, 2, 2.2, 1.8, 1.9, 5)
+		];
+		
+		expect(aggregateCandles(candles, '4h')).toEqual([
+			{ time: 0, open: 1, high: 3, low: 0.5, close: 2, volume: 30, price: 2 },
+			{ time: 4 * HOUR, open: 2, high: 2.2, low: 1.8, close: 1.9, volume: 5, price: 1.9 }
+		]);
+	});
+	
+	test('buckets price points into candles that join up', () => {
+		const points = [
+			{ time: 0, price: 10 },
+			{ time: 30 * 60 * 1000, price: 12 },
+			{ time: HOUR, price: 9 },
+			{ time: HOUR + 60000, price: 11 }
+		];
+		
+		const [first, second] = pointsToCandles(points, '1h');
+		
+		expect(first).toMatchObject({ open: 10, high: 12, low: 10, close: 12 });
+		expect(second).toMatchObject({ open: 12, high: 12, low: 9, close: 11, price: 11 });
+	});
+	
+	test('falls back to the default resolution for unknown names', () => {
+		expect(getResolutionMs('1d')).toBe(24 * HOUR);
+		expect(getResolutionMs('3w')).toBe(HOUR);
+	});
+});
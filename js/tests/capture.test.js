@@ -0,0 +1,52 @@
+/**
+ * Capture Unit Tests
+ */
+
+import { getCaptureSize, getOrbitOffset, getWatermarkLines, pickVideoMimeType, getCaptureFileName } from '../utils/capture.js';
+
+describe('Capture helpers', () => {
+	test('sizes captures from the window or a preset, scaled down to what the GPU can draw', () => {
+		const windowSize = { width: 1280, height: 720, pixelRatio: 2 };
+		
+		expect(getCaptureSize('window', windowSize)).toEqual({ width: 2560, height: 1440 });
+		expect(getCaptureSize('4k', windowSize)).toEqual({ width: 3840, height: 2160 });
+		expect(getCaptureSize('4k', windowSize, 2048)).toEqual({ width: 2048, height: 1152 });
+		expect(getCaptureSize('portrait', windowSize, 960)).toEqual({ width: 540, height: 960 });
+		expect(getCaptureSize('unknown', { width: 800, height: 600 })).toEqual({ width: 800, height: 600 });
+	});
+	
+	test('orbits the camera around the vertical axis and back to the start', () => {
+		const quarter = getOrbitOffset([0, 5, 30], 0.25);
+		expect(quarter[0]).toBeCloseTo(30);
+		expect(quarter[1]).toBe(5);
+		expect(quarter[2]).toBeCloseTo(0);
+		
+		const end = getOrbitOffset([0, 5, 30], 1);
+		expect(end[0]).toBeCloseTo(0);
+		expect(end[2]).toBeCloseTo(30);
+	});
+	
+	test('builds watermark lines from the selected token', () => {
+		expect(getWatermarkLines(null)).toEqual(['MEMECUBE']);
+		
+		const lines = getWatermarkLines({
+			baseToken: { symbol: 'FIXT' },
+			priceUsd: '0.0123',
+			priceChange: { h24: 12.5 },
+			marketCap: 2500000,
+			liquidity: { usd: 150000 },
+			volume: { h24: 980000 }
+		});
+		
+		expect(lines).toHaveLength(3);
+		expect(lines[1]).toMatch(/^\$FIXT {2}\$0\.0123/);
+		expect(lines[1]).toContain('24h');
+		expect(lines[2]).toBe('MCAP $2.50M  LIQ $150.00K  VOL $980.00K');
+	});
+	
+	test('picks the best supported video type and names files by time', () => {
+		expect(pickVideoMimeType(type => type !== 'video/webm;codecs=vp9')).toBe('video/webm;codecs=vp8');
+		expect(pickVideoMimeType(() => false)).toBeNull();
+		expect(getCaptureFileName('orbit', 'webm', new Date('2024-03-05T09:08:07Z'))).toBe('memecube-orbit-2024-03-05-090807.webm');
+	});
+});
@@ -0,0 +1,81 @@
+/**
+ * Tag Colour Mode Unit Tests
+ */
+
+import { createDefaultColourRegistry, ColourModeRegistry, getChainColour, mixColours, DEFAULT_COLOUR_MODE } from '../interactions/tag-cluster/colour-modes.js';
+
+const NOW = Date.UTC(2024, 0, 1);
+
+const token = (overrides = {}) => ({
+	chainId: 'solana',
+	tokenAddress: 'FixtColour111111111111111111111111111111111',
+	dexId: 'raydium',
+	liquidity: { usd: 50000 },
+	priceChange: { h24: 0 },
+	pairCreatedAt: NOW - 2 * 3600000,
+	...overrides
+});
+
+describe('Tag colour modes', () => {
+	const registry = createDefaultColourRegistry();
+	const colour = (id, data) => registry.get(id).colour(data, { now: NOW });
+	
+	test('registers the built-in modes in order, with chain as the default', () => {
+		expect(registry.list().map(mode => mode.id)).toEqual(['chain', 'change24h', 'age', 'liquidity', 'dex']);
+		expect(registry.get(DEFAULT_COLOUR_MODE).label).toBe('Chain');
+		expect(registry.get('nope')).toBeNull();
+	});
+	
+	test('colours chains as before and blends hex colours', () => {
+		expect(getChainColour('Solana')).toBe('#14F195');
+		expect(getChainColour('unknown-chain')).toBe('#FFFFFF');
+		expect(colour('chain', token({ chainId: undefined }))).toBe('#3C3C3D');
+		
+		expect(mixColours('#000000', '#FFFFFF', 0.5)).toBe('#808080');
+		expect(mixColours('#FF0000', '#0000FF', 1)).toBe('#0000FF');
+	});
+	
+	test('24h change runs from grey to red or green and saturates at 50%', () => {
+		expect(colour('change24h', token())).toBe('#8A8A8A');
+		expect(colour('change24h', token({ priceChange: { h24: 25 } }))).toBe('#5AC572');
+		expect(colour('change24h', token({ priceChange: { h24: 400 } }))).toBe('#2AFF5A');
+		expect(colour('change24h', token({ priceChange: { h24: '-80' } }))).toBe('#FF2A2A');
+		expect(colour('change24h', token({ priceChange: undefined }))).toBe('#FFFFFF');
+		
+		expect(registry.get('change24h').legend().map(entry => entry.label)).toEqual(['-50% or lower', '-25%', '0%', '+25%', '+50% or higher']);
+	});
+	
+	test('pair age and liquidity fall into buckets', () => {
+		const ageLabel = data => registry.get('age').legend().find(entry => entry.colour === colour('age', data))?.label;
+		expect(ageLabel(token({ pairCreatedAt: NOW - 10 * 60000 }))).toBe('< 1 hour');
+		expect(ageLabel(token())).toBe('1-6 hours');
+		expect(ageLabel(token({ pairCreatedAt: NOW - 30 * 86400000 }))).toBe('> 7 days');
+		expect(colour('age', token({ pairCreatedAt: undefined }))).toBe('#FFFFFF');
+		
+		const liquidityLabel = data => registry.get('liquidity').legend().find(entry => entry.colour === colour('liquidity', data))?.label;
+		expect(liquidityLabel(token({ liquidity: { usd: 5000 } }))).toBe('< $10K');
+		expect(liquidityLabel(token())).toBe('$10K-$100K');
+		expect(liquidityLabel(token({ liquidity: { usd: 50_000_000 } }))).toBe('> $10M');
+	});
+	
+	test('DEX colours are stable for unknown DEXes and the legend lists what is in the data', () => {
+		expect(colour('dex', token())).toBe('#C200FB');
+		expect(colour('dex', token({ dexId: 'fixtswap' }))).toMatch(/^#[0-9A-F]{6}$/);
+		expect(colour('dex', token({ dexId: 'fixtswap' }))).toBe(colour('dex', token({ dexId: 'FixtSwap' })));
+		
+		const tokens = [
+			token({ tokenAddress: 'FixtA' }),
+			token({ tokenAddress: 'FixtA' }),
+			token({ tokenAddress: 'FixtB', dexId: 'orca' }),
+			token({ tokenAddress: 'FixtC', dexId: 'orca' })
+		];
+		expect(registry.get('dex').legend(tokens).map(entry => entry.label)).toEqual(['orca', 'raydium']);
+	});
+	
+	test('registers custom modes and rejects ones without a colour function', () => {
+		const custom = new ColourModeRegistry().register({ id: 'flat', label: 'Flat', colour: () => '#123456' });
+		expect(custom.get('flat').colour(token())).toBe('#123456');
+		
+		expect(() => custom.register({ id: 'broken' })).toThrow('Colour modes need an id and a colour function');
+	});
+});
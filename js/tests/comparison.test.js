@@ -0,0 +1,60 @@
+/**
+ * Price comparison utility tests
+ */
+
+import { alignHistories, buildComparisonSeries, formatComparisonValue } from '../utils/comparison.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('comparison', () => {
+	const older = [
+		{ time: 0, close: 1 },
+		{ time: HOUR, close: 2 },
+		{ time: 2 * HOUR, close: 4 },
+		{ time: 3 * HOUR, close: 3 }
+	];
+	const newer = [
+		{ time: 2 * HOUR, price: 0.001 },
+		{ time: 3 * HOUR, price: 0.0015 }
+	];
+	
+	test('aligns histories on the window they share', () => {
+		const [first, second] = alignHistories([older, newer]);
+		
+		expect(first).toEqual([{ time: 2 * HOUR, price: 4 }, { time: 3 * HOUR, price: 3 }]);
+		expect(second).toEqual([{ time: 2 * HOUR, price: 0.001 }, { time: 3 * HOUR, price: 0.0015 }]);
+	});
+	
+	test('keeps a history whole when too little of it overlaps', () => {
+		const [first] = alignHistories([older, [{ time: 3 * HOUR, price: 5 }]]);
+		
+		expect(first).toHaveLength(4);
+	});
+	
+	test('normalises to % return from each line\'s first point, including the 0% baseline', () => {
+		const { series, minValue, maxValue, minTime, maxTime } = buildComparisonSeries([older, newer]);
+		
+		expect(series[0].map(point => point.value)).toEqual([0, -25]);
+		expect(series[1].map(point => point.value)).toEqual([0, 50]);
+		expect([minValue, maxValue]).toEqual([-25, 50]);
+		expect([minTime, maxTime]).toEqual([2 * HOUR, 3 * HOUR]);
+	});
+	
+	test('puts absolute prices on a log scale', () => {
+		const { series, minValue, maxValue } = buildComparisonSeries([older, newer], 'absolute');
+		
+		expect(series[1][0].value).toBeCloseTo(-3);
+		expect(minValue).toBeCloseTo(-3);
+		expect(maxValue).toBeCloseTo(Math.log10(4));
+		expect(formatComparisonValue(maxValue, 'absolute')).toBe('$4.00');
+		expect(formatComparisonValue(-3, 'absolute')).toBe('$0.0010');
+	});
+	
+	test('leaves tokens without history empty', () => {
+		const { series } = buildComparisonSeries([older, null]);
+		
+		expect(series[0]).toHaveLength(4);
+		expect(series[1]).toEqual([]);
+		expect(formatComparisonValue(12.345)).toBe('+12.3%');
+	});
+});
@@ -0,0 +1,168 @@
+/**
+ * CompositeTokenProvider Unit Tests
+ */
+
+import { TokenDataProvider } from '../data-providers/TokenDataProvider.js';
+import { CompositeTokenProvider } from '../data-providers/CompositeTokenProvider.js';
+
+const MINT = 'FixtMoon1111111111111111111111111111111111';
+
+/**
+ * Provider serving a fixed token list, which tests can change or make fail
+ */
+class StaticProvider extends TokenDataProvider {
+	constructor(tokens) {
+		super();
+		this.tokenData = tokens;
+		this.failing = false;
+	}
+	
+	async refreshData() {
+		if (this.failing) throw new Error('upstream down');
+		this.notifyCallbacks(this.tokenData);
+		return this.tokenData;
+	}
+	
+	getAllTokenData() {
+		return [...this.tokenData];
+	}
+	
+	async fetchTokenPriceHistory(token) {
+		return token.history || null;
+	}
+	
+	calculateTokenSize() {
+		return 1.25;
+	}
+	
+	formatMarketCap(marketCap) {
+		return `$${marketCap}`;
+	}
+}
+
+describe('CompositeTokenProvider', () => {
+	let dexscreener;
+	let geckoterminal;
+	let provider;
+	let time;
+	
+	beforeEach(() => {
+		time = 1760000000000;
+		jest.spyOn(Date, 'now').mockImplementation(() => time);
+		
+		dexscreener = new StaticProvider([
+			{
+				chainId: 'solana',
+				tokenAddress: MINT,
+				pairAddress: 'DexPair',
+				baseToken: { address: MINT, symbol: 'FMOON' },
+				priceUsd: '0.010',
+				links: { twitter: 'https://x.com/fmoon' }
+			}
+		]);
+		geckoterminal = new StaticProvider([
+			{
+				chainId: 'solana',
+				tokenAddress: MINT,
+				pairAddress: 'GeckoPair',
+				baseToken: { address: MINT, symbol: 'FMOON' },
+				priceUsd: '0.012',
+				links: { twitter: 'https://x.com/other' },
+				history: [{ time: 1, price: 0.012 }]
+			},
+			{
+				chainId: 'base',
+				tokenAddress: '0xf17e000000000000000000000000000000000001',
+				baseToken: { symbol: 'FBLUE' },
+				priceUsd: '0.0016'
+			}
+		]);
+		
+		provider = new CompositeTokenProvider({
+			sources: [
+				{ name: 'dexscreener', provider: dexscreener },
+				{ name: 'geckoterminal', provider: geckoterminal }
+			]
+		});
+	});
+	
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+	
+	test('merges tokens from every source by token key', async () => {
+		const data = await provider.refreshData();
+		
+		expect(data.map(token => token.baseToken.symbol)).toEqual(['FMOON', 'FBLUE']);
+		expect(data[0]._metadata.sources).toEqual(['dexscreener', 'geckoterminal']);
+		expect(data[1]._metadata.sources).toEqual(['geckoterminal']);
+	});
+	
+	test('resolves conflicts by precedence and records field sources', async () => {
+		await provider.refreshData();
+		
+		// GeckoTerminal refreshes later, so its price is freshest; socials still come from DexScreener
+		time += 5000;
+		await geckoterminal.refreshData();
+		const [moon] = provider.getAllTokenData();
+		
+		expect(moon.priceUsd).toBe('0.012');
+		expect(moon.links.twitter).toBe('https://x.com/fmoon');
+		expect(moon.pairAddress).toBe('DexPair');
+		expect(moon._metadata.fieldSources).toMatchObject({
+			priceUsd: 'geckoterminal',
+			links: 'dexscreener',
+			pairAddress: 'dexscreener'
+		});
+	});
+	
+	test('accepts custom precedence rules', async () => {
+		provider = new CompositeTokenProvider({
+			sources: [
+				{ name: 'dexscreener', provider: dexscreener },
+				{ name: 'geckoterminal', provider: geckoterminal }
+			],
+			precedence: { links: ['geckoterminal'], pairAddress: ['geckoterminal'] }
+		});
+		
+		const [moon] = await provider.refreshData();
+		
+		expect(moon.links.twitter).toBe('https://x.com/other');
+		expect(moon.pairAddress).toBe('GeckoPair');
+	});
+	
+	test('keeps a failing source\'s last tokens', async () => {
+		await provider.refreshData();
+		
+		geckoterminal.failing = true;
+		jest.spyOn(console, 'error').mockImplementation(() => {});
+		const data = await provider.refreshData();
+		
+		expect(data.map(token => token.baseToken.symbol)).toEqual(['FMOON', 'FBLUE']);
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('geckoterminal failed'), expect.any(Error));
+	});
+	
+	test('notifies callbacks once per refresh and on pushed source updates', async () => {
+		const callback = jest.fn();
+		provider.registerUpdateCallback(callback);
+		
+		await provider.refreshData();
+		expect(callback).toHaveBeenCalledTimes(1);
+		
+		await dexscreener.refreshData();
+		expect(callback).toHaveBeenCalledTimes(2);
+		expect(callback).toHaveBeenLastCalledWith(provider.tokenData);
+	});
+	
+	test('asks each source for price history with its own version of the token', async () => {
+		const [moon] = await provider.refreshData();
+		
+		expect(await provider.getTokenPriceHistory(moon)).toEqual([{ time: 1, price: 0.012 }]);
+	});
+	
+	test('sizes and formats with the first source', async () => {
+		expect(provider.calculateTokenSize({})).toBe(1.25);
+		expect(provider.formatMarketCap(5)).toBe('$5');
+		expect(CompositeTokenProvider.getSourceName(new StaticProvider([]))).toBe('static');
+	});
+});
@@ -0,0 +1,197 @@
+/**
+ * DexScreenerProvider page tests
+ * Responses come from the fixtures the offline proxy serves (server/fixtures/dexscreener)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DexScreenerProvider } from '../data-providers/DexScreenerProvider.js';
+import { RequestScheduler } from '../data-providers/RequestScheduler.js';
+
+const FIXTURES_DIR = path.join(__dirname, '../../server/fixtures/dexscreener');
+const API_ROOT = 'https://api.dexscreener.com';
+
+/**
+ * Answer a request from the fixture file matching its path, like createFixtureUpstream
+ */
+async function fetchFixture(url) {
+	const fixturePath = path.join(FIXTURES_DIR, `${url.substring(API_ROOT.length).split('?')[0]}.json`);
+	if (!fs.existsSync(fixturePath)) {
+		return { ok: false, status: 404 };
+	}
+	return { ok: true, json: async () => JSON.parse(fs.readFileSync(fixturePath, 'utf-8')) };
+}
+
+describe('DexScreenerProvider pages', () => {
+	let provider;
+	
+	beforeEach(() => {
+		localStorage.clear();
+		jest.useFakeTimers();
+		jest.spyOn(console, 'log').mockImplementation(() => {});
+		global.fetch = jest.fn(fetchFixture);
+		provider = new DexScreenerProvider();
+	});
+	
+	afterEach(() => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+	});
+	
+	test('limits the latest page to one chain', async () => {
+		const tokens = await provider.getTokensByPage('dexscreener/latest?chain=solana');
+		
+		expect(tokens.map(token => token.baseToken.symbol)).toEqual(['FMOON']);
+		expect(provider.currentPage).toBe('dexscreener/latest?chain=solana');
+	});
+	
+	test('loads boosted tokens once each, with market data', async () => {
+		const latest = await provider.getTokensByPage('dexscreener/boosts/latest');
+		const top = await provider.getTokensByPage('dexscreener/boosts/top');
+		
+		expect(fetch).toHaveBeenCalledWith(`${API_ROOT}/token-boosts/latest/v1`);
+		expect(latest.map(token => token.baseToken.symbol)).toEqual(['FBLUE']);
+		expect(latest[0].totalAmount).toBe(10);
+		expect(top.map(token => token.baseToken.symbol)).toEqual(['FMOON', 'FBLUE']);
+	});
+	
+	test('builds gainers and losers from cached pairs without fetching', async () => {
+		await provider.getTokensByPage('dexscreener/latest');
+		fetch.mockClear();
+		
+		const gainers = await provider.getTokensByPage('dexscreener/gainers');
+		const losers = await provider.getTokensByPage('dexscreener/losers');
+		
+		expect(gainers.map(token => token.baseToken.symbol)).toEqual(['FMOON']);
+		expect(losers.map(token => token.baseToken.symbol)).toEqual(['FBLUE']);
+		expect(fetch).not.toHaveBeenCalled();
+	});
+	
+	test('turns a search into one token per base token, using its most liquid pair', async () => {
+		const tokens = await provider.getTokensByPage('dexscreener/search?q=moon');
+		
+		expect(fetch).toHaveBeenCalledWith(`${API_ROOT}/latest/dex/search?q=moon`);
+		expect(tokens.map(token => token.baseToken.symbol)).toEqual(['FMOON', 'FMBASE']);
+		expect(tokens[0].pairAddress).toBe('FixtMoonPair11111111111111111111111111111');
+		expect(tokens[0].tokenAddress).toBe('FixtMoon1111111111111111111111111111111111');
+	});
+	
+	test('saves searches as pages across sessions', () => {
+		const pageId = provider.saveSearch(' moon dog ');
+		provider.saveSearch('moon dog');
+		
+		expect(pageId).toBe('dexscreener/search?q=moon%20dog');
+		expect(new DexScreenerProvider().getAvailablePages().filter(page => page.id === pageId)).toEqual([
+			{ id: pageId, label: 'Search: moon dog' }
+		]);
+		
+		provider.removeSearch('moon dog');
+		expect(new DexScreenerProvider().savedSearches).toEqual([]);
+	});
+	
+	test('setCurrentPage switches page and notifies callbacks', async () => {
+		const callback = jest.fn();
+		provider.registerUpdateCallback(callback);
+		
+		await provider.setCurrentPage('dexscreener/boosts/top');
+		
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(callback.mock.calls[0][0].map(token => token.baseToken.symbol)).toEqual(['FMOON', 'FBLUE']);
+		expect((await provider.getCurrentPageTokens())[0]._metadata.page).toBe('dexscreener/boosts/top');
+	});
+	
+	test('returns nothing for unknown pages', async () => {
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+		
+		expect(await provider.getTokensByPage('dexscreener/nope')).toEqual([]);
+	});
+});
+
+describe('DexScreenerProvider market data batching', () => {
+	let provider;
+	
+	/**
+	 * Answer tokens requests with one pair per address, upper-casing EVM addresses like the API can
+	 */
+	async function fetchPairs(url) {
+		const [chainId, addresses] = url.substring(`${API_ROOT}/tokens/v1/`.length).split('/');
+		const pairs = addresses.split(',').flatMap(address => [
+			{ chainId, pairAddress: `${address}-small`, baseToken: { address: address.toUpperCase() }, liquidity: { usd: 10 } },
+			{ chainId, pairAddress: `${address}-big`, baseToken: { address: address.toUpperCase() }, liquidity: { usd: 1000 } }
+		]);
+		return { ok: true, json: async () => pairs };
+	}
+	
+	const makeTokens = (chainId, count) => Array.from({ length: count }, (_, i) => ({ chainId, tokenAddress: `0xabc${i}` }));
+	
+	beforeEach(() => {
+		localStorage.clear();
+		jest.spyOn(console, 'log').mockImplementation(() => {});
+		global.fetch = jest.fn(fetchPairs);
+		provider = new DexScreenerProvider({ scheduler: new RequestScheduler() });
+	});
+	
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+	
+	test('looks tokens up per chain in batches and caches each one\'s top pair', async () => {
+		const tokens = [...makeTokens('base', 65), ...makeTokens('ethereum', 1)];
+		
+		const results = await provider.fetchTokenMarketData(tokens);
+		
+		expect(fetch).toHaveBeenCalledTimes(4);
+		expect(fetch.mock.calls[0][0].split(',')).toHaveLength(30);
+		expect(fetch.mock.calls[2][0].split(',')).toHaveLength(5);
+		expect(fetch).toHaveBeenCalledWith(`${API_ROOT}/tokens/v1/ethereum/0xabc0`);
+		
+		expect(results.map(token => token.tokenAddress)).toEqual(tokens.map(token => token.tokenAddress));
+		expect(results[64].pairAddress).toBe('0xabc64-big');
+		expect(provider.getCachedTokenPair('base', '0xabc64').pairAddress).toBe('0xabc64-big');
+		
+		// A second lookup is served from the cache
+		await provider.fetchTokenMarketData(tokens);
+		expect(fetch).toHaveBeenCalledTimes(4);
+	});
+	
+	test('keeps tokens without market data when their batch fails', async () => {
+		jest.spyOn(console, 'error').mockImplementation(() => {});
+		global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+		
+		const results = await provider.fetchTokenMarketData(makeTokens('base', 2));
+		
+		expect(results).toEqual(makeTokens('base', 2));
+	});
+	
+	test('fills the batches it has to send with the stalest cached tokens', () => {
+		const now = Date.now();
+		const tokens = makeTokens('base', 4);
+		provider.tokenPairCache.set('base-0xabc1', { data: {}, timestamp: now - 1000 });
+		provider.tokenPairCache.set('base-0xabc2', { data: {}, timestamp: now - 2000 });
+		provider.tokenPairCache.set('base-0xabc3', { data: {}, timestamp: now - provider.cacheExpiryTime - 1 });
+		provider.tokenData = makeTokens('solana', 1);
+		provider.tokenPairCache.set('solana-0xabc0', { data: {}, timestamp: now - 500 });
+		
+		const selected = provider.selectTokensForMarketDataUpdate(tokens);
+		
+		// Missing and expired first, then fresh tokens on a chain that is being fetched anyway
+		expect(selected.map(token => `${token.chainId}-${token.tokenAddress}`)).toEqual([
+			'base-0xabc0', 'base-0xabc3', 'base-0xabc2', 'base-0xabc1'
+		]);
+		expect(provider.tokenPairCache.has('base-0xabc1')).toBe(false);
+		expect(provider.tokenPairCache.has('solana-0xabc0')).toBe(true);
+	});
+	
+	test('refreshes the stalest tokens when nothing is missing', () => {
+		const now = Date.now();
+		const tokens = [...makeTokens('base', 2), ...makeTokens('solana', 1)];
+		provider.tokenPairCache.set('base-0xabc0', { data: {}, timestamp: now - 3000 });
+		provider.tokenPairCache.set('base-0xabc1', { data: {}, timestamp: now - 1000 });
+		provider.tokenPairCache.set('solana-0xabc0', { data: {}, timestamp: now - 2000 });
+		provider.refreshTokenCount = 1;
+		
+		const selected = provider.selectTokensForMarketDataUpdate(tokens);
+		
+		expect(selected.map(token => `${token.chainId}-${token.tokenAddress}`)).toEqual(['base-0xabc0', 'base-0xabc1']);
+	});
+});
@@ -0,0 +1,135 @@
+/**
+ * GeckoTerminalProvider Unit Tests
+ * Responses come from the fixtures the offline proxy serves (server/fixtures/geckoterminal)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { GeckoTerminalProvider } from '../data-providers/GeckoTerminalProvider.js';
+import { RequestScheduler } from '../data-providers/RequestScheduler.js';
+
+const FIXTURES_DIR = path.join(__dirname, '../../server/fixtures/geckoterminal');
+
+function loadFixture(file) {
+	return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'));
+}
+
+describe('GeckoTerminalProvider', () => {
+	let provider;
+	
+	beforeEach(() => {
+		// A scheduler per test, so the shared one's rate limit doesn't carry over between tests
+		provider = new GeckoTerminalProvider({ scheduler: new RequestScheduler(), priceHistoryStore: null });
+		
+		// Serve the fixture matching the requested endpoint
+		global.fetch = jest.fn(async (url) => {
+			const file = url.includes('/ohlcv/')
+				? 'networks/solana/pools/FixtGeckoPool1111111111111111111111111111111/ohlcv/hour.json'
+				: 'networks/trending_pools.json';
+			return { ok: true, json: jest.fn().mockResolvedValue(loadFixture(file)) };
+		});
+	});
+	
+	afterEach(() => {
+		jest.clearAllMocks();
+	});
+	
+	test('initializes with correct defaults', () => {
+		expect(provider.apiEndpoint).toBe('https://api.geckoterminal.com/api/v2');
+		expect(provider.poolListEndpoint).toContain('/networks/trending_pools');
+		expect(new GeckoTerminalProvider({ feed: 'new' }).poolListEndpoint).toContain('/networks/new_pools');
+		expect(provider.tokenData).toEqual([]);
+	});
+	
+	test('refreshData normalizes pools into DexScreener-shaped tokens', async () => {
+		const data = await provider.refreshData();
+		
+		expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/networks/trending_pools?include=base_token'));
+		
+		// FGECKO trends in two pools and should appear once, through its deepest pool
+		expect(data.length).toBe(2);
+		const gecko = data.find(token => token.baseToken.symbol === 'FGECKO');
+		expect(gecko.chainId).toBe('solana');
+		expect(gecko.tokenAddress).toBe('FixtGecko111111111111111111111111111111111');
+		expect(gecko.pairAddress).toBe('FixtGeckoPool1111111111111111111111111111111');
+		expect(gecko.quoteToken.symbol).toBe('SOL');
+		expect(gecko.priceUsd).toBe('0.0042');
+		expect(gecko.priceChange.h24).toBe(42.5);
+		expect(gecko.volume.h24).toBe(1250400.7);
+		expect(gecko.liquidity.usd).toBe(310500.2);
+		expect(gecko.txns.h24).toEqual({ buys: 5120, sells: 4380 });
+		expect(gecko.dataSource).toBe('geckoterminal');
+		
+		// No verified market cap, so FDV stands in
+		expect(gecko.marketCap).toBe(4200000);
+	});
+	
+	test('maps GeckoTerminal network ids to chain ids', async () => {
+		const data = await provider.refreshData();
+		const trend = data.find(token => token.baseToken.symbol === 'FTRND');
+		
+		expect(trend.chainId).toBe('ethereum');
+		expect(trend.marketCap).toBe(27500000);
+		expect(trend.imageUrl).toBeUndefined();
+		expect(GeckoTerminalProvider.toNetwork('ethereum')).toBe('eth');
+		expect(GeckoTerminalProvider.toNetwork('solana')).toBe('solana');
+	});
+	
+	test('getTopTokens returns the busiest tokens first', async () => {
+		const top = await provider.getTopTokens(1);
+		
+		expect(top.length).toBe(1);
+		expect(top[0].baseToken.symbol).toBe('FTRND');
+	});
+	
+	test('getTokenPriceHistory returns hourly candles oldest first', async () => {
+		const [token] = (await provider.refreshData()).filter(t => t.chainId === 'solana');
+		const history = await provider.getTokenPriceHistory(token);
+		
+		expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('/networks/solana/pools/FixtGeckoPool1111111111111111111111111111111/ohlcv/hour?aggregate=1'));
+		expect(history.map(candle => candle.time)).toEqual([1760605200000, 1760608800000, 1760612400000]);
+		expect(history[2]).toEqual({
+			time: 1760612400000,
+			open: 0.00415,
+			high: 0.00425,
+			low: 0.0041,
+			close: 0.0042,
+			volume: 61230.9,
+			price: 0.0042
+		});
+		expect(await provider.getTokenPriceHistory({ chainId: 'solana' })).toBeNull();
+	});
+	
+	test('getTokenPriceHistory asks for the timeframe matching the resolution', async () => {
+		const [token] = (await provider.refreshData()).filter(t => t.chainId === 'solana');
+		
+		await provider.getTokenPriceHistory(token, '4h');
+		expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('/ohlcv/hour?aggregate=4'));
+		
+		await provider.getTokenPriceHistory(token, '5m');
+		expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('/ohlcv/minute?aggregate=5'));
+	});
+	
+	test('calculateTokenSize grows with market cap', async () => {
+		const data = await provider.refreshData();
+		const [big, small] = [...data].sort((a, b) => b.marketCap - a.marketCap);
+		
+		expect(provider.calculateTokenSize(big)).toBeGreaterThan(provider.calculateTokenSize(small));
+		expect(provider.calculateTokenSize(null)).toBe(0.7);
+	});
+	
+	test('formatMarketCap formats market cap correctly', () => {
+		expect(provider.formatMarketCap(0)).toBe('N/A');
+		expect(provider.formatMarketCap(4200000)).toBe('$4.20M');
+	});
+	
+	test('triggers callbacks when data is updated', async () => {
+		const mockCallback = jest.fn();
+		provider.registerUpdateCallback(mockCallback);
+		
+		await provider.refreshData();
+		
+		expect(mockCallback).toHaveBeenCalledTimes(1);
+		expect(mockCallback).toHaveBeenCalledWith(provider.tokenData);
+	});
+});
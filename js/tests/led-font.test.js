@@ -0,0 +1,70 @@
+/**
+ * LED Font Unit Tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LEDFont, createDefaultLEDFontRegistry, transliterate, DEFAULT_LED_FONT_ID } from '../visualizations/token-scoreboard/led-font.js';
+
+const LED_7_PATH = path.join(__dirname, '../../fonts/led/led-7.json');
+
+function loadLED7() {
+	return LEDFont.fromJSON(JSON.parse(fs.readFileSync(LED_7_PATH, 'utf-8')));
+}
+
+describe('LED fonts', () => {
+	test('loads the shipped 7-row font with every printable ASCII character', () => {
+		const font = loadLED7();
+		
+		expect(font.height).toBe(7);
+		for (let code = 32; code < 127; code++) {
+			expect(font.glyphs.has(String.fromCharCode(code))).toBe(true);
+		}
+		
+		// Lowercase keeps its own glyphs
+		expect(font.getGlyph('a')).not.toBe(font.getGlyph('A'));
+	});
+	
+	test('spaces glyphs by their own widths', () => {
+		const font = createDefaultLEDFontRegistry().get(DEFAULT_LED_FONT_ID);
+		
+		// '1' and '5' are 3 columns wide and '.' 1, with a column between each glyph
+		expect(font.measureText('1.5')).toBe(9);
+		expect(font.measureText('')).toBe(0);
+	});
+	
+	test('falls back to the other case, then a spelling, then the fallback glyph', () => {
+		const font = createDefaultLEDFontRegistry().get(DEFAULT_LED_FONT_ID);
+		
+		expect(font.getGlyphs('pepe')).toEqual(font.getGlyphs('PEPE'));
+		expect(font.getGlyphs('Café')).toEqual(font.getGlyphs('CAFE'));
+		expect(font.getGlyphs('ДОГ')).toEqual(font.getGlyphs('DOG'));
+		expect(font.getGlyphs('₿')).toEqual(font.getGlyphs('BTC'));
+		
+		// Emoji can't be spelled; variation selectors and joiners are dropped rather than drawn
+		const frog = font.getGlyphs('🐸️');
+		expect(frog).toHaveLength(1);
+		expect(frog[0]).toBe(font.fallback);
+	});
+	
+	test('transliterates accents, compatibility forms and known symbols', () => {
+		expect(transliterate('é')).toBe('e');
+		expect(transliterate('＄')).toBe('$');
+		expect(transliterate('Ξ')).toBe('ETH');
+		expect(transliterate('🚀')).toBe('🚀');
+	});
+	
+	test('picks the tallest font that fits the rows and columns available', () => {
+		const registry = createDefaultLEDFontRegistry().register(loadLED7());
+		
+		expect(registry.pickFont(12).id).toBe('led-7');
+		expect(registry.pickFont(6).id).toBe('led-5');
+		expect(registry.pickFont(3).id).toBe('led-5');
+		expect(registry.pickFont(7, 'WWWWWWWWWWWWWWWW', 60).id).toBe('led-5');
+	});
+	
+	test('rejects malformed font data', () => {
+		expect(() => LEDFont.fromJSON({ id: 'bad', height: 2, glyphs: { A: ['#.', '###'] } })).toThrow(/glyph "A"/);
+		expect(() => LEDFont.fromJSON({ height: 5, glyphs: {} })).toThrow();
+	});
+});
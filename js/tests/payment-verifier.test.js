@@ -0,0 +1,220 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Payment verification tests
+ * Runs the verifier and sponsorship routes against the local mock RPC and its canned transactions
+ */
+
+import { Readable } from 'stream';
+import { createMockRpcServer } from '../../server/mock-rpc.js';
+import { createPaymentVerifier } from '../../server/payment-verifier.js';
+import { createEvmPaymentVerifier } from '../../server/evm-payment-verifier.js';
+import { createSponsorshipLedger, createSponsorshipRoutes } from '../../server/sponsorship-ledger.js';
+import { buildTransferMessage, decodeBase58, encodeBase58 } from '../utils/solanaTransaction.js';
+
+const SENDER = '6anbDQNCcVh2f6okexjaX1VGj6tEnizJ1kV5UTBS8Zhi';
+const RECIPIENT = 'Borqy3dEjw9az7Uj9nW69A9ZDansFGHWEggUx7tkv44f';
+const TOKEN = { chainId: 'solana', tokenAddress: 'FixtMoon1111111111111111111111111111111111', baseToken: { symbol: 'FMOON' } };
+const TOKEN_KEY = `solana-token-${TOKEN.tokenAddress}`;
+
+// Canned transactions in server/fixtures/solana-rpc/transactions.json and evm-rpc/transactions.json
+const SIGNATURES = {
+	valid: '3pAqE74Zke1svHnqwVhCSZr3R4AfnM2WpQduhKRjBkQLFszcJ6rtnYE1t8cx7JPNUDG1H76xFgxUo6NZyJqvY5oU',
+	wrongRecipient: '3yYmhGMJijwqLCZpn9DAAg4VaJ18rXLqasvK6A56W78T6Mm84JmUx5iehiNCByjpvomiRhRiXpfWKLdBp7eCZLsm',
+	failed: '2qKM31LyPn7nsMNRCGtQvZw9xLwgghwEt2efZcD9aNz8W2Nr6bF6HXoTD4oBkTDUe7ojbg3XyEy9up7vNVD6idBH',
+	wrongMemo: '2kaags7WG8WqAm5kD7hgoLC4NSW55c98tmpwdCqySw4vfMkzD2M8YmeRHhYSpEtZYLY7z8tyNcy5AehZ7NkhESGK',
+	topUp: '5RP4591YwM9xtPGgbbjpkncRGLKTHExHenwLzGKqeSJhw8fACiWNHAUWgdqhbikyguMeiVHXxARduLVcDPnZs8PH'
+};
+
+const EVM_SENDER = '0xa11ce00000000000000000000000000000000001';
+const EVM_RECIPIENT = '0x5ca1ab1e000000000000000000000000000c0be5';
+const BASE_TOKEN = { chainId: 'base', tokenAddress: '0x0000000000000000000000000000000000b45e01', baseToken: { symbol: 'FBASE' } };
+const BASE_TOKEN_KEY = `base-token-${BASE_TOKEN.tokenAddress}`;
+const EVM_HASHES = {
+	valid: '0x00000000feed00000000000000000000000000000000000000000000b45e0001',
+	reverted: '0x00000000feed00000000000000000000000000000000000000000000b45e0002',
+	wrongMemo: '0x00000000feed00000000000000000000000000000000000000000000b45e0003'
+};
+
+/**
+ * Send a fake request through the routes and collect the JSON response
+ */
+function request(routes, method, url, body = null) {
+	return new Promise(resolve => {
+		const req = Readable.from(body ? [JSON.stringify(body)] : []);
+		Object.assign(req, { method, url, headers: {} });
+		
+		const res = {
+			writeHead(status) {
+				this.status = status;
+			},
+			end(data) {
+				this.body = JSON.parse(data);
+				resolve(this);
+			}
+		};
+		
+		routes.handle(req, res);
+	});
+}
+
+describe('Payment verifier', () => {
+	let rpcServer;
+	let verifier;
+	let evmVerifier;
+	
+	beforeAll(done => {
+		rpcServer = createMockRpcServer();
+		rpcServer.listen(0, () => {
+			const rpcUrl = `http://127.0.0.1:${rpcServer.address().port}/`;
+			verifier = createPaymentVerifier({ rpcUrl, recipient: RECIPIENT, attempts: 2, retryDelay: 0 });
+			evmVerifier = createEvmPaymentVerifier({ chainId: 'base', rpcUrl, recipient: EVM_RECIPIENT, attempts: 2, retryDelay: 0 });
+			done();
+		});
+	});
+	
+	afterAll(done => {
+		rpcServer.close(done);
+	});
+	
+	test('accepts a confirmed transfer with the token memo', async () => {
+		const payment = await verifier.verify(SIGNATURES.valid, { tokenKey: TOKEN_KEY, sender: SENDER });
+		
+		expect(payment.amount).toBe(0.2);
+		expect(payment.sender).toBe(SENDER);
+	});
+	
+	test('rejects transfers to another wallet', async () => {
+		await expect(verifier.verify(SIGNATURES.wrongRecipient, { tokenKey: TOKEN_KEY }))
+			.rejects.toThrow('no transfer to the sponsorship wallet');
+	});
+	
+	test('rejects failed transactions', async () => {
+		await expect(verifier.verify(SIGNATURES.failed, { tokenKey: TOKEN_KEY }))
+			.rejects.toThrow('failed on-chain');
+	});
+	
+	test('rejects a memo for a different token', async () => {
+		await expect(verifier.verify(SIGNATURES.wrongMemo, { tokenKey: TOKEN_KEY }))
+			.rejects.toThrow(`memo does not mention ${TOKEN_KEY}`);
+	});
+	
+	test('rejects a memo that only starts with the token\'s memo', async () => {
+		// Same payment, but sponsoring a token whose key extends this one
+		const signature = `${SIGNATURES.valid.slice(0, -1)}V`;
+		const transaction = JSON.parse(JSON.stringify(rpcServer.transactions[SIGNATURES.valid]));
+		transaction.transaction.signatures = [signature];
+		transaction.transaction.message.instructions[1].parsed += 'pump';
+		rpcServer.transactions[signature] = transaction;
+		
+		const hash = EVM_HASHES.valid.replace(/1$/, '4');
+		const evmTransaction = JSON.parse(JSON.stringify(rpcServer.evmTransactions[EVM_HASHES.valid]));
+		evmTransaction.transaction.hash = hash;
+		evmTransaction.transaction.input += Buffer.from('99').toString('hex');
+		rpcServer.evmTransactions[hash] = evmTransaction;
+		
+		await expect(verifier.verify(signature, { tokenKey: TOKEN_KEY }))
+			.rejects.toThrow(`memo does not mention ${TOKEN_KEY}`);
+		await expect(evmVerifier.verify(hash, { tokenKey: BASE_TOKEN_KEY }))
+			.rejects.toThrow(`memo does not mention ${BASE_TOKEN_KEY}`);
+	});
+	
+	test('rejects payments from someone other than the sponsor', async () => {
+		await expect(verifier.verify(SIGNATURES.valid, { tokenKey: TOKEN_KEY, sender: RECIPIENT }))
+			.rejects.toThrow('no transfer from the sponsor');
+	});
+	
+	test('gives up on transactions the RPC never returns', async () => {
+		await expect(verifier.verify('1'.repeat(88), { tokenKey: TOKEN_KEY }))
+			.rejects.toThrow('not found');
+	});
+	
+	test('records sponsorships only for verified, unused payments', async () => {
+		const routes = createSponsorshipRoutes(createSponsorshipLedger(), { verifiers: { solana: verifier } });
+		
+		const created = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: SENDER, signature: SIGNATURES.valid });
+		const replayed = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: SENDER, signature: SIGNATURES.valid });
+		const wrongMemo = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: SENDER, signature: SIGNATURES.wrongMemo });
+		const extended = await request(routes, 'POST', `/api/sponsorships/${created.body.sponsorship.id}/extend`, { signature: SIGNATURES.topUp, extendTime: true });
+		
+		expect(created.status).toBe(201);
+		expect(created.body.sponsorship.amountPaid).toBe(0.2);
+		expect(replayed.status).toBe(409);
+		expect(wrongMemo.status).toBe(402);
+		expect(extended.body.sponsorship.amountPaid).toBeCloseTo(0.3);
+		expect(extended.body.sponsorship.payments.map(p => p.signature)).toEqual([SIGNATURES.valid, SIGNATURES.topUp]);
+	});
+	
+	test('serves the payment config with a recent blockhash', async () => {
+		const routes = createSponsorshipRoutes(createSponsorshipLedger(), { verifiers: { solana: verifier } });
+		const res = await request(routes, 'GET', '/api/sponsorships/payment-config');
+		
+		expect(res.body).toEqual({
+			chainId: 'solana',
+			network: 'solana',
+			currency: 'SOL',
+			recipient: RECIPIENT,
+			memoPrefix: 'memecube:sponsor:',
+			basePaymentAmount: 0.1,
+			recentBlockhash: '4PVdFdF5tJn7VhcsCCv5sDkCHV9mHph78Rd3EHEtV4PB'
+		});
+	});
+	
+	test('accepts an EVM transfer with the token memo as calldata', async () => {
+		const payment = await evmVerifier.verify(EVM_HASHES.valid.toUpperCase().replace('0X', '0x'), { tokenKey: BASE_TOKEN_KEY, sender: EVM_SENDER });
+		
+		expect(payment.amount).toBe(0.006);
+		expect(payment.signature).toBe(EVM_HASHES.valid);
+	});
+	
+	test('rejects reverted EVM transactions and the wrong memo', async () => {
+		await expect(evmVerifier.verify(EVM_HASHES.reverted, { tokenKey: BASE_TOKEN_KEY }))
+			.rejects.toThrow('failed on-chain');
+		await expect(evmVerifier.verify(EVM_HASHES.wrongMemo, { tokenKey: BASE_TOKEN_KEY }))
+			.rejects.toThrow(`memo does not mention ${BASE_TOKEN_KEY}`);
+	});
+	
+	test('routes payments to the sponsored token\'s chain', async () => {
+		const routes = createSponsorshipRoutes(createSponsorshipLedger(), {
+			verifiers: { solana: verifier, base: evmVerifier }
+		});
+		
+		const baseConfig = await request(routes, 'GET', '/api/sponsorships/payment-config?chainId=base');
+		const fallbackConfig = await request(routes, 'GET', '/api/sponsorships/payment-config?chainId=arbitrum');
+		const onBase = await request(routes, 'POST', '/api/sponsorships', { token: BASE_TOKEN, userAddress: EVM_SENDER, signature: EVM_HASHES.valid });
+		const solanaOnBase = await request(routes, 'POST', '/api/sponsorships', { token: BASE_TOKEN, userAddress: SENDER, signature: SIGNATURES.valid });
+		
+		expect(baseConfig.body).toMatchObject({ network: 'evm', currency: 'ETH', evmChainId: 8453, basePaymentAmount: 0.003 });
+		expect(fallbackConfig.body).toMatchObject({ network: 'solana', currency: 'SOL' });
+		expect(onBase.status).toBe(201);
+		expect(onBase.body.sponsorship).toMatchObject({ currency: 'ETH', amountPaid: 0.006 });
+		expect(solanaOnBase.status).toBe(402);
+	});
+});
+
+describe('Solana transfer message', () => {
+	test('round-trips base58', () => {
+		const bytes = decodeBase58(RECIPIENT);
+		
+		expect(bytes.length).toBe(32);
+		expect(encodeBase58(bytes)).toBe(RECIPIENT);
+		expect(encodeBase58(Uint8Array.from([0, 0, 1]))).toBe('112');
+	});
+	
+	test('builds a transfer with a memo signed by the sender', () => {
+		const message = buildTransferMessage({
+			from: SENDER,
+			to: RECIPIENT,
+			lamports: 100000000,
+			memo: `memecube:sponsor:${TOKEN_KEY}`,
+			recentBlockhash: '4PVdFdF5tJn7VhcsCCv5sDkCHV9mHph78Rd3EHEtV4PB'
+		});
+		
+		// Header, then four account keys starting with the signer
+		expect(Array.from(message.slice(0, 4))).toEqual([1, 0, 2, 4]);
+		expect(encodeBase58(message.slice(4, 36))).toBe(SENDER);
+		expect(new TextDecoder().decode(message.slice(-`memecube:sponsor:${TOKEN_KEY}`.length))).toBe(`memecube:sponsor:${TOKEN_KEY}`);
+	});
+});
@@ -0,0 +1,118 @@
+/**
+ * PriceHistoryStore Unit Tests
+ */
+
+import { PriceHistoryStore } from '../data-providers/PriceHistoryStore.js';
+import { TokenDataProvider } from '../data-providers/TokenDataProvider.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const token = (address, priceUsd) => ({
+	chainId: 'solana',
+	tokenAddress: address,
+	baseToken: { address, symbol: address.toUpperCase() },
+	priceUsd: String(priceUsd),
+	volume: { h24: 1000 },
+	liquidity: { usd: 5000 },
+	marketCap: 20000
+});
+
+describe('PriceHistoryStore', () => {
+	let store;
+	let now;
+	
+	beforeEach(() => {
+		now = 1760000000000;
+		jest.spyOn(Date, 'now').mockImplementation(() => now);
+		
+		// Memory only, as jsdom has no IndexedDB
+		store = new PriceHistoryStore({ indexedDB: null, capacity: 3, maxSeries: 2, maxAge: 2 * HOUR });
+	});
+	
+	afterEach(async () => {
+		await store.clear();
+		jest.restoreAllMocks();
+	});
+	
+	test('keeps the newest samples in a ring buffer, oldest first', async () => {
+		for (let i = 0; i < 5; i++) {
+			await store.record([token('moon', i + 1)], now + i * MINUTE);
+		}
+		
+		const samples = await store.getSamples(token('moon', 1));
+		expect(samples.map(sample => sample.price)).toEqual([3, 4, 5]);
+		expect(samples[2]).toMatchObject({ volume: 1000, liquidity: 5000, marketCap: 20000 });
+	});
+	
+	test('drops samples closer together than minInterval and tokens without a price', async () => {
+		await store.record([token('moon', 1), token('dust', 0)], now);
+		await store.record([token('moon', 2)], now + 10 * 1000);
+		
+		expect((await store.getSamples('solana-token-moon')).map(sample => sample.price)).toEqual([1]);
+		expect(await store.getSamples('solana-token-dust')).toEqual([]);
+	});
+	
+	test('leaves out samples older than maxAge', async () => {
+		await store.record([token('moon', 1)], now - 3 * HOUR);
+		await store.record([token('moon', 2)], now - HOUR);
+		
+		expect((await store.getSamples('solana-token-moon')).map(sample => sample.price)).toEqual([2]);
+	});
+	
+	test('forgets the least recently updated tokens beyond maxSeries', async () => {
+		await store.record([token('moon', 1)], now);
+		await store.record([token('frog', 1)], now + MINUTE);
+		await store.record([token('dust', 1)], now + 2 * MINUTE);
+		
+		expect(await store.getSamples('solana-token-moon')).toEqual([]);
+		expect(await store.getSamples('solana-token-dust')).toHaveLength(1);
+	});
+});
+
+describe('TokenDataProvider recorded price history', () => {
+	class HistoryProvider extends TokenDataProvider {
+		constructor(candles) {
+			super();
+			this.candles = candles;
+			this.priceHistoryStore = new PriceHistoryStore({ indexedDB: null });
+		}
+		
+		async fetchTokenPriceHistory() {
+			return this.candles;
+		}
+	}
+	
+	const moon = token('moon', 1);
+	const start = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR;
+	
+	test('falls back to recorded prices when the upstream has none', async () => {
+		const provider = new HistoryProvider(null);
+		await provider.priceHistoryStore.record([token('moon', 1)], start);
+		await provider.priceHistoryStore.record([token('moon', 2)], start + 30 * MINUTE);
+		await provider.priceHistoryStore.record([token('moon', 3)], start + HOUR);
+		
+		const history = await provider.getTokenPriceHistory(moon);
+		
+		expect(history).toEqual([
+			{ time: start, open: 1, high: 2, low: 1, close: 2, volume: 0, price: 2 },
+			{ time: start + HOUR, open: 2, high: 3, low: 2, close: 3, volume: 0, price: 3 }
+		]);
+	});
+	
+	test('prefers upstream candles for the periods they cover', async () => {
+		const upstream = { time: start + HOUR, open: 5, high: 6, low: 4, close: 5.5, volume: 100, price: 5.5 };
+		const provider = new HistoryProvider([upstream]);
+		await provider.priceHistoryStore.record([token('moon', 1)], start);
+		await provider.priceHistoryStore.record([token('moon', 3)], start + HOUR);
+		
+		const history = await provider.getTokenPriceHistory(moon);
+		
+		expect(history.map(candle => candle.time)).toEqual([start, start + HOUR]);
+		expect(history[1]).toBe(upstream);
+	});
+	
+	test('returns null with neither upstream nor recorded history', async () => {
+		expect(await new HistoryProvider([]).getTokenPriceHistory(moon)).toBeNull();
+	});
+});
@@ -0,0 +1,134 @@
+/**
+ * PumpFunProvider Unit Tests
+ * Responses come from the fixtures the offline proxy serves (server/fixtures/pumpfun)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PumpFunProvider } from '../data-providers/PumpFunProvider.js';
+
+const FIXTURES_DIR = path.join(__dirname, '../../server/fixtures/pumpfun');
+
+function loadFixture(file) {
+	return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'));
+}
+
+describe('PumpFunProvider', () => {
+	let provider;
+	
+	beforeEach(() => {
+		provider = new PumpFunProvider({ priceHistoryStore: null });
+		
+		// Serve the fixture matching the requested endpoint
+		global.fetch = jest.fn(async (url) => {
+			const file = url.includes('/candlesticks/')
+				? 'candlesticks/FixtFrog1111111111111111111111111111111pump.json'
+				: 'coins.json';
+			return { ok: true, json: jest.fn().mockResolvedValue(loadFixture(file)) };
+		});
+	});
+	
+	afterEach(() => {
+		jest.clearAllMocks();
+	});
+	
+	test('initializes with correct defaults', () => {
+		expect(provider.apiEndpoint).toBe('https://frontend-api-v3.pump.fun');
+		expect(provider.fetchInterval).toBe(15000);
+		expect(provider.tokenData).toEqual([]);
+	});
+	
+	test('refreshData normalizes launches into DexScreener-shaped tokens', async () => {
+		const data = await provider.refreshData();
+		
+		expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/coins?offset=0&limit=50&sort=created_timestamp&order=DESC'));
+		
+		expect(data.length).toBe(2);
+		const [frog, graduate] = data;
+		
+		// Newest launch first
+		expect(frog.baseToken.symbol).toBe('FFROG');
+		expect(frog.chainId).toBe('solana');
+		expect(frog.tokenAddress).toBe('FixtFrog1111111111111111111111111111111pump');
+		expect(frog.pairAddress).toBe('FixtFrogCurve111111111111111111111111111111');
+		expect(frog.marketCap).toBe(7860);
+		expect(parseFloat(frog.priceUsd)).toBeCloseTo(0.00000786, 12);
+		expect(frog.priceChange.h24).toBe(0);
+		expect(frog.links.twitter).toBe('https://x.com/fixturefrog');
+		expect(frog.dataSource).toBe('pumpfun');
+		
+		// Graduated tokens trade in their Raydium pool
+		expect(graduate.graduated).toBe(true);
+		expect(graduate.pairAddress).toBe('FixtGradPool1111111111111111111111111111111');
+	});
+	
+	test('derives liquidity from the SOL held by the bonding curve', async () => {
+		const [frog] = await provider.refreshData();
+		
+		expect(provider.solPriceUsd).toBeCloseTo(150, 6);
+		expect(frog.liquidity.usd).toBeCloseTo(12.5 * 150, 6);
+	});
+	
+	test('converts liquidity at the list\'s SOL price even for coins listed before one that reports it', () => {
+		const [frog, graduate] = loadFixture('coins.json');
+		const [unpriced] = provider.processData([{ ...frog, market_cap: 0, usd_market_cap: 0 }, graduate]);
+		
+		expect(provider.solPriceUsd).toBeCloseTo(graduate.usd_market_cap / graduate.market_cap, 6);
+		expect(unpriced.liquidity.usd).toBeCloseTo(12.5 * provider.solPriceUsd, 6);
+	});
+	
+	test('getTopTokens returns the newest launches', async () => {
+		const top = await provider.getTopTokens(1);
+		
+		expect(top.length).toBe(1);
+		expect(top[0].baseToken.symbol).toBe('FFROG');
+	});
+	
+	test('getTokenPriceHistory converts SOL candles to USD', async () => {
+		const [frog] = await provider.refreshData();
+		const history = await provider.getTokenPriceHistory(frog);
+		
+		expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('/candlesticks/FixtFrog1111111111111111111111111111111pump'));
+		// Hourly by default, so the candles are aligned to the hour
+		expect(history.map(point => point.time)).toEqual([1760608800000, 1760612400000]);
+		expect(history[1].price).toBeCloseTo(0.00000005 * 150, 12);
+	});
+	
+	test('getTokenPriceHistory merges 5 minute candles into the requested resolution', async () => {
+		const [frog] = await provider.refreshData();
+		const history = await provider.getTokenPriceHistory(frog, '4h');
+		const [candle] = history;
+		
+		expect(history.length).toBe(1);
+		expect(candle.time).toBe(1760612100000 - 1760612100000 % (4 * 3600000));
+		expect(candle.open).toBeCloseTo(0.00000003 * 150, 12);
+		expect(candle.high).toBeCloseTo(0.000000055 * 150, 12);
+		expect(candle.low).toBeCloseTo(0.00000003 * 150, 12);
+		expect(candle.close).toBeCloseTo(0.00000005 * 150, 12);
+		expect(candle.volume).toBeCloseTo(180 * 0.00000004 * 150 + 240 * 0.00000005 * 150, 9);
+	});
+	
+	test('calculateTokenSize favours graduated and fresh launches', () => {
+		const base = { marketCap: 20000, pairCreatedAt: Date.now() - 3 * 60 * 60 * 1000 };
+		
+		const plain = provider.calculateTokenSize(base);
+		expect(provider.calculateTokenSize({ ...base, graduated: true })).toBeGreaterThan(plain);
+		expect(provider.calculateTokenSize({ ...base, pairCreatedAt: Date.now() })).toBeGreaterThan(plain);
+		expect(provider.calculateTokenSize({ ...base, marketCap: 60000 })).toBeGreaterThan(plain);
+	});
+	
+	test('formatMarketCap formats market cap correctly', () => {
+		expect(provider.formatMarketCap(null)).toBe('N/A');
+		expect(provider.formatMarketCap(7860)).toBe('$7.86K');
+	});
+	
+	test('triggers callbacks when data is updated', async () => {
+		const mockCallback = jest.fn();
+		provider.registerUpdateCallback(mockCallback);
+		
+		await provider.refreshData();
+		
+		expect(mockCallback).toHaveBeenCalledTimes(1);
+		expect(mockCallback).toHaveBeenCalledWith(provider.tokenData);
+	});
+});
@@ -0,0 +1,29 @@
+/**
+ * Registry Unit Tests
+ */
+
+import { Registry } from '../utils/registry.js';
+
+describe('Registry', () => {
+	const validate = entry => {
+		if (!entry || !entry.id) throw new Error('Entries need an id');
+	};
+	
+	test('registers, replaces and lists entries in registration order', () => {
+		const registry = new Registry(validate)
+			.register({ id: 'a', value: 1 })
+			.register({ id: 'b', value: 2 })
+			.register({ id: 'a', value: 3 });
+		
+		expect(registry.list()).toEqual([{ id: 'a', value: 3 }, { id: 'b', value: 2 }]);
+		expect(registry.get('b').value).toBe(2);
+		expect(registry.get('missing')).toBeNull();
+	});
+	
+	test('refuses entries its validator rejects', () => {
+		const registry = new Registry(validate);
+		
+		expect(() => registry.register({ value: 1 })).toThrow('Entries need an id');
+		expect(registry.list()).toEqual([]);
+	});
+});
@@ -0,0 +1,129 @@
+/**
+ * RequestScheduler Unit Tests
+ */
+
+import { RequestScheduler } from '../data-providers/RequestScheduler.js';
+
+/**
+ * Build a fetch response like the browser's
+ */
+function respond(status, body = {}, headers = {}) {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		headers: { get: (name) => headers[name] ?? null },
+		json: async () => body
+	};
+}
+
+describe('RequestScheduler', () => {
+	beforeEach(() => {
+		jest.useFakeTimers();
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+		global.fetch = jest.fn(async () => respond(200, { ok: true }));
+	});
+	
+	afterEach(() => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+	});
+	
+	test('shares one request between identical in-flight URLs', async () => {
+		const scheduler = new RequestScheduler();
+		
+		const results = await Promise.all([
+			scheduler.fetchJson('https://api.example.com/a'),
+			scheduler.fetchJson('https://api.example.com/a'),
+			scheduler.fetchJson('https://api.example.com/b')
+		]);
+		
+		expect(results).toEqual([{ ok: true }, { ok: true }, { ok: true }]);
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+	
+	test('caps concurrent requests per host', async () => {
+		const pending = [];
+		global.fetch = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+		const scheduler = new RequestScheduler({ defaultLimit: { concurrency: 2, requestsPerMinute: 600, burst: 10 } });
+		
+		const requests = ['a', 'b', 'c'].map(path => scheduler.fetchJson(`https://api.example.com/${path}`));
+		scheduler.fetchJson('https://other.example.com/d');
+		await Promise.resolve();
+		
+		// Two on api.example.com, and the other host isn't held up by them
+		expect(fetch.mock.calls.map(call => call[0])).toEqual([
+			'https://api.example.com/a',
+			'https://api.example.com/b',
+			'https://other.example.com/d'
+		]);
+		
+		pending.shift()(respond(200, 'a'));
+		await requests[0];
+		expect(fetch).toHaveBeenLastCalledWith('https://api.example.com/c');
+	});
+	
+	test('waits for the token bucket to refill', async () => {
+		const scheduler = new RequestScheduler({ defaultLimit: { concurrency: 5, requestsPerMinute: 60, burst: 2 } });
+		
+		['a', 'b', 'c'].forEach(path => scheduler.fetchJson(`https://api.example.com/${path}`));
+		await Promise.resolve();
+		expect(fetch).toHaveBeenCalledTimes(2);
+		
+		// One token a second
+		await jest.advanceTimersByTimeAsync(1000);
+		expect(fetch).toHaveBeenCalledTimes(3);
+	});
+	
+	test('honours Retry-After and pauses the whole host on 429', async () => {
+		global.fetch = jest.fn()
+			.mockResolvedValueOnce(respond(429, {}, { 'Retry-After': '5' }))
+			.mockResolvedValue(respond(200, { ok: true }));
+		const scheduler = new RequestScheduler();
+		
+		const first = scheduler.fetchJson('https://api.example.com/a');
+		await jest.advanceTimersByTimeAsync(0);
+		const second = scheduler.fetchJson('https://api.example.com/b');
+		
+		await jest.advanceTimersByTimeAsync(4900);
+		expect(fetch).toHaveBeenCalledTimes(1);
+		
+		await jest.advanceTimersByTimeAsync(200);
+		await expect(first).resolves.toEqual({ ok: true });
+		await expect(second).resolves.toEqual({ ok: true });
+	});
+	
+	test('backs off exponentially and gives up after maxRetries', async () => {
+		global.fetch = jest.fn(async () => respond(503));
+		jest.spyOn(Math, 'random').mockReturnValue(0.5);
+		const scheduler = new RequestScheduler({ maxRetries: 2, baseDelay: 100 });
+		
+		const request = scheduler.fetchJson('https://api.example.com/a');
+		const failed = expect(request).rejects.toMatchObject({ status: 503 });
+		
+		await jest.advanceTimersByTimeAsync(99);
+		expect(fetch).toHaveBeenCalledTimes(1);
+		await jest.advanceTimersByTimeAsync(1);
+		expect(fetch).toHaveBeenCalledTimes(2);
+		await jest.advanceTimersByTimeAsync(200);
+		expect(fetch).toHaveBeenCalledTimes(3);
+		
+		await failed;
+	});
+	
+	test('does not retry client errors', async () => {
+		global.fetch = jest.fn(async () => respond(404));
+		const scheduler = new RequestScheduler();
+		
+		await expect(scheduler.fetchJson('https://api.example.com/missing')).rejects.toThrow('HTTP error! status: 404');
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+	
+	test('parses Retry-After in seconds or as a date', () => {
+		const scheduler = new RequestScheduler();
+		
+		expect(scheduler.parseRetryAfter('2')).toBe(2000);
+		expect(scheduler.parseRetryAfter(new Date(Date.now() + 3000).toUTCString())).toBeGreaterThan(1000);
+		expect(scheduler.parseRetryAfter(null)).toBeNull();
+		expect(scheduler.parseRetryAfter('soon')).toBeNull();
+	});
+});
@@ -0,0 +1,83 @@
+/**
+ * RiskService Unit Tests
+ */
+
+import { RiskService, scoreTokenRisk, describeRisk, hasSocialLinks } from '../services/RiskService.js';
+
+const NOW = Date.UTC(2024, 0, 1);
+
+const token = (overrides = {}) => ({
+	chainId: 'solana',
+	tokenAddress: 'FixtRisk1111111111111111111111111111111111',
+	baseToken: { address: 'FixtRisk1111111111111111111111111111111111', symbol: 'RISK' },
+	liquidity: { usd: 100000 },
+	marketCap: 1000000,
+	txns: { h24: { buys: 60, sells: 40 } },
+	pairCreatedAt: NOW - 30 * 86400000,
+	info: { socials: [{ type: 'twitter', url: 'https://x.com/fixtrisk' }] },
+	dataSource: 'dexscreener',
+	...overrides
+});
+
+const flagIds = risk => risk.flags.map(flag => flag.id);
+
+describe('RiskService', () => {
+	test('an established, balanced token with socials is low risk', () => {
+		const risk = scoreTokenRisk(token(), { now: NOW });
+		expect(risk).toEqual({ score: 0, level: 'low', flags: [] });
+		expect(describeRisk(risk)).toBe('');
+	});
+	
+	test('flags one-sided trading, young pairs, missing socials and thin liquidity', () => {
+		const risk = scoreTokenRisk(token({
+			txns: { h24: { buys: 95, sells: 5 } },
+			pairCreatedAt: NOW - 10 * 60000,
+			info: undefined,
+			liquidity: { usd: 20000 }
+		}), { now: NOW });
+		
+		expect(flagIds(risk)).toEqual(['tradeImbalance', 'youngPair', 'noSocials', 'thinLiquidity']);
+		expect(risk.flags[0].label).toBe('NO SELLS');
+		expect(risk.score).toBe(75);
+		expect(risk.level).toBe('high');
+		expect(describeRisk(risk)).toBe('RISK 75: NO SELLS, NEW PAIR, THIN LIQ, NO SOCIALS');
+		
+		// Too few trades to call an imbalance, and a day-old pair counts for less
+		const quieter = scoreTokenRisk(token({ txns: { h24: { buys: 0, sells: 10 } }, pairCreatedAt: NOW - 5 * 3600000 }), { now: NOW });
+		expect(flagIds(quieter)).toEqual(['youngPair']);
+		expect(quieter.flags[0].label).toBe('YOUNG PAIR');
+		expect(quieter.level).toBe('low');
+	});
+	
+	test('only flags missing socials for sources that report them', () => {
+		expect(hasSocialLinks(token({ info: undefined, links: { twitter: undefined, website: 'https://fixt.example' } }))).toBe(true);
+		expect(hasSocialLinks(token({ info: { socials: [], websites: [] } }))).toBe(false);
+		
+		expect(flagIds(scoreTokenRisk(token({ info: undefined, dataSource: 'geckoterminal' }), { now: NOW }))).toEqual([]);
+		expect(flagIds(scoreTokenRisk(token({ info: undefined, dataSource: 'pumpfun' }), { now: NOW }))).toEqual(['noSocials']);
+	});
+	
+	test('spots liquidity pulled since the peak it observed', () => {
+		const service = new RiskService();
+		service.observe([token({ liquidity: { usd: 100000 } })], NOW - 20 * 60000);
+		service.observe([token({ liquidity: { usd: 80000 } })], NOW - 10 * 60000);
+		
+		expect(flagIds(service.getRisk(token({ liquidity: { usd: 80000 } }), NOW))).toEqual([]);
+		
+		const pulled = service.getRisk(token({ liquidity: { usd: 30000 } }), NOW);
+		expect(flagIds(pulled)).toContain('liquidityPull');
+		expect(pulled.flags[0].detail).toBe('Liquidity down 70% from its recent peak');
+		expect(pulled.level).toBe('medium');
+	});
+	
+	test('forgets peaks older than the window', () => {
+		const service = new RiskService({ peakWindowMs: 60000 });
+		service.observe([token({ liquidity: { usd: 100000 } })], NOW - 120000);
+		
+		expect(flagIds(service.getRisk(token({ liquidity: { usd: 30000 } }), NOW))).not.toContain('liquidityPull');
+		
+		// An expired peak is replaced by the next observation, even a lower one
+		service.observe([token({ liquidity: { usd: 30000 } })], NOW);
+		expect(service.peaks.get('solana-token-FixtRisk1111111111111111111111111111111111')).toEqual({ liquidity: 30000, time: NOW });
+	});
+});
@@ -0,0 +1,31 @@
+/**
+ * Scoreboard Chart Unit Tests
+ */
+
+import { resampleSeries, getSeriesLevels, getBuySellSplit } from '../visualizations/token-scoreboard/utils.js';
+
+describe('Scoreboard chart helpers', () => {
+	test('resamples a series to one point per column, interpolating between values', () => {
+		expect(resampleSeries([0, 10], 5)).toEqual([0, 2.5, 5, 7.5, 10]);
+		expect(resampleSeries([0, 10, 20, 30, 40], 3)).toEqual([0, 20, 40]);
+		expect(resampleSeries([4], 3)).toEqual([4, 4, 4]);
+		expect(resampleSeries([1, 'bad', 3], 2)).toEqual([1, 3]);
+		expect(resampleSeries([], 10)).toEqual([]);
+		expect(resampleSeries(null, 10)).toEqual([]);
+	});
+	
+	test('scales a series to rows with the low at the bottom and the high at the top', () => {
+		expect(getSeriesLevels([5, 10, 7.5], 9)).toEqual([0, 8, 4]);
+		expect(getSeriesLevels([3, 3, 3], 8)).toEqual([3, 3, 3]);
+		expect(getSeriesLevels([], 8)).toEqual([]);
+	});
+	
+	test('splits trades into buys and sells from the longest window with trades', () => {
+		expect(getBuySellSplit({ txns: { h24: { buys: 30, sells: 10 }, h1: { buys: 1, sells: 1 } } }))
+			.toEqual({ buys: 30, sells: 10, buyShare: 0.75, window: 'h24' });
+		expect(getBuySellSplit({ txns: { h24: { buys: 0, sells: 0 }, h1: { buys: 2, sells: 3 } } }))
+			.toEqual({ buys: 2, sells: 3, buyShare: 0.4, window: 'h1' });
+		expect(getBuySellSplit({ txns: {} })).toBeNull();
+		expect(getBuySellSplit({})).toBeNull();
+	});
+});
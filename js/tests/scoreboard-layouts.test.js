@@ -0,0 +1,76 @@
+/**
+ * Scoreboard Layout Unit Tests
+ */
+
+import {
+	ScoreboardLayoutRegistry,
+	createDefaultScoreboardLayoutRegistry,
+	formatLayoutCell,
+	getLayoutLines,
+	sortScoreboardTokens
+} from '../visualizations/token-scoreboard/scoreboard-layouts.js';
+import { formatAge } from '../visualizations/token-scoreboard/utils.js';
+
+const NOW = 1700000000000;
+
+const token = {
+	baseToken: { symbol: 'PEPE' },
+	priceUsd: '1.5',
+	priceChange: { m5: -2.5, h24: 42 },
+	volume: { h24: 250000 },
+	liquidity: { usd: 80000 },
+	pairCreatedAt: NOW - 30 * 60000,
+	txns: { h24: { buys: 30, sells: 10 } }
+};
+
+describe('Scoreboard layouts', () => {
+	test('formats cells with units, labels and colours from the field', () => {
+		expect(formatLayoutCell({ field: 'symbol' }, token)).toEqual({ text: '$PEPE', color: 'cyan', align: 'left' });
+		expect(formatLayoutCell({ field: 'price', align: 'right' }, token)).toEqual({ text: '$1.5000', color: 'yellow', align: 'right' });
+		expect(formatLayoutCell({ field: 'change5m' }, token).text).toBe('-2.5%');
+		expect(formatLayoutCell({ field: 'change24h' }, token).color).toBe('green');
+		expect(formatLayoutCell({ field: 'volume24h', label: 'V', unit: '' }, token).text).toBe('V250.00K');
+		expect(formatLayoutCell({ field: 'buyShare', color: 'white' }, token)).toEqual({ text: '75%', color: 'white', align: 'left' });
+		expect(formatLayoutCell({ field: 'age' }, token, { now: NOW })).toEqual({ text: '30m', color: 'magenta', align: 'left' });
+		expect(formatLayoutCell({ field: 'marketCap', label: 'MC' }, token)).toEqual({ text: 'MCN/A', color: 'white', align: 'left' });
+	});
+	
+	test('registers the presets and falls back to normal lines for other size modes', () => {
+		const registry = createDefaultScoreboardLayoutRegistry();
+		expect(registry.list().map(layout => layout.id)).toEqual(['price', 'volume', 'new-launch']);
+		expect(registry.get('missing')).toBeNull();
+		
+		const price = registry.get('price');
+		expect(getLayoutLines(price, 'tall')).toBe(price.modes.normal);
+		expect(getLayoutLines(registry.get('volume'), 'tall')).toHaveLength(3);
+	});
+	
+	test('rejects layouts with unknown fields or alignments', () => {
+		const registry = new ScoreboardLayoutRegistry();
+		expect(() => registry.register({ id: 'empty', modes: {} })).toThrow('at least one line');
+		expect(() => registry.register({ id: 'bad', modes: { normal: [[{ field: 'nope' }]] } }))
+			.toThrow('Scoreboard layout bad: unknown field "nope" in normal mode');
+		expect(() => registry.register({ id: 'bad', modes: { normal: [[{ field: 'price', align: 'middle' }]] } }))
+			.toThrow('align must be one of');
+	});
+	
+	test('sorts tokens highest first with missing values last, keeping provider order for ties', () => {
+		const tokens = [
+			{ id: 'a', volume: { h24: 10 } },
+			{ id: 'b' },
+			{ id: 'c', volume: { h24: '300' } },
+			{ id: 'd', volume: { h24: 10 } }
+		];
+		
+		expect(sortScoreboardTokens(tokens, 'volume').map(t => t.id)).toEqual(['c', 'a', 'd', 'b']);
+		expect(sortScoreboardTokens(tokens, 'provider').map(t => t.id)).toEqual(['a', 'b', 'c', 'd']);
+		expect(sortScoreboardTokens(tokens, 'unknown')).not.toBe(tokens);
+	});
+	
+	test('formats pair ages in the largest whole unit', () => {
+		expect(formatAge(NOW - 5 * 60000, NOW)).toBe('5m');
+		expect(formatAge(NOW - 3 * 3600000, NOW)).toBe('3h');
+		expect(formatAge(NOW - 12 * 86400000, NOW)).toBe('12d');
+		expect(formatAge(undefined, NOW)).toBe('N/A');
+	});
+});
@@ -0,0 +1,116 @@
+/**
+ * Scoreboard Program Unit Tests
+ */
+
+import {
+	ScoreboardEventFeed,
+	ScoreboardPlaylist,
+	createDefaultScoreboardProgramRegistry,
+	getMarqueeSegments
+} from '../visualizations/token-scoreboard/scoreboard-programs.js';
+
+const NOW = 1700000000000;
+
+function makeToken(address, symbol, fields = {}) {
+	return { chainId: 'solana', tokenAddress: address, baseToken: { symbol }, ...fields };
+}
+
+describe('Scoreboard event feed', () => {
+	test('treats the first refresh as a baseline', () => {
+		const feed = new ScoreboardEventFeed();
+		const events = feed.update([makeToken('a', 'FOO', { priceChange: { m5: 50 }, pairCreatedAt: NOW })], { now: NOW });
+		
+		expect(events).toEqual([]);
+		expect(feed.getRecent(NOW)).toEqual([]);
+	});
+	
+	test('announces big 5m moves once, launches and new sponsorships', () => {
+		const feed = new ScoreboardEventFeed();
+		const sponsored = new Set();
+		const isSponsored = token => sponsored.has(token.tokenAddress);
+		
+		feed.update([makeToken('a', 'FOO', { priceChange: { m5: 3 } }), makeToken('b', 'BAR')], { now: NOW, isSponsored });
+		
+		sponsored.add('b');
+		const events = feed.update([
+			makeToken('a', 'FOO', { priceChange: { m5: 42 } }),
+			makeToken('b', 'BAR'),
+			makeToken('c', 'NEW', { pairCreatedAt: NOW - 60000, liquidity: { usd: 80000 } }),
+			makeToken('d', 'OLD', { pairCreatedAt: NOW - 86400000 })
+		], { now: NOW + 1000, isSponsored });
+		
+		expect(events.map(({ type, text, color }) => ({ type, text, color }))).toEqual([
+			{ type: 'move', text: '$FOO +42% in 5m', color: 'green' },
+			{ type: 'sponsored', text: '$BAR SPONSORED', color: 'yellow' },
+			{ type: 'launch', text: 'NEW $NEW LIQ $80.00K', color: 'magenta' }
+		]);
+		
+		// Still over the threshold and still sponsored: nothing new
+		const repeat = feed.update([
+			makeToken('a', 'FOO', { priceChange: { m5: 45 } }),
+			makeToken('b', 'BAR')
+		], { now: NOW + 2000, isSponsored });
+		expect(repeat).toEqual([]);
+		expect(feed.getRecent(NOW + 2000)).toHaveLength(3);
+	});
+	
+	test('drops events once they are too old or there are too many', () => {
+		const feed = new ScoreboardEventFeed({ maxEvents: 2, lifetime: 60000 });
+		feed.update([makeToken('a', 'A'), makeToken('b', 'B'), makeToken('c', 'C')], { now: NOW });
+		feed.update([
+			makeToken('a', 'A', { priceChange: { m5: -30 } }),
+			makeToken('b', 'B', { priceChange: { m5: 25 } }),
+			makeToken('c', 'C', { priceChange: { m5: 99 } })
+		], { now: NOW });
+		
+		expect(feed.getRecent(NOW).map(event => event.text)).toEqual(['$A -30% in 5m', '$B +25% in 5m']);
+		expect(feed.getRecent(NOW + 60000)).toEqual([]);
+	});
+});
+
+describe('Scoreboard playlist', () => {
+	const entries = [
+		{ program: 'list', duration: 1000 },
+		{ program: 'events', duration: 500 },
+		{ program: 'marquee', duration: 2000 }
+	];
+	
+	test('plays each entry for its duration and loops', () => {
+		const playlist = new ScoreboardPlaylist(entries);
+		
+		expect(playlist.update(0).program).toBe('list');
+		expect(playlist.update(999).program).toBe('list');
+		expect(playlist.update(1000).program).toBe('events');
+		expect(playlist.update(1500).program).toBe('marquee');
+		expect(playlist.update(3500).program).toBe('list');
+	});
+	
+	test('skips programs with nothing to show', () => {
+		const playlist = new ScoreboardPlaylist(entries);
+		const isAvailable = id => id !== 'events';
+		
+		expect(playlist.update(0, isAvailable).program).toBe('list');
+		expect(playlist.update(1000, isAvailable).program).toBe('marquee');
+		expect(playlist.update(1000, () => false)).toBeNull();
+		expect(() => new ScoreboardPlaylist([])).toThrow('at least one entry');
+	});
+});
+
+describe('Scoreboard programs', () => {
+	test('registers the built-in programs', () => {
+		const registry = createDefaultScoreboardProgramRegistry();
+		expect(registry.list().map(program => program.id)).toEqual(['list', 'marquee', 'big-number', 'events']);
+		expect(registry.get('missing')).toBeNull();
+		expect(() => registry.register({ id: 'broken' })).toThrow('draw function');
+	});
+	
+	test('builds marquee text from symbol, price and 24h change', () => {
+		const segments = getMarqueeSegments([makeToken('a', 'FOO', { priceUsd: '2', priceChange: { h24: -4.5 } })]);
+		expect(segments).toEqual([
+			{ text: '$FOO ', color: 'cyan' },
+			{ text: '$2.0000 ', color: 'yellow' },
+			{ text: '-4.5%', color: 'red' },
+			{ text: '  ·  ', color: 'white' }
+		]);
+	});
+});
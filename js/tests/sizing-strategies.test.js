@@ -0,0 +1,79 @@
+/**
+ * Tag Sizing Strategy Unit Tests
+ */
+
+import { createDefaultSizingRegistry, SizingStrategyRegistry, logScaleSize, DEFAULT_SIZING_STRATEGY } from '../interactions/tag-cluster/sizing-strategies.js';
+
+const context = { minTagSize: 1, maxTagSize: 5, initialToken: null };
+
+const token = (overrides = {}) => ({
+	chainId: 'solana',
+	tokenAddress: 'FixtSize1111111111111111111111111111111111',
+	marketCap: 10_000_000,
+	liquidity: { usd: 31_623 },
+	volume: { h24: 100_000 },
+	priceChange: { h24: 2 },
+	...overrides
+});
+
+describe('Tag sizing strategies', () => {
+	const registry = createDefaultSizingRegistry();
+	const size = (id, data, extra = {}) => registry.get(id).size(data, { ...context, ...extra });
+	
+	test('registers the built-in strategies in order, with market cap as the default', () => {
+		expect(registry.list().map(strategy => strategy.id)).toEqual(['marketCap', 'volume', 'liquidity', 'holdersGrowth', 'sponsorship', 'momentum']);
+		expect(registry.get(DEFAULT_SIZING_STRATEGY).label).toBe('Market cap');
+		expect(registry.get('nope')).toBeNull();
+	});
+	
+	test('maps values onto the size scale logarithmically', () => {
+		expect(logScaleSize(1_000, 1_000, 1_000_000, context)).toBeCloseTo(1);
+		expect(logScaleSize(31_623, 1_000, 1_000_000, context)).toBeCloseTo(3, 3);
+		expect(logScaleSize(1_000_000, 1_000, 1_000_000, context)).toBeCloseTo(5);
+		expect(logScaleSize(1, 1_000, 1_000_000, context)).toBeCloseTo(logScaleSize(100, 1_000, 1_000_000, context));
+		expect(logScaleSize(0, 1_000, 1_000_000, context)).toBeNull();
+	});
+	
+	test('market cap sizing falls back to liquidity and grows with big price moves', () => {
+		expect(size('marketCap', token())).toBeCloseTo(3);
+		expect(size('marketCap', token({ marketCap: 0, fdv: 0 }))).toBeCloseTo(3, 3);
+		expect(size('marketCap', token({ priceChange: { h24: -80 } }))).toBeCloseTo(3 * 1.3);
+		expect(size('marketCap', {})).toBe(1);
+	});
+	
+	test('market cap sizing gives high risk tokens no bonus for big price moves', () => {
+		const crashing = token({ priceChange: { h24: -80 } });
+		
+		expect(size('marketCap', crashing, { risk: { score: 60, level: 'high', flags: [] } })).toBeCloseTo(3);
+		expect(size('marketCap', crashing, { risk: { score: 30, level: 'medium', flags: [] } })).toBeCloseTo(3 * 1.3);
+	});
+	
+	test('volume, liquidity and momentum fall back to the smallest size without data', () => {
+		expect(size('volume', token())).toBeCloseTo(2.6);
+		expect(size('liquidity', token())).toBeCloseTo(3, 3);
+		expect(size('momentum', token({ priceChange: { h24: -10 } }))).toBeCloseTo(2.6);
+		
+		expect(size('volume', token({ volume: undefined }))).toBe(1);
+		expect(size('liquidity', token({ liquidity: undefined }))).toBe(1);
+		expect(size('momentum', token({ priceChange: { h24: 0 } }))).toBe(1);
+	});
+	
+	test('holder growth uses the reported change or the count when the tag was created', () => {
+		expect(size('holdersGrowth', token({ holdersChange: { h24: 50 } }))).toBe(3);
+		expect(size('holdersGrowth', token({ holders: 300 }), { initialToken: token({ holders: 100 }) })).toBe(5);
+		expect(size('holdersGrowth', token({ holders: 80 }), { initialToken: token({ holders: 100 }) })).toBe(1);
+		expect(size('holdersGrowth', token())).toBe(1);
+	});
+	
+	test('sponsorship-only sizing makes every tag the same size', () => {
+		expect(size('sponsorship', token())).toBe(1);
+		expect(size('sponsorship', token({ marketCap: 1e9 }))).toBe(1);
+	});
+	
+	test('registers custom strategies and rejects ones without a size function', () => {
+		const custom = new SizingStrategyRegistry().register({ id: 'flat', label: 'Flat', size: () => 2 });
+		expect(custom.get('flat').size(token(), context)).toBe(2);
+		
+		expect(() => custom.register({ id: 'broken' })).toThrow('Sizing strategies need an id and a size function');
+	});
+});
@@ -0,0 +1,56 @@
+/**
+ * SponsoredTokenService Unit Tests
+ */
+
+import { SponsoredTokenService } from '../services/SponsoredTokenService.js';
+
+const SERVER_NOW = 1700000000000;
+
+const ledgerResponse = (sponsorships) => ({
+	ok: true,
+	json: async () => ({ serverTime: SERVER_NOW, sponsorships })
+});
+
+const sponsorship = (expiresAt) => ({
+	tokenId: 'solana-FixtMoon1111111111111111111111111111111111',
+	userAddress: 'FixtUser1111111111111111111111111111111111',
+	sizeMultiplier: 1.5,
+	expiresAt
+});
+
+describe('SponsoredTokenService', () => {
+	beforeEach(() => {
+		jest.useFakeTimers();
+	});
+	
+	afterEach(() => {
+		jest.useRealTimers();
+		delete global.fetch;
+	});
+	
+	test('judges expiry on the server clock when the local clock is wrong', async () => {
+		// Local clock an hour fast: a sponsorship with 30 minutes left on the server looks expired locally
+		jest.setSystemTime(SERVER_NOW + 60 * 60 * 1000);
+		global.fetch = jest.fn(async () => ledgerResponse([sponsorship(SERVER_NOW + 30 * 60 * 1000)]));
+		
+		const service = new SponsoredTokenService();
+		await service.syncFromServer();
+		
+		expect(service.isTokenSponsored('solana', 'FixtMoon1111111111111111111111111111111111')).toBe(true);
+		expect(service.getSponsoredTokenVisuals('solana', 'FixtMoon1111111111111111111111111111111111')).toMatchObject({ sizeMultiplier: 1.5 });
+		
+		const [userSponsorship] = service.getUserSponsorships('FixtUser1111111111111111111111111111111111');
+		expect(userSponsorship.timeRemaining).toBe(30 * 60 * 1000);
+	});
+	
+	test('drops sponsorships the server clock has passed even if the local clock is slow', async () => {
+		jest.setSystemTime(SERVER_NOW - 60 * 60 * 1000);
+		global.fetch = jest.fn(async () => ledgerResponse([sponsorship(SERVER_NOW - 60 * 1000)]));
+		
+		const service = new SponsoredTokenService();
+		await service.syncFromServer();
+		
+		expect(service.isTokenSponsored('solana', 'FixtMoon1111111111111111111111111111111111')).toBe(false);
+		expect(service.getAllSponsoredTokens()).toEqual([]);
+	});
+});
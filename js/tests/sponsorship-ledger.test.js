@@ -0,0 +1,181 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Sponsorship ledger unit tests
+ * Covers the ledger rules, persistence and the REST routes using fake requests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createSponsorshipLedger, createSponsorshipRoutes } from '../../server/sponsorship-ledger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const TOKEN = { chainId: 'solana', tokenAddress: 'FixtMoon1111111111111111111111111111111111', baseToken: { symbol: 'FMOON' } };
+
+// Stands in for the on-chain verifier: every signature is a valid 0.1 SOL payment
+const VERIFIER = {
+	chainId: 'solana',
+	network: 'solana',
+	currency: 'SOL',
+	recipient: 'Borqy3dEjw9az7Uj9nW69A9ZDansFGHWEggUx7tkv44f',
+	memoPrefix: 'memecube:sponsor:',
+	getPaymentDetails: async () => ({ recentBlockhash: '4PVdFdF5tJn7VhcsCCv5sDkCHV9mHph78Rd3EHEtV4PB' }),
+	verify: async signature => ({ signature, sender: 'alice', lamports: 100000000, amount: 0.1 })
+};
+
+/**
+ * Send a fake request through the routes and collect the JSON response
+ */
+function request(routes, method, url, body = null, headers = {}) {
+	return new Promise(resolve => {
+		const req = Readable.from(body ? [JSON.stringify(body)] : []);
+		Object.assign(req, { method, url, headers });
+		
+		const res = {
+			writeHead(status) {
+				this.status = status;
+			},
+			end(data) {
+				this.body = JSON.parse(data);
+				resolve(this);
+			}
+		};
+		
+		routes.handle(req, res);
+	});
+}
+
+describe('Sponsorship ledger', () => {
+	let time;
+	let ledger;
+	
+	beforeEach(() => {
+		time = 1700000000000;
+		ledger = createSponsorshipLedger({ now: () => time });
+	});
+	
+	test('creates a sponsorship lasting 6 hours per 0.1 SOL', () => {
+		const { sponsorship, created } = ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.2 });
+		
+		expect(created).toBe(true);
+		expect(sponsorship.tokenId).toBe(`solana-${TOKEN.tokenAddress}`);
+		expect(sponsorship.expiresAt - time).toBe(12 * HOUR);
+		expect(sponsorship.sizeMultiplier).toBe(1.5);
+	});
+	
+	test('tops up the same sponsor instead of adding a second sponsorship', () => {
+		ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1 });
+		const { sponsorship, created } = ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1 });
+		
+		expect(created).toBe(false);
+		expect(sponsorship.sizeMultiplier).toBe(2);
+		expect(ledger.list().length).toBe(1);
+	});
+	
+	test('rejects payments below the minimum', () => {
+		expect(() => ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.05 })).toThrow('Minimum payment');
+	});
+	
+	test('prices sponsorships in the payment currency', () => {
+		const { sponsorship } = ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.006, currency: 'ETH' });
+		
+		expect(sponsorship.currency).toBe('ETH');
+		expect(sponsorship.expiresAt - time).toBe(12 * HOUR);
+		expect(() => ledger.extend(sponsorship.id, { paymentAmount: 0.1, currency: 'SOL' })).toThrow('paid in ETH');
+		expect(() => ledger.sponsor({ token: TOKEN, userAddress: 'bob', paymentAmount: 1, currency: 'DOGE' })).toThrow('not accepted');
+	});
+	
+	test('lists only active sponsorships', () => {
+		const { sponsorship } = ledger.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1 });
+		ledger.extend(sponsorship.id, { paymentAmount: 0.1, extendTime: true });
+		
+		time += 11 * HOUR;
+		expect(ledger.list().length).toBe(1);
+		
+		time += 2 * HOUR;
+		expect(ledger.list().length).toBe(0);
+		expect(ledger.list({ includeExpired: true }).length).toBe(1);
+	});
+	
+	test('persists to and reloads from its JSON file', () => {
+		const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'sponsorships.json');
+		
+		createSponsorshipLedger({ filePath }).sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1 });
+		const reloaded = createSponsorshipLedger({ filePath });
+		
+		expect(reloaded.list().map(s => s.userAddress)).toEqual(['alice']);
+		fs.rmSync(path.dirname(filePath), { recursive: true });
+	});
+	
+	test('refuses a payment again after its sponsorship has been pruned', () => {
+		const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'sponsorships.json');
+		const persisted = createSponsorshipLedger({ filePath, now: () => time });
+		const payment = { signature: 'sig-1' };
+		persisted.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1, payment });
+		
+		time += 8 * 24 * HOUR;
+		expect(persisted.pruneExpired()).toBe(1);
+		expect(persisted.list({ includeExpired: true })).toEqual([]);
+		
+		const reloaded = createSponsorshipLedger({ filePath, now: () => time });
+		for (const target of [persisted, reloaded]) {
+			expect(target.hasPayment('sig-1')).toBe(true);
+			expect(() => target.sponsor({ token: TOKEN, userAddress: 'alice', paymentAmount: 0.1, payment }))
+				.toThrow('already been used');
+		}
+		fs.rmSync(path.dirname(filePath), { recursive: true });
+	});
+});
+
+describe('Sponsorship routes', () => {
+	let routes;
+	
+	beforeEach(() => {
+		routes = createSponsorshipRoutes(createSponsorshipLedger(), { adminToken: 'secret', verifiers: { solana: VERIFIER } });
+	});
+	
+	test('creates, extends and lists sponsorships', async () => {
+		const created = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: 'alice', signature: 'sig-1' });
+		const id = created.body.sponsorship.id;
+		const extended = await request(routes, 'POST', `/api/sponsorships/${id}/extend`, { signature: 'sig-2' });
+		const listed = await request(routes, 'GET', '/api/sponsorships');
+		
+		expect(created.status).toBe(201);
+		expect(extended.body.sponsorship.sizeMultiplier).toBe(2);
+		expect(listed.body.sponsorships.map(s => s.id)).toEqual([id]);
+	});
+	
+	test('returns 400 for invalid sponsorships', async () => {
+		const res = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, signature: 'sig-1' });
+		
+		expect(res.status).toBe(400);
+		expect(res.body.error).toMatch('User address');
+	});
+	
+	test('refuses sponsorships without a payment', async () => {
+		const unpaid = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: 'alice', paymentAmount: 10 });
+		const unconfigured = createSponsorshipRoutes(createSponsorshipLedger());
+		const disabled = await request(unconfigured, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: 'alice', signature: 'sig-1' });
+		
+		expect(unpaid.status).toBe(402);
+		expect(disabled.status).toBe(503);
+	});
+	
+	test('only lets the admin expire sponsorships', async () => {
+		const created = await request(routes, 'POST', '/api/sponsorships', { token: TOKEN, userAddress: 'alice', signature: 'sig-1' });
+		const url = `/api/sponsorships/${created.body.sponsorship.id}/expire`;
+		
+		const forbidden = await request(routes, 'POST', url);
+		const allowed = await request(routes, 'POST', url, null, { authorization: 'Bearer secret' });
+		const listed = await request(routes, 'GET', '/api/sponsorships');
+		
+		expect(forbidden.status).toBe(403);
+		expect(allowed.status).toBe(200);
+		expect(listed.body.sponsorships).toEqual([]);
+	});
+});
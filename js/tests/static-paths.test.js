@@ -0,0 +1,28 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Static path unit tests
+ * Covers how the static file server decodes request paths and hides private folders
+ */
+
+import { decodeRequestPath, isPrivatePath } from '../../server/static-paths.js';
+
+describe('Static paths', () => {
+	test('decodes and normalizes request paths', () => {
+		expect(decodeRequestPath('/js/main.js')).toBe('/js/main.js');
+		expect(decodeRequestPath('/js/../%73erver/token-proxy.js')).toBe('/server/token-proxy.js');
+	});
+	
+	test('returns null for malformed percent-escapes instead of throwing', () => {
+		expect(decodeRequestPath('/%E0%A4%A')).toBeNull();
+		expect(decodeRequestPath('/%')).toBeNull();
+	});
+	
+	test('flags the ledger and server folders as private', () => {
+		expect(isPrivatePath(decodeRequestPath('/data/sponsorships.json'))).toBe(true);
+		expect(isPrivatePath(decodeRequestPath('/%2Fserver/json-rpc.js'))).toBe(true);
+		expect(isPrivatePath(decodeRequestPath('/js/data-providers/TokenDataProvider.js'))).toBe(false);
+	});
+});
@@ -0,0 +1,80 @@
+/**
+ * Token Filter Unit Tests
+ */
+
+import { parseFilterQuery, formatFilterQuery, matchesFilter, isEmptyFilter, readFilterFromHash, writeFilterToHash } from '../utils/tokenFilter.js';
+
+const NOW = Date.UTC(2024, 0, 1);
+
+const token = (overrides = {}) => ({
+	chainId: 'solana',
+	tokenAddress: 'FixtFilter11111111111111111111111111111111',
+	baseToken: { symbol: 'FIXT', name: 'Fixture Pepe', address: 'FixtFilter11111111111111111111111111111111' },
+	marketCap: 5_000_000,
+	priceChange: { h24: 12 },
+	pairCreatedAt: NOW - 3 * 3600000,
+	...overrides
+});
+
+describe('Token filter', () => {
+	test('parses each kind of filter term', () => {
+		const filter = parseFilterQuery('chain:Solana,base mcap:1m..50m age:<24h change:-10..10% is:sponsored Pepe');
+		
+		expect(filter.chains).toEqual(['solana', 'base']);
+		expect(filter.marketCap).toEqual({ min: 1e6, max: 5e7 });
+		expect(filter.age).toEqual({ min: null, max: 24 * 3600000 });
+		expect(filter.change).toEqual({ min: -10, max: 10 });
+		expect(filter.sponsoredOnly).toBe(true);
+		expect(filter.text).toEqual(['pepe']);
+		expect(filter.invalid).toEqual([]);
+		
+		expect(parseFilterQuery('mcap:>500k').marketCap).toEqual({ min: 5e5, max: null });
+		expect(parseFilterQuery('age:2').age).toEqual({ min: 2 * 3600000, max: null });
+		expect(parseFilterQuery('change:<-5').change).toEqual({ min: null, max: -5 });
+	});
+	
+	test('collects terms it cannot read and treats unknown fields as text', () => {
+		const filter = parseFilterQuery('mcap:lots age:soon is:new https://fixt.example');
+		
+		expect(filter.invalid).toEqual(['mcap:lots', 'age:soon', 'is:new']);
+		expect(filter.text).toEqual(['https://fixt.example']);
+		expect(isEmptyFilter(parseFilterQuery('  '))).toBe(true);
+		expect(isEmptyFilter(parseFilterQuery('mcap:lots'))).toBe(true);
+	});
+	
+	test('formats filters back into a standard query', () => {
+		expect(formatFilterQuery(parseFilterQuery('pepe is:sponsored change:10 age:90m..1d mcap:1500000 chain:base')))
+			.toBe('chain:base mcap:>1.5M age:90m..1d change:>10 is:sponsored pepe');
+		expect(formatFilterQuery(parseFilterQuery('mcap:50m..1m'))).toBe('mcap:1M..50M');
+		expect(formatFilterQuery(parseFilterQuery(''))).toBe('');
+	});
+	
+	test('matches tokens against every term, dropping tokens without the data', () => {
+		const match = (query, data = token(), context = {}) => matchesFilter(data, parseFilterQuery(query), { now: NOW, ...context });
+		
+		expect(match('')).toBe(true);
+		expect(match('chain:solana,base mcap:1m..10m age:<6h change:>10 pepe')).toBe(true);
+		expect(match('chain:base')).toBe(false);
+		expect(match('mcap:<1m')).toBe(false);
+		expect(match('age:>1d')).toBe(false);
+		expect(match('change:<0')).toBe(false);
+		expect(match('fixt doge')).toBe(false);
+		
+		expect(match('mcap:>1m', token({ marketCap: undefined, fdv: '2000000' }))).toBe(true);
+		expect(match('mcap:>1m', token({ marketCap: undefined }))).toBe(false);
+		expect(match('age:<1d', token({ pairCreatedAt: undefined }))).toBe(false);
+		
+		expect(match('is:sponsored')).toBe(false);
+		expect(match('is:sponsored', token(), { isSponsored: true })).toBe(true);
+	});
+	
+	test('keeps the query in the URL hash alongside other parameters', () => {
+		const hash = writeFilterToHash('#token=solana-token-Fixt', 'chain:base mcap:>1M');
+		
+		expect(hash).toBe('#token=solana-token-Fixt&filter=chain%3Abase+mcap%3A%3E1M');
+		expect(readFilterFromHash(hash)).toBe('chain:base mcap:>1M');
+		expect(writeFilterToHash(hash, '')).toBe('#token=solana-token-Fixt');
+		expect(writeFilterToHash('#filter=pepe', '')).toBe('');
+		expect(readFilterFromHash('')).toBe('');
+	});
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Token proxy unit tests
+ * Runs the proxy against the fixture-backed upstream so no network is needed
+ */
+
+import http from 'http';
+import path from 'path';
+import { createTokenProxy, createFixtureUpstream } from '../../server/token-proxy.js';
+
+const FIXTURES_DIR = path.join(__dirname, '../../server/fixtures');
+
+/**
+ * Send a fake GET request through the proxy and collect the response
+ */
+function request(proxy, url, method = 'GET') {
+	return new Promise(resolve => {
+		const res = {
+			status: null,
+			headers: null,
+			writeHead(status, headers) {
+				this.status = status;
+				this.headers = headers;
+			},
+			end(body) {
+				this.body = body;
+				resolve(this);
+			}
+		};
+		proxy.handle({ method, url }, res);
+	});
+}
+
+describe('Token proxy', () => {
+	let proxy;
+	let upstreamCalls;
+	
+	beforeEach(() => {
+		const fixtureUpstream = createFixtureUpstream(FIXTURES_DIR);
+		upstreamCalls = [];
+		
+		proxy = createTokenProxy({
+			fetchUpstream: jest.fn(async (url) => {
+				upstreamCalls.push(url);
+				return fixtureUpstream(url);
+			})
+		});
+	});
+	
+	test('serves DexScreener profiles from the upstream', async () => {
+		const res = await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1');
+		
+		expect(res.status).toBe(200);
+		expect(res.headers['X-Cache']).toBe('MISS');
+		expect(JSON.parse(res.body).length).toBe(2);
+		expect(upstreamCalls).toEqual(['https://api.dexscreener.com/token-profiles/latest/v1']);
+	});
+	
+	test('caches responses so repeat requests do not hit the upstream', async () => {
+		await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1');
+		const res = await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1');
+		
+		expect(res.headers['X-Cache']).toBe('HIT');
+		expect(upstreamCalls.length).toBe(1);
+	});
+	
+	test('shares one upstream fetch between concurrent requests', async () => {
+		const url = '/api/tokens/dexscreener/token-pairs/v1/solana/FixtMoon1111111111111111111111111111111111';
+		const responses = await Promise.all([request(proxy, url), request(proxy, url), request(proxy, url)]);
+		
+		expect(responses.every(res => res.status === 200)).toBe(true);
+		expect(upstreamCalls.length).toBe(1);
+	});
+	
+	test('keeps the query string when forwarding CoinGecko market charts', async () => {
+		const res = await request(proxy, '/api/tokens/coingecko/coins/bonk/market_chart?vs_currency=usd&days=7');
+		
+		expect(res.status).toBe(200);
+		expect(JSON.parse(res.body).prices.length).toBe(4);
+		expect(upstreamCalls[0]).toBe('https://api.coingecko.com/api/v3/coins/bonk/market_chart?vs_currency=usd&days=7');
+	});
+	
+	test('serves GeckoTerminal pools and pump.fun launches', async () => {
+		const pools = await request(proxy, '/api/tokens/geckoterminal/networks/trending_pools?include=base_token');
+		const launches = await request(proxy, '/api/tokens/pumpfun/coins?offset=0&limit=50');
+		
+		expect(pools.status).toBe(200);
+		expect(JSON.parse(pools.body).data.length).toBe(3);
+		expect(launches.status).toBe(200);
+		expect(upstreamCalls).toEqual([
+			'https://api.geckoterminal.com/api/v2/networks/trending_pools?include=base_token',
+			'https://frontend-api-v3.pump.fun/coins?offset=0&limit=50'
+		]);
+	});
+	
+	test('uses the per-endpoint TTL', () => {
+		const profiles = proxy.resolveRoute('/api/tokens/dexscreener/token-profiles/latest/v1');
+		const chart = proxy.resolveRoute('/api/tokens/coingecko/coins/bonk/market_chart');
+		
+		expect(profiles.rule.name).toBe('profiles');
+		expect(chart.rule.name).toBe('market_chart');
+		expect(chart.rule.ttl).toBeGreaterThan(profiles.rule.ttl);
+	});
+	
+	test('rejects endpoints that are not on the allow list', async () => {
+		const unknownUpstream = await request(proxy, '/api/tokens/example/anything');
+		const unknownPath = await request(proxy, '/api/tokens/dexscreener/orders/v1/solana/abc');
+		const wrongMethod = await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1', 'POST');
+		
+		expect(unknownUpstream.status).toBe(404);
+		expect(unknownPath.status).toBe(404);
+		expect(wrongMethod.status).toBe(405);
+		expect(upstreamCalls.length).toBe(0);
+	});
+	
+	test('serves stale data when the upstream fails after expiry', async () => {
+		let failing = false;
+		const fixtureUpstream = createFixtureUpstream(FIXTURES_DIR);
+		proxy = createTokenProxy({
+			ttlOverrides: { profiles: 0 },
+			fetchUpstream: async (url) => {
+				if (failing) throw new Error('upstream down');
+				return fixtureUpstream(url);
+			}
+		});
+		
+		await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1');
+		failing = true;
+		const res = await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1');
+		
+		expect(res.status).toBe(200);
+		expect(res.headers['X-Cache']).toBe('STALE');
+	});
+	
+	test('drops query parameters the endpoint does not use and orders the rest', async () => {
+		await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=frog&junk=1');
+		await request(proxy, '/api/tokens/dexscreener/token-profiles/latest/v1?nonce=123');
+		const chart = proxy.resolveRoute('/api/tokens/coingecko/coins/bonk/market_chart?days=7&cachebust=1&vs_currency=usd');
+		
+		expect(upstreamCalls).toEqual([
+			'https://api.dexscreener.com/latest/dex/search?q=frog',
+			'https://api.dexscreener.com/token-profiles/latest/v1'
+		]);
+		expect(chart.upstreamUrl).toBe('https://api.coingecko.com/api/v3/coins/bonk/market_chart?vs_currency=usd&days=7');
+	});
+	
+	test('evicts the least recently used responses beyond its size limit', async () => {
+		const fixtureUpstream = createFixtureUpstream(FIXTURES_DIR);
+		proxy = createTokenProxy({ maxEntries: 2, fetchUpstream: fixtureUpstream });
+		
+		await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=a');
+		await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=b');
+		const reused = await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=a');
+		await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=c');
+		
+		expect(reused.headers['X-Cache']).toBe('HIT');
+		expect(proxy.cacheSize).toBe(2);
+		expect((await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=a')).headers['X-Cache']).toBe('HIT');
+		expect((await request(proxy, '/api/tokens/dexscreener/latest/dex/search?q=b')).headers['X-Cache']).not.toBe('HIT');
+	});
+});
+
+describe('Token proxy upstream timeout', () => {
+	let upstream;
+	let upstreamUrl;
+	
+	// An upstream that accepts requests and never answers
+	beforeAll(done => {
+		upstream = http.createServer(() => {});
+		upstream.listen(0, '127.0.0.1', () => {
+			upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+			done();
+		});
+	});
+	
+	afterAll(done => {
+		upstream.closeAllConnections();
+		upstream.close(done);
+	});
+	
+	test('answers 502 instead of waiting forever on a hung upstream', async () => {
+		const proxy = createTokenProxy({ upstreams: { dexscreener: upstreamUrl }, upstreamTimeout: 50 });
+		const url = '/api/tokens/dexscreener/token-profiles/latest/v1';
+		
+		const responses = await Promise.all([request(proxy, url), request(proxy, url)]);
+		
+		expect(responses.map(res => res.status)).toEqual([502, 502]);
+		expect(responses[0].headers['X-Cache']).toBe('ERROR');
+	});
+});
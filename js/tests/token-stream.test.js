@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Token stream unit tests
+ * Covers the token list diffing and the SSE broadcaster using fake requests
+ */
+
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createTokenProxy, createFixtureUpstream } from '../../server/token-proxy.js';
+import { createTokenStream, createDexScreenerFeed, diffTokenLists } from '../../server/token-stream.js';
+
+const FIXTURES_DIR = path.join(__dirname, '../../server/fixtures');
+
+/**
+ * Open a fake SSE connection and collect the events written to it
+ */
+function connect(stream) {
+	const req = new EventEmitter();
+	req.method = 'GET';
+	req.url = '/api/tokens/stream';
+	
+	const res = {
+		status: null,
+		events: [],
+		writeHead(status) {
+			this.status = status;
+		},
+		write(chunk) {
+			const event = chunk.match(/^event: (\w+)\n/);
+			const data = chunk.match(/\ndata: (.*)\n/);
+			if (event && data) {
+				this.events.push({ event: event[1], data: JSON.parse(data[1]) });
+			}
+		},
+		end() {}
+	};
+	
+	stream.handle(req, res);
+	return { req, res };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const token = (address, price) => ({ chainId: 'solana', tokenAddress: address, priceUsd: price });
+
+describe('diffTokenLists', () => {
+	test('reports added, updated and removed tokens by token key', () => {
+		const previous = diffTokenLists(new Map(), [token('A', '1'), token('B', '1'), token('C', '1')]).current;
+		const diff = diffTokenLists(previous, [token('A', '1'), token('B', '2'), token('D', '1')]);
+		
+		expect(diff.added.map(t => t.tokenAddress)).toEqual(['D']);
+		expect(diff.updated.map(t => t.tokenAddress)).toEqual(['B']);
+		expect(diff.removed).toEqual(['solana-token-C']);
+	});
+});
+
+describe('Token stream', () => {
+	let stream;
+	let tokens;
+	
+	beforeEach(() => {
+		tokens = [token('A', '1'), token('B', '1')];
+		stream = createTokenStream({ fetchTokens: async () => tokens, interval: 60 * 60 * 1000 });
+	});
+	
+	afterEach(() => {
+		stream.stop();
+	});
+	
+	test('sends a populated snapshot to the first client', async () => {
+		const { res } = connect(stream);
+		await flush();
+		
+		expect(res.status).toBe(200);
+		expect(res.events[0].event).toBe('snapshot');
+		expect(res.events[0].data.tokens.length).toBe(2);
+		expect(stream.clientCount).toBe(1);
+	});
+	
+	test('broadcasts only what changed to every client', async () => {
+		const first = connect(stream);
+		const second = connect(stream);
+		await flush();
+		
+		tokens = [token('A', '5'), token('C', '1')];
+		await stream.refresh();
+		
+		for (const { res } of [first, second]) {
+			const diff = res.events.filter(e => e.event === 'diff').pop().data;
+			expect(diff.added.map(t => t.tokenAddress)).toEqual(['C']);
+			expect(diff.updated.map(t => t.priceUsd)).toEqual(['5']);
+			expect(diff.removed).toEqual(['solana-token-B']);
+		}
+	});
+	
+	test('stays quiet when nothing changed or the poll fails', async () => {
+		const { res } = connect(stream);
+		await flush();
+		
+		await stream.refresh();
+		
+		tokens = Promise.reject(new Error('upstream down'));
+		await stream.refresh();
+		
+		expect(res.events.filter(e => e.event === 'diff').length).toBe(0);
+		expect(stream.tokens.length).toBe(2);
+	});
+	
+	test('drops clients when they disconnect', async () => {
+		const { req } = connect(stream);
+		await flush();
+		
+		req.emit('close');
+		
+		expect(stream.clientCount).toBe(0);
+	});
+	
+	test('keeps polling for a client still waiting for its snapshot when the last one leaves', async () => {
+		jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+		let polls = 0;
+		const polled = createTokenStream({ fetchTokens: async () => { polls++; return tokens; }, interval: 1000 });
+		
+		try {
+			const first = connect(polled);
+			await flush();
+			
+			const second = connect(polled);
+			first.req.emit('close');
+			await flush();
+			expect(polled.clientCount).toBe(1);
+			
+			jest.advanceTimersByTime(1000);
+			expect(polls).toBe(2);
+			
+			second.req.emit('close');
+			jest.advanceTimersByTime(1000);
+			expect(polls).toBe(2);
+		} finally {
+			polled.stop();
+			jest.useRealTimers();
+		}
+	});
+});
+
+describe('createDexScreenerFeed', () => {
+	test('merges profiles with their top pair through the proxy cache', async () => {
+		const proxy = createTokenProxy({ fetchUpstream: createFixtureUpstream(FIXTURES_DIR) });
+		const fetchTokens = createDexScreenerFeed(proxy);
+		
+		const tokens = await fetchTokens();
+		
+		expect(tokens.length).toBe(2);
+		expect(tokens[0].baseToken.symbol).toBe('FMOON');
+		expect(tokens[0].marketCap).toBe(315000);
+		expect(proxy.cacheSize).toBe(3);
+	});
+});
@@ -0,0 +1,47 @@
+/**
+ * View State Unit Tests
+ */
+
+import { readViewState, writeViewState } from '../utils/viewState.js';
+
+describe('View state', () => {
+	test('writes the view into the hash and reads it back', () => {
+		const hash = writeViewState('', {
+			cameraPosition: [1.234, -5, 30.006],
+			cameraTarget: [0, 0, 0],
+			tokenKey: 'solana-token-FixtView1111111111111111111111111111',
+			sizeMode: 'tall',
+			controlMode: 'orbit'
+		});
+		
+		expect(hash).toBe('#cam=1.23%2C-5%2C30.01&target=0%2C0%2C0&token=solana-token-FixtView1111111111111111111111111111&board=tall&controls=orbit');
+		expect(readViewState(hash)).toEqual({
+			cameraPosition: [1.23, -5, 30.01],
+			cameraTarget: [0, 0, 0],
+			tokenKey: 'solana-token-FixtView1111111111111111111111111111',
+			sizeMode: 'tall',
+			controlMode: 'orbit',
+			filter: null
+		});
+	});
+	
+	test('keeps parameters it is not given and removes ones set to null', () => {
+		const hash = writeViewState('#filter=chain%3Abase&token=eth-token-0xfixt', { tokenKey: null, controlMode: 'fly' });
+		
+		expect(hash).toBe('#filter=chain%3Abase&controls=fly');
+		expect(readViewState(hash).filter).toBe('chain:base');
+		expect(writeViewState('#token=eth-token-0xfixt', { tokenKey: null })).toBe('');
+	});
+	
+	test('ignores values it cannot use', () => {
+		expect(readViewState('#cam=1,2&target=a,b,c&board=huge&controls=walk')).toEqual({
+			cameraPosition: null,
+			cameraTarget: null,
+			tokenKey: null,
+			sizeMode: null,
+			controlMode: null,
+			filter: null
+		});
+		expect(readViewState('').cameraPosition).toBeNull();
+	});
+});
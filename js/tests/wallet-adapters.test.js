@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Wallet adapter unit tests
+ * Covers the registry, the Solana and EVM adapters against fake wallets, and network checks in WalletService
+ */
+
+import { WalletAdapterRegistry } from '../services/wallets/WalletAdapterRegistry.js';
+import { SolanaWalletAdapter } from '../services/wallets/SolanaWalletAdapter.js';
+import { EvmWalletAdapter } from '../services/wallets/EvmWalletAdapter.js';
+import { registerStandardWallet } from '../services/wallets/walletStandard.js';
+import { WalletService } from '../services/WalletService.js';
+import { decodeBase58 } from '../utils/solanaTransaction.js';
+
+const SOLANA_ADDRESS = '6anbDQNCcVh2f6okexjaX1VGj6tEnizJ1kV5UTBS8Zhi';
+const SOLANA_PAYMENT = {
+	amount: 0.1,
+	recipient: 'Borqy3dEjw9az7Uj9nW69A9ZDansFGHWEggUx7tkv44f',
+	memo: 'memecube:sponsor:solana-token-ABC',
+	recentBlockhash: '4PVdFdF5tJn7VhcsCCv5sDkCHV9mHph78Rd3EHEtV4PB'
+};
+
+/**
+ * Fake EIP-1193 provider that records requests
+ */
+function createEthereumProvider(chainId = '0x1') {
+	const provider = {
+		requests: [],
+		request: jest.fn(async ({ method, params }) => {
+			provider.requests.push({ method, params });
+			switch (method) {
+				case 'eth_requestAccounts': return ['0xa11ce00000000000000000000000000000000001'];
+				case 'eth_chainId': return chainId;
+				case 'eth_sendTransaction': return `0x${'ab'.repeat(32)}`;
+				default: return null;
+			}
+		})
+	};
+	return provider;
+}
+
+describe('WalletAdapterRegistry', () => {
+	test('lists wallets by network and installation', () => {
+		const registry = new WalletAdapterRegistry()
+			.register(new SolanaWalletAdapter({ id: 'phantom', name: 'Phantom', getProvider: () => ({}) }))
+			.register(new SolanaWalletAdapter({ id: 'solflare', name: 'Solflare', getProvider: () => null }))
+			.register(new EvmWalletAdapter({ getProvider: () => createEthereumProvider() }));
+		
+		expect(registry.list({ network: 'solana' }).map(w => w.id)).toEqual(['phantom', 'solflare']);
+		expect(registry.list({ installed: true }).map(w => w.id)).toEqual(['phantom', 'evm']);
+		expect(registry.get('evm').network).toBe('evm');
+	});
+});
+
+describe('SolanaWalletAdapter', () => {
+	test('uses the injected provider\'s request API when there is no Wallet Standard wallet', async () => {
+		const provider = {
+			connect: jest.fn().mockResolvedValue({ publicKey: { toString: () => SOLANA_ADDRESS } }),
+			request: jest.fn().mockResolvedValue({ signature: 'sig123' })
+		};
+		const adapter = new SolanaWalletAdapter({ id: 'phantom', name: 'Phantom', getProvider: () => provider });
+		
+		await adapter.connect();
+		const signature = await adapter.signAndSend(SOLANA_PAYMENT);
+		
+		expect(signature).toBe('sig123');
+		expect(provider.request.mock.calls[0][0].method).toBe('signAndSendTransaction');
+	});
+	
+	test('sends an unsigned transaction through Wallet Standard', async () => {
+		const account = { address: SOLANA_ADDRESS, chains: ['solana:mainnet'] };
+		const signAndSendTransaction = jest.fn().mockResolvedValue([{ signature: new Uint8Array(64).fill(1) }]);
+		const unregister = registerStandardWallet({
+			name: 'Solflare',
+			chains: ['solana:mainnet'],
+			features: {
+				'standard:connect': { connect: async () => ({ accounts: [account] }) },
+				'solana:signAndSendTransaction': { signAndSendTransaction }
+			}
+		});
+		
+		const adapter = new SolanaWalletAdapter({ id: 'solflare', name: 'Solflare', getProvider: () => null });
+		expect(adapter.isInstalled()).toBe(true);
+		
+		await adapter.connect();
+		await adapter.signAndSend(SOLANA_PAYMENT);
+		unregister();
+		
+		const { transaction } = signAndSendTransaction.mock.calls[0][0];
+		
+		// One empty signature slot, then the message signed by the connected account
+		expect(transaction[0]).toBe(1);
+		expect(transaction.slice(1, 65).every(byte => byte === 0)).toBe(true);
+		expect(Array.from(transaction.slice(69, 101))).toEqual(Array.from(decodeBase58(SOLANA_ADDRESS)));
+	});
+});
+
+describe('EvmWalletAdapter', () => {
+	test('switches chain and sends the memo as calldata', async () => {
+		const provider = createEthereumProvider('0x1');
+		const adapter = new EvmWalletAdapter({ getProvider: () => provider });
+		
+		await adapter.connect();
+		const hash = await adapter.signAndSend({
+			amount: 0.003,
+			recipient: '0x5ca1ab1e000000000000000000000000000c0be5',
+			memo: 'hi',
+			evmChainId: 8453
+		});
+		
+		const switchRequest = provider.requests.find(r => r.method === 'wallet_switchEthereumChain');
+		const sendRequest = provider.requests.find(r => r.method === 'eth_sendTransaction');
+		
+		expect(hash).toBe(`0x${'ab'.repeat(32)}`);
+		expect(switchRequest.params).toEqual([{ chainId: '0x2105' }]);
+		expect(sendRequest.params[0]).toMatchObject({
+			value: `0x${(3000000000000000).toString(16)}`,
+			data: '0x6869'
+		});
+	});
+});
+
+describe('WalletService', () => {
+	test('refuses to pay on a network the connected wallet can\'t use', async () => {
+		const registry = new WalletAdapterRegistry()
+			.register(new EvmWalletAdapter({ getProvider: () => createEthereumProvider() }));
+		const walletService = new WalletService({ registry });
+		
+		await walletService.connect('evm');
+		
+		expect(walletService.getNetwork()).toBe('evm');
+		await expect(walletService.sendPayment({ ...SOLANA_PAYMENT, network: 'solana' }))
+			.rejects.toThrow('connect a Solana wallet');
+	});
+});
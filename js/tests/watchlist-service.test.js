@@ -0,0 +1,82 @@
+/**
+ * WatchlistService Unit Tests
+ */
+
+import { WatchlistService } from '../services/WatchlistService.js';
+
+const token = (priceUsd, overrides = {}) => ({
+	chainId: 'solana',
+	tokenAddress: 'FixtMoon1111111111111111111111111111111111',
+	baseToken: { address: 'FixtMoon1111111111111111111111111111111111', symbol: 'MOON' },
+	priceUsd: String(priceUsd),
+	priceChange: { h24: 5 },
+	liquidity: { usd: 50000 },
+	marketCap: 1000000,
+	...overrides
+});
+
+describe('WatchlistService', () => {
+	let service;
+	
+	beforeEach(() => {
+		localStorage.clear();
+		delete global.Notification;
+		service = new WatchlistService();
+	});
+	
+	test('fires a rule when its token crosses the threshold, then not again until it crosses back', () => {
+		const listener = jest.fn();
+		service.addAlertListener(listener);
+		service.addRule(token(0.01), { metric: 'price', condition: 'above', threshold: 0.02 });
+		
+		expect(service.evaluate([token(0.015)])).toEqual([]);
+		
+		const [alert] = service.evaluate([token(0.025)], 1000);
+		expect(alert).toMatchObject({ key: 'solana-token-FixtMoon1111111111111111111111111111111111', symbol: 'MOON', metric: 'price', value: 0.025, time: 1000 });
+		expect(listener).toHaveBeenCalledWith(alert);
+		
+		expect(service.evaluate([token(0.03)])).toEqual([]);
+		service.evaluate([token(0.01)]);
+		expect(service.evaluate([token(0.05)])).toHaveLength(1);
+		expect(service.alerts).toHaveLength(2);
+	});
+	
+	test('does not fire a rule that is already met when it is added', () => {
+		service.addRule(token(0.01), { metric: 'liquidity', condition: 'below', threshold: 100000 });
+		
+		expect(service.evaluate([token(0.01)])).toEqual([]);
+		expect(service.evaluate([token(0.01, { liquidity: { usd: 200000 } })])).toEqual([]);
+		expect(service.evaluate([token(0.01, { liquidity: { usd: 90000 } })])).toHaveLength(1);
+	});
+	
+	test('rejects unknown metrics and thresholds that are not numbers', () => {
+		expect(() => service.addRule(token(1), { metric: 'holders', condition: 'above', threshold: 1 })).toThrow('Unknown watchlist metric');
+		expect(() => service.addRule(token(1), { metric: 'price', condition: 'above', threshold: NaN })).toThrow('must be a number');
+		expect(service.getWatchedTokens()).toEqual([]);
+	});
+	
+	test('persists the watchlist and alerts across instances', () => {
+		const rule = service.addRule(token(1), { metric: 'change24h', condition: 'above', threshold: 20 });
+		service.evaluate([token(1, { priceChange: { h24: 25 } })]);
+		
+		const reloaded = new WatchlistService();
+		expect(reloaded.isWatched(token(1))).toBe(true);
+		expect(reloaded.getWatchedTokens()[0].rules[0]).toMatchObject({ id: rule.id, met: true });
+		expect(reloaded.alerts).toHaveLength(1);
+		
+		reloaded.unwatchToken('solana-token-FixtMoon1111111111111111111111111111111111');
+		expect(new WatchlistService().getWatchedTokens()).toEqual([]);
+	});
+	
+	test('shows a browser notification when they are allowed', () => {
+		global.Notification = jest.fn();
+		global.Notification.permission = 'granted';
+		service.addRule(token(1), { metric: 'marketCap', condition: 'above', threshold: 2000000 });
+		
+		service.evaluate([token(1, { marketCap: 2500000 })]);
+		
+		expect(global.Notification).toHaveBeenCalledWith('MemeCube alert', expect.objectContaining({
+			body: '$MOON market cap above $2,000,000 (now $2,500,000)'
+		}));
+	});
+});
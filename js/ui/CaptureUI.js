@@ -0,0 +1,240 @@
+/**
+ * Capture UI
+ * Button and panel for saving screenshots and orbit clips of the cube, at a chosen
+ * resolution and with an optional watermark of the token open on the scoreboard
+ */
+
+import { CaptureService } from '../services/CaptureService.js';
+import { CAPTURE_RESOLUTIONS, getCaptureFileName } from '../utils/capture.js';
+import { Utils } from '../utils/utils.js';
+
+// Clip lengths offered for orbit recordings (ms)
+const CLIP_DURATIONS = [
+	{ value: 5000, label: '5 seconds' },
+	{ value: 8000, label: '8 seconds' },
+	{ value: 15000, label: '15 seconds' }
+];
+
+export class CaptureUI {
+	/**
+	 * @param {Scene} scene Scene wrapper holding the renderer, scene and camera
+	 * @param {VisualizationManager} visualizationManager Owns the scoreboard whose token is watermarked
+	 * @param {Object} controls Camera controls from initControls
+	 */
+	constructor(scene, visualizationManager, controls = null) {
+		this.visualizationManager = visualizationManager;
+		this.captureService = new CaptureService({
+			renderer: scene.renderer,
+			scene: scene.scene,
+			camera: scene.camera,
+			controls
+		});
+		this.utils = new Utils();
+		this.isPanelOpen = false;
+		
+		this.createCaptureButton();
+		this.createPanel();
+	}
+	
+	/**
+	 * Get the token open on the scoreboard, for the watermark
+	 * @returns {Object|null} The token, or null if the scoreboard isn't showing one
+	 */
+	getSelectedToken() {
+		const scoreboard = this.visualizationManager?.tokenScoreboard;
+		return scoreboard?.detailMode ? scoreboard.detailToken : null;
+	}
+	
+	/**
+	 * Style a button like the other overlay buttons
+	 * @param {HTMLButtonElement} button Button to style
+	 */
+	styleButton(button) {
+		button.style.backgroundColor = '#00BFFF';
+		button.style.color = '#111';
+		button.style.border = 'none';
+		button.style.borderRadius = '4px';
+		button.style.padding = '6px 12px';
+		button.style.cursor = 'pointer';
+		button.style.fontWeight = 'bold';
+	}
+	
+	/**
+	 * Create the button that opens the capture panel
+	 */
+	createCaptureButton() {
+		this.captureButton = document.createElement('button');
+		this.captureButton.textContent = '📸 Capture';
+		this.captureButton.title = 'Save a screenshot or an orbit clip of the cube';
+		this.captureButton.style.position = 'absolute';
+		this.captureButton.style.top = '270px';
+		this.captureButton.style.right = '20px';
+		this.captureButton.style.zIndex = '1000';
+		this.styleButton(this.captureButton);
+		this.captureButton.style.padding = '8px 16px';
+		
+		this.captureButton.addEventListener('click', () => {
+			this.isPanelOpen = !this.isPanelOpen;
+			this.panelElement.style.display = this.isPanelOpen ? 'block' : 'none';
+		});
+		
+		document.body.appendChild(this.captureButton);
+	}
+	
+	/**
+	 * Create a labelled select
+	 * @param {string} text Label text
+	 * @param {Array} options Options as { value, label }
+	 * @returns {Object} { row, select }
+	 */
+	createSelect(text, options) {
+		const row = document.createElement('label');
+		row.textContent = text;
+		row.style.display = 'block';
+		row.style.margin = '6px 0';
+		
+		const select = document.createElement('select');
+		select.style.marginLeft = '6px';
+		select.style.backgroundColor = '#0a2a3a';
+		select.style.color = 'white';
+		select.style.border = '1px solid rgba(0, 200, 255, 0.3)';
+		select.style.borderRadius = '4px';
+		
+		for (const { value, label } of options) {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = label;
+			select.appendChild(option);
+		}
+		
+		row.appendChild(select);
+		return { row, select };
+	}
+	
+	/**
+	 * Create the (initially hidden) capture panel
+	 */
+	createPanel() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.style.display = 'none';
+		this.panelElement.style.position = 'fixed';
+		this.panelElement.style.zIndex = '1001';
+		this.panelElement.style.top = '320px';
+		this.panelElement.style.right = '20px';
+		this.panelElement.style.width = '260px';
+		this.panelElement.style.backgroundColor = 'rgba(10, 20, 30, 0.95)';
+		this.panelElement.style.color = 'white';
+		this.panelElement.style.borderRadius = '8px';
+		this.panelElement.style.padding = '16px';
+		this.panelElement.style.boxShadow = '0 0 20px rgba(0, 191, 255, 0.5)';
+		this.panelElement.style.border = '1px solid rgba(0, 191, 255, 0.3)';
+		this.panelElement.style.fontFamily = 'Arial, sans-serif';
+		this.panelElement.style.fontSize = '13px';
+		
+		const header = document.createElement('h3');
+		header.textContent = 'Capture';
+		header.style.marginTop = '0';
+		header.style.color = '#00BFFF';
+		
+		const resolution = this.createSelect('Screenshot size', CAPTURE_RESOLUTIONS.map(r => ({ value: r.id, label: r.label })));
+		this.resolutionSelect = resolution.select;
+		
+		const duration = this.createSelect('Clip length', CLIP_DURATIONS);
+		this.durationSelect = duration.select;
+		this.durationSelect.value = '8000';
+		
+		const watermarkRow = document.createElement('label');
+		watermarkRow.style.display = 'block';
+		watermarkRow.style.margin = '6px 0 12px';
+		this.watermarkCheckbox = document.createElement('input');
+		this.watermarkCheckbox.type = 'checkbox';
+		this.watermarkCheckbox.checked = true;
+		this.watermarkCheckbox.style.marginRight = '6px';
+		watermarkRow.appendChild(this.watermarkCheckbox);
+		watermarkRow.appendChild(document.createTextNode('Watermark with the open token\'s stats'));
+		
+		this.screenshotButton = document.createElement('button');
+		this.screenshotButton.textContent = 'Screenshot';
+		this.styleButton(this.screenshotButton);
+		this.screenshotButton.style.marginRight = '8px';
+		this.screenshotButton.addEventListener('click', () => this.saveScreenshot());
+		
+		this.recordButton = document.createElement('button');
+		this.recordButton.textContent = 'Record Orbit';
+		this.styleButton(this.recordButton);
+		this.recordButton.addEventListener('click', () => this.saveOrbitClip());
+		
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(resolution.row);
+		this.panelElement.appendChild(duration.row);
+		this.panelElement.appendChild(watermarkRow);
+		this.panelElement.appendChild(this.screenshotButton);
+		this.panelElement.appendChild(this.recordButton);
+		document.body.appendChild(this.panelElement);
+	}
+	
+	/**
+	 * Save a file the browser has made, as a download
+	 * @param {Blob} blob File contents
+	 * @param {string} fileName Name to save it under
+	 */
+	download(blob, fileName) {
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = fileName;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		
+		// Give the download a moment to start before letting go of the file
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+	
+	/**
+	 * Take a screenshot at the chosen resolution and download it
+	 */
+	async saveScreenshot() {
+		try {
+			const blob = await this.captureService.takeScreenshot({
+				resolution: this.resolutionSelect.value,
+				watermark: this.watermarkCheckbox.checked,
+				watermarkToken: this.getSelectedToken()
+			});
+			this.download(blob, getCaptureFileName('screenshot', 'png'));
+			this.utils.showTemporaryMessage('Screenshot saved');
+		} catch (error) {
+			console.error('Screenshot failed:', error);
+			this.utils.showTemporaryMessage(`Screenshot failed: ${error.message}`);
+		}
+	}
+	
+	/**
+	 * Record the camera orbiting the cube and download the clip
+	 */
+	async saveOrbitClip() {
+		if (this.captureService.recording) return;
+		
+		// Keep the panel out of the way of the camera while it records
+		this.panelElement.style.display = 'none';
+		this.isPanelOpen = false;
+		this.recordButton.disabled = true;
+		this.captureButton.textContent = '⏺ Recording...';
+		
+		try {
+			const blob = await this.captureService.recordOrbit({
+				duration: Number(this.durationSelect.value),
+				watermark: this.watermarkCheckbox.checked,
+				getWatermarkToken: () => this.getSelectedToken()
+			});
+			this.download(blob, getCaptureFileName('orbit', 'webm'));
+			this.utils.showTemporaryMessage('Orbit clip saved');
+		} catch (error) {
+			console.error('Recording failed:', error);
+			this.utils.showTemporaryMessage(`Recording failed: ${error.message}`);
+		} finally {
+			this.recordButton.disabled = false;
+			this.captureButton.textContent = '📸 Capture';
+		}
+	}
+}
@@ -0,0 +1,148 @@
+/**
+ * Colour Legend UI
+ * Overlay showing what the tag colours mean in the current colour mode, with a selector
+ * to switch modes; the legend follows every provider refresh
+ */
+
+export class ColourLegendUI {
+	/**
+	 * @param {TokenDataProvider} dataProvider Provider whose refreshes update the legend
+	 * @param {VisualizationManager} visualizationManager Owns the tag cluster whose colours are shown
+	 */
+	constructor(dataProvider, visualizationManager) {
+		this.dataProvider = dataProvider;
+		this.visualizationManager = visualizationManager;
+		this.tokens = [];
+		
+		// Bind once so the provider can register and unregister the same function
+		this.onDataUpdate = this.onDataUpdate.bind(this);
+		
+		this.createLegend();
+		
+		if (this.dataProvider) {
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
+		}
+	}
+	
+	/**
+	 * Get the tag cluster being coloured
+	 * @returns {TagCluster|null} The cluster, or null if there isn't one
+	 */
+	getTagCluster() {
+		return this.visualizationManager?.tokenCluster || null;
+	}
+	
+	/**
+	 * Redraw the legend for a provider refresh, as some legends list what's in the data
+	 * @param {Array} data Tokens from the refresh
+	 */
+	onDataUpdate(data) {
+		this.tokens = data || [];
+		this.renderEntries();
+	}
+	
+	/**
+	 * Create the legend overlay
+	 */
+	createLegend() {
+		const tagCluster = this.getTagCluster();
+		
+		this.legendElement = document.createElement('div');
+		this.legendElement.style.position = 'absolute';
+		this.legendElement.style.top = '40px';
+		this.legendElement.style.left = '10px';
+		this.legendElement.style.zIndex = '1000';
+		this.legendElement.style.minWidth = '150px';
+		this.legendElement.style.maxHeight = '40%';
+		this.legendElement.style.overflowY = 'auto';
+		this.legendElement.style.backgroundColor = 'rgba(10, 20, 30, 0.8)';
+		this.legendElement.style.color = 'white';
+		this.legendElement.style.borderRadius = '6px';
+		this.legendElement.style.padding = '8px 10px';
+		this.legendElement.style.border = '1px solid rgba(0, 191, 255, 0.3)';
+		this.legendElement.style.fontFamily = 'Arial, sans-serif';
+		this.legendElement.style.fontSize = '12px';
+		this.legendElement.style.display = tagCluster ? 'block' : 'none';
+		
+		const header = document.createElement('label');
+		header.textContent = 'Colour by ';
+		header.style.display = 'block';
+		header.style.marginBottom = '6px';
+		
+		this.modeSelect = document.createElement('select');
+		this.modeSelect.style.backgroundColor = '#0a2a3a';
+		this.modeSelect.style.color = 'white';
+		this.modeSelect.style.border = '1px solid rgba(0, 200, 255, 0.3)';
+		this.modeSelect.style.borderRadius = '4px';
+		
+		for (const mode of tagCluster?.colourRegistry.list() || []) {
+			const option = document.createElement('option');
+			option.value = mode.id;
+			option.textContent = mode.label;
+			this.modeSelect.appendChild(option);
+		}
+		if (tagCluster) {
+			this.modeSelect.value = tagCluster.colourMode.id;
+		}
+		
+		this.modeSelect.addEventListener('change', () => {
+			if (!this.visualizationManager.setColourMode(this.modeSelect.value)) {
+				this.modeSelect.value = this.getTagCluster().colourMode.id;
+			}
+			this.renderEntries();
+		});
+		
+		header.appendChild(this.modeSelect);
+		
+		this.entriesElement = document.createElement('div');
+		
+		this.legendElement.appendChild(header);
+		this.legendElement.appendChild(this.entriesElement);
+		document.body.appendChild(this.legendElement);
+		
+		this.renderEntries();
+	}
+	
+	/**
+	 * List the colours of the current mode with their meanings
+	 */
+	renderEntries() {
+		const tagCluster = this.getTagCluster();
+		if (!tagCluster) return;
+		
+		const tokens = this.tokens.length > 0 ? this.tokens : tagCluster.tokens;
+		const mode = tagCluster.colourMode;
+		const entries = mode.legend ? mode.legend(tokens) : [];
+		
+		this.entriesElement.innerHTML = '';
+		for (const { colour, label } of entries) {
+			const row = document.createElement('div');
+			row.style.display = 'flex';
+			row.style.alignItems = 'center';
+			row.style.gap = '6px';
+			row.style.margin = '2px 0';
+			
+			const swatch = document.createElement('span');
+			swatch.style.display = 'inline-block';
+			swatch.style.width = '12px';
+			swatch.style.height = '12px';
+			swatch.style.borderRadius = '2px';
+			swatch.style.backgroundColor = colour;
+			
+			// Chain and DEX names come from API data
+			const text = document.createElement('span');
+			text.textContent = label;
+			
+			row.appendChild(swatch);
+			row.appendChild(text);
+			this.entriesElement.appendChild(row);
+		}
+		
+		if (entries.length === 0) {
+			const empty = document.createElement('div');
+			empty.textContent = 'Waiting for token data...';
+			empty.style.color = '#88aabb';
+			this.entriesElement.appendChild(empty);
+		}
+	}
+}
@@ -0,0 +1,269 @@
+/**
+ * Deep Link UI
+ * Keeps the camera, the token open on the scoreboard, the scoreboard size and the control mode
+ * in the URL hash, restores them when the page is opened from a link, and adds a button that
+ * copies the link. The cube filter in the same hash is handled by FilterBarUI.
+ */
+
+import * as THREE from 'three';
+import { readViewState, writeViewState } from '../utils/viewState.js';
+import { getTokenKey } from '../utils/tokenKey.js';
+import { Utils } from '../utils/utils.js';
+
+// How often the URL is brought up to date with the view (ms)
+const SYNC_INTERVAL = 1000;
+
+// How long to wait for a linked token's tag to appear in the cube (ms)
+const TOKEN_WAIT = 30000;
+const TOKEN_POLL_INTERVAL = 500;
+
+// How far in front of a linked tag the camera stops, just outside the orbit controls' minimum distance
+const FOCUS_DISTANCE = 16;
+const FLY_DURATION = 1500;
+
+export class DeepLinkUI {
+	/**
+	 * @param {VisualizationManager} visualizationManager Owns the camera, scoreboard and tag cluster
+	 * @param {Object} controls Camera controls from initControls
+	 */
+	constructor(visualizationManager, controls = null) {
+		this.visualizationManager = visualizationManager;
+		this.controls = controls;
+		this.utils = new Utils();
+		
+		// Token from a link that is still waiting for its tag, kept in the URL until it's shown
+		this.pendingTokenKey = null;
+		this.tokenWaitTimer = null;
+		
+		this.onHashChange = this.onHashChange.bind(this);
+		
+		this.createCopyLinkButton();
+		this.restoreViewState(readViewState(window.location.hash));
+		
+		window.addEventListener('hashchange', this.onHashChange);
+		this.syncTimer = setInterval(() => this.syncHash(), SYNC_INTERVAL);
+	}
+	
+	/**
+	 * Restore the view from a link pasted into the address bar
+	 * Our own updates use history.replaceState, which doesn't fire hashchange.
+	 */
+	onHashChange() {
+		this.restoreViewState(readViewState(window.location.hash));
+	}
+	
+	/**
+	 * Create the button that copies a link to the current view
+	 */
+	createCopyLinkButton() {
+		this.copyLinkButton = document.createElement('button');
+		this.copyLinkButton.textContent = '🔗 Copy Link';
+		this.copyLinkButton.title = 'Copy a link to this view: camera, open token, scoreboard size, controls and filter';
+		this.copyLinkButton.style.position = 'absolute';
+		this.copyLinkButton.style.top = '220px';
+		this.copyLinkButton.style.right = '20px';
+		this.copyLinkButton.style.zIndex = '1000';
+		this.copyLinkButton.style.backgroundColor = '#00BFFF';
+		this.copyLinkButton.style.color = '#111';
+		this.copyLinkButton.style.border = 'none';
+		this.copyLinkButton.style.borderRadius = '4px';
+		this.copyLinkButton.style.padding = '8px 16px';
+		this.copyLinkButton.style.cursor = 'pointer';
+		this.copyLinkButton.style.fontWeight = 'bold';
+		
+		this.copyLinkButton.addEventListener('click', () => this.copyLink());
+		
+		document.body.appendChild(this.copyLinkButton);
+	}
+	
+	/**
+	 * Copy a link to the current view to the clipboard
+	 */
+	async copyLink() {
+		this.syncHash();
+		const link = window.location.href;
+		
+		try {
+			await navigator.clipboard.writeText(link);
+			this.utils.showTemporaryMessage('Link to this view copied');
+		} catch (error) {
+			// Clipboard access needs a secure context and permission, so let the user copy it
+			console.warn('Could not copy link to clipboard:', error);
+			window.prompt('Copy this link:', link);
+		}
+	}
+	
+	/**
+	 * Get the controls object the camera is using, if it has a target (orbit mode)
+	 * @returns {Object|null} Orbit controls, or null in fly mode
+	 */
+	getOrbitControls() {
+		const activeControls = this.controls?.getActiveControls?.();
+		return activeControls?.target ? activeControls : null;
+	}
+	
+	/**
+	 * Describe what the user is looking at
+	 * @returns {Object} View state for writeViewState
+	 */
+	getViewState() {
+		const camera = this.visualizationManager?.camera;
+		const scoreboard = this.visualizationManager?.tokenScoreboard;
+		const orbitControls = this.getOrbitControls();
+		
+		let tokenKey = this.pendingTokenKey;
+		if (scoreboard?.detailMode) {
+			tokenKey = getTokenKey(scoreboard.detailToken);
+		}
+		
+		// Until the scoreboard has opened, its size is the one it's about to open to
+		let sizeMode = null;
+		if (scoreboard) {
+			sizeMode = scoreboard.startupSizeModeApplied === false ? scoreboard.startupSizeMode : scoreboard.sizeMode;
+		}
+		
+		return {
+			cameraPosition: camera ? camera.position.toArray() : null,
+			cameraTarget: orbitControls ? orbitControls.target.toArray() : null,
+			tokenKey,
+			sizeMode: sizeMode || null,
+			controlMode: this.controls?.getControlMode?.() || null
+		};
+	}
+	
+	/**
+	 * Bring the URL hash up to date with the view, leaving the browser history alone
+	 */
+	syncHash() {
+		const hash = writeViewState(window.location.hash, this.getViewState());
+		if (hash !== window.location.hash) {
+			history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+		}
+	}
+	
+	/**
+	 * Put the view back the way a link describes it
+	 * @param {Object} state View state from readViewState
+	 */
+	restoreViewState(state) {
+		if (state.controlMode && this.controls?.setControlMode) {
+			this.controls.setControlMode(state.controlMode);
+		}
+		
+		if (state.sizeMode) {
+			this.visualizationManager?.tokenScoreboard?.restoreSizeMode(state.sizeMode);
+		}
+		
+		const camera = this.visualizationManager?.camera;
+		if (camera && state.cameraPosition) {
+			camera.position.fromArray(state.cameraPosition);
+		}
+		if (camera && state.cameraTarget) {
+			const target = new THREE.Vector3().fromArray(state.cameraTarget);
+			const orbitControls = this.getOrbitControls();
+			if (orbitControls) {
+				orbitControls.target.copy(target);
+				orbitControls.update();
+			}
+			camera.lookAt(target);
+		}
+		
+		if (state.tokenKey) {
+			this.openLinkedToken(state.tokenKey);
+		}
+	}
+	
+	/**
+	 * Fly to a linked token's tag and open it on the scoreboard, waiting for the tag to be added
+	 * Tokens that don't get a tag (filtered out, or past the cube's limit) are opened on the
+	 * scoreboard without the flight if the latest token list has them.
+	 * @param {string} tokenKey Token key from the link
+	 */
+	openLinkedToken(tokenKey) {
+		clearTimeout(this.tokenWaitTimer);
+		this.pendingTokenKey = tokenKey;
+		const startTime = Date.now();
+		
+		const tryOpen = () => {
+			// Another link, or the user opening a token, takes over
+			const scoreboard = this.visualizationManager?.tokenScoreboard;
+			if (scoreboard?.detailMode && getTokenKey(scoreboard.detailToken) !== tokenKey) {
+				this.pendingTokenKey = null;
+			}
+			if (this.pendingTokenKey !== tokenKey) return;
+			
+			const tagCluster = this.visualizationManager?.tokenCluster;
+			const tag = tagCluster?.getTagForToken(tokenKey);
+			if (tag?.mesh) {
+				this.pendingTokenKey = null;
+				this.flyToTag(tag);
+				tagCluster.tagManager.handleTagClick(tag);
+				return;
+			}
+			
+			if (Date.now() - startTime < TOKEN_WAIT) {
+				this.tokenWaitTimer = setTimeout(tryOpen, TOKEN_POLL_INTERVAL);
+				return;
+			}
+			
+			this.pendingTokenKey = null;
+			const token = tagCluster?.tokens.find(t => getTokenKey(t) === tokenKey);
+			if (token && scoreboard) {
+				scoreboard.showTokenDetail(token);
+				this.utils.showTemporaryMessage('The linked token is open on the scoreboard but not shown in the cube');
+			} else {
+				this.utils.showTemporaryMessage('The linked token is not in the current token list');
+			}
+		};
+		
+		tryOpen();
+	}
+	
+	/**
+	 * Fly the camera so a tag sits between it and the point it orbits around
+	 * The tag keeps settling into the cube during the flight, so the destination follows it.
+	 * @param {Object} tag Tag to look at
+	 */
+	flyToTag(tag) {
+		const camera = this.visualizationManager?.camera;
+		if (!camera || !tag?.mesh) return;
+		
+		const orbitControls = this.getOrbitControls();
+		const target = orbitControls ? orbitControls.target.clone() : new THREE.Vector3();
+		const startPosition = camera.position.clone();
+		const startTime = performance.now();
+		
+		this.controls?.disableControls();
+		
+		const destination = new THREE.Vector3();
+		const animate = (currentTime) => {
+			const progress = Math.min((currentTime - startTime) / FLY_DURATION, 1);
+			
+			// Ease in and out, as the chart's camera flights do
+			const t = progress < 0.5
+				? 2 * progress * progress
+				: 1 - Math.pow(-2 * progress + 2, 2) / 2;
+			
+			// Stand beyond the tag on the line from the target through it
+			const tagPosition = tag.mesh ? tag.mesh.position : target;
+			const direction = tagPosition.clone().sub(target);
+			if (direction.lengthSq() < 1e-6) {
+				direction.copy(startPosition).sub(target);
+			}
+			const distance = direction.length() + FOCUS_DISTANCE;
+			destination.copy(target).add(direction.normalize().multiplyScalar(distance));
+			
+			camera.position.lerpVectors(startPosition, destination, t);
+			camera.lookAt(target);
+			
+			if (progress < 1) {
+				requestAnimationFrame(animate);
+			} else {
+				this.controls?.enableControls();
+				if (orbitControls) orbitControls.update();
+			}
+		};
+		
+		requestAnimationFrame(animate);
+	}
+}
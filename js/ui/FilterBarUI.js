@@ -0,0 +1,182 @@
+/**
+ * Filter Bar UI
+ * Query bar at the top of the screen that filters the tags in the cube by chain, market cap,
+ * pair age, 24h change, sponsorship and text; the filter is read from and kept in the URL hash
+ */
+
+import { readFilterFromHash, parseFilterQuery } from '../utils/tokenFilter.js';
+import { Utils } from '../utils/utils.js';
+
+// How long to wait after the last keystroke before filtering the cube (ms)
+const INPUT_DELAY = 600;
+
+export class FilterBarUI {
+	/**
+	 * @param {TokenDataProvider} dataProvider Provider whose refreshes update the matching and hidden counts
+	 * @param {VisualizationManager} visualizationManager Applies the filter to its tag cluster
+	 */
+	constructor(dataProvider, visualizationManager) {
+		this.dataProvider = dataProvider;
+		this.visualizationManager = visualizationManager;
+		this.utils = new Utils();
+		this.inputTimer = null;
+		this.appliedQuery = '';
+		
+		// Bind once so the provider can register and unregister the same function
+		this.onDataUpdate = this.onDataUpdate.bind(this);
+		this.onHashChange = this.onHashChange.bind(this);
+		
+		this.createBar();
+		
+		if (this.dataProvider) {
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
+		}
+		window.addEventListener('hashchange', this.onHashChange);
+		
+		// Apply a filter from a shared link
+		const query = readFilterFromHash(window.location.hash);
+		if (query) {
+			this.inputElement.value = query;
+			this.applyFilter(query);
+		}
+	}
+	
+	/**
+	 * Recount the matching and hidden tokens after a provider refresh
+	 * @param {Array} data Tokens from the refresh
+	 */
+	onDataUpdate(data) {
+		const tagCluster = this.visualizationManager?.tokenCluster;
+		if (!tagCluster?.filter) return;
+		
+		const tokens = data || [];
+		const hidden = tokens.filter(token => !tagCluster.tokenMatchesFilter(token)).length;
+		this.updateStatus(tokens.length - hidden, hidden);
+	}
+	
+	/**
+	 * Follow filters pasted into the address bar
+	 */
+	onHashChange() {
+		const query = readFilterFromHash(window.location.hash);
+		if (query !== this.appliedQuery) {
+			this.inputElement.value = query;
+			this.applyFilter(query);
+		}
+	}
+	
+	/**
+	 * Create the query bar
+	 */
+	createBar() {
+		this.barElement = document.createElement('div');
+		this.barElement.style.position = 'absolute';
+		this.barElement.style.top = '10px';
+		this.barElement.style.left = '50%';
+		this.barElement.style.transform = 'translateX(-50%)';
+		this.barElement.style.zIndex = '1000';
+		this.barElement.style.display = 'flex';
+		this.barElement.style.alignItems = 'center';
+		this.barElement.style.gap = '6px';
+		this.barElement.style.backgroundColor = 'rgba(10, 20, 30, 0.8)';
+		this.barElement.style.padding = '5px 8px';
+		this.barElement.style.borderRadius = '6px';
+		this.barElement.style.border = '1px solid rgba(0, 191, 255, 0.3)';
+		this.barElement.style.fontFamily = 'Arial, sans-serif';
+		this.barElement.style.fontSize = '12px';
+		
+		this.inputElement = document.createElement('input');
+		this.inputElement.type = 'text';
+		this.inputElement.placeholder = 'Filter: chain:solana mcap:1m..50m age:<24h change:>10 is:sponsored pepe';
+		this.inputElement.title = [
+			'chain:solana,base - only these chains',
+			'mcap:1m..50m, mcap:>1m, mcap:<500k - market cap',
+			'age:<24h, age:1h..7d - pair age (m, h, d, w)',
+			'change:>10, change:-10..10 - 24h change %',
+			'is:sponsored - sponsored tokens only',
+			'any other word - symbol, name or address'
+		].join('\n');
+		this.inputElement.style.width = '420px';
+		this.inputElement.style.padding = '5px 8px';
+		this.inputElement.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+		this.inputElement.style.color = '#fff';
+		this.inputElement.style.border = '1px solid rgba(0, 255, 255, 0.3)';
+		this.inputElement.style.borderRadius = '4px';
+		this.inputElement.style.fontFamily = 'monospace';
+		
+		this.inputElement.addEventListener('input', () => {
+			clearTimeout(this.inputTimer);
+			this.inputTimer = setTimeout(() => this.applyFilter(this.inputElement.value), INPUT_DELAY);
+		});
+		this.inputElement.addEventListener('keydown', (event) => {
+			// Keep typing (space in particular) away from the camera controls
+			event.stopPropagation();
+			
+			if (event.key === 'Enter') {
+				clearTimeout(this.inputTimer);
+				this.applyFilter(this.inputElement.value);
+			} else if (event.key === 'Escape') {
+				this.clearFilter();
+			}
+		});
+		
+		const clearButton = document.createElement('button');
+		clearButton.textContent = '✕';
+		clearButton.title = 'Clear filter';
+		clearButton.style.background = 'none';
+		clearButton.style.border = 'none';
+		clearButton.style.color = '#0ff';
+		clearButton.style.cursor = 'pointer';
+		clearButton.style.fontSize = '14px';
+		clearButton.addEventListener('click', () => this.clearFilter());
+		
+		this.statusElement = document.createElement('span');
+		this.statusElement.style.color = '#88aabb';
+		this.statusElement.style.whiteSpace = 'nowrap';
+		
+		this.barElement.appendChild(this.inputElement);
+		this.barElement.appendChild(clearButton);
+		this.barElement.appendChild(this.statusElement);
+		document.body.appendChild(this.barElement);
+	}
+	
+	/**
+	 * Filter the cube with a query
+	 * @param {string} query Query text
+	 */
+	async applyFilter(query) {
+		const { invalid } = parseFilterQuery(query);
+		if (invalid.length > 0) {
+			this.utils.showTemporaryMessage(`Ignoring filter terms: ${invalid.join(' ')}`);
+		}
+		
+		const result = await this.visualizationManager?.setTagFilter(query);
+		if (!result) return;
+		
+		this.appliedQuery = result.query;
+		if (result.query) {
+			this.updateStatus(result.matching, result.hidden);
+		} else {
+			this.statusElement.textContent = '';
+		}
+	}
+	
+	/**
+	 * Clear the filter, bringing every tag back
+	 */
+	clearFilter() {
+		clearTimeout(this.inputTimer);
+		this.inputElement.value = '';
+		this.applyFilter('');
+	}
+	
+	/**
+	 * Show how many tokens the filter lets through
+	 * The cube may show fewer than match, as it's capped at maxTags.
+	 * @param {number} matching Tokens that match
+	 * @param {number} hidden Tokens filtered out
+	 */
+	updateStatus(matching, hidden) {
+		this.statusElement.textContent = `${matching} match, ${hidden} hidden`;
+	}
+}
@@ -0,0 +1,127 @@
+/**
+ * Scoreboard Layout UI
+ * Overlay with selectors for what the scoreboard's scrolling list shows for each token
+ * (see visualizations/token-scoreboard/scoreboard-layouts.js), the order it lists them in and
+ * which display programs it plays (see scoreboard-programs.js)
+ */
+
+import { SCOREBOARD_SORT_ORDERS } from '../visualizations/token-scoreboard/scoreboard-layouts.js';
+
+export class ScoreboardLayoutUI {
+	/**
+	 * @param {VisualizationManager} visualizationManager Owns the scoreboard whose list is laid out
+	 */
+	constructor(visualizationManager) {
+		this.visualizationManager = visualizationManager;
+		
+		this.createPanel();
+	}
+	
+	/**
+	 * Get the scoreboard's display manager, which draws the list
+	 * @returns {ScoreboardDisplayManager|null} The display manager, or null if there's no scoreboard
+	 */
+	getDisplayManager() {
+		return this.visualizationManager?.tokenScoreboard?.displayManager || null;
+	}
+	
+	/**
+	 * Create a labelled select
+	 * @param {string} text Label text
+	 * @param {Array} options Options as { id, label }
+	 * @returns {Object} { row, select }
+	 */
+	createSelect(text, options) {
+		const row = document.createElement('label');
+		row.textContent = text;
+		row.style.display = 'block';
+		row.style.margin = '4px 0';
+		
+		const select = document.createElement('select');
+		select.style.marginLeft = '6px';
+		select.style.backgroundColor = '#0a2a3a';
+		select.style.color = 'white';
+		select.style.border = '1px solid rgba(0, 200, 255, 0.3)';
+		select.style.borderRadius = '4px';
+		
+		for (const { id, label } of options) {
+			const option = document.createElement('option');
+			option.value = id;
+			option.textContent = label;
+			select.appendChild(option);
+		}
+		
+		row.appendChild(select);
+		return { row, select };
+	}
+	
+	/**
+	 * Create the overlay
+	 */
+	createPanel() {
+		const displayManager = this.getDisplayManager();
+		
+		this.panelElement = document.createElement('div');
+		this.panelElement.style.position = 'absolute';
+		this.panelElement.style.bottom = '20px';
+		this.panelElement.style.left = '10px';
+		this.panelElement.style.zIndex = '1000';
+		this.panelElement.style.backgroundColor = 'rgba(10, 20, 30, 0.8)';
+		this.panelElement.style.color = 'white';
+		this.panelElement.style.borderRadius = '6px';
+		this.panelElement.style.padding = '8px 10px';
+		this.panelElement.style.border = '1px solid rgba(0, 191, 255, 0.3)';
+		this.panelElement.style.fontFamily = 'Arial, sans-serif';
+		this.panelElement.style.fontSize = '12px';
+		this.panelElement.style.display = displayManager ? 'block' : 'none';
+		
+		const header = document.createElement('div');
+		header.textContent = 'Scoreboard';
+		header.style.color = '#00BFFF';
+		header.style.fontWeight = 'bold';
+		header.style.marginBottom = '4px';
+		
+		const layout = this.createSelect('Show', displayManager?.layoutRegistry.list() || []);
+		this.layoutSelect = layout.select;
+		
+		const sort = this.createSelect('Sort by', SCOREBOARD_SORT_ORDERS);
+		this.sortSelect = sort.select;
+		
+		// An empty value rotates through every program
+		const program = this.createSelect('Play', [
+			{ id: '', label: 'All, in turn' },
+			...(displayManager?.programRegistry.list() || [])
+		]);
+		this.programSelect = program.select;
+		
+		if (displayManager) {
+			this.layoutSelect.value = displayManager.layout.id;
+			this.sortSelect.value = displayManager.sortOrder.id;
+			this.programSelect.value = displayManager.pinnedProgramId || '';
+		}
+		
+		this.layoutSelect.addEventListener('change', () => {
+			if (!this.visualizationManager.setScoreboardLayout(this.layoutSelect.value)) {
+				this.layoutSelect.value = this.getDisplayManager().layout.id;
+			}
+		});
+		
+		this.sortSelect.addEventListener('change', () => {
+			if (!this.visualizationManager.setScoreboardSortOrder(this.sortSelect.value)) {
+				this.sortSelect.value = this.getDisplayManager().sortOrder.id;
+			}
+		});
+		
+		this.programSelect.addEventListener('change', () => {
+			if (!this.visualizationManager.setScoreboardProgram(this.programSelect.value || null)) {
+				this.programSelect.value = this.getDisplayManager().pinnedProgramId || '';
+			}
+		});
+		
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(layout.row);
+		this.panelElement.appendChild(sort.row);
+		this.panelElement.appendChild(program.row);
+		document.body.appendChild(this.panelElement);
+	}
+}
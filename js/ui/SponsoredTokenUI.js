@@ -4,18 +4,19 @@
  */
 
 import { SponsoredTokenService } from '../services/SponsoredTokenService.js';
-import { SolanaWalletService } from '../services/SolanaWalletService.js';
+import { WalletService } from '../services/WalletService.js';
 import { Utils } from '../utils/utils.js';
 
 export class SponsoredTokenUI {
 	constructor(dataProvider) {
 		this.sponsorService = new SponsoredTokenService();
-		this.walletService = new SolanaWalletService();
+		this.walletService = new WalletService();
 		this.dataProvider = dataProvider;
 		this.utils = new Utils();
 		this.modalElement = null;
 		this.isModalOpen = false;
 		this.userAddress = null; // Set when user connects wallet
+		this.paymentConfig = null; // How to pay for the selected token, from the server
 		
 		// Create UI elements
 		this.createSponsorUI();
@@ -59,7 +60,8 @@ export class SponsoredTokenUI {
 		
 		if (this.userAddress) {
 			// Connected state
-			walletStatus.innerHTML = `<strong>Wallet Status:</strong> Connected (${this.userAddress.substring(0, 6)}...)`;
+			const walletName = this.walletService.adapter?.name || 'Wallet';
+			walletStatus.innerHTML = `<strong>Wallet Status:</strong> ${walletName} connected (${this.userAddress.substring(0, 6)}...)`;
 			connectButton.textContent = 'Disconnect Wallet';
 			
 			// Enable sponsor button if token selected
@@ -152,7 +154,7 @@ export class SponsoredTokenUI {
 		const description = document.createElement('p');
 		description.innerHTML = `
 			Make your favourite tokens stand out with gold colour and larger size!<br>
-			Each 0.1 SOL sponsorship lasts for 6 hours.<br>
+			Each sponsorship (0.1 SOL, or the set price on the token's own chain) lasts for 6 hours.<br>
 			Multiple sponsorships stack: sponsor more to make tokens bigger or last longer.
 		`;
 		
@@ -196,14 +198,23 @@ export class SponsoredTokenUI {
 		
 		const tokenLabel = document.createElement('div');
 		tokenLabel.innerHTML = '<strong>Selected Token:</strong> <span id="selected-token">None</span>';
-		tokenLabel.style.marginBottom = '15px';
+		tokenLabel.style.marginBottom = '5px';
+		
+		// Which chain and currency the selected token is paid for in
+		const paymentInfo = document.createElement('div');
+		paymentInfo.id = 'sponsor-payment-info';
+		paymentInfo.style.fontSize = '0.9em';
+		paymentInfo.style.opacity = '0.8';
+		paymentInfo.style.marginBottom = '15px';
 		
 		const amountLabel = document.createElement('label');
+		amountLabel.id = 'sponsor-amount-label';
 		amountLabel.textContent = 'Sponsorship Amount (SOL):';
 		amountLabel.style.display = 'block';
 		amountLabel.style.marginBottom = '5px';
 		
 		const amountInput = document.createElement('input');
+		amountInput.id = 'sponsor-amount';
 		amountInput.type = 'number';
 		amountInput.min = '0.1';
 		amountInput.step = '0.1';
@@ -264,6 +275,15 @@ export class SponsoredTokenUI {
 		walletStatus.innerHTML = '<strong>Wallet Status:</strong> Not Connected';
 		walletStatus.style.marginBottom = '10px';
 		
+		// Wallet picker, filled in when the user clicks Connect Wallet
+		const walletPicker = document.createElement('div');
+		walletPicker.id = 'wallet-picker';
+		walletPicker.style.display = 'none';
+		walletPicker.style.marginBottom = '10px';
+		walletPicker.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+		walletPicker.style.borderRadius = '4px';
+		walletPicker.style.padding = '10px';
+		
 		const connectButton = document.createElement('button');
 		connectButton.id = 'connect-wallet-btn';
 		connectButton.textContent = 'Connect Wallet';
@@ -289,6 +309,7 @@ export class SponsoredTokenUI {
 		sponsorButton.style.opacity = '0.5';
 		
 		walletSection.appendChild(walletStatus);
+		walletSection.appendChild(walletPicker);
 		walletSection.appendChild(connectButton);
 		walletSection.appendChild(sponsorButton);
 		
@@ -309,6 +330,7 @@ export class SponsoredTokenUI {
 		sponsorshipsSection.appendChild(sponsorshipsList);
 		
 		formSection.appendChild(tokenLabel);
+		formSection.appendChild(paymentInfo);
 		formSection.appendChild(amountLabel);
 		formSection.appendChild(amountInput);
 		formSection.appendChild(optionLabel);
@@ -477,10 +499,117 @@ export class SponsoredTokenUI {
 			sponsorButton.disabled = false;
 			sponsorButton.style.opacity = '1';
 		}
+		
+		// Find out which chain and currency this token is paid for in
+		this.loadPaymentConfig(token);
+	}
+	
+	/**
+	 * Load the payment config for a token's chain and show it in the form
+	 * @param {Object} token The selected token
+	 */
+	async loadPaymentConfig(token) {
+		const paymentInfo = document.getElementById('sponsor-payment-info');
+		this.paymentConfig = null;
+		
+		try {
+			const config = await this.sponsorService.getPaymentConfig(token.chainId);
+			
+			// Ignore the answer if another token was picked meanwhile
+			if (this.selectedToken !== token) return;
+			this.paymentConfig = config;
+			
+			const walletType = config.network === 'evm' ? 'an EVM wallet' : 'a Solana wallet';
+			if (paymentInfo) {
+				paymentInfo.textContent = `Paid in ${config.currency} on ${config.chainId} with ${walletType} - ${config.basePaymentAmount} ${config.currency} per sponsorship`;
+			}
+			
+			// Amount input follows the payment currency
+			const amountLabel = document.getElementById('sponsor-amount-label');
+			const amountInput = document.getElementById('sponsor-amount');
+			if (amountLabel) {
+				amountLabel.textContent = `Sponsorship Amount (${config.currency}):`;
+			}
+			if (amountInput) {
+				amountInput.min = String(config.basePaymentAmount);
+				amountInput.step = String(config.basePaymentAmount);
+				amountInput.value = String(config.basePaymentAmount);
+			}
+			
+			// Point out a wallet mismatch early rather than at payment time
+			const network = this.walletService.getNetwork();
+			if (network && network !== config.network) {
+				this.utils.showTemporaryMessage(`This token is paid for with ${walletType}. Please switch wallets.`);
+			}
+		} catch (error) {
+			console.error('Error loading payment config:', error);
+			if (paymentInfo && this.selectedToken === token) {
+				paymentInfo.textContent = `Sponsoring unavailable: ${error.message}`;
+			}
+		}
+	}
+	
+	/**
+	 * Show the wallet picker, listing every supported wallet
+	 * Wallets that can pay for the selected token are listed first
+	 */
+	showWalletPicker() {
+		const walletPicker = document.getElementById('wallet-picker');
+		if (!walletPicker) return;
+		
+		// Toggle closed if already open
+		if (walletPicker.style.display === 'block') {
+			walletPicker.style.display = 'none';
+			return;
+		}
+		
+		const requiredNetwork = this.paymentConfig?.network;
+		const wallets = this.walletService.getAvailableWallets()
+			.sort((a, b) => Number(b.network === requiredNetwork) - Number(a.network === requiredNetwork));
+		
+		walletPicker.innerHTML = '';
+		
+		for (const wallet of wallets) {
+			const installed = wallet.isInstalled();
+			const name = typeof wallet.getDisplayName === 'function' ? wallet.getDisplayName() : wallet.name;
+			const usable = !requiredNetwork || wallet.network === requiredNetwork;
+			
+			const walletButton = document.createElement('button');
+			walletButton.textContent = `${name} (${wallet.network === 'evm' ? 'EVM' : 'Solana'})${installed ? '' : ' - install'}`;
+			walletButton.style.display = 'block';
+			walletButton.style.width = '100%';
+			walletButton.style.padding = '8px';
+			walletButton.style.marginBottom = '5px';
+			walletButton.style.backgroundColor = usable ? '#4a5568' : '#2d3748';
+			walletButton.style.color = 'white';
+			walletButton.style.border = 'none';
+			walletButton.style.borderRadius = '4px';
+			walletButton.style.cursor = 'pointer';
+			walletButton.style.textAlign = 'left';
+			walletButton.style.opacity = usable && installed ? '1' : '0.6';
+			
+			walletButton.addEventListener('click', () => {
+				walletPicker.style.display = 'none';
+				
+				if (!installed) {
+					this.utils.showTemporaryMessage(`${name} not found. Please install it first.`);
+					if (wallet.installUrl) {
+						window.open(wallet.installUrl, '_blank');
+					}
+					return;
+				}
+				
+				this.connectToWallet(wallet.id);
+			});
+			
+			walletPicker.appendChild(walletButton);
+		}
+		
+		walletPicker.style.display = 'block';
 	}
 	
 	/**
-	 * Connect to wallet (now with real wallet connection)
+	 * Connect or disconnect the wallet; connecting opens the wallet picker
 	 */
 	async connectWallet() {
 		try {
@@ -491,20 +620,21 @@ export class SponsoredTokenUI {
 				return;
 			}
 			
-			// Check if Phantom is installed
-			if (!this.walletService.isPhantomInstalled()) {
-				this.utils.showTemporaryMessage('Phantom wallet not found. Please install it first.');
+			this.showWalletPicker();
+		} catch (error) {
+			console.error('Error connecting wallet:', error);
+			this.utils.showTemporaryMessage(`Error: ${error.message}`);
+		}
+	}
 				
-				// Open Phantom website
-				window.open('https://phantom.app/', '_blank');
-				return;
-			}
-			
+	/**
+	 * Connect to the wallet picked by the user
+	 * @param {string} walletId Registry id of the wallet
+	 */
+	async connectToWallet(walletId) {
+		try {
 			this.utils.showTemporaryMessage('Connecting to wallet...');
-			
-			// Connect to wallet
-			await this.walletService.connect();
-			
+			await this.walletService.connect(walletId);
 		} catch (error) {
 			console.error('Error connecting wallet:', error);
 			this.utils.showTemporaryMessage(`Error: ${error.message}`);
@@ -583,41 +713,58 @@ export class SponsoredTokenUI {
 		}
 		
 		try {
+			// Find out where to pay on this token's chain (and get a fresh blockhash for Solana)
+			const paymentConfig = await this.sponsorService.getPaymentConfig(this.selectedToken.chainId);
+			const { basePaymentAmount, currency } = paymentConfig;
+			
 			// Get sponsorship details
-			const amountInput = document.querySelector('input[type="number"]');
-			const amount = parseFloat(amountInput?.value || '0.1');
+			const amountInput = document.getElementById('sponsor-amount');
+			const amount = parseFloat(amountInput?.value || String(basePaymentAmount));
+			
+			if (isNaN(amount) || amount < basePaymentAmount) {
+				this.utils.showTemporaryMessage(`Minimum sponsorship amount is ${basePaymentAmount} ${currency}.`);
+				return;
+			}
 			
-			if (isNaN(amount) || amount < 0.1) {
-				this.utils.showTemporaryMessage('Minimum sponsorship amount is 0.1 SOL.');
+			if (this.walletService.getNetwork() !== paymentConfig.network) {
+				const walletType = paymentConfig.network === 'evm' ? 'an EVM wallet' : 'a Solana wallet';
+				this.utils.showTemporaryMessage(`This token is paid for in ${currency} on ${paymentConfig.chainId}. Please connect ${walletType}.`);
 				return;
 			}
 			
 			// Check if this is for time extension or size increase
 			const extendTime = document.getElementById('option-time')?.checked || false;
 			
-			// Process payment (currently simulated)
-			this.utils.showTemporaryMessage(`Processing ${amount} SOL payment...`);
+			this.utils.showTemporaryMessage(`Processing ${amount} ${currency} payment...`);
 			
-			// Use wallet service to process payment
-			const paymentResult = await this.walletService.simulatePayment(amount);
+			// The wallet signs and sends the transfer; the memo ties it to this token
+			const paymentResult = await this.walletService.sendPayment({
+				...paymentConfig,
+				amount,
+				memo: this.sponsorService.createPaymentMemo(this.selectedToken, paymentConfig.memoPrefix)
+			});
 			
 			if (!paymentResult || !paymentResult.success) {
 				throw new Error('Payment failed');
 			}
 			
-			// Add sponsorship
-			const result = this.sponsorService.sponsorToken(
+			this.utils.showTemporaryMessage('Payment sent, waiting for confirmation...');
+			
+			// The server checks the transaction on-chain before recording the sponsorship
+			const result = await this.sponsorService.sponsorToken(
 				this.selectedToken,
 				this.userAddress,
 				amount,
-				extendTime
+				extendTime,
+				paymentResult.signature
 			);
 			
 			// Show success message
 			const symbol = this.selectedToken.baseToken?.symbol || this.selectedToken.symbol;
 			
 			if (extendTime) {
-				this.utils.showTemporaryMessage(`Extended sponsorship time for ${symbol} by ${(amount / 0.1) * 6} hours!`);
+				const hours = Math.floor(amount / basePaymentAmount + 1e-9) * 6;
+				this.utils.showTemporaryMessage(`Extended sponsorship time for ${symbol} by ${hours} hours!`);
 			} else {
 				this.utils.showTemporaryMessage(`Increased size boost for ${symbol}!`);
 			}
@@ -626,7 +773,7 @@ export class SponsoredTokenUI {
 			this.showUserSponsorships();
 			
 			// Reset form
-			amountInput.value = '0.1';
+			amountInput.value = String(basePaymentAmount);
 			document.getElementById('option-size').checked = true;
 			
 			// Dispatch event to update token visuals
@@ -52,6 +52,9 @@ export class TokenVisualizationManager {
 		
 		// Set new provider
 		this.dataProvider = provider;
+		if (this.tokenChart) {
+			this.tokenChart.dataProvider = provider;
+		}
 		
 		// Register with new provider
 		if (this.dataProvider) {
@@ -68,7 +71,7 @@ export class TokenVisualizationManager {
 		this.tokenScoreboard = new TokenScoreboard(this.scene, this.camera);
 		
 		// Create token chart
-		this.tokenChart = new TokenChart3D(this.scene, this.camera);
+		this.tokenChart = new TokenChart3D(this.scene, this.camera, this.dataProvider);
 		
 		// Create tag cluster visualization (replaces token cube)
 		this.tokenCluster = new TagCluster(this.scene, this.camera, this.tagsManager);
@@ -462,12 +465,10 @@ export class TokenVisualizationManager {
 			// Show loading message
 			this.utils.showTemporaryMessage(`Loading chart for ${token.baseToken?.symbol || token.symbol}...`);
 			
-			// Fetch price history
-			const priceHistory = await this.dataProvider.getTokenPriceHistory(token);
+			// Fetch price history at the chart's timeframe and show it
+			const loaded = await this.tokenChart.showToken(token);
 			
-			// Update chart with price history
-			if (priceHistory && priceHistory.length > 0) {
-				this.tokenChart.updateWithPriceHistory(priceHistory, token.baseToken?.symbol || token.symbol);
+			if (loaded) {
 				this.utils.showTemporaryMessage(`Loaded price chart for ${token.baseToken?.symbol || token.symbol}`);
 			} else {
 				this.utils.showTemporaryMessage(`No price data available for ${token.baseToken?.symbol || token.symbol}`);
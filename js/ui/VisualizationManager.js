@@ -8,6 +8,16 @@ import { TokenScoreboard } from '../visualizations/token-scoreboard.js';
 import { TokenChart3D } from '../visualizations/token-chart-3d.js';
 import { TagCluster } from '../interactions/tag-cluster/tag-cluster.js';
 import { Utils } from '../utils/utils.js';
+import { parseFilterQuery, formatFilterQuery, writeFilterToHash } from '../utils/tokenFilter.js';
+
+// localStorage keys for the tag sizing strategy and colour mode the user picked
+const SIZING_STRATEGY_KEY = 'memecubeSizingStrategy';
+const COLOUR_MODE_KEY = 'memecubeColourMode';
+// localStorage keys for the scoreboard list layout and sort order the user picked
+const SCOREBOARD_LAYOUT_KEY = 'memecubeScoreboardLayout';
+const SCOREBOARD_SORT_KEY = 'memecubeScoreboardSort';
+// localStorage key for the scoreboard program the user pinned; unset rotates the playlist
+const SCOREBOARD_PROGRAM_KEY = 'memecubeScoreboardProgram';
 
 export class VisualizationManager {
 	constructor(scene = null, camera = null, tagsManager = null, dataProvider = null) {
@@ -15,6 +25,10 @@ export class VisualizationManager {
 		this.camera = camera;
 		this.tagsManager = tagsManager;
 		this.dataProvider = dataProvider;
+		
+		// Bind once so registering twice is a no-op and unregistering finds the same function
+		this.onDataUpdate = this.onDataUpdate.bind(this);
+		
 		this.isModalOpen = false;
 		this.modalElement = null;
 		this.showVisualizations = true;
@@ -35,7 +49,7 @@ export class VisualizationManager {
 		
 		// Register for data updates if we have a provider
 		if (this.dataProvider) {
-			this.dataProvider.registerUpdateCallback(this.onDataUpdate.bind(this));
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
 			this.dataProvider.startAutoRefresh();
 		}
 
@@ -52,10 +66,20 @@ export class VisualizationManager {
 		this.tokenScoreboard = new TokenScoreboard(this.scene, this.camera, this.dataProvider);
 		
 		// Create token chart
-		//this.tokenChart = new TokenChart3D(this.scene, this.camera);
+		//this.tokenChart = new TokenChart3D(this.scene, this.camera, this.dataProvider);
 		
 		// Create tag cluster visualization
-		this.tokenCluster = new TagCluster(this.scene, this.camera, this.tagsManager);
+		this.tokenCluster = new TagCluster(this.scene, this.camera, this.tagsManager, {
+			sizingStrategy: localStorage.getItem(SIZING_STRATEGY_KEY) || undefined,
+			colourMode: localStorage.getItem(COLOUR_MODE_KEY) || undefined
+		});
+		
+		// The scoreboard shows the same risk scores as the tags
+		this.tokenScoreboard.riskService = this.tokenCluster.riskService;
+		// and announces sponsorships from the tags' sponsor service in its event feed
+		this.tokenScoreboard.sponsorService = this.tokenCluster.sponsorService;
+		
+		this.restoreScoreboardListSettings();
 		
 		// Create UI toggle button for visualizations
 		// this.createVisualizationToggle();
@@ -84,7 +108,7 @@ export class VisualizationManager {
 		
 		// Set up update events for when the data provider gets new data
 		if (this.dataProvider) {
-			this.dataProvider.registerUpdateCallback(this.onDataUpdate.bind(this));
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
 			
 			// If we already have token data, update the cluster now
 			this.initializeTokenCluster();
@@ -120,15 +144,18 @@ export class VisualizationManager {
 	setDataProvider(dataProvider) {
 		// Unregister from old provider if exists
 		if (this.dataProvider) {
-			this.dataProvider.unregisterUpdateCallback(this.onDataUpdate.bind(this));
+			this.dataProvider.unregisterUpdateCallback(this.onDataUpdate);
 		}
 		
 		// Set new provider
 		this.dataProvider = dataProvider;
+		if (this.tokenChart) {
+			this.tokenChart.dataProvider = dataProvider;
+		}
 		
 		// Register with new provider
 		if (this.dataProvider) {
-			this.dataProvider.registerUpdateCallback(this.onDataUpdate.bind(this));
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
 			this.dataProvider.startAutoRefresh();
 		}
 	}
@@ -136,8 +163,9 @@ export class VisualizationManager {
 	/**
 	 * Handle data updates from the data provider
 	 * @param {Array} data - Array of token data from data provider
+	 * @param {Object} changes - Optional { added, updated, removed } change set from streaming providers
 	 */
-	async onDataUpdate(data) {
+	async onDataUpdate(data, changes = null) {
 		if (!data || data.length === 0) {
 			console.warn("Received empty data update");
 			return;
@@ -145,15 +173,18 @@ export class VisualizationManager {
 		
 		console.log(`Received data update with ${data.length} tokens`);
 		
-		// Update token cluster with all token data
-		if (this.tokenCluster && data.length > 0) {
+		// Apply incremental changes once the cluster has its initial set, otherwise diff the full list
+		if (this.tokenCluster && changes && !this.tokenCluster.firstUpdate) {
+			console.log("Applying incremental changes to token cluster");
+			await this.tokenCluster.applyTokenChanges(changes);
+		} else if (this.tokenCluster && data.length > 0) {
 			console.log("Updating token cluster with", data.length, "tokens");
 			await this.tokenCluster.updateTokens(data);
 		}
 		
-		// Update scoreboard with top tokens
+		// Update scoreboard; it sorts the tokens and shows the top of the list
 		if (this.tokenScoreboard && data.length > 0) {
-			this.tokenScoreboard.updateTokenData(data.slice(0, 30));
+			this.tokenScoreboard.updateTokenData(data);
 		}
 		
 		// Update token list if visible
@@ -358,6 +389,12 @@ export class VisualizationManager {
 			refreshButton.textContent = '🔄 Refresh Data';
 		});
 		
+		// Create page selector (only shown for providers with pages)
+		const pageControls = this.createPageControls();
+		
+		// Create sizing strategy selector (only shown when there's a tag cluster)
+		const sizingControls = this.createSizingControls();
+		
 		// Create token list container
 		const tokenListContainer = document.createElement('div');
 		tokenListContainer.id = 'token-list-container';
@@ -367,11 +404,348 @@ export class VisualizationManager {
 		this.modalElement.appendChild(closeButton);
 		this.modalElement.appendChild(header);
 		this.modalElement.appendChild(refreshButton);
+		this.modalElement.appendChild(pageControls);
+		this.modalElement.appendChild(sizingControls);
 		this.modalElement.appendChild(tokenListContainer);
 		
 		document.body.appendChild(this.modalElement);
 	}
 	
+	/**
+	 * Create the page selector and saved search controls for the token list
+	 * @returns {HTMLElement} Container holding the controls
+	 */
+	createPageControls() {
+		const container = document.createElement('div');
+		container.id = 'token-page-controls';
+		container.style.display = 'none';
+		container.style.gap = '8px';
+		container.style.alignItems = 'center';
+		container.style.flexWrap = 'wrap';
+		
+		const controlStyle = (element) => {
+			element.style.padding = '5px 8px';
+			element.style.backgroundColor = '#0a2a3a';
+			element.style.color = 'white';
+			element.style.border = '1px solid rgba(0, 200, 255, 0.3)';
+			element.style.borderRadius = '4px';
+		};
+		
+		const label = document.createElement('label');
+		label.textContent = 'Show in cube:';
+		label.htmlFor = 'token-page-select';
+		
+		this.pageSelect = document.createElement('select');
+		this.pageSelect.id = 'token-page-select';
+		controlStyle(this.pageSelect);
+		
+		this.pageSelect.addEventListener('change', async () => {
+			await this.switchTokenPage(this.pageSelect.value);
+		});
+		
+		const searchInput = document.createElement('input');
+		searchInput.type = 'text';
+		searchInput.placeholder = 'Search DexScreener...';
+		controlStyle(searchInput);
+		
+		const saveSearchButton = document.createElement('button');
+		saveSearchButton.textContent = '➕ Save search';
+		controlStyle(saveSearchButton);
+		saveSearchButton.style.cursor = 'pointer';
+		
+		const saveSearch = async () => {
+			const query = searchInput.value.trim();
+			if (!query || !this.dataProvider?.saveSearch) return;
+			
+			const pageId = this.dataProvider.saveSearch(query);
+			if (!pageId) return;
+			
+			// List the new search before switching to it
+			searchInput.value = '';
+			this.updatePageSelector();
+			await this.switchTokenPage(pageId);
+		};
+		saveSearchButton.addEventListener('click', saveSearch);
+		searchInput.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') saveSearch();
+		});
+		
+		// Only shown while a saved search is the current page
+		this.removeSearchButton = document.createElement('button');
+		this.removeSearchButton.textContent = '✖ Remove search';
+		controlStyle(this.removeSearchButton);
+		this.removeSearchButton.style.cursor = 'pointer';
+		
+		this.removeSearchButton.addEventListener('click', async () => {
+			const query = new URLSearchParams(this.pageSelect.value.split('?')[1] || '').get('q');
+			if (query && this.dataProvider?.removeSearch) {
+				this.dataProvider.removeSearch(query);
+				this.updatePageSelector();
+				await this.switchTokenPage('dexscreener/latest');
+			}
+		});
+		
+		container.appendChild(label);
+		container.appendChild(this.pageSelect);
+		container.appendChild(searchInput);
+		container.appendChild(saveSearchButton);
+		container.appendChild(this.removeSearchButton);
+		
+		return container;
+	}
+	
+	/**
+	 * Create the selector for how the cube sizes its tags
+	 * @returns {HTMLElement} Container holding the selector
+	 */
+	createSizingControls() {
+		const container = document.createElement('div');
+		container.style.display = this.tokenCluster ? 'flex' : 'none';
+		container.style.gap = '8px';
+		container.style.alignItems = 'center';
+		container.style.marginTop = '10px';
+		
+		const label = document.createElement('label');
+		label.textContent = 'Size tags by:';
+		label.htmlFor = 'tag-sizing-select';
+		
+		const select = document.createElement('select');
+		select.id = 'tag-sizing-select';
+		select.style.padding = '5px 8px';
+		select.style.backgroundColor = '#0a2a3a';
+		select.style.color = 'white';
+		select.style.border = '1px solid rgba(0, 200, 255, 0.3)';
+		select.style.borderRadius = '4px';
+		
+		const description = document.createElement('span');
+		description.style.fontSize = '12px';
+		description.style.color = '#88aabb';
+		
+		if (this.tokenCluster) {
+			for (const strategy of this.tokenCluster.sizingRegistry.list()) {
+				const option = document.createElement('option');
+				option.value = strategy.id;
+				option.textContent = strategy.label;
+				select.appendChild(option);
+			}
+			select.value = this.tokenCluster.sizingStrategy.id;
+			description.textContent = this.tokenCluster.sizingStrategy.description || '';
+		}
+		
+		select.addEventListener('change', () => {
+			const strategy = this.setSizingStrategy(select.value);
+			if (strategy) {
+				description.textContent = strategy.description || '';
+			} else {
+				select.value = this.tokenCluster.sizingStrategy.id;
+			}
+		});
+		
+		container.appendChild(label);
+		container.appendChild(select);
+		container.appendChild(description);
+		
+		return container;
+	}
+	
+	/**
+	 * Change how the cube sizes its tags, remembering the choice for next time
+	 * @param {string} strategyId Id of a registered sizing strategy
+	 * @returns {Object|null} The strategy now in use, or null if it couldn't be changed
+	 */
+	setSizingStrategy(strategyId) {
+		if (!this.tokenCluster) return null;
+		
+		try {
+			const strategy = this.tokenCluster.setSizingStrategy(strategyId);
+			localStorage.setItem(SIZING_STRATEGY_KEY, strategy.id);
+			this.utils.showTemporaryMessage(`Sizing tags by ${strategy.label.toLowerCase()}`);
+			return strategy;
+		} catch (error) {
+			console.error('Error changing sizing strategy:', error);
+			this.utils.showTemporaryMessage('Could not change how tags are sized');
+			return null;
+		}
+	}
+	
+	/**
+	 * Put back the scoreboard list layout, sort order and program picked last time
+	 * Choices that no longer exist are forgotten.
+	 */
+	restoreScoreboardListSettings() {
+		const displayManager = this.tokenScoreboard?.displayManager;
+		if (!displayManager) return;
+		
+		const layoutId = localStorage.getItem(SCOREBOARD_LAYOUT_KEY);
+		const sortId = localStorage.getItem(SCOREBOARD_SORT_KEY);
+		try {
+			if (layoutId) displayManager.setLayout(layoutId);
+		} catch (error) {
+			localStorage.removeItem(SCOREBOARD_LAYOUT_KEY);
+		}
+		try {
+			if (sortId) displayManager.setSortOrder(sortId);
+		} catch (error) {
+			localStorage.removeItem(SCOREBOARD_SORT_KEY);
+		}
+		try {
+			displayManager.setProgram(localStorage.getItem(SCOREBOARD_PROGRAM_KEY));
+		} catch (error) {
+			localStorage.removeItem(SCOREBOARD_PROGRAM_KEY);
+		}
+	}
+	
+	/**
+	 * Change which fields the scoreboard list shows, remembering the choice for next time
+	 * @param {string} layoutId Id of a registered scoreboard layout
+	 * @returns {Object|null} The layout now in use, or null if it couldn't be changed
+	 */
+	setScoreboardLayout(layoutId) {
+		const displayManager = this.tokenScoreboard?.displayManager;
+		if (!displayManager) return null;
+		
+		try {
+			const layout = displayManager.setLayout(layoutId);
+			localStorage.setItem(SCOREBOARD_LAYOUT_KEY, layout.id);
+			return layout;
+		} catch (error) {
+			console.error('Error changing scoreboard layout:', error);
+			this.utils.showTemporaryMessage('Could not change the scoreboard layout');
+			return null;
+		}
+	}
+	
+	/**
+	 * Change the order of the scoreboard list, remembering the choice for next time
+	 * @param {string} sortId Id from SCOREBOARD_SORT_ORDERS
+	 * @returns {Object|null} The sort order now in use, or null if it couldn't be changed
+	 */
+	setScoreboardSortOrder(sortId) {
+		const displayManager = this.tokenScoreboard?.displayManager;
+		if (!displayManager) return null;
+		
+		try {
+			const sortOrder = displayManager.setSortOrder(sortId);
+			localStorage.setItem(SCOREBOARD_SORT_KEY, sortOrder.id);
+			return sortOrder;
+		} catch (error) {
+			console.error('Error changing scoreboard sort order:', error);
+			this.utils.showTemporaryMessage('Could not change the scoreboard order');
+			return null;
+		}
+	}
+	
+	/**
+	 * Pin the scoreboard to one program, or go back to rotating through them, remembering the choice for next time
+	 * @param {string|null} programId Id of a registered scoreboard program, or null to rotate
+	 * @returns {boolean} Whether the program was changed
+	 */
+	setScoreboardProgram(programId) {
+		const displayManager = this.tokenScoreboard?.displayManager;
+		if (!displayManager) return false;
+		
+		try {
+			const program = displayManager.setProgram(programId);
+			if (program) {
+				localStorage.setItem(SCOREBOARD_PROGRAM_KEY, program.id);
+			} else {
+				localStorage.removeItem(SCOREBOARD_PROGRAM_KEY);
+			}
+			return true;
+		} catch (error) {
+			console.error('Error changing scoreboard program:', error);
+			this.utils.showTemporaryMessage('Could not change what the scoreboard shows');
+			return false;
+		}
+	}
+	
+	/**
+	 * Change how the cube colours its tags, remembering the choice for next time
+	 * @param {string} modeId Id of a registered colour mode
+	 * @returns {Object|null} The mode now in use, or null if it couldn't be changed
+	 */
+	setColourMode(modeId) {
+		if (!this.tokenCluster) return null;
+		
+		try {
+			const mode = this.tokenCluster.setColourMode(modeId);
+			localStorage.setItem(COLOUR_MODE_KEY, mode.id);
+			return mode;
+		} catch (error) {
+			console.error('Error changing colour mode:', error);
+			this.utils.showTemporaryMessage('Could not change how tags are coloured');
+			return null;
+		}
+	}
+	
+	/**
+	 * Filter the tags in the cube with a query bar query, keeping it in the URL hash for sharing
+	 * @param {string} query Filter query (see utils/tokenFilter.js); empty shows every token
+	 * @returns {Promise<Object|null>} { query, filter, matching, hidden } where query is the tidied
+	 *          query, or null if there is no tag cluster
+	 */
+	async setTagFilter(query) {
+		if (!this.tokenCluster) return null;
+		
+		const filter = parseFilterQuery(query);
+		const tidyQuery = formatFilterQuery(filter);
+		
+		// Replace rather than push, so typing a filter doesn't fill the back button's history
+		const hash = writeFilterToHash(window.location.hash, tidyQuery);
+		if (hash !== window.location.hash) {
+			history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+		}
+		
+		const { matching, hidden } = await this.tokenCluster.setFilter(filter);
+		return { query: tidyQuery, filter, matching, hidden };
+	}
+	
+	/**
+	 * Fill the page selector from the provider's pages, hiding it for providers without any
+	 */
+	updatePageSelector() {
+		const container = document.getElementById('token-page-controls');
+		if (!container || !this.pageSelect) return;
+		
+		const pages = this.dataProvider?.getAvailablePages ? this.dataProvider.getAvailablePages() : [];
+		container.style.display = pages.length > 0 ? 'flex' : 'none';
+		
+		this.pageSelect.innerHTML = '';
+		for (const page of pages) {
+			const option = document.createElement('option');
+			option.value = page.id;
+			option.textContent = page.label;
+			this.pageSelect.appendChild(option);
+		}
+		
+		const currentPage = this.dataProvider?.currentPage;
+		if (currentPage) {
+			this.pageSelect.value = currentPage;
+		}
+		this.removeSearchButton.style.display = currentPage?.startsWith('dexscreener/search') ? 'inline-block' : 'none';
+	}
+	
+	/**
+	 * Switch the provider to another page; the cube follows through the provider's update callback
+	 * @param {string} pageId The page identifier
+	 */
+	async switchTokenPage(pageId) {
+		if (!this.dataProvider?.setCurrentPage) return;
+		
+		this.pageSelect.disabled = true;
+		try {
+			await this.dataProvider.setCurrentPage(pageId);
+		} catch (error) {
+			console.error(`Error switching to page ${pageId}:`, error);
+			this.utils.showTemporaryMessage('Could not load that page');
+		} finally {
+			this.pageSelect.disabled = false;
+		}
+		
+		this.updatePageSelector();
+		await this.updateTokenListContent();
+	}
+	
 	/**
 	 * Show token list modal
 	 */
@@ -379,6 +753,7 @@ export class VisualizationManager {
 		// Show modal
 		this.modalElement.style.display = 'block';
 		this.isModalOpen = true;
+		this.updatePageSelector();
 		
 		// If we have a data provider but no data yet, fetch it
 		if (this.dataProvider) {
@@ -588,18 +963,55 @@ export class VisualizationManager {
 	async fetchAndUpdateTokenChart(token) {
 		if (!this.tokenChart || !this.dataProvider) return;
 		
-		// Get price history for token from data provider
-		const priceHistory = await this.dataProvider.getTokenPriceHistory(token);
+		// Get price history at the chart's timeframe and show it
+		const loaded = await this.tokenChart.showToken(token);
 		
-		// Update chart with token data
-		if (priceHistory && priceHistory.length > 0) {
-			this.tokenChart.updateChartData(priceHistory, token.baseToken?.symbol || 'TOKEN');
+		if (loaded) {
 			this.utils.showTemporaryMessage(`Updated chart with ${token.baseToken?.symbol || 'TOKEN'} data!`);
 		} else {
 			this.utils.showTemporaryMessage('No chart data available for this token');
 		}
 	}
 	
+	/**
+	 * Pulse a token's tag to draw attention to it (e.g. when one of its alerts triggers)
+	 * @param {string} tokenKey Token key (see getTokenKey)
+	 * @returns {boolean} Whether the token has a tag to pulse
+	 */
+	pulseTokenTag(tokenKey) {
+		const tag = this.tokenCluster?.getTagForToken(tokenKey);
+		if (!tag) return false;
+		
+		this.tokenCluster.tagManager.pulseTag(tag);
+		return true;
+	}
+	
+	/**
+	 * Pin a token to the chart's comparison, or unpin it (shift-click on a tag)
+	 * The chart is created on the first pin, as it isn't shown otherwise.
+	 * @param {Object} token Token to pin
+	 * @param {string} colour Line colour, e.g. the token's chain colour
+	 * @returns {boolean} Whether the token is pinned now
+	 */
+	togglePinnedToken(token, colour) {
+		if (!token || !this.scene || !this.camera) return false;
+		
+		if (!this.tokenChart) {
+			this.tokenChart = new TokenChart3D(this.scene, this.camera, this.dataProvider);
+		}
+		
+		const pinned = this.tokenChart.togglePinnedToken(token, colour);
+		const count = this.tokenChart.pinnedTokens.length;
+		const symbol = token.baseToken?.symbol || 'TOKEN';
+		
+		if (pinned) {
+			this.utils.showTemporaryMessage(`Comparing ${count} token${count === 1 ? '' : 's'} - shift-click a tag to add or remove`);
+		} else {
+			this.utils.showTemporaryMessage(count > 0 ? `Removed $${symbol} from comparison` : 'Comparison cleared');
+		}
+		return pinned;
+	}
+	
 	/**
 	 * Update visualizations
 	 * @param {number} deltaTime Time since last update
@@ -712,16 +1124,10 @@ export class VisualizationManager {
 			pairAddress: '0xea9d346d773eee9c1e81ad3d0fbb81b14b0a5c13'
 		};
 		
-		// Update the token chart with sample data or real data if available
-		let priceHistory = null;
+		// Update the token chart with real data if available, or sample data
+		const loaded = await this.tokenChart.showToken(demoToken);
 		
-		if (this.dataProvider) {
-			priceHistory = await this.dataProvider.getTokenPriceHistory(demoToken);
-		}
-		
-		if (priceHistory && priceHistory.length > 0) {
-			this.tokenChart.updateChartData(priceHistory, demoToken.baseToken.symbol);
-		} else {
+		if (!loaded) {
 			// Generate sample price data if real data isn't available
 			const samplePriceData = [];
 			const price = parseFloat(demoToken.priceUsd);
@@ -737,7 +1143,10 @@ export class VisualizationManager {
 				});
 			}
 			
-			this.tokenChart.updateChartData(samplePriceData, demoToken.baseToken.symbol);
+			this.tokenChart.updateChartData({
+				tokenSymbol: demoToken.baseToken.symbol,
+				priceData: samplePriceData
+			});
 		}
 		
 		// Update token scoreboard with demo token
@@ -0,0 +1,440 @@
+/**
+ * Watchlist UI
+ * Lets users watch tokens and set price, 24h change, liquidity and market cap alerts,
+ * checks the alerts on every provider refresh and lists the ones that triggered
+ */
+
+import { WatchlistService, WATCHLIST_METRICS } from '../services/WatchlistService.js';
+import { Utils } from '../utils/utils.js';
+
+export class WatchlistUI {
+	/**
+	 * @param {TokenDataProvider} dataProvider Provider whose refreshes are checked against the alerts
+	 * @param {VisualizationManager} visualizationManager Used to pulse the tags of tokens that trigger alerts
+	 * @param {WatchlistService} watchlistService Service holding the watchlist (default: a new one)
+	 */
+	constructor(dataProvider, visualizationManager = null, watchlistService = null) {
+		this.dataProvider = dataProvider;
+		this.visualizationManager = visualizationManager;
+		this.watchlistService = watchlistService || new WatchlistService();
+		this.utils = new Utils();
+		
+		this.panelElement = null;
+		this.isPanelOpen = false;
+		this.selectedToken = null;
+		this.unseenAlerts = 0;
+		
+		// Bind once so the provider can register and unregister the same function
+		this.onDataUpdate = this.onDataUpdate.bind(this);
+		
+		this.createAlertsButton();
+		this.createPanel();
+		
+		this.watchlistService.addAlertListener(alert => this.handleAlert(alert));
+		this.watchlistService.addChangeListener(() => {
+			if (this.isPanelOpen) this.renderPanel();
+		});
+		
+		if (this.dataProvider) {
+			this.dataProvider.registerUpdateCallback(this.onDataUpdate);
+		}
+	}
+	
+	/**
+	 * Check the watchlist against a provider refresh
+	 * @param {Array} data Tokens from the refresh
+	 */
+	onDataUpdate(data) {
+		this.watchlistService.evaluate(data);
+	}
+	
+	/**
+	 * React to a triggered alert: pulse its tag, show it on screen and count it on the button
+	 * @param {Object} alert Triggered alert
+	 */
+	handleAlert(alert) {
+		if (typeof this.visualizationManager?.pulseTokenTag === 'function') {
+			this.visualizationManager.pulseTokenTag(alert.key);
+		}
+		
+		this.utils.showTemporaryMessage(`🔔 ${this.watchlistService.describeAlert(alert)}`, 5000);
+		
+		if (!this.isPanelOpen) {
+			this.unseenAlerts++;
+			this.updateAlertsButton();
+		}
+	}
+	
+	/**
+	 * Style a button like the other overlay buttons
+	 * @param {HTMLButtonElement} button Button to style
+	 * @param {string} background Background colour
+	 */
+	styleButton(button, background = '#00BFFF') {
+		button.style.backgroundColor = background;
+		button.style.color = '#111';
+		button.style.border = 'none';
+		button.style.borderRadius = '4px';
+		button.style.padding = '6px 12px';
+		button.style.cursor = 'pointer';
+		button.style.fontWeight = 'bold';
+	}
+	
+	/**
+	 * Create the button that opens the watchlist panel
+	 */
+	createAlertsButton() {
+		this.alertsButton = document.createElement('button');
+		this.alertsButton.style.position = 'absolute';
+		this.alertsButton.style.top = '170px';
+		this.alertsButton.style.right = '20px';
+		this.alertsButton.style.zIndex = '1000';
+		this.styleButton(this.alertsButton);
+		this.alertsButton.style.padding = '8px 16px';
+		
+		this.alertsButton.addEventListener('click', () => {
+			if (this.isPanelOpen) {
+				this.closePanel();
+			} else {
+				this.showPanel();
+			}
+		});
+		
+		this.updateAlertsButton();
+		document.body.appendChild(this.alertsButton);
+	}
+	
+	/**
+	 * Show the number of alerts triggered since the panel was last opened
+	 */
+	updateAlertsButton() {
+		this.alertsButton.textContent = this.unseenAlerts > 0
+			? `🔔 Alerts (${this.unseenAlerts})`
+			: '🔔 Alerts';
+	}
+	
+	/**
+	 * Create the (initially hidden) watchlist panel
+	 */
+	createPanel() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.style.display = 'none';
+		this.panelElement.style.position = 'fixed';
+		this.panelElement.style.zIndex = '1001';
+		this.panelElement.style.top = '220px';
+		this.panelElement.style.right = '20px';
+		this.panelElement.style.width = '360px';
+		this.panelElement.style.maxHeight = '60%';
+		this.panelElement.style.overflowY = 'auto';
+		this.panelElement.style.backgroundColor = 'rgba(10, 20, 30, 0.95)';
+		this.panelElement.style.color = 'white';
+		this.panelElement.style.borderRadius = '8px';
+		this.panelElement.style.padding = '16px';
+		this.panelElement.style.boxShadow = '0 0 20px rgba(0, 191, 255, 0.5)';
+		this.panelElement.style.border = '1px solid rgba(0, 191, 255, 0.3)';
+		this.panelElement.style.backdropFilter = 'blur(5px)';
+		this.panelElement.style.fontFamily = 'Arial, sans-serif';
+		this.panelElement.style.fontSize = '13px';
+		
+		document.body.appendChild(this.panelElement);
+	}
+	
+	/**
+	 * Show the panel, starting the form on the token shown in the scoreboard
+	 */
+	showPanel() {
+		const detailToken = this.visualizationManager?.tokenScoreboard?.detailToken;
+		if (detailToken && !this.selectedToken) {
+			this.selectedToken = detailToken;
+		}
+		
+		this.isPanelOpen = true;
+		this.unseenAlerts = 0;
+		this.updateAlertsButton();
+		this.renderPanel();
+		this.panelElement.style.display = 'block';
+	}
+	
+	/**
+	 * Hide the panel
+	 */
+	closePanel() {
+		this.panelElement.style.display = 'none';
+		this.isPanelOpen = false;
+	}
+	
+	/**
+	 * Rebuild the panel: notification permission, the alert form, the watchlist and triggered alerts
+	 */
+	renderPanel() {
+		this.panelElement.innerHTML = '';
+		
+		const header = document.createElement('h3');
+		header.textContent = 'Watchlist & Alerts';
+		header.style.marginTop = '0';
+		header.style.color = '#00BFFF';
+		this.panelElement.appendChild(header);
+		
+		this.panelElement.appendChild(this.createNotificationSection());
+		this.panelElement.appendChild(this.createRuleForm());
+		this.panelElement.appendChild(this.createWatchlistSection());
+		this.panelElement.appendChild(this.createAlertsSection());
+	}
+	
+	/**
+	 * Create a section heading
+	 * @param {string} text Heading text
+	 * @returns {HTMLElement} The heading
+	 */
+	createSectionHeading(text) {
+		const heading = document.createElement('h4');
+		heading.textContent = text;
+		heading.style.margin = '14px 0 6px';
+		heading.style.color = '#7fdfff';
+		return heading;
+	}
+	
+	/**
+	 * Create the browser notification status line, with a button to allow them
+	 * @returns {HTMLElement} The section
+	 */
+	createNotificationSection() {
+		const section = document.createElement('div');
+		const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+		
+		const status = document.createElement('span');
+		status.textContent = {
+			granted: 'Browser notifications are on.',
+			denied: 'Browser notifications are blocked for this site.',
+			unsupported: 'This browser does not support notifications.',
+			default: 'Browser notifications are off. '
+		}[permission];
+		section.appendChild(status);
+		
+		if (permission === 'default') {
+			const enableButton = document.createElement('button');
+			enableButton.textContent = 'Enable';
+			this.styleButton(enableButton);
+			enableButton.addEventListener('click', async () => {
+				await this.watchlistService.requestNotificationPermission();
+				this.renderPanel();
+			});
+			section.appendChild(enableButton);
+		}
+		
+		return section;
+	}
+	
+	/**
+	 * Create the form for adding an alert: token search, metric, condition and threshold
+	 * @returns {HTMLElement} The form
+	 */
+	createRuleForm() {
+		const form = document.createElement('div');
+		form.appendChild(this.createSectionHeading('New alert'));
+		
+		const searchInput = document.createElement('input');
+		searchInput.type = 'text';
+		searchInput.placeholder = this.selectedToken
+			? `$${this.selectedToken.baseToken?.symbol || this.selectedToken.symbol} (type to search)`
+			: 'Search tokens by symbol or name';
+		searchInput.style.width = '100%';
+		searchInput.style.boxSizing = 'border-box';
+		searchInput.style.padding = '6px';
+		searchInput.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+		searchInput.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+		searchInput.style.borderRadius = '4px';
+		searchInput.style.color = 'white';
+		
+		const searchResults = document.createElement('div');
+		searchResults.style.maxHeight = '120px';
+		searchResults.style.overflowY = 'auto';
+		
+		let searchTimeout;
+		searchInput.addEventListener('input', () => {
+			clearTimeout(searchTimeout);
+			const query = searchInput.value.trim();
+			if (query.length < 2) {
+				searchResults.innerHTML = '';
+				return;
+			}
+			searchTimeout = setTimeout(() => this.searchTokens(query, searchResults), 300);
+		});
+		
+		const metricSelect = document.createElement('select');
+		Object.entries(WATCHLIST_METRICS).forEach(([metric, { label }]) => {
+			metricSelect.appendChild(new Option(label, metric));
+		});
+		
+		const conditionSelect = document.createElement('select');
+		conditionSelect.appendChild(new Option('above', 'above'));
+		conditionSelect.appendChild(new Option('below', 'below'));
+		
+		const thresholdInput = document.createElement('input');
+		thresholdInput.type = 'number';
+		thresholdInput.step = 'any';
+		thresholdInput.placeholder = 'Threshold';
+		thresholdInput.style.width = '90px';
+		
+		const addButton = document.createElement('button');
+		addButton.textContent = 'Add';
+		this.styleButton(addButton);
+		addButton.addEventListener('click', () => {
+			this.addRule(metricSelect.value, conditionSelect.value, parseFloat(thresholdInput.value));
+		});
+		
+		const row = document.createElement('div');
+		row.style.display = 'flex';
+		row.style.gap = '6px';
+		row.style.marginTop = '8px';
+		[metricSelect, conditionSelect, thresholdInput, addButton].forEach(element => row.appendChild(element));
+		
+		form.appendChild(searchInput);
+		form.appendChild(searchResults);
+		form.appendChild(row);
+		return form;
+	}
+	
+	/**
+	 * List the provider's current tokens matching a search
+	 * @param {string} query Search query
+	 * @param {HTMLElement} resultsElement Element to list them in
+	 */
+	async searchTokens(query, resultsElement) {
+		try {
+			const tokens = await this.dataProvider.getCurrentPageTokens();
+			const lowerQuery = query.toLowerCase();
+			const matchingTokens = tokens.filter(token => {
+				const symbol = token.baseToken?.symbol || token.symbol || '';
+				const name = token.baseToken?.name || token.name || '';
+				return symbol.toLowerCase().includes(lowerQuery) || name.toLowerCase().includes(lowerQuery);
+			}).slice(0, 8);
+			
+			resultsElement.innerHTML = '';
+			if (matchingTokens.length === 0) {
+				resultsElement.textContent = 'No tokens found.';
+				return;
+			}
+			
+			matchingTokens.forEach(token => {
+				const item = document.createElement('div');
+				item.textContent = `$${token.baseToken?.symbol || token.symbol} - ${token.baseToken?.name || token.name || ''} (${token.chainId})`;
+				item.style.padding = '4px';
+				item.style.cursor = 'pointer';
+				item.addEventListener('click', () => {
+					this.selectedToken = token;
+					this.renderPanel();
+				});
+				resultsElement.appendChild(item);
+			});
+		} catch (error) {
+			console.error('Error searching tokens for watchlist:', error);
+			resultsElement.textContent = 'Error searching tokens.';
+		}
+	}
+	
+	/**
+	 * Add an alert for the selected token
+	 * @param {string} metric Metric to watch
+	 * @param {string} condition 'above' or 'below'
+	 * @param {number} threshold Threshold value
+	 */
+	addRule(metric, condition, threshold) {
+		if (!this.selectedToken) {
+			this.utils.showTemporaryMessage('Pick a token for the alert first');
+			return;
+		}
+		
+		try {
+			this.watchlistService.addRule(this.selectedToken, { metric, condition, threshold });
+		} catch (error) {
+			this.utils.showTemporaryMessage(error.message);
+		}
+	}
+	
+	/**
+	 * List the watched tokens and their alerts, with buttons to remove them
+	 * @returns {HTMLElement} The section
+	 */
+	createWatchlistSection() {
+		const section = document.createElement('div');
+		section.appendChild(this.createSectionHeading('Watching'));
+		
+		const entries = this.watchlistService.getWatchedTokens();
+		if (entries.length === 0) {
+			section.appendChild(document.createTextNode('No tokens watched yet.'));
+			return section;
+		}
+		
+		entries.forEach(entry => {
+			const tokenRow = document.createElement('div');
+			tokenRow.style.marginTop = '6px';
+			
+			const title = document.createElement('strong');
+			title.textContent = `$${entry.symbol} `;
+			tokenRow.appendChild(title);
+			tokenRow.appendChild(this.createRemoveButton('Unwatch', () => this.watchlistService.unwatchToken(entry.key)));
+			
+			entry.rules.forEach(rule => {
+				const ruleRow = document.createElement('div');
+				ruleRow.style.marginLeft = '12px';
+				ruleRow.textContent = this.watchlistService.describeAlert({ ...rule, symbol: entry.symbol }) + ' ';
+				ruleRow.appendChild(this.createRemoveButton('✖', () => this.watchlistService.removeRule(entry.key, rule.id)));
+				tokenRow.appendChild(ruleRow);
+			});
+			
+			section.appendChild(tokenRow);
+		});
+		
+		return section;
+	}
+	
+	/**
+	 * List the triggered alerts, newest first
+	 * @returns {HTMLElement} The section
+	 */
+	createAlertsSection() {
+		const section = document.createElement('div');
+		section.appendChild(this.createSectionHeading('Triggered'));
+		
+		const alerts = this.watchlistService.alerts;
+		if (alerts.length === 0) {
+			section.appendChild(document.createTextNode('No alerts yet.'));
+			return section;
+		}
+		
+		alerts.forEach(alert => {
+			const row = document.createElement('div');
+			row.style.padding = '3px 0';
+			row.style.borderBottom = '1px solid rgba(255, 255, 255, 0.1)';
+			row.textContent = `${new Date(alert.time).toLocaleTimeString()} ${this.watchlistService.describeAlert(alert)}`;
+			section.appendChild(row);
+		});
+		
+		const clearButton = document.createElement('button');
+		clearButton.textContent = 'Clear alerts';
+		clearButton.style.marginTop = '8px';
+		this.styleButton(clearButton, '#888');
+		clearButton.addEventListener('click', () => this.watchlistService.clearAlerts());
+		section.appendChild(clearButton);
+		
+		return section;
+	}
+	
+	/**
+	 * Create a small text button for removing something
+	 * @param {string} text Button text
+	 * @param {Function} onClick Click handler
+	 * @returns {HTMLButtonElement} The button
+	 */
+	createRemoveButton(text, onClick) {
+		const button = document.createElement('button');
+		button.textContent = text;
+		button.style.background = 'none';
+		button.style.border = 'none';
+		button.style.color = '#ff8888';
+		button.style.cursor = 'pointer';
+		button.addEventListener('click', onClick);
+		return button;
+	}
+}
@@ -0,0 +1,92 @@
+/**
+ * Candle (OHLCV) utility functions
+ *
+ * Providers return price history as candles at one of a fixed set of resolutions.
+ * These helpers build candles from whatever a source provides: finer candles are
+ * merged into coarser ones, and plain price points are bucketed into candles.
+ */
+
+// Supported resolutions and their length in milliseconds
+export const CANDLE_RESOLUTIONS = {
+	'5m': 5 * 60 * 1000,
+	'1h': 60 * 60 * 1000,
+	'4h': 4 * 60 * 60 * 1000,
+	'1d': 24 * 60 * 60 * 1000
+};
+
+export const DEFAULT_RESOLUTION = '1h';
+
+/**
+ * Get the length of a resolution, falling back to the default for unknown ones
+ * @param {string} resolution - Resolution name, e.g. '4h'
+ * @returns {number} - Candle length in milliseconds
+ */
+export function getResolutionMs(resolution) {
+	return CANDLE_RESOLUTIONS[resolution] || CANDLE_RESOLUTIONS[DEFAULT_RESOLUTION];
+}
+
+/**
+ * Build a candle, with price set to the close so close-only consumers keep working
+ * @param {number} time - Candle open time in milliseconds
+ * @param {number} open - Opening price
+ * @param {number} high - Highest price
+ * @param {number} low - Lowest price
+ * @param {number} close - Closing price
+ * @param {number} volume - Traded volume in USD
+ * @returns {Object} - Candle { time, open, high, low, close, volume, price }
+ */
+export function makeCandle(time, open, high, low, close, volume = 0) {
+	return { time, open, high, low, close, volume, price: close };
+}
+
+/**
+ * Merge candles into coarser ones at the given resolution
+ * Candles already at (or coarser than) the resolution pass through unchanged.
+ * @param {Array<Object>} candles - Candles sorted oldest first
+ * @param {string} resolution - Target resolution
+ * @returns {Array<Object>} - Merged candles, oldest first
+ */
+export function aggregateCandles(candles, resolution) {
+	const bucketMs = getResolutionMs(resolution);
+	const buckets = new Map();
+	
+	for (const candle of candles) {
+		const bucketTime = Math.floor(candle.time / bucketMs) * bucketMs;
+		const bucket = buckets.get(bucketTime);
+		
+		if (!bucket) {
+			buckets.set(bucketTime, makeCandle(bucketTime, candle.open, candle.high, candle.low, candle.close, candle.volume || 0));
+			continue;
+		}
+		
+		bucket.high = Math.max(bucket.high, candle.high);
+		bucket.low = Math.min(bucket.low, candle.low);
+		bucket.close = candle.close;
+		bucket.price = candle.close;
+		bucket.volume += candle.volume || 0;
+	}
+	
+	return Array.from(buckets.values()).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Bucket price points into candles at the given resolution
+ * Each candle opens at the previous candle's close, so consecutive candles join up.
+ * @param {Array<Object>} points - Price points { time, price, volume? } sorted oldest first
+ * @param {string} resolution - Target resolution
+ * @returns {Array<Object>} - Candles, oldest first
+ */
+export function pointsToCandles(points, resolution) {
+	const candles = aggregateCandles(points.map(point => makeCandle(
+		point.time, point.price, point.price, point.price, point.price, point.volume || 0
+	)), resolution);
+	
+	for (let i = 1; i < candles.length; i++) {
+		const previousClose = candles[i - 1].close;
+		candles[i].open = previousClose;
+		candles[i].high = Math.max(candles[i].high, previousClose);
+		candles[i].low = Math.min(candles[i].low, previousClose);
+	}
+	
+	return candles;
+}
@@ -0,0 +1,104 @@
+/**
+ * Capture utility functions
+ *
+ * Sizes, camera paths, watermark text and file names for screenshots and
+ * video clips of the cube (see CaptureService).
+ */
+
+import { formatPrice, formatChange, formatCompactNumber } from '../visualizations/token-scoreboard/utils.js';
+
+// Screenshot sizes; 'window' is the canvas size at the screen's pixel ratio
+export const CAPTURE_RESOLUTIONS = [
+	{ id: 'window', label: 'Window' },
+	{ id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+	{ id: '1440p', label: '2560 × 1440', width: 2560, height: 1440 },
+	{ id: '4k', label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+	{ id: 'square', label: '2048 × 2048 (square)', width: 2048, height: 2048 },
+	{ id: 'portrait', label: '1080 × 1920 (portrait)', width: 1080, height: 1920 }
+];
+
+// Video MIME types to try, best first
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Work out the pixel size of a capture
+ * Sizes too big for the GPU are scaled down, keeping their shape.
+ * @param {string} resolutionId - Id from CAPTURE_RESOLUTIONS
+ * @param {Object} windowSize - { width, height, pixelRatio } of the canvas on screen
+ * @param {number} maxSize - Largest width or height the renderer can draw
+ * @returns {Object} - { width, height } in pixels
+ */
+export function getCaptureSize(resolutionId, windowSize, maxSize = Infinity) {
+	const resolution = CAPTURE_RESOLUTIONS.find(r => r.id === resolutionId && r.width);
+	let width = resolution ? resolution.width : windowSize.width * (windowSize.pixelRatio || 1);
+	let height = resolution ? resolution.height : windowSize.height * (windowSize.pixelRatio || 1);
+	
+	const scale = Math.min(1, maxSize / Math.max(width, height));
+	width = Math.max(1, Math.floor(width * scale));
+	height = Math.max(1, Math.floor(height * scale));
+	
+	return { width, height };
+}
+
+/**
+ * Get the camera's offset from its target partway round an orbit about the vertical axis
+ * @param {Array<number>} startOffset - [x, y, z] offset of the camera from the target at the start
+ * @param {number} progress - How far through the orbit, from 0 to 1
+ * @param {number} turns - Number of full turns in the orbit
+ * @returns {Array<number>} - [x, y, z] offset at that point
+ */
+export function getOrbitOffset(startOffset, progress, turns = 1) {
+	const [x, y, z] = startOffset;
+	const angle = progress * turns * Math.PI * 2;
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	
+	return [x * cos + z * sin, y, z * cos - x * sin];
+}
+
+/**
+ * Build the watermark text for a capture
+ * @param {Object|null} token - Token open on the scoreboard, to show its stats
+ * @returns {Array<string>} - Lines of text, the app name first
+ */
+export function getWatermarkLines(token) {
+	const lines = ['MEMECUBE'];
+	if (!token) return lines;
+	
+	const symbol = token.baseToken?.symbol || token.symbol || token.name;
+	const change = token.priceChange?.h24 ?? (typeof token.priceChange === 'object' ? undefined : token.priceChange);
+	const headline = [symbol ? `$${symbol.replace(/^\$/, '')}` : null];
+	if (token.priceUsd !== undefined) headline.push(`$${formatPrice(token.priceUsd)}`);
+	if (change !== undefined) headline.push(`${formatChange(change, false, true)} 24h`);
+	lines.push(headline.filter(Boolean).join('  '));
+	
+	const stats = [];
+	const marketCap = token.marketCap || token.fdv;
+	if (marketCap) stats.push(`MCAP $${formatCompactNumber(marketCap)}`);
+	if (token.liquidity?.usd) stats.push(`LIQ $${formatCompactNumber(token.liquidity.usd)}`);
+	if (token.volume?.h24) stats.push(`VOL $${formatCompactNumber(token.volume.h24)}`);
+	if (stats.length > 0) lines.push(stats.join('  '));
+	
+	return lines;
+}
+
+/**
+ * Pick the video format to record in
+ * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+ * @returns {string|null} - MIME type, or null if none of ours is supported
+ */
+export function pickVideoMimeType(isTypeSupported) {
+	return VIDEO_MIME_TYPES.find(type => isTypeSupported(type)) || null;
+}
+
+/**
+ * Name a capture file after when it was taken
+ * @param {string} kind - e.g. 'screenshot' or 'orbit'
+ * @param {string} extension - File extension without the dot
+ * @param {Date} date - When the capture was taken
+ * @returns {string} - e.g. 'memecube-screenshot-2024-01-01-120000.png'
+ */
+export function getCaptureFileName(kind, extension, date = new Date()) {
+	const stamp = date.toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '');
+	return `memecube-${kind}-${stamp}.${extension}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * Price comparison utility functions
+ *
+ * Line up several tokens' price histories so they can be drawn on one chart,
+ * either as relative returns (% change since the start of the shared window)
+ * or as absolute prices on a log scale, since meme token prices differ by
+ * many orders of magnitude.
+ */
+
+/**
+ * Turn each history into { time, price } points over the window all of them cover
+ * Histories that don't overlap the others are kept whole rather than dropped.
+ * @param {Array<Array<Object>>} histories - Candles or { time, price } points per token, oldest first
+ * @returns {Array<Array<Object>>} - Points { time, price } per token, oldest first
+ */
+export function alignHistories(histories) {
+	const points = histories.map(history => (history || [])
+		.map(point => ({ time: point.time ?? point.timestamp, price: point.close ?? point.price }))
+		.filter(point => Number.isFinite(point.time) && point.price > 0));
+	
+	const withData = points.filter(series => series.length > 0);
+	if (withData.length < 2) return points;
+	
+	// Start where the latest history starts, so every line begins at the same moment
+	const start = Math.max(...withData.map(series => series[0].time));
+	
+	return points.map(series => {
+		const inWindow = series.filter(point => point.time >= start);
+		return inWindow.length >= 2 ? inWindow : series;
+	});
+}
+
+/**
+ * Build the lines for a comparison chart
+ * @param {Array<Array<Object>>} histories - Candles or { time, price } points per token, oldest first
+ * @param {string} axis - 'relative' for % change since each line's first point, 'absolute' for log10 price
+ * @returns {Object} - { series, minTime, maxTime, minValue, maxValue }, where series holds
+ *          { time, price, value } points per token (empty for tokens without history)
+ */
+export function buildComparisonSeries(histories, axis = 'relative') {
+	const series = alignHistories(histories).map(points => {
+		const first = points[0]?.price;
+		return points.map(point => ({
+			...point,
+			value: axis === 'absolute'
+				? Math.log10(point.price)
+				: (point.price / first - 1) * 100
+		}));
+	});
+	
+	const allPoints = series.flat();
+	if (allPoints.length === 0) {
+		return { series, minTime: 0, maxTime: 0, minValue: 0, maxValue: 0 };
+	}
+	
+	const values = allPoints.map(point => point.value);
+	let minValue = Math.min(...values);
+	let maxValue = Math.max(...values);
+	
+	// Relative returns always show the 0% baseline
+	if (axis !== 'absolute') {
+		minValue = Math.min(minValue, 0);
+		maxValue = Math.max(maxValue, 0);
+	}
+	
+	return {
+		series,
+		minTime: Math.min(...allPoints.map(point => point.time)),
+		maxTime: Math.max(...allPoints.map(point => point.time)),
+		minValue,
+		maxValue
+	};
+}
+
+/**
+ * Format a comparison axis value for labels
+ * @param {number} value - % change, or log10 price for the absolute axis
+ * @param {string} axis - 'relative' or 'absolute'
+ * @returns {string} - e.g. '+12.5%' or '$0.00042'
+ */
+export function formatComparisonValue(value, axis = 'relative') {
+	if (axis === 'absolute') {
+		const price = 10 ** value;
+		return price >= 1 ? `$${price.toFixed(2)}` : `$${price.toPrecision(2)}`;
+	}
+	return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
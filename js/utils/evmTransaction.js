@@ -0,0 +1,38 @@
+/**
+ * EVM transaction helpers
+ *
+ * Small conversions for building native-currency transfers through an EIP-1193
+ * wallet (window.ethereum), which takes hex quantities and hex calldata.
+ */
+
+const WEI_PER_GWEI = 1000000000n;
+
+/**
+ * Convert an amount in ETH (or another 18-decimal native currency) to a hex wei quantity
+ * @param {number} amount - Amount in ETH
+ * @returns {string} - 0x-prefixed hex wei
+ */
+export function toWeiHex(amount) {
+	// Round to whole gwei first so floating point noise doesn't reach the wei digits
+	const gwei = BigInt(Math.round(amount * 1e9));
+	return `0x${(gwei * WEI_PER_GWEI).toString(16)}`;
+}
+
+/**
+ * Encode text as hex calldata, used to carry a memo on a plain transfer
+ * @param {string} text - Text to encode
+ * @returns {string} - 0x-prefixed hex
+ */
+export function utf8ToHex(text) {
+	const bytes = new TextEncoder().encode(text);
+	return `0x${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Format a numeric chain id as the hex string EIP-1193 wallets use
+ * @param {number} chainId - Chain id, e.g. 8453 for Base
+ * @returns {string} - 0x-prefixed hex chain id
+ */
+export function toHexChainId(chainId) {
+	return `0x${Number(chainId).toString(16)}`;
+}
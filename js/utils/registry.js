@@ -0,0 +1,47 @@
+/**
+ * Registry
+ * An id-keyed collection of pluggable parts (tag sizing strategies, colour modes, LED fonts,
+ * scoreboard layouts and programs, wallet adapters). Each kind checks its own entries with a
+ * validator, and extends the class where it needs more than register / get / list.
+ */
+
+export class Registry {
+	/**
+	 * @param {Function} validate - Called with each entry before it is registered; throws if the entry is unusable
+	 */
+	constructor(validate) {
+		this.validate = validate;
+		
+		// Map of id => entry, in registration order
+		this.entries = new Map();
+	}
+	
+	/**
+	 * Register an entry, replacing any with the same id
+	 * @param {Object} entry - The entry; needs an id, plus whatever the validator asks for
+	 * @returns {Registry} - This registry, for chaining
+	 * @throws {Error} - If the validator rejects the entry
+	 */
+	register(entry) {
+		this.validate(entry);
+		this.entries.set(entry.id, entry);
+		return this;
+	}
+	
+	/**
+	 * Get an entry by id
+	 * @param {string} id - Entry id
+	 * @returns {Object|null} - The entry or null if not registered
+	 */
+	get(id) {
+		return this.entries.get(id) || null;
+	}
+	
+	/**
+	 * List registered entries
+	 * @returns {Array<Object>} - Entries in registration order
+	 */
+	list() {
+		return Array.from(this.entries.values());
+	}
+}
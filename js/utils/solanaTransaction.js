@@ -0,0 +1,211 @@
+/**
+ * Solana transaction helpers
+ *
+ * Builds the small set of Solana messages the app needs (a SOL transfer with a memo)
+ * without pulling in @solana/web3.js. Wallets such as Phantom accept the serialized
+ * message base58-encoded and handle signing and submission themselves.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Program ids
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+export const LAMPORTS_PER_SOL = 1000000000;
+
+/**
+ * Encode bytes as base58
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base58 string
+ */
+export function encodeBase58(bytes) {
+	// Convert base-256 digits to base-58 digits
+	const digits = [0];
+	for (const byte of bytes) {
+		let carry = byte;
+		for (let i = 0; i < digits.length; i++) {
+			carry += digits[i] << 8;
+			digits[i] = carry % 58;
+			carry = (carry / 58) | 0;
+		}
+		while (carry > 0) {
+			digits.push(carry % 58);
+			carry = (carry / 58) | 0;
+		}
+	}
+	
+	// Leading zero bytes are written as '1'
+	let result = '';
+	for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+		result += '1';
+	}
+	
+	// A lone zero digit only appears for empty or all-zero input, which the 1s already cover
+	if (digits.length === 1 && digits[0] === 0) {
+		return result;
+	}
+	
+	for (let i = digits.length - 1; i >= 0; i--) {
+		result += BASE58_ALPHABET[digits[i]];
+	}
+	return result;
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} text - Base58 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function decodeBase58(text) {
+	const bytes = [0];
+	for (const char of text) {
+		const value = BASE58_ALPHABET.indexOf(char);
+		if (value < 0) {
+			throw new Error(`Invalid base58 character "${char}"`);
+		}
+		
+		let carry = value;
+		for (let i = 0; i < bytes.length; i++) {
+			carry += bytes[i] * 58;
+			bytes[i] = carry & 0xff;
+			carry >>= 8;
+		}
+		while (carry > 0) {
+			bytes.push(carry & 0xff);
+			carry >>= 8;
+		}
+	}
+	
+	// Leading '1's are leading zero bytes
+	let leadingZeros = 0;
+	for (let i = 0; i < text.length && text[i] === '1'; i++) {
+		leadingZeros++;
+	}
+	
+	const significant = bytes.reverse();
+	while (significant.length > 0 && significant[0] === 0) {
+		significant.shift();
+	}
+	
+	return Uint8Array.from([...new Array(leadingZeros).fill(0), ...significant]);
+}
+
+/**
+ * Decode a base58 public key, checking it is 32 bytes
+ * @param {string} address - Base58 address
+ * @returns {Uint8Array} - 32 byte public key
+ */
+function decodePublicKey(address) {
+	const bytes = decodeBase58(address);
+	if (bytes.length !== 32) {
+		throw new Error(`Invalid Solana address: ${address}`);
+	}
+	return bytes;
+}
+
+/**
+ * Encode a length as Solana's compact-u16
+ * @param {number} value - Length to encode
+ * @returns {Array<number>} - Encoded bytes
+ */
+function encodeCompactU16(value) {
+	const bytes = [];
+	let remaining = value;
+	do {
+		let byte = remaining & 0x7f;
+		remaining >>= 7;
+		if (remaining > 0) byte |= 0x80;
+		bytes.push(byte);
+	} while (remaining > 0);
+	return bytes;
+}
+
+/**
+ * Encode a lamport amount as a little-endian u64
+ * @param {number} lamports - Amount in lamports
+ * @returns {Array<number>} - 8 bytes
+ */
+function encodeU64(lamports) {
+	const bytes = [];
+	let remaining = BigInt(lamports);
+	for (let i = 0; i < 8; i++) {
+		bytes.push(Number(remaining & 0xffn));
+		remaining >>= 8n;
+	}
+	return bytes;
+}
+
+/**
+ * Build a legacy transaction message that transfers SOL and attaches a memo
+ * @param {Object} params - Transfer parameters
+ * @param {string} params.from - Payer address (the only signer)
+ * @param {string} params.to - Recipient address
+ * @param {number} params.lamports - Amount in lamports
+ * @param {string} params.memo - Memo text
+ * @param {string} params.recentBlockhash - Recent blockhash from the cluster
+ * @returns {Uint8Array} - Serialized message, ready for the wallet to sign
+ */
+export function buildTransferMessage({ from, to, lamports, memo, recentBlockhash }) {
+	if (!Number.isInteger(lamports) || lamports <= 0) {
+		throw new Error('Transfer amount must be a positive number of lamports');
+	}
+	
+	// Account order: signer first, then writable, then read-only programs
+	const accountKeys = [from, to, SYSTEM_PROGRAM_ID, MEMO_PROGRAM_ID];
+	
+	// System program transfer: instruction index 2 (u32) followed by lamports (u64)
+	const transferData = [2, 0, 0, 0, ...encodeU64(lamports)];
+	const memoData = Array.from(new TextEncoder().encode(memo));
+	
+	const instructions = [
+		{ programIdIndex: 2, accounts: [0, 1], data: transferData },
+		{ programIdIndex: 3, accounts: [0], data: memoData }
+	];
+	
+	const bytes = [
+		// Header: 1 signature required, 0 read-only signed, 2 read-only unsigned (the programs)
+		1, 0, 2,
+		...encodeCompactU16(accountKeys.length),
+		...accountKeys.flatMap(key => Array.from(decodePublicKey(key))),
+		...Array.from(decodePublicKey(recentBlockhash)),
+		...encodeCompactU16(instructions.length)
+	];
+	
+	for (const instruction of instructions) {
+		bytes.push(
+			instruction.programIdIndex,
+			...encodeCompactU16(instruction.accounts.length),
+			...instruction.accounts,
+			...encodeCompactU16(instruction.data.length),
+			...instruction.data
+		);
+	}
+	
+	return Uint8Array.from(bytes);
+}
+
+/**
+ * Convert SOL to lamports
+ * @param {number} sol - Amount in SOL
+ * @returns {number} - Amount in lamports
+ */
+export function solToLamports(sol) {
+	return Math.round(sol * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Wrap a message as an unsigned transaction: empty signature slots followed by the message,
+ * the form Wallet Standard wallets expect for solana:signAndSendTransaction
+ * @param {Uint8Array} message - Serialized message from buildTransferMessage
+ * @returns {Uint8Array} - Serialized transaction with zeroed signatures
+ */
+export function serializeUnsignedTransaction(message) {
+	// The first header byte is the number of required signatures
+	const signatureCount = message[0];
+	return Uint8Array.from([
+		...encodeCompactU16(signatureCount),
+		...new Array(signatureCount * 64).fill(0),
+		...message
+	]);
+}
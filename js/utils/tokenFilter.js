@@ -0,0 +1,273 @@
+/**
+ * Token filter utility functions
+ *
+ * Parse the query bar's filter language, match tokens against it and keep it in
+ * the URL hash so a filtered cube can be shared. A query is a list of words:
+ *
+ *   chain:solana,base    only tokens on these chains
+ *   mcap:1m..50m         market cap range; also mcap:>1m, mcap:<500k (K, M and B suffixes)
+ *   age:<24h             pair age range; units m, h, d and w, hours when there's no unit
+ *   change:>10           24h price change range in percent, e.g. change:-10..10
+ *   is:sponsored         only sponsored tokens
+ *   pepe                 anything else must appear in the symbol, name or address
+ *
+ * A range with a single bare value is a minimum, so mcap:1m is the same as mcap:>1m.
+ */
+
+// Hash parameter the filter query is kept in
+export const FILTER_HASH_PARAM = 'filter';
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const AGE_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 7 * 86400000 };
+
+/**
+ * Create a filter that matches everything
+ * @returns {Object} - Empty filter
+ */
+export function createEmptyFilter() {
+	return {
+		text: [],
+		chains: [],
+		marketCap: null,
+		age: null,
+		change: null,
+		sponsoredOnly: false,
+		invalid: []
+	};
+}
+
+/**
+ * Check whether a filter lets every token through
+ * @param {Object|null} filter - Parsed filter
+ * @returns {boolean} - True if there is nothing to filter by
+ */
+export function isEmptyFilter(filter) {
+	return !filter || (filter.text.length === 0 && filter.chains.length === 0 &&
+		!filter.marketCap && !filter.age && !filter.change && !filter.sponsoredOnly);
+}
+
+/**
+ * Parse a number with an optional K/M/B suffix
+ * @param {string} text - e.g. '1.5m'
+ * @returns {number} - The number, or NaN
+ */
+function parseAmount(text) {
+	const match = /^(-?\d+(?:\.\d+)?)([kmb])?$/i.exec(text);
+	if (!match) return NaN;
+	return parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2].toLowerCase()] : 1);
+}
+
+/**
+ * Parse a duration with an optional m/h/d/w unit
+ * @param {string} text - e.g. '24h'
+ * @returns {number} - Duration in ms, or NaN
+ */
+function parseDuration(text) {
+	const match = /^(\d+(?:\.\d+)?)([mhdw])?$/i.exec(text);
+	if (!match) return NaN;
+	return parseFloat(match[1]) * AGE_UNITS[(match[2] || 'h').toLowerCase()];
+}
+
+/**
+ * Parse a range such as '>10', '<5', '1..2' or '3'
+ * @param {string} text - Range text
+ * @param {Function} parseValue - Parses one end of the range, returning NaN when invalid
+ * @returns {Object|null} - { min, max } with null for an open end, or null if invalid
+ */
+function parseRange(text, parseValue) {
+	let min = null;
+	let max = null;
+	
+	if (text.startsWith('>')) {
+		min = parseValue(text.slice(1));
+	} else if (text.startsWith('<')) {
+		max = parseValue(text.slice(1));
+	} else if (text.includes('..')) {
+		const [low, high] = text.split('..');
+		min = low ? parseValue(low) : null;
+		max = high ? parseValue(high) : null;
+	} else {
+		min = parseValue(text);
+	}
+	
+	if (Number.isNaN(min) || Number.isNaN(max) || (min === null && max === null)) return null;
+	if (min !== null && max !== null && min > max) return { min: max, max: min };
+	return { min, max };
+}
+
+/**
+ * Parse a query bar query into a filter
+ * Words that can't be understood are collected in filter.invalid and otherwise ignored.
+ * @param {string} query - Query text
+ * @returns {Object} - Filter { text, chains, marketCap, age, change, sponsoredOnly, invalid }
+ */
+export function parseFilterQuery(query) {
+	const filter = createEmptyFilter();
+	
+	for (const word of (query || '').trim().split(/\s+/).filter(Boolean)) {
+		const separator = word.indexOf(':');
+		const field = separator > 0 ? word.slice(0, separator).toLowerCase() : null;
+		const value = separator > 0 ? word.slice(separator + 1).replace(/%$/, '') : word;
+		
+		let range;
+		switch (field) {
+			case 'chain':
+				filter.chains.push(...value.toLowerCase().split(',').filter(Boolean));
+				break;
+			case 'mcap':
+				range = parseRange(value, parseAmount);
+				if (range) filter.marketCap = range;
+				else filter.invalid.push(word);
+				break;
+			case 'age':
+				range = parseRange(value, parseDuration);
+				if (range) filter.age = range;
+				else filter.invalid.push(word);
+				break;
+			case 'change':
+				range = parseRange(value, parseFloat);
+				if (range) filter.change = range;
+				else filter.invalid.push(word);
+				break;
+			case 'is':
+				if (value.toLowerCase() === 'sponsored') filter.sponsoredOnly = true;
+				else filter.invalid.push(word);
+				break;
+			default:
+				// Not a filter we know, so match it as text (this covers URLs and 'a:b' symbols too)
+				filter.text.push(word.toLowerCase());
+		}
+	}
+	
+	filter.chains = Array.from(new Set(filter.chains));
+	return filter;
+}
+
+/**
+ * Format a number with a K/M/B suffix
+ * @param {number} value - Number to format
+ * @returns {string} - e.g. '1.5M'
+ */
+function formatAmount(value) {
+	for (const [suffix, scale] of Object.entries(NUMBER_SUFFIXES).reverse()) {
+		if (Math.abs(value) >= scale) return `${+(value / scale).toFixed(3)}${suffix.toUpperCase()}`;
+	}
+	return `${+value.toFixed(3)}`;
+}
+
+/**
+ * Format a duration with the largest unit that divides it evenly
+ * @param {number} ms - Duration in ms
+ * @returns {string} - e.g. '24h'
+ */
+function formatDuration(ms) {
+	const [unit, scale] = Object.entries(AGE_UNITS).reverse().find(([, size]) => ms % size === 0) || ['m', AGE_UNITS.m];
+	return `${+(ms / scale).toFixed(3)}${unit}`;
+}
+
+/**
+ * Format a range the way parseRange reads it
+ * @param {Object} range - { min, max }
+ * @param {Function} format - Formats one end of the range
+ * @returns {string} - e.g. '>10' or '1M..50M'
+ */
+function formatRange({ min, max }, format) {
+	if (min !== null && max !== null) return `${format(min)}..${format(max)}`;
+	return min !== null ? `>${format(min)}` : `<${format(max)}`;
+}
+
+/**
+ * Turn a filter back into query text, in a standard order so equal filters give equal URLs
+ * @param {Object|null} filter - Parsed filter
+ * @returns {string} - Query text, empty for an empty filter
+ */
+export function formatFilterQuery(filter) {
+	if (isEmptyFilter(filter)) return '';
+	
+	const words = [];
+	if (filter.chains.length > 0) words.push(`chain:${filter.chains.join(',')}`);
+	if (filter.marketCap) words.push(`mcap:${formatRange(filter.marketCap, formatAmount)}`);
+	if (filter.age) words.push(`age:${formatRange(filter.age, formatDuration)}`);
+	if (filter.change) words.push(`change:${formatRange(filter.change, value => `${+value.toFixed(2)}`)}`);
+	if (filter.sponsoredOnly) words.push('is:sponsored');
+	words.push(...filter.text);
+	
+	return words.join(' ');
+}
+
+/**
+ * Check a value against a range
+ * @param {number} value - Value to check
+ * @param {Object|null} range - { min, max }, or null for no limit
+ * @returns {boolean} - True if the value is in the range, false if it's outside or unknown
+ */
+function inRange(value, range) {
+	if (!range) return true;
+	if (!Number.isFinite(value)) return false;
+	return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+}
+
+/**
+ * Check whether a token passes a filter
+ * Tokens without the data a range needs don't pass it.
+ * @param {Object} token - Token data
+ * @param {Object|null} filter - Parsed filter
+ * @param {Object} context - { now, isSponsored } where isSponsored says whether this token is sponsored
+ * @returns {boolean} - True if the token should be shown
+ */
+export function matchesFilter(token, filter, { now = Date.now(), isSponsored = false } = {}) {
+	if (isEmptyFilter(filter)) return true;
+	if (!token) return false;
+	
+	if (filter.sponsoredOnly && !isSponsored) return false;
+	
+	if (filter.chains.length > 0) {
+		const chainId = (token.chainId || token.baseToken?.chainId || '').toLowerCase();
+		if (!filter.chains.includes(chainId)) return false;
+	}
+	
+	if (!inRange(parseFloat(token.marketCap || token.fdv), filter.marketCap)) return false;
+	
+	const createdAt = parseFloat(token.pairCreatedAt);
+	if (!inRange(createdAt > 0 ? now - createdAt : NaN, filter.age)) return false;
+	
+	const change = typeof token.priceChange === 'object' ? token.priceChange?.h24 : token.priceChange;
+	if (!inRange(parseFloat(change), filter.change)) return false;
+	
+	if (filter.text.length > 0) {
+		const haystack = [
+			token.baseToken?.symbol, token.baseToken?.name, token.symbol, token.name,
+			token.tokenAddress, token.baseToken?.address, token.pairAddress
+		].filter(Boolean).join(' ').toLowerCase();
+		if (!filter.text.every(word => haystack.includes(word))) return false;
+	}
+	
+	return true;
+}
+
+/**
+ * Read the filter query from a URL hash
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {string} - Query text, empty if there is none
+ */
+export function readFilterFromHash(hash) {
+	return new URLSearchParams((hash || '').replace(/^#/, '')).get(FILTER_HASH_PARAM) || '';
+}
+
+/**
+ * Put a filter query into a URL hash, keeping any other parameters in it
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {string} query - Query text; empty removes the filter
+ * @returns {string} - New hash with its leading '#', or '' when nothing is left
+ */
+export function writeFilterToHash(hash, query) {
+	const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+	if (query) {
+		params.set(FILTER_HASH_PARAM, query);
+	} else {
+		params.delete(FILTER_HASH_PARAM);
+	}
+	
+	const text = params.toString();
+	return text ? `#${text}` : '';
+}
@@ -0,0 +1,93 @@
+/**
+ * View state utility functions
+ *
+ * Read and write what the user is looking at in the URL hash, so a link can bring a
+ * teammate to the same view. The hash holds URL-encoded parameters:
+ *
+ *   cam=x,y,z        camera position
+ *   target=x,y,z     point the camera looks at
+ *   token=<key>      token open on the scoreboard (see getTokenKey)
+ *   board=tall       scoreboard size mode
+ *   controls=fly     camera control mode
+ *   filter=<query>   cube filter (see tokenFilter.js)
+ */
+
+import { FILTER_HASH_PARAM } from './tokenFilter.js';
+
+export const SIZE_MODES = ['normal', 'tall', 'hidden'];
+export const CONTROL_MODE_IDS = ['orbit', 'fly'];
+
+// Hash parameter for each view state field
+const PARAMS = {
+	cameraPosition: 'cam',
+	cameraTarget: 'target',
+	tokenKey: 'token',
+	sizeMode: 'board',
+	controlMode: 'controls',
+	filter: FILTER_HASH_PARAM
+};
+
+/**
+ * Parse an 'x,y,z' vector
+ * @param {string|null} text - Vector text
+ * @returns {Array<number>|null} - [x, y, z], or null if missing or invalid
+ */
+function parseVector(text) {
+	const values = (text || '').split(',').map(Number);
+	return values.length === 3 && values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Format a vector as 'x,y,z', to two decimals
+ * @param {Array<number>} vector - [x, y, z]
+ * @returns {string} - Vector text
+ */
+function formatVector(vector) {
+	return vector.map(value => +value.toFixed(2)).join(',');
+}
+
+/**
+ * Read the view state from a URL hash
+ * Values that are missing or invalid come back as null.
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object} - { cameraPosition, cameraTarget, tokenKey, sizeMode, controlMode, filter }
+ */
+export function readViewState(hash) {
+	const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+	const sizeMode = params.get(PARAMS.sizeMode);
+	const controlMode = params.get(PARAMS.controlMode);
+	
+	return {
+		cameraPosition: parseVector(params.get(PARAMS.cameraPosition)),
+		cameraTarget: parseVector(params.get(PARAMS.cameraTarget)),
+		tokenKey: params.get(PARAMS.tokenKey) || null,
+		sizeMode: SIZE_MODES.includes(sizeMode) ? sizeMode : null,
+		controlMode: CONTROL_MODE_IDS.includes(controlMode) ? controlMode : null,
+		filter: params.get(PARAMS.filter) || null
+	};
+}
+
+/**
+ * Write view state into a URL hash, keeping parameters it doesn't mention
+ * Fields set to null are removed; fields left out are kept as they were.
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {Object} state - Any of { cameraPosition, cameraTarget, tokenKey, sizeMode, controlMode, filter }
+ * @returns {string} - New hash with its leading '#', or '' when nothing is left
+ */
+export function writeViewState(hash, state) {
+	const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+	
+	for (const [field, param] of Object.entries(PARAMS)) {
+		if (!(field in state)) continue;
+		
+		const value = state[field];
+		if (value === null || value === undefined || value === '') {
+			params.delete(param);
+		} else {
+			params.set(param, Array.isArray(value) ? formatVector(value) : value);
+		}
+	}
+	
+	const text = params.toString();
+	return text ? `#${text}` : '';
+}
@@ -1,18 +1,32 @@
 import * as THREE from 'three';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { CANDLE_RESOLUTIONS, DEFAULT_RESOLUTION } from '../utils/candles.js';
+import { buildComparisonSeries, formatComparisonValue } from '../utils/comparison.js';
+import { getTokenKey } from '../utils/tokenKey.js';
 // Import CatmullRomCurve3 directly from THREE instead of as a separate module
 // THREE.CatmullRomCurve3 is available directly from the THREE namespace
 
 /**
  * Token Chart Visualization
- * Displays token price data as a curved line formed by stars
+ * Displays token price data as 3D candlesticks with volume bars beneath,
+ * or as a curved line formed by stars.
+ * Pinned tokens are compared as one line each, in relative return or absolute price
  * Fixed position on screen regardless of camera movement
  */
 export class TokenChart3D {
-	constructor(scene, camera) {
+	/**
+	 * @param {THREE.Scene} scene - Scene to add the chart to
+	 * @param {THREE.Camera} camera - Camera the chart stays in front of
+	 * @param {TokenDataProvider} dataProvider - Provider to fetch price history from when the timeframe changes
+	 */
+	constructor(scene, camera, dataProvider = null) {
 		this.scene = scene;
 		this.camera = camera;
+		this.dataProvider = dataProvider;
+		
+		// Token currently charted, so a timeframe change can fetch its history again
+		this.currentToken = null;
 		
 		// Groups for organization
 		this.mainGroup = new THREE.Group();
@@ -20,6 +34,7 @@ export class TokenChart3D {
 		this.uiGroup = new THREE.Group();
 		this.jetsGroup = new THREE.Group();
 		this.chartGroup = new THREE.Group();
+		this.candlesGroup = new THREE.Group();
 		this.isVisible = true;
 		this.expanded = false;
 		
@@ -33,6 +48,33 @@ export class TokenChart3D {
 		this.maxDataPoints = 25; // Number of data points to show
 		this.currentChartData = null;
 		
+		// Chart style: 'candles' (OHLC bodies and wicks with volume bars) or 'stars' (line drawn by the emitter)
+		this.chartStyle = 'candles';
+		this.resolution = DEFAULT_RESOLUTION;
+		
+		// Candlestick parameters
+		this.maxCandles = 48;
+		this.volumeHeightRatio = 0.2; // Share of the chart height given to the volume bars
+		this.candles = [];
+		this.candleColumns = [];
+		this.candleReveal = 1; // Progress of the candles growing in, from 0 to 1
+		this.candleGeometry = new THREE.BoxGeometry(1, 1, 1); // Shared unit box, scaled per part
+		
+		// Timeframe and style buttons
+		this.font = null;
+		this.timeframeButtons = [];
+		this.styleButton = null;
+		this.axisButton = null;
+		
+		// Comparison mode: pinned tokens drawn as one line each, with a legend beside the chart
+		this.pinnedTokens = []; // { key, token, baseColour, material, candles }
+		this.maxPinnedTokens = 6;
+		this.comparisonAxis = 'relative'; // 'relative' (% return) or 'absolute' (log price)
+		this.comparisonGroup = new THREE.Group();
+		this.legendGroup = new THREE.Group();
+		this.comparisonLines = [];
+		this.comparisonReveal = 1; // Progress of the lines drawing in, from 0 to 1
+		
 		// Chart emitter jet
 		this.emitterJet = null;
 		this.emitterSpeed = 0.4;
@@ -102,11 +144,37 @@ export class TokenChart3D {
 				color: 0x555588,
 				transparent: true,
 				opacity: 0.5
+			}),
+			upCandle: new THREE.MeshBasicMaterial({
+				color: 0x00ff88,
+				transparent: true,
+				opacity: 0.85
+			}),
+			downCandle: new THREE.MeshBasicMaterial({
+				color: 0xff5555,
+				transparent: true,
+				opacity: 0.85
+			}),
+			upVolume: new THREE.MeshBasicMaterial({
+				color: 0x00ff88,
+				transparent: true,
+				opacity: 0.3
+			}),
+			downVolume: new THREE.MeshBasicMaterial({
+				color: 0xff5555,
+				transparent: true,
+				opacity: 0.3
+			}),
+			label: new THREE.MeshBasicMaterial({
+				color: 0xffffff
 			})
 		};
 		
 		// Add groups to main group
 		this.mainGroup.add(this.chartGroup);
+		this.mainGroup.add(this.candlesGroup);
+		this.mainGroup.add(this.comparisonGroup);
+		this.mainGroup.add(this.legendGroup);
 		this.mainGroup.add(this.starsGroup);
 		this.mainGroup.add(this.uiGroup);
 		this.mainGroup.add(this.jetsGroup);
@@ -366,12 +434,51 @@ export class TokenChart3D {
 		this.backButton.userData = { isButton: true, action: 'back' };
 		this.uiGroup.add(this.backButton);
 		
+		// Timeframe switcher along the bottom left of the chart
+		const buttonY = -this.chartHeight / 2 - 0.45;
+		Object.keys(CANDLE_RESOLUTIONS).forEach((resolution, index) => {
+			const button = new THREE.Mesh(new THREE.PlaneGeometry(0.8, 0.45), this.materials.button);
+			button.position.set(-this.chartWidth / 2 + 0.4 + index * 0.95, buttonY, 0);
+			button.userData = { isButton: true, action: 'timeframe', resolution };
+			this.timeframeButtons.push(button);
+			this.uiGroup.add(button);
+		});
+		
+		// Style toggle (candles / line) at the bottom right
+		this.styleButton = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 0.45), this.materials.button);
+		this.styleButton.position.set(this.chartWidth / 2 - 0.8, buttonY, 0);
+		this.styleButton.userData = { isButton: true, action: 'style' };
+		this.uiGroup.add(this.styleButton);
+		
+		// Axis toggle (relative / absolute) in the style button's place while comparing
+		this.axisButton = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 0.45), this.materials.button);
+		this.axisButton.position.copy(this.styleButton.position);
+		this.axisButton.userData = { isButton: true, action: 'axis' };
+		this.axisButton.visible = false;
+		this.uiGroup.add(this.axisButton);
+		
+		this.updateButtonStates();
+		
 		// Load font for labels
 		const loader = new FontLoader();
 		loader.load('https://threejs.org/examples/fonts/helvetiker_bold.typeface.json', (font) => {
+			this.font = font;
+			
 			// Add token title
 			this.addChartTitle('PRICE CHART', font);
 			
+			// Label the timeframe and style buttons
+			this.timeframeButtons.forEach(button => {
+				this.setButtonLabel(button, button.userData.resolution.toUpperCase());
+			});
+			this.setButtonLabel(this.styleButton, this.getStyleLabel());
+			this.setButtonLabel(this.axisButton, this.getAxisLabel());
+			
+			// Legend and axis labels need the font
+			if (this.isComparing()) {
+				this.renderComparison();
+			}
+			
 			// Add back button text
 			const backTextGeometry = new TextGeometry('BACK', {
 				font: font,
@@ -390,6 +497,81 @@ export class TokenChart3D {
 		});
 	}
 	
+	/**
+	 * Set (or replace) the text on a button
+	 * @param {THREE.Mesh} button - Button mesh
+	 * @param {string} text - Label text
+	 */
+	setButtonLabel(button, text) {
+		if (!this.font) return;
+		
+		if (button.userData.label) {
+			button.remove(button.userData.label);
+			button.userData.label.geometry.dispose();
+		}
+		
+		const labelGeometry = new TextGeometry(text, {
+			font: this.font,
+			size: 0.16,
+			height: 0.02,
+			curveSegments: 3,
+			bevelEnabled: false
+		});
+		labelGeometry.computeBoundingBox();
+		const labelWidth = labelGeometry.boundingBox.max.x - labelGeometry.boundingBox.min.x;
+		
+		const label = new THREE.Mesh(labelGeometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+		label.position.set(-labelWidth / 2, -0.08, 0.01);
+		button.add(label);
+		button.userData.label = label;
+	}
+	
+	/**
+	 * Get the style button's label: the style a click switches to
+	 * @returns {string} - Button label
+	 */
+	getStyleLabel() {
+		return this.chartStyle === 'candles' ? 'LINE' : 'CANDLES';
+	}
+	
+	/**
+	 * Get the axis button's label: the axis a click switches to
+	 * @returns {string} - Button label
+	 */
+	getAxisLabel() {
+		return this.comparisonAxis === 'relative' ? 'PRICE' : '% RETURN';
+	}
+	
+	/**
+	 * Create a flat text mesh with the loaded font
+	 * @param {string} text - Text to show
+	 * @param {number} size - Text height
+	 * @returns {THREE.Mesh|null} - Text mesh, or null until the font has loaded
+	 */
+	createTextMesh(text, size) {
+		if (!this.font) return null;
+		
+		const geometry = new TextGeometry(text, {
+			font: this.font,
+			size,
+			height: 0.02,
+			curveSegments: 3,
+			bevelEnabled: false
+		});
+		return new THREE.Mesh(geometry, this.materials.label);
+	}
+	
+	/**
+	 * Highlight the selected timeframe
+	 */
+	updateButtonStates() {
+		this.timeframeButtons.forEach(button => {
+			button.material = button.userData.resolution === this.resolution
+				? this.materials.buttonHover
+				: this.materials.button;
+		});
+	}
+	
 	/**
 	 * Create jet emitters at each corner
 	 */
@@ -687,9 +869,88 @@ export class TokenChart3D {
 		});
 	}
 	
+	/**
+	 * Show a token's price history, fetched from the data provider at the current timeframe
+	 * @param {Object} token - Token to chart
+	 * @returns {Promise<boolean>} - Whether any price history was found
+	 */
+	async showToken(token) {
+		this.currentToken = token;
+		if (!this.dataProvider || !token) return false;
+		
+		const resolution = this.resolution;
+		const priceHistory = await this.dataProvider.getTokenPriceHistory(token, resolution);
+		
+		// Ignore the answer if another token or timeframe was picked while it loaded
+		if (token !== this.currentToken || resolution !== this.resolution) return false;
+		
+		if (!priceHistory || priceHistory.length === 0) return false;
+		
+		this.updateChartData({
+			tokenSymbol: token.baseToken?.symbol || token.symbol || 'TOKEN',
+			priceData: priceHistory
+		});
+		return true;
+	}
+	
+	/**
+	 * Switch the candle timeframe and reload the current token's history
+	 * @param {string} resolution - '5m', '1h', '4h' or '1d'
+	 * @returns {Promise<boolean>} - Whether new price history was loaded
+	 */
+	async setResolution(resolution) {
+		if (!CANDLE_RESOLUTIONS[resolution] || resolution === this.resolution) return false;
+		
+		this.resolution = resolution;
+		this.updateButtonStates();
+		
+		this.pinnedTokens.forEach(entry => this.loadPinnedHistory(entry));
+		
+		return this.currentToken ? this.showToken(this.currentToken) : false;
+	}
+	
+	/**
+	 * Switch between the candlestick and star line styles
+	 * @returns {string} - The new style
+	 */
+	toggleChartStyle() {
+		this.chartStyle = this.chartStyle === 'candles' ? 'stars' : 'candles';
+		this.setButtonLabel(this.styleButton, this.getStyleLabel());
+		this.applyChartStyle();
+		return this.chartStyle;
+	}
+	
+	/**
+	 * Show the parts of the chart for the current style and restart its drawing animation
+	 */
+	applyChartStyle() {
+		const comparing = this.isComparing();
+		const showCandles = !comparing && this.chartStyle === 'candles';
+		const showStars = !comparing && this.chartStyle !== 'candles';
+		this.candlesGroup.visible = showCandles;
+		this.starsGroup.visible = showStars;
+		this.emitterJet.visible = showStars;
+		this.comparisonGroup.visible = comparing;
+		this.legendGroup.visible = comparing;
+		this.styleButton.visible = !comparing;
+		this.axisButton.visible = comparing;
+		
+		if (comparing) {
+			this.isEmitting = false;
+			this.comparisonReveal = 0;
+			this.renderComparison();
+		} else if (showCandles) {
+			this.isEmitting = false;
+			this.candleReveal = 0;
+		} else if (this.chartCurve) {
+			this.startChartEmitter();
+		}
+	}
+	
 	/**
 	 * Update the chart with new data
 	 * @param {Object} chartData - Object containing token symbol and price data
+	 *        (candles { time, open, high, low, close, volume } or plain { price } points)
 	 */
 	updateChartData(chartData) {
 		this.currentChartData = chartData;
@@ -699,14 +960,384 @@ export class TokenChart3D {
 			return;
 		}
 		
-		// Update chart title
-		this.updateChartTitle(chartData.tokenSymbol);
+		// Update chart title, unless it is showing the comparison
+		if (!this.isComparing()) {
+			this.updateChartTitle(chartData.tokenSymbol);
+		}
+		
+		// Both styles draw the most recent candles
+		this.candles = this.toCandles(chartData.priceData).slice(-this.maxCandles);
 		
-		// Generate chart curve based on price data
-		this.generateChartCurve(chartData.priceData);
+		// Generate chart curve through the closes, and the candlesticks
+		this.generateChartCurve(this.candles);
+		this.generateCandles(this.candles);
 		
-		// Start emitting stars to draw the chart
-		this.startChartEmitter();
+		// Start drawing the chart in the current style
+		this.applyChartStyle();
+	}
+	
+	/**
+	 * Normalize price data to candles
+	 * Plain price points become candles that open at the previous point's price.
+	 * @param {Array} priceData - Candles or { price } points, oldest first
+	 * @returns {Array} - Candles { time, open, high, low, close, volume, price }
+	 */
+	toCandles(priceData) {
+		return priceData.map((point, index) => {
+			const close = point.close ?? point.price;
+			const previous = priceData[index - 1];
+			const open = point.open ?? (previous ? previous.close ?? previous.price : close);
+			
+			return {
+				time: point.time ?? point.timestamp,
+				open,
+				high: point.high ?? Math.max(open, close),
+				low: point.low ?? Math.min(open, close),
+				close,
+				volume: point.volume || 0,
+				price: close
+			};
+		});
+	}
+	
+	/**
+	 * Build the candlesticks and volume bars
+	 * Prices use the chart above the volume band; volume bars sit beneath, scaled to the busiest candle.
+	 * @param {Array} candles - Candles, oldest first
+	 */
+	generateCandles(candles) {
+		// Remove the previous candles (geometry and materials are shared)
+		this.candleColumns.forEach(column => this.candlesGroup.remove(column));
+		this.candleColumns = [];
+		
+		if (candles.length === 0) return;
+		
+		// Price range from the wicks, with a small buffer
+		let minPrice = Math.min(...candles.map(candle => candle.low));
+		let maxPrice = Math.max(...candles.map(candle => candle.high));
+		const buffer = (maxPrice - minPrice) * 0.05 || Math.abs(maxPrice) * 0.01 || 1;
+		minPrice -= buffer;
+		maxPrice += buffer;
+		
+		const maxVolume = Math.max(...candles.map(candle => candle.volume || 0));
+		
+		// Layout: volume band at the bottom, a small gap, then prices
+		const chartBottom = -this.chartHeight / 2;
+		const volumeHeight = this.chartHeight * this.volumeHeightRatio;
+		const priceBottom = chartBottom + volumeHeight + 0.2;
+		const priceHeight = this.chartHeight / 2 - priceBottom;
+		const toY = price => priceBottom + ((price - minPrice) / (maxPrice - minPrice)) * priceHeight;
+		
+		const slotWidth = this.chartWidth / candles.length;
+		const bodyWidth = slotWidth * 0.6;
+		const wickWidth = Math.min(0.04, bodyWidth * 0.25);
+		
+		candles.forEach((candle, index) => {
+			const isUp = candle.close >= candle.open;
+			
+			// Each candle is a column so it can grow in on its own
+			const column = new THREE.Group();
+			column.position.x = -this.chartWidth / 2 + slotWidth * (index + 0.5);
+			
+			// Body from open to close, kept visible when they are equal
+			const bodyTop = toY(Math.max(candle.open, candle.close));
+			const bodyBottom = toY(Math.min(candle.open, candle.close));
+			const body = new THREE.Mesh(this.candleGeometry, isUp ? this.materials.upCandle : this.materials.downCandle);
+			body.scale.set(bodyWidth, Math.max(bodyTop - bodyBottom, 0.02), 0.3);
+			body.position.y = (bodyTop + bodyBottom) / 2;
+			column.add(body);
+			
+			// Wick from low to high
+			const wickTop = toY(candle.high);
+			const wickBottom = toY(candle.low);
+			const wick = new THREE.Mesh(this.candleGeometry, body.material);
+			wick.scale.set(wickWidth, Math.max(wickTop - wickBottom, 0.02), wickWidth);
+			wick.position.y = (wickTop + wickBottom) / 2;
+			column.add(wick);
+			
+			// Volume bar
+			if (maxVolume > 0 && candle.volume > 0) {
+				const barHeight = (candle.volume / maxVolume) * volumeHeight;
+				const bar = new THREE.Mesh(this.candleGeometry, isUp ? this.materials.upVolume : this.materials.downVolume);
+				bar.scale.set(bodyWidth, barHeight, 0.2);
+				bar.position.y = chartBottom + barHeight / 2;
+				column.add(bar);
+			}
+			
+			this.candlesGroup.add(column);
+			this.candleColumns.push(column);
+		});
+	}
+	
+	/**
+	 * Grow the candles in from left to right
+	 * @param {number} deltaTime - Time since last frame in seconds
+	 */
+	updateCandleReveal(deltaTime) {
+		if (this.candleReveal >= 1 || this.candleColumns.length === 0) return;
+		
+		this.candleReveal = Math.min(1, this.candleReveal + deltaTime * this.emitterSpeed);
+		
+		const count = this.candleColumns.length;
+		this.candleColumns.forEach((column, index) => {
+			const growth = Math.min(1, Math.max(0, this.candleReveal * count - index));
+			column.visible = growth > 0;
+			column.scale.y = Math.max(growth, 0.001);
+		});
+	}
+	
+	/**
+	 * Whether tokens are pinned for comparison
+	 * @returns {boolean} - True while the chart shows the comparison
+	 */
+	isComparing() {
+		return this.pinnedTokens.length > 0;
+	}
+	
+	/**
+	 * Pin a token to the comparison, or unpin it if it is already pinned
+	 * The oldest pin is dropped once maxPinnedTokens are pinned.
+	 * @param {Object} token - Token to pin
+	 * @param {string|number} colour - Line colour, e.g. the token's chain colour
+	 * @returns {boolean} - Whether the token is pinned now
+	 */
+	togglePinnedToken(token, colour = 0xffffff) {
+		const key = getTokenKey(token);
+		if (!key) return false;
+		
+		if (this.pinnedTokens.some(entry => entry.key === key)) {
+			this.unpinToken(key);
+			return false;
+		}
+		
+		if (this.pinnedTokens.length >= this.maxPinnedTokens) {
+			this.unpinToken(this.pinnedTokens[0].key);
+		}
+		
+		const baseColour = new THREE.Color(colour).getHex();
+		const entry = {
+			key,
+			token,
+			baseColour,
+			material: new THREE.MeshBasicMaterial({ color: this.getPinColour(baseColour) }),
+			candles: null // Loading
+		};
+		this.pinnedTokens.push(entry);
+		
+		this.applyChartStyle();
+		this.loadPinnedHistory(entry);
+		return true;
+	}
+	
+	/**
+	 * Get a pinned line's colour, shifting the lightness for each token already pinned in the same colour
+	 * so two tokens from one chain can be told apart
+	 * @param {number} baseColour - Requested colour
+	 * @returns {THREE.Color} - Colour to draw with
+	 */
+	getPinColour(baseColour) {
+		const colour = new THREE.Color(baseColour);
+		const sameColour = this.pinnedTokens.filter(entry => entry.baseColour === baseColour).length;
+		if (sameColour > 0) {
+			const { l } = colour.getHSL({});
+			colour.offsetHSL(0, 0, (l > 0.5 ? -0.15 : 0.15) * sameColour);
+		}
+		return colour;
+	}
+	
+	/**
+	 * Remove a token from the comparison, going back to the single token chart when none are left
+	 * @param {string} key - Token key (see getTokenKey)
+	 */
+	unpinToken(key) {
+		const entry = this.pinnedTokens.find(pinned => pinned.key === key);
+		if (!entry) return;
+		
+		this.pinnedTokens = this.pinnedTokens.filter(pinned => pinned !== entry);
+		entry.material.dispose();
+		
+		if (this.isComparing()) {
+			this.renderComparison();
+			return;
+		}
+		
+		const symbol = this.currentChartData?.tokenSymbol;
+		this.addChartTitle(symbol ? `$${symbol} PRICE CHART` : 'PRICE CHART', this.font);
+		this.applyChartStyle();
+	}
+	
+	/**
+	 * Unpin every token
+	 */
+	clearPinnedTokens() {
+		[...this.pinnedTokens].forEach(entry => this.unpinToken(entry.key));
+	}
+	
+	/**
+	 * Fetch a pinned token's price history at the current timeframe and redraw the comparison
+	 * @param {Object} entry - Pinned token entry
+	 */
+	async loadPinnedHistory(entry) {
+		const resolution = this.resolution;
+		let candles = [];
+		
+		if (this.dataProvider) {
+			try {
+				candles = await this.dataProvider.getTokenPriceHistory(entry.token, resolution) || [];
+			} catch (error) {
+				console.error(`Error loading price history for ${entry.token.baseToken?.symbol}:`, error);
+			}
+		}
+		
+		// Ignore the answer if the token was unpinned or the timeframe changed while it loaded
+		if (!this.pinnedTokens.includes(entry) || resolution !== this.resolution) return;
+		
+		entry.candles = candles.slice(-this.maxCandles);
+		this.renderComparison();
+	}
+	
+	/**
+	 * Switch the comparison between relative returns and absolute prices
+	 * @returns {string} - The new axis: 'relative' or 'absolute'
+	 */
+	toggleComparisonAxis() {
+		this.comparisonAxis = this.comparisonAxis === 'relative' ? 'absolute' : 'relative';
+		this.setButtonLabel(this.axisButton, this.getAxisLabel());
+		
+		if (this.isComparing()) {
+			this.comparisonReveal = 0;
+			this.renderComparison();
+		}
+		return this.comparisonAxis;
+	}
+	
+	/**
+	 * Remove a group's children, disposing their geometry (materials are shared)
+	 * @param {THREE.Group} group - Group to empty
+	 */
+	clearGroup(group) {
+		[...group.children].forEach(child => {
+			child.traverse(object => object.geometry?.dispose());
+			group.remove(child);
+		});
+	}
+	
+	/**
+	 * Draw the pinned tokens' lines on a shared time axis, with value labels and the legend
+	 * Relative returns start every line at 0% where their histories overlap; absolute prices
+	 * use a log scale so tokens priced orders of magnitude apart fit on one chart.
+	 */
+	renderComparison() {
+		this.clearGroup(this.comparisonGroup);
+		this.clearGroup(this.legendGroup);
+		this.comparisonLines = [];
+		if (!this.isComparing()) return;
+		
+		const count = this.pinnedTokens.length;
+		this.addChartTitle(`COMPARING ${count} ${count === 1 ? 'TOKEN' : 'TOKENS'}`, this.font);
+		
+		const axis = this.comparisonAxis;
+		const { series, minTime, maxTime, minValue, maxValue } = buildComparisonSeries(
+			this.pinnedTokens.map(entry => entry.candles || []),
+			axis
+		);
+		
+		// Value range with a small buffer
+		const buffer = (maxValue - minValue) * 0.05 || Math.abs(maxValue) * 0.05 || 1;
+		const low = minValue - buffer;
+		const high = maxValue + buffer;
+		const toX = time => maxTime > minTime
+			? -this.chartWidth / 2 + ((time - minTime) / (maxTime - minTime)) * this.chartWidth
+			: 0;
+		const toY = value => -this.chartHeight / 2 + ((value - low) / (high - low)) * this.chartHeight;
+		
+		// 0% baseline
+		if (axis === 'relative') {
+			const baselineGeometry = new THREE.BufferGeometry();
+			baselineGeometry.setAttribute('position', new THREE.Float32BufferAttribute([
+				-this.chartWidth / 2, toY(0), 0.02,
+				this.chartWidth / 2, toY(0), 0.02
+			], 3));
+			this.comparisonGroup.add(new THREE.Line(baselineGeometry, this.materials.axisLine));
+		}
+		
+		// One tube per token, layered slightly apart so crossings stay readable
+		series.forEach((points, index) => {
+			if (points.length < 2) return;
+			
+			const curve = new THREE.CatmullRomCurve3(
+				points.map(point => new THREE.Vector3(toX(point.time), toY(point.value), 0.05 * (index + 1))),
+				false,
+				'centripetal'
+			);
+			const line = new THREE.Mesh(
+				new THREE.TubeGeometry(curve, points.length * 4, 0.05, 6, false),
+				this.pinnedTokens[index].material
+			);
+			this.comparisonGroup.add(line);
+			this.comparisonLines.push(line);
+		});
+		this.applyComparisonReveal();
+		
+		// Highest and lowest values along the left edge
+		if (series.some(points => points.length > 0)) {
+			[maxValue, minValue].forEach(value => {
+				const label = this.createTextMesh(formatComparisonValue(value, axis), 0.2);
+				if (!label) return;
+				label.position.set(-this.chartWidth / 2 + 0.1, toY(value) + (value === maxValue ? -0.3 : 0.1), 0.02);
+				this.comparisonGroup.add(label);
+			});
+		}
+		
+		this.renderLegend(series);
+	}
+	
+	/**
+	 * List the pinned tokens beside the chart with their latest value; clicking an entry unpins it
+	 * @param {Array<Array<Object>>} series - Comparison points per pinned token
+	 */
+	renderLegend(series) {
+		this.pinnedTokens.forEach((entry, index) => {
+			const swatch = new THREE.Mesh(new THREE.PlaneGeometry(0.35, 0.35), entry.material);
+			swatch.position.set(this.chartWidth / 2 + 0.5, this.chartHeight / 2 - 0.3 - index * 0.6, 0);
+			swatch.userData = { isButton: true, action: 'unpin', key: entry.key };
+			
+			const last = series[index]?.[series[index].length - 1];
+			let value = 'LOADING';
+			if (entry.candles) {
+				value = last ? formatComparisonValue(last.value, this.comparisonAxis) : 'NO DATA';
+			}
+			
+			const symbol = entry.token.baseToken?.symbol || entry.token.symbol || 'TOKEN';
+			const label = this.createTextMesh(`$${symbol} ${value}`, 0.22);
+			if (label) {
+				label.position.set(0.35, -0.11, 0.01);
+				swatch.add(label);
+			}
+			
+			this.legendGroup.add(swatch);
+		});
+	}
+	
+	/**
+	 * Draw the comparison lines in from left to right
+	 * @param {number} deltaTime - Time since last frame in seconds
+	 */
+	updateComparisonReveal(deltaTime) {
+		if (this.comparisonReveal >= 1 || this.comparisonLines.length === 0) return;
+		
+		this.comparisonReveal = Math.min(1, this.comparisonReveal + deltaTime * this.emitterSpeed);
+		this.applyComparisonReveal();
+	}
+	
+	/**
+	 * Limit each comparison line to the revealed share of its triangles (tube indices run along the path)
+	 */
+	applyComparisonReveal() {
+		this.comparisonLines.forEach(line => {
+			const indexCount = line.geometry.index.count;
+			line.geometry.setDrawRange(0, Math.floor((indexCount * this.comparisonReveal) / 3) * 3);
+		});
 	}
 	
 	/**
@@ -943,11 +1574,37 @@ export class TokenChart3D {
 	 * @returns {boolean} Whether interaction occurred
 	 */
 	handleInteraction(raycaster) {
-		const intersects = raycaster.intersectObjects([this.titleBar, this.backButton], true);
+		const intersects = raycaster.intersectObjects([
+			this.titleBar,
+			this.backButton,
+			this.styleButton,
+			this.axisButton,
+			...this.timeframeButtons,
+			...this.legendGroup.children
+		], true);
 		
 		if (intersects.length > 0) {
 			const obj = intersects[0].object;
 			
+			// Labels are children of their buttons
+			const button = obj.userData.isButton ? obj : obj.parent;
+			if (button?.userData.action === 'timeframe') {
+				this.setResolution(button.userData.resolution);
+				return true;
+			}
+			if (button?.userData.action === 'style' && !this.isComparing()) {
+				this.toggleChartStyle();
+				return true;
+			}
+			if (button?.userData.action === 'axis' && this.isComparing()) {
+				this.toggleComparisonAxis();
+				return true;
+			}
+			if (button?.userData.action === 'unpin') {
+				this.unpinToken(button.userData.key);
+				return true;
+			}
+			
 			// Handle back button
 			if (obj === this.backButton && this.expanded) {
 				this.toggleExpanded();
@@ -1035,8 +1692,8 @@ export class TokenChart3D {
 		this.backButton.visible = this.expanded;
 		
 		// When expanded, restart the chart animation
-		if (this.expanded && this.chartCurve) {
-			this.startChartEmitter();
+		if (this.expanded) {
+			this.applyChartStyle();
 		}
 		
 		return this.expanded;
@@ -1060,8 +1717,10 @@ export class TokenChart3D {
 		// Update screen position to follow camera
 		this.updateScreenPosition();
 		
-		// Update the chart emitter
+		// Update the chart emitter, or grow in the candles or comparison lines
 		this.updateChartEmitter(deltaTime || 1/60);
+		this.updateCandleReveal(deltaTime || 1/60);
+		this.updateComparisonReveal(deltaTime || 1/60);
 		
 		// Force more consistent fading by always updating jets
 		this.jets.forEach(jet => {
@@ -1,15 +1,16 @@
 import * as THREE from 'three';
-import { formatPrice, formatChange, getChangeColor } from './utils.js';
+import { createDefaultLEDFontRegistry, loadLEDFont, DEFAULT_LED_FONT_ID } from './led-font.js';
+import { createDefaultScoreboardLayoutRegistry, getLayoutLines, formatLayoutCell, DEFAULT_SCOREBOARD_LAYOUT } from './scoreboard-layouts.js';
 
-// ────────────────────────────────────────────────────────────────────────────────
-// Bitmap-font dimensions (5×3 glyphs)                                           
-// These are shared across the class to remove magic numbers from drawing logic.
-// ────────────────────────────────────────────────────────────────────────────────
-const CHAR_WIDTH           = 3; // columns in each glyph bitmap
-const CHAR_SPACING         = 1; // blank columns between glyphs
-const CHAR_TOTAL_WIDTH     = CHAR_WIDTH + CHAR_SPACING; // effective width per glyph
-const CHAR_HEIGHT          = 5; // rows in each glyph bitmap
-// ────────────────────────────────────────────────────────────────────────────────
+// Fonts loaded on top of the built-in 5-row font (see led-font.js)
+const LED_FONT_URLS = ['/fonts/led/led-7.json'];
+
+// Displays at least this many rows tall draw the token list in a larger font
+const TALL_DISPLAY_ROWS = 50;
+const TALL_TOKEN_FONT_ROWS = 7;
+
+// Token list lines used when no layout is given: symbol and price, then 5m/1h/24h change
+const DEFAULT_TOKEN_LINES = getLayoutLines(createDefaultScoreboardLayoutRegistry().get(DEFAULT_SCOREBOARD_LAYOUT), 'normal');
 
 /**
  * Handles LED display functionality for the scoreboard
@@ -41,9 +42,9 @@ export class LEDDisplay {
 		const layout = LEDDisplay.calculateDotLayout(this.width, this.height, this.dotCols);
 		this.dotRows = layout.dotRows;
 		this.dotSpacing = layout.dotSpacing;
-		this.dots = Array(this.dotRows).fill().map(() => Array(this.dotCols).fill(null));
-		this.dotMaterials = {};
 		this.ledGroup = null;
+		this.dotMesh = null;
+		this.hitPlane = null;
 		this.colors = {
 			red: new THREE.Color(0xff0000),
 			green: new THREE.Color(0x00ff00),
@@ -52,67 +53,172 @@ export class LEDDisplay {
 			cyan: new THREE.Color(0x00ffff),
 			magenta: new THREE.Color(0xff00ff),
 			white: new THREE.Color(0xffffff),
+			// Dim shades for filled areas under chart lines
+			darkGreen: new THREE.Color(0x005500),
+			darkRed: new THREE.Color(0x550000),
 			off: new THREE.Color(0x202020)
 		};
+		// Colour of each dot as an index into colorNames, row by row
+		this.colorNames = Object.keys(this.colors);
+		this.offColorIndex = this.colorNames.indexOf('off');
+		this.dotStates = new Uint8Array(0);
+		this.fonts = createDefaultLEDFontRegistry();
+		this.font = this.fonts.get(DEFAULT_LED_FONT_ID);
 		this.createLEDDisplay();
+		this.loadFonts(LED_FONT_URLS);
+	}
+	
+	/**
+	 * Load extra fonts; text is drawn in the built-in font until they arrive
+	 * @param {Array<string>} urls - URLs of font JSON atlases
+	 * @returns {Promise} - Resolves once every font has loaded or failed
+	 */
+	loadFonts(urls) {
+		return Promise.all(urls.map(url => loadLEDFont(url)
+			.then(font => this.fonts.register(font))
+			.catch(error => console.warn(`LEDDisplay: ${error.message}`))));
+	}
+	
+	/**
+	 * Resolve a font option to a font
+	 * @param {LEDFont|string} font - Font or font id; the built-in font if missing or unknown
+	 * @returns {LEDFont} - The font
+	 */
+	getFont(font) {
+		if (font && typeof font === 'object') return font;
+		return (font && this.fonts.get(font)) || this.font;
+	}
+	
+	/**
+	 * Measure text in display columns
+	 * @param {string} text - Text to measure
+	 * @param {Object} options - { font, scale, scaleX } as for drawText
+	 * @returns {number} - Width in columns
+	 */
+	measureText(text, options = {}) {
+		return this.getFont(options.font).measureText(text) * (options.scaleX || options.scale || 1);
 	}
 
 	/**
 	 * Create LED dot matrix display
+	 * All the dots are instances of one mesh, so the matrix is a single draw call however many
+	 * rows it has. A transparent plane behind them catches clicks that land between dots.
 	 */
 	createLEDDisplay() {
 		this.ledGroup = new THREE.Group();
 		this.parentGroup.add(this.ledGroup);
-		console.log(`Creating LED display with width=${this.width}, height=${this.height}, rows=${this.dotRows}, cols=${this.dotCols}`);
-		const dotGeometry = new THREE.CircleGeometry(0.12, 16);
-		this.dotMaterials = {};
-		Object.entries(this.colors).forEach(([name, color]) => {
-			const enhancedColor = color.clone().multiplyScalar(name === 'off' ? 1 : 1);
-			this.dotMaterials[name] = new THREE.MeshBasicMaterial({
-				color: enhancedColor,
-				transparent: false,
-				opacity: name === 'off' ? 0.05 : 1.0,
-				blending: THREE.AdditiveBlending,
-				side: THREE.DoubleSide
-			});
+		
+		const hitPlaneMaterial = new THREE.MeshBasicMaterial({
+			colorWrite: false,
+			depthWrite: false,
+			side: THREE.DoubleSide
 		});
+		this.hitPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), hitPlaneMaterial);
+		this.hitPlane.userData = { isLEDHitPlane: true };
+		this.ledGroup.add(this.hitPlane);
+		
+		this.layoutDots();
+		this.ledGroup.position.set(0, 0, 0);
+	}
+	
+	/**
+	 * Size the matrix to the display and put every dot in place, all switched off
+	 * The instanced mesh is only replaced when the display needs more dots than it holds.
+	 */
+	layoutDots() {
 		const totalWidth = this.width * 0.98;
 		const totalHeight = this.height * 0.95;
 		if (totalHeight < 0.1) {
 			console.log("Height too small for LED display, creating minimal display");
 			this.dotRows = 1;
-			this.dots = Array(this.dotRows).fill().map(() => Array(this.dotCols).fill(null));
-			return;
+		} else {
+			const layout = LEDDisplay.calculateDotLayout(this.width, this.height, this.dotCols);
+			this.dotRows = layout.dotRows;
+			this.dotSpacing = layout.dotSpacing;
 		}
-		// Always recalculate layout for consistency
-		const layout = LEDDisplay.calculateDotLayout(this.width, this.height, this.dotCols);
-		this.dotRows = layout.dotRows;
-		this.dotSpacing = layout.dotSpacing;
 		this.dotSize = this.dotSpacing * 2;
-		const startX = -totalWidth / 2 + this.dotSpacing / 2 - 1.2;
-		const startY = -totalHeight / 1.88;
-		this.dots = Array(this.dotRows).fill().map(() => Array(this.dotCols).fill(null));
+		
+		// Dot centres, shared with hit-testing
+		this.startX = -totalWidth / 2 + this.dotSpacing / 2 - 1.2;
+		this.startY = -totalHeight / 1.88;
+		this.colStep = this.dotSpacing * 0.9;
+		this.rowStep = this.dotSpacing * 0.88;
+		
+		const dotCount = this.dotRows * this.dotCols;
+		if (!this.dotMesh || this.dotMesh.instanceMatrix.count < dotCount) {
+			this.createDotMesh(dotCount);
+		}
+		this.dotMesh.count = dotCount;
+		this.dotStates = new Uint8Array(dotCount).fill(this.offColorIndex);
+		
+		const matrices = this.dotMesh.instanceMatrix.array;
+		const offScale = this.dotSize * 0.8;
 		for (let row = 0; row < this.dotRows; row++) {
 			for (let col = 0; col < this.dotCols; col++) {
-				const dot = new THREE.Mesh(dotGeometry, this.dotMaterials.off);
-				dot.position.x = startX + col * this.dotSpacing * 0.9;
-				dot.position.y = startY + row * this.dotSpacing * 0.88;
-				dot.position.z = 0;
-				dot.rotation.y = Math.PI;
-				dot.scale.set(this.dotSize, this.dotSize, 1);
-				
-				// Store row and column information for interaction
-				dot.userData = {
-					row: row,
-					col: col,
-					isLED: true  // Mark this as an LED dot for easy identification
-				};
-				
-				this.dots[row][col] = dot;
-				this.ledGroup.add(dot);
+				const offset = (row * this.dotCols + col) * 16;
+				matrices.fill(0, offset, offset + 16);
+				matrices[offset] = offScale;
+				matrices[offset + 5] = offScale;
+				matrices[offset + 10] = 1;
+				matrices[offset + 12] = this.startX + col * this.colStep;
+				matrices[offset + 13] = this.startY + row * this.rowStep;
+				matrices[offset + 15] = 1;
+				this.writeDotColor(row * this.dotCols + col, this.offColorIndex);
 			}
 		}
-		this.ledGroup.position.set(0, 0, 0);
+		this.dotMesh.instanceMatrix.needsUpdate = true;
+		this.dotMesh.instanceColor.needsUpdate = true;
+		this.dotMesh.computeBoundingSphere();
+		
+		// Cover the whole matrix, dots and gaps, slightly behind the dots
+		const matrixWidth = (this.dotCols - 1) * this.colStep + this.dotSpacing;
+		const matrixHeight = (this.dotRows - 1) * this.rowStep + this.dotSpacing;
+		this.hitPlane.scale.set(matrixWidth, matrixHeight, 1);
+		this.hitPlane.position.set(
+			this.startX + (this.dotCols - 1) * this.colStep / 2,
+			this.startY + (this.dotRows - 1) * this.rowStep / 2,
+			-0.1
+		);
+	}
+	
+	/**
+	 * Replace the instanced mesh with one that holds a number of dots
+	 * @param {number} dotCount - Number of dots it must hold
+	 */
+	createDotMesh(dotCount) {
+		if (this.dotMesh) {
+			this.ledGroup.remove(this.dotMesh);
+			this.dotMesh.geometry.dispose();
+			this.dotMesh.material.dispose();
+			this.dotMesh.dispose();
+		}
+		
+		const dotGeometry = new THREE.CircleGeometry(0.12, 16);
+		const dotMaterial = new THREE.MeshBasicMaterial({
+			color: 0xffffff,
+			transparent: false,
+			blending: THREE.AdditiveBlending,
+			side: THREE.DoubleSide
+		});
+		this.dotMesh = new THREE.InstancedMesh(dotGeometry, dotMaterial, dotCount);
+		this.dotMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+		this.dotMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(dotCount * 3), 3);
+		this.dotMesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+		this.dotMesh.userData = { isLED: true };
+		this.ledGroup.add(this.dotMesh);
+	}
+	
+	/**
+	 * Write a dot's colour into the instance colours
+	 * @param {number} index - Dot index (row * dotCols + col)
+	 * @param {number} colorIndex - Index into colorNames
+	 */
+	writeDotColor(index, colorIndex) {
+		const color = this.colors[this.colorNames[colorIndex]];
+		const colors = this.dotMesh.instanceColor.array;
+		colors[index * 3] = color.r;
+		colors[index * 3 + 1] = color.g;
+		colors[index * 3 + 2] = color.b;
 	}
 
 	/**
@@ -122,28 +228,67 @@ export class LEDDisplay {
 	 * @param {string} colorName - Name of the color to set
 	 */
 	setDotColor(row, col, colorName) {
-		// First check if dots array exists and indices are in valid range
-		if (!this.dots) return;
-		if (row < 0 || row >= this.dots.length) return;
-		if (!this.dots[row]) return;
-		if (col < 0 || col >= this.dots[row].length) return;
+		if (!this.dotMesh) return;
+		if (row < 0 || row >= this.dotRows) return;
+		if (col < 0 || col >= this.dotCols) return;
 		
-		// Make sure the dot element exists at the specified position
-		const dot = this.dots[row][col];
-		if (!dot) return;
+		// Unknown colours show as 'off'
+		let colorIndex = this.colorNames.indexOf(colorName);
+		if (colorIndex === -1) colorIndex = this.offColorIndex;
 		
-		// Get material - default to 'off' if colorName doesn't exist
-		const material = this.dotMaterials[colorName] || this.dotMaterials.off;
-		if (!material) return; // Safety check in case materials aren't initialized yet
+		// The display is redrawn every frame, so only touch the GPU buffers for dots that change
+		const index = row * this.dotCols + col;
+		if (this.dotStates[index] === colorIndex) return;
+		this.dotStates[index] = colorIndex;
 		
 		// Add more intense effect for active dots by scaling them slightly
-		if (colorName !== 'off') {
-			dot.scale.set(this.dotSize * 1.2, this.dotSize * 1.2, 1);
-		} else {
-			dot.scale.set(this.dotSize * 0.8, this.dotSize * 0.8, 1);
-		}
+		const scale = this.dotSize * (colorIndex === this.offColorIndex ? 0.8 : 1.2);
+		const matrices = this.dotMesh.instanceMatrix.array;
+		matrices[index * 16] = scale;
+		matrices[index * 16 + 5] = scale;
+		this.writeDotColor(index, colorIndex);
 		
-		dot.material = material;
+		this.dotMesh.instanceMatrix.needsUpdate = true;
+		this.dotMesh.instanceColor.needsUpdate = true;
+	}
+	
+	/**
+	 * Get the color of an individual LED dot
+	 * @param {number} row - Row index
+	 * @param {number} col - Column index
+	 * @returns {string|null} - Color name, or null outside the display
+	 */
+	getDotColor(row, col) {
+		if (row < 0 || row >= this.dotRows || col < 0 || col >= this.dotCols) return null;
+		return this.colorNames[this.dotStates[row * this.dotCols + col]] ?? null;
+	}
+	
+	/**
+	 * Find the dot nearest a point on the display
+	 * @param {THREE.Vector3} worldPoint - Point in world space, e.g. from a raycaster hit
+	 * @returns {{row: number, col: number}} - Dot position, clamped to the display
+	 */
+	getDotAtPoint(worldPoint) {
+		const localPos = this.ledGroup.worldToLocal(worldPoint.clone());
+		const col = Math.round((localPos.x - this.startX) / this.colStep);
+		const row = Math.round((localPos.y - this.startY) / this.rowStep);
+		return {
+			row: Math.max(0, Math.min(row, this.dotRows - 1)),
+			col: Math.max(0, Math.min(col, this.dotCols - 1))
+		};
+	}
+	
+	/**
+	 * Find the dot under a raycaster, if it hits the display
+	 * Only the hit plane is tested, which covers the gaps between dots and is much cheaper
+	 * than testing thousands of instances.
+	 * @param {THREE.Raycaster} raycaster - Raycaster set up from the pointer
+	 * @returns {{row: number, col: number}|null} - Dot position, or null if the display wasn't hit
+	 */
+	hitTest(raycaster) {
+		if (!this.hitPlane || !this.ledGroup?.visible) return null;
+		const hit = raycaster.intersectObject(this.hitPlane, false)[0];
+		return hit ? this.getDotAtPoint(hit.point) : null;
 	}
 	
 	/**
@@ -152,419 +297,35 @@ export class LEDDisplay {
 	 * @param {number} row - Starting row
 	 * @param {number} col - Starting column
 	 * @param {string} color - Color name for the text
+	 * @param {Object} options - Drawing options
+	 * @param {LEDFont|string} options.font - Font or font id (default: the built-in 5-row font)
+	 * @param {number} options.maxRows - Instead of a font, use the tallest font this many rows fit
+	 * @param {number} options.scale - Draw each glyph dot as a scale x scale block, e.g. 2 for double size
+	 * @param {number} options.scaleX - Horizontal scale, instead of scale
+	 * @param {number} options.scaleY - Vertical scale, instead of scale
+	 * @returns {number} - Column after the text
 	 */
-	drawText(text, row, col, color) {
-		// Simple 5x3 font for basic characters but with better spacing
-		const font = {
-			'0': [
-				[1,1,1],
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[1,1,1]
-			],
-			'1': [
-				[0,1,0],
-				[1,1,0],
-				[0,1,0],
-				[0,1,0],
-				[1,1,1]
-			],
-			'2': [
-				[1,1,1],
-				[0,0,1],
-				[1,1,1],
-				[1,0,0],
-				[1,1,1]
-			],
-			'3': [
-				[1,1,1],
-				[0,0,1],
-				[0,1,1],
-				[0,0,1],
-				[1,1,1]
-			],
-			'4': [
-				[1,0,1],
-				[1,0,1],
-				[1,1,1],
-				[0,0,1],
-				[0,0,1]
-			],
-			'5': [
-				[1,1,1],
-				[1,0,0],
-				[1,1,1],
-				[0,0,1],
-				[1,1,1]
-			],
-			'6': [
-				[1,1,1],
-				[1,0,0],
-				[1,1,1],
-				[1,0,1],
-				[1,1,1]
-			],
-			'7': [
-				[1,1,1],
-				[0,0,1],
-				[0,1,0],
-				[0,1,0],
-				[0,1,0]
-			],
-			'8': [
-				[1,1,1],
-				[1,0,1],
-				[1,1,1],
-				[1,0,1],
-				[1,1,1]
-			],
-			'9': [
-				[1,1,1],
-				[1,0,1],
-				[1,1,1],
-				[0,0,1],
-				[1,1,1]
-			],
-			'$': [
-				[0,1,0],
-				[1,1,1],
-				[0,1,0],
-				[1,1,1],
-				[0,1,0]
-			],
-			'+': [
-				[0,0,0],
-				[0,1,0],
-				[1,1,1],
-				[0,1,0],
-				[0,0,0]
-			],
-			'-': [
-				[0,0,0],
-				[0,0,0],
-				[1,1,1],
-				[0,0,0],
-				[0,0,0]
-			],
-			'.': [
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[0,1,0]
-			],
-			' ': [
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[0,0,0]
-			],
-			'%': [
-				[1,0,0],
-				[0,0,1],
-				[0,1,0],
-				[1,0,0],
-				[0,0,1]
-			],
-			'A': [
-				[0,1,0],
-				[1,0,1],
-				[1,1,1],
-				[1,0,1],
-				[1,0,1]
-			],
-			'B': [
-				[1,1,0],
-				[1,0,1],
-				[1,1,0],
-				[1,0,1],
-				[1,1,0]
-			],
-			'C': [
-				[0,1,1],
-				[1,0,0],
-				[1,0,0],
-				[1,0,0],
-				[0,1,1]
-			],
-			'D': [
-				[1,1,0],
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[1,1,0]
-			],
-			'E': [
-				[1,1,1],
-				[1,0,0],
-				[1,1,0],
-				[1,0,0],
-				[1,1,1]
-			],
-			'F': [
-				[1,1,1],
-				[1,0,0],
-				[1,1,0],
-				[1,0,0],
-				[1,0,0]
-			],
-			'G': [
-				[0,1,1],
-				[1,0,0],
-				[1,0,1],
-				[1,0,1],
-				[0,1,1]
-			],
-			'H': [
-				[1,0,1],
-				[1,0,1],
-				[1,1,1],
-				[1,0,1],
-				[1,0,1]
-			],
-			'I': [
-				[1,1,1],
-				[0,1,0],
-				[0,1,0],
-				[0,1,0],
-				[1,1,1]
-			],
-			'J': [
-				[0,1,1],
-				[0, 0, 1],
-				[0, 0,1],
-				[0,0,1],
-				[1,1,1]
-			],
-			'K': [
-				[1,0,1],
-				[1,0,1],
-				[1,1,0],
-				[1,0,1],
-				[1,0,1]
-			],
-			'L': [
-				[1,0,0],
-				[1,0,0],
-				[1,0,0],
-				[1,0,0],
-				[1,1,1]
-			],
-			'M': [
-				[1,0,1],
-				[1,1,1],
-				[1,0,1],
-				[1,0,1],
-				[1,0,1]
-			],
-			'N': [
-				[1,0,1],
-				[1,1,1],
-				[1,1,1],
-				[1,0,1],
-				[1,0,1]
-			],
-			'O': [
-				[0,1,0],
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[0,1,0]
-			],
-			'P': [
-				[1,1,0],
-				[1,0,1],
-				[1,1,0],
-				[1,0,0],
-				[1,0,0]
-			],
-			'Q': [
-				[1,1,1],
-				[1,0,1],
-				[1,1,1],
-				[0,0,1],
-				[0,0,1]
-			],
-			'R': [
-				[1,1,0],
-				[1,0,1],
-				[1,1,0],
-				[1,0,1],
-				[1,0,1]
-			],
-			'S': [
-				[0,1,1],
-				[1,0,0],
-				[0,1,0],
-				[0,0,1],
-				[1,1,0]
-			],
-			'T': [
-				[1,1,1],
-				[0,1,0],
-				[0,1,0],
-				[0,1,0],
-				[0,1,0]
-			],
-			'U': [
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[1,1,1]
-			],
-			'V': [
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[0,1,0],
-				[0,1,0]
-			],
-			'W': [
-				[1,0,1],
-				[1,0,1],
-				[1,0,1],
-				[1,1,1],
-				[1,0,1]
-			],
-			'X': [
-				[1,0,1],
-				[1,0,1],
-				[0,1,0],
-				[1,0,1],
-				[1,0,1]
-			],
-			'Y': [
-				[1,0,1],
-				[1,0,1],
-				[0,1,0],
-				[0,1,0],
-				[0,1,0]
-			],
-			'Z': [
-				[1,1,1],
-				[0,0,1],
-				[0,1,0],
-				[1,0,0],
-				[1,1,1]
-			],
-			'/': [
-				[0,0,1],
-				[0,1,0],
-				[1,0,0],
-				[0,0,0],
-				[0,0,0]
-			],
-			'·': [
-				[0,0,0],
-				[0,0,0],
-				[0,1,0],
-				[0,0,0],
-				[0,0,0]
-			],
-			'@': [
-				[1,1,1],
-				[1,0,1],
-				[1,1,1],
-				[1,0,0],
-				[1,1,1]
-			],
-			'#': [
-				[1,0,1],
-				[1,1,1],
-				[1,0,1],
-				[1,1,1],
-				[1,0,1]
-			],
-			'!': [
-				[0,1,0],
-				[0,1,0],
-				[0,1,0],
-				[0,0,0],
-				[0,1,0]
-			],
-			'?': [
-				[1,1,1],
-				[0,0,1],
-				[1,1,1],
-				[0,0,0],
-				[0,1,0]
-			],
-			'(': [
-				[1,1,1],
-				[1,0,0],
-				[1,0,0],
-				[1,0,0],
-				[1,1,1]
-			],
-			')': [
-				[1,1,1],
-				[0,0,1],
-				[0,0,1],
-				[0,0,1],
-				[1,1,1]
-			],
-			':': [
-				[0,0,0],
-				[0,1,0],
-				[0,0,0],
-				[0,1,0],
-				[0,0,0]
-			],
-			';': [
-				[0,0,0],
-				[0,1,0],
-				[0,0,0],
-				[0,1,0],
-				[1,0,0]
-			],
-			'_': [
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[0,0,0],
-				[1,1,1]
-			]
-		};
-		
-		let currentCol = col;
+	drawText(text, row, col, color, options = {}) {
+		const font = options.maxRows ? this.fonts.pickFont(options.maxRows) : this.getFont(options.font);
+		const scaleX = options.scaleX || options.scale || 1;
+		const scaleY = options.scaleY || options.scale || 1;
+		const glyphs = font.getGlyphs(text);
 		
 		// Clear a rectangular area around the text
-		const textWidth = text.length * CHAR_TOTAL_WIDTH;
-		const textHeight = CHAR_HEIGHT;
-		
-		for (let y = 0; y < textHeight; y++) {
-			for (let x = 0; x < textWidth + 1; x++) {
-				this.setDotColor(row + y, col + x, 'off');
-			}
-		}
+		this.fillRect(row, col, font.height * scaleY, (font.measureText(text) + font.spacing) * scaleX, 'off');
 		
-		// For each character in the text
-		for (let i = 0; i < text.length; i++) {
-			const char = text[i].toUpperCase();
-			if (!Object.prototype.hasOwnProperty.call(font, char)) {
-				// Log only once per unknown glyph to avoid flooding
-				if (!this._unknownGlyphs) this._unknownGlyphs = new Set();
-				if (!this._unknownGlyphs.has(char)) {
-					console.warn(`LEDDisplay: Missing glyph for character "${char}" – substituting space.`);
-					this._unknownGlyphs.add(char);
-				}
-			}
-			const charPattern = font[char] || font[' '];
-			
-			// Draw the character with extra space around it for better readability
-			for (let y = 0; y < charPattern.length; y++) {
-				for (let x = 0; x < charPattern[y].length; x++) {
-					if (charPattern[y][x]) {
-						this.setDotColor(row + y, currentCol + x, color);
+		let currentCol = col;
+		for (const glyph of glyphs) {
+			for (let y = 0; y < glyph.rows.length; y++) {
+				for (let x = 0; x < glyph.width; x++) {
+					if (glyph.rows[y][x]) {
+						this.fillRect(row + y * scaleY, currentCol + x * scaleX, scaleY, scaleX, color);
 					}
 				}
 			}
 			
-			// Move to next character position with extra space
-			currentCol += CHAR_TOTAL_WIDTH;
+			// Move to next character position
+			currentCol += (glyph.width + font.spacing) * scaleX;
 		}
 		
 		// Return the ending column position
@@ -572,118 +333,194 @@ export class LEDDisplay {
 	}
 	
 	/**
-	 * Draw a token's information on the display
-	 * @param {Object} token - Token data object
-	 * @param {number} row - Starting row on the display
+	 * Draw a straight line between two dots
+	 * @param {number} row0 - Start row
+	 * @param {number} col0 - Start column
+	 * @param {number} row1 - End row
+	 * @param {number} col1 - End column
+	 * @param {string} color - Color name for the line
 	 */
-	drawTokenInfo(token, row) {
-		// Ensure row is visible and in bounds
-		if (row < -CHAR_HEIGHT || row >= this.dotRows) {
-			return; // Skip tokens that would be completely off-screen
-		}
-		
-		// First clear the area where we'll draw to avoid overlapping text
-		const totalRows = CHAR_HEIGHT * 2 + 2; // Space for two rows of text plus spacing
-		const clearWidth = this.dotCols;
+	drawLine(row0, col0, row1, col1, color) {
+		// Bresenham's line algorithm, so every step lights exactly one dot
+		const rowStep = row0 < row1 ? 1 : -1;
+		const colStep = col0 < col1 ? 1 : -1;
+		const rowDistance = Math.abs(row1 - row0);
+		const colDistance = Math.abs(col1 - col0);
+		let error = colDistance - rowDistance;
+		let row = row0;
+		let col = col0;
 		
-		for (let r = 0; r < totalRows; r++) {
-			if (row + r >= 0 && row + r < this.dotRows) {
-				for (let c = 0; c < clearWidth; c++) {
-					this.setDotColor(row + r, c, 'off');
-				}
+		for (;;) {
+			this.setDotColor(row, col, color);
+			if (row === row1 && col === col1) break;
+			
+			const doubled = error * 2;
+			if (doubled > -rowDistance) {
+				error -= rowDistance;
+				col += colStep;
+			}
+			if (doubled < colDistance) {
+				error += colDistance;
+				row += rowStep;
 			}
 		}
-		
-		// Draw token symbol on the left
-		const symbolText = '$' + token.symbol;
-		this.drawText(symbolText, row, 2, 'cyan');
-		
-		// Format price using utility function
-		const priceText = '$' + formatPrice(token.price);
-		
-		// Calculate position to right-align the price
-		const rightPriceCol = this.dotCols - (priceText.length * CHAR_TOTAL_WIDTH) - 2;
-		
-		// Draw right-aligned price on the same line as symbol
-		if (row >= -CHAR_HEIGHT && row < this.dotRows) {
-			this.drawText(priceText, row, rightPriceCol, 'yellow');
+	}
+	
+	/**
+	 * Fill a rectangle of dots
+	 * @param {number} row - Top row
+	 * @param {number} col - Left column
+	 * @param {number} height - Rows to fill
+	 * @param {number} width - Columns to fill
+	 * @param {string} color - Color name for the rectangle
+	 */
+	fillRect(row, col, height, width, color) {
+		for (let r = row; r < row + height; r++) {
+			for (let c = col; c < col + width; c++) {
+				this.setDotColor(r, c, color);
+			}
 		}
+	}
+	
+	/**
+	 * Draw a horizontal bar split into coloured segments, e.g. buys against sells
+	 * The last segment takes any columns left over from rounding.
+	 * @param {number} row - Top row
+	 * @param {number} col - Left column
+	 * @param {number} width - Bar length in columns
+	 * @param {number} height - Bar thickness in rows
+	 * @param {Array<Object>} segments - { fraction (0-1), color } from left to right
+	 */
+	drawBar(row, col, width, height, segments) {
+		let start = col;
+		segments.forEach((segment, index) => {
+			const end = index === segments.length - 1
+				? col + width
+				: Math.min(col + width, start + Math.round(width * segment.fraction));
+			this.fillRect(row, start, height, end - start, segment.color);
+			start = end;
+		});
+	}
+	
+	/**
+	 * Draw an area chart: a line through one level per column, filled down to the bottom row
+	 * @param {number} row - Top row of the chart
+	 * @param {number} col - Left column of the chart
+	 * @param {number} height - Rows in the chart
+	 * @param {Array<number>} levels - Level of each column, from 0 (bottom row) to height - 1 (top row)
+	 * @param {string} lineColor - Color name for the line
+	 * @param {string|null} fillColor - Color name for the area under the line, or null for a plain line
+	 */
+	drawArea(row, col, height, levels, lineColor, fillColor = null) {
+		const bottom = row + height - 1;
+		const tops = levels.map(level => bottom - Math.max(0, Math.min(height - 1, level)));
 		
-		// Determine if enough space for second line (more important in normal mode)
-		const isTallDisplay = this.dotRows >= 50;
+		if (fillColor) {
+			tops.forEach((top, index) => this.fillRect(top + 1, col + index, bottom - top, 1, fillColor));
+		}
 		
-		// Move to next line for percentage changes
-		const changeRow = row + CHAR_HEIGHT + 1;
+		// Join neighbouring columns so steep moves stay connected
+		tops.forEach((top, index) => {
+			const previous = index > 0 ? tops[index - 1] : top;
+			this.drawLine(previous, col + Math.max(0, index - 1), top, col + index, lineColor);
+		});
+	}
+	
+	/**
+	 * Get the font the token list is drawn in
+	 * Tall displays use a larger font when one has loaded.
+	 * @returns {LEDFont} - The font
+	 */
+	getTokenInfoFont() {
+		return this.dotRows >= TALL_DISPLAY_ROWS ? this.fonts.pickFont(TALL_TOKEN_FONT_ROWS) : this.font;
+	}
+	
+	/**
+	 * Get the rows one token takes in the token list: its lines of text and the gaps after them
+	 * @param {number} lineCount - Lines of text per token
+	 * @returns {number} - Rows per token
+	 */
+	getTokenInfoRows(lineCount = 2) {
+		return (this.getTokenInfoFont().height + 1) * lineCount;
+	}
+	
+	/**
+	 * Draw a token's information on the display, one layout line at a time
+	 * Lines too wide for the token list font drop to a smaller one.
+	 * @param {Object} token - Token data object
+	 * @param {number} row - Starting row on the display
+	 * @param {Array<Array<Object>>} lines - Layout lines of cells (see scoreboard-layouts.js)
+	 * @param {Object} context - { now } for time-based fields
+	 * @returns {LEDFont} - Font of the first line
+	 */
+	drawTokenInfo(token, row, lines = DEFAULT_TOKEN_LINES, context = {}) {
+		const listFont = this.getTokenInfoFont();
 		
-		// Skip if change row would be completely off screen
-		if (changeRow < -CHAR_HEIGHT || changeRow >= this.dotRows) {
-			return;
+		// Ensure row is visible and in bounds
+		if (row < -listFont.height || row >= this.dotRows) {
+			return listFont; // Skip tokens that would be completely off-screen
 		}
 		
-		// Extract changes from token data or use defaults
-		const change5m = token.change5m !== undefined ? token.change5m : 0;
-		const change1h = token.change1h !== undefined ? token.change1h : 0;
-		const change24h = token.change !== undefined ? token.change : 0; // Original change is 24h
-
-		// Format and color the change values - use compact format to save space
-		const change5mText = formatChange(change5m, false, true);
-		const change1hText = formatChange(change1h, false, true);
-		const change24hText = formatChange(change24h, false, true);
+		// First clear the area where we'll draw to avoid overlapping text
+		this.fillRect(row, 0, this.getTokenInfoRows(lines.length), this.dotCols, 'off');
 		
-		const color5m = getChangeColor(change5m);
-		const color1h = getChangeColor(change1h);
-		const color24h = getChangeColor(change24h);
+		let firstFont = listFont;
+		lines.forEach((line, index) => {
+			const lineRow = row + index * (listFont.height + 1);
+			
+			// Skip lines that would be completely off screen
+			if (lineRow < -listFont.height || lineRow >= this.dotRows) return;
+			
+			const font = this.drawLayoutLine(line.map(cell => formatLayoutCell(cell, token, context)), lineRow, listFont.height);
+			if (index === 0) firstFont = font;
+		});
 		
-		// Calculate positions with even spacing and no labels
-		// Left position for 5m change
-		const leftCol = 2;
+		return firstFont;
+	}
+	
+	/**
+	 * Draw one line of cells, left aligned cells from the left edge, right aligned ones
+	 * against the right edge and centred ones in the middle
+	 * @param {Array<Object>} cells - { text, color, align } for each cell
+	 * @param {number} row - Row to draw on
+	 * @param {number} maxRows - Tallest font to use
+	 * @returns {LEDFont} - Font the line was drawn in
+	 */
+	drawLayoutLine(cells, row, maxRows) {
+		const font = this.fonts.pickFont(maxRows, cells.map(cell => cell.text).join('   '), this.dotCols - 4);
+		const gap = font.measureText('  ');
+		const groupWidth = group => group.reduce((width, cell) => width + font.measureText(cell.text), 0) + gap * Math.max(0, group.length - 1);
 		
-		// Right position for 24h change
-		const rightCol = this.dotCols - (change24hText.length * CHAR_TOTAL_WIDTH) - 2;
+		const drawGroup = (group, startCol) => {
+			let col = startCol;
+			for (const cell of group) {
+				this.drawText(cell.text, row, col, cell.color, { font });
+				col += font.measureText(cell.text) + gap;
+			}
+		};
 		
-		// Middle position centered using predetermined position
-		const middleCol = Math.floor(this.dotCols/2) - Math.floor(CHAR_TOTAL_WIDTH * 3);
+		const left = cells.filter(cell => cell.align === 'left');
+		const center = cells.filter(cell => cell.align === 'center');
+		const right = cells.filter(cell => cell.align === 'right');
 		
-		// Draw changes with no labels for a cleaner display
-		this.drawText(change5mText, changeRow, leftCol, color5m);
-		this.drawText(change1hText, changeRow, middleCol, color1h);
-		this.drawText(change24hText, changeRow, rightCol, color24h);
+		drawGroup(left, 2);
+		drawGroup(center, Math.floor((this.dotCols - groupWidth(center)) / 2));
+		drawGroup(right, this.dotCols - groupWidth(right) - 2);
 		
-		// Add visual separator in tall mode to improve readability
-		if (isTallDisplay) {
-			const separatorRow = changeRow + CHAR_HEIGHT + 1;
-			if (separatorRow < this.dotRows && separatorRow >= 0) {
-				// Draw a subtle separator line
-				for (let i = 0; i < 5; i++) {
-					this.setDotColor(separatorRow, this.dotCols/2 - 2 + i, 'off');
-				}
-			}
-		}
+		return font;
 	}
 	
 	/**
-	 * Clean up the LED display and recreate it from scratch
-	 * This is useful when changing size modes to prevent duplicate LEDs
+	 * Lay the LED display out again for its current size
+	 * This is useful when changing size modes; every dot is switched off.
 	 */
 	recreateDisplay() {
-		console.log(`Recreating LED display from scratch with width=${this.width}, height=${this.height}`);
-		if (this.ledGroup) {
-			while (this.ledGroup.children.length > 0) {
-				const child = this.ledGroup.children[0];
-				if (child.geometry) child.geometry.dispose();
-				if (child.material) child.material.dispose();
-				this.ledGroup.remove(child);
-			}
-			if (this.ledGroup.parent) {
-				this.ledGroup.parent.remove(this.ledGroup);
-			}
+		console.log(`Recreating LED display with width=${this.width}, height=${this.height}`);
+		if (!this.ledGroup) {
+			this.createLEDDisplay();
+		} else {
+			this.layoutDots();
 		}
-		// Use the unified layout calculation
-		const layout = LEDDisplay.calculateDotLayout(this.width, this.height, this.dotCols);
-		this.dotRows = layout.dotRows;
-		this.dotSpacing = layout.dotSpacing;
-		this.dots = Array(this.dotRows).fill().map(() => Array(this.dotCols).fill(null));
-		this.createLEDDisplay();
 		console.log(`LED display recreated with ${this.dotRows} rows and ${this.dotCols} columns`);
 	}
 
@@ -693,44 +530,15 @@ export class LEDDisplay {
 	updateDisplaySize(width, height) {
 		this.width = width;
 		this.height = height;
-		const layout = LEDDisplay.calculateDotLayout(this.width, this.height, this.dotCols);
-		const oldRowCount = this.dotRows;
-		this.dotRows = layout.dotRows;
-		this.dotSpacing = layout.dotSpacing;
-		if (!this.dots || Math.abs(this.dotRows - oldRowCount) > (oldRowCount * 0.2)) {
-			console.log(`Significant row count change detected: ${oldRowCount} -> ${this.dotRows}`);
-			this.recreateDisplay();
-			return;
-		}
-		const totalWidth = this.width * 0.98;
-		const totalHeight = this.height * 0.95;
-		const startX = -totalWidth / 2 + this.dotSpacing / 2 - 1.5;
-		const startY = -totalHeight / 2 + this.dotSpacing / 2 - 0.2;
-		for (let row = 0; row < Math.min(this.dotRows, this.dots.length); row++) {
-			for (let col = 0; col < Math.min(this.dotCols, this.dots[row].length); col++) {
-				const dot = this.dots[row][col];
-				if (dot) {
-					dot.position.x = startX + col * this.dotSpacing * 0.9;
-					dot.position.y = startY + row * this.dotSpacing * 0.9;
-				}
-			}
-		}
-		this.ledGroup.position.set(0, 0, 0);
+		this.recreateDisplay();
 	}
 	
 	/**
 	 * Clear the display
 	 */
 	clear() {
-		if (!this.dots) return;
-		
-		// Add additional safety checks to prevent errors
-		const rowCount = this.dots.length;
-		for (let row = 0; row < Math.min(rowCount, this.dotRows); row++) {
-			if (!this.dots[row]) continue;
-			
-			const colCount = this.dots[row].length;
-			for (let col = 0; col < Math.min(colCount, this.dotCols); col++) {
+		for (let row = 0; row < this.dotRows; row++) {
+			for (let col = 0; col < this.dotCols; col++) {
 				this.setDotColor(row, col, 'off');
 			}
 		}
@@ -740,38 +548,21 @@ export class LEDDisplay {
 	 * Clean up resources
 	 */
 	dispose() {
-		// First clear the dots array references
-		if (this.dots) {
-			for (let row = 0; row < this.dots.length; row++) {
-				for (let col = 0; col < this.dots[row].length; col++) {
-					const dot = this.dots[row][col];
-					if (dot) {
-						// Remove from parent
-						if (dot.parent) {
-							dot.parent.remove(dot);
-						}
-						// Dispose of geometry and material
-						if (dot.geometry) dot.geometry.dispose();
-						if (dot.material) dot.material.dispose();
-						// Clear reference
-						this.dots[row][col] = null;
-					}
-				}
-			}
-			this.dots = null;
+		if (this.dotMesh) {
+			this.dotMesh.geometry.dispose();
+			this.dotMesh.material.dispose();
+			this.dotMesh.dispose();
+			this.dotMesh = null;
 		}
 		
-		// Dispose of all materials
-		if (this.dotMaterials) {
-			Object.values(this.dotMaterials).forEach(material => {
-				if (material) material.dispose();
-			});
-			this.dotMaterials = null;
+		if (this.hitPlane) {
+			this.hitPlane.geometry.dispose();
+			this.hitPlane.material.dispose();
+			this.hitPlane = null;
 		}
 		
-		// Remove ledGroup and all its children
+		// Remove ledGroup and anything else that was added to it
 		if (this.ledGroup) {
-			// First remove all children and dispose their resources
 			while (this.ledGroup.children.length > 0) {
 				const child = this.ledGroup.children[0];
 				this.ledGroup.remove(child);
@@ -779,7 +570,6 @@ export class LEDDisplay {
 				if (child.material) child.material.dispose();
 			}
 			
-			// Remove from parent
 			if (this.ledGroup.parent) {
 				this.ledGroup.parent.remove(this.ledGroup);
 			}
@@ -787,6 +577,7 @@ export class LEDDisplay {
 			this.ledGroup = null;
 		}
 		
+		this.dotStates = null;
 		console.log("LED display fully disposed");
 	}
 } 
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * LED bitmap fonts for the scoreboard display
+ *
+ * Fonts are JSON glyph atlases, so new sizes can be drawn by hand and loaded at runtime:
+ *
+ *   {
+ *     "id": "led-7",          // Registry id
+ *     "name": "LED 7 row",
+ *     "height": 7,            // Rows in every glyph
+ *     "spacing": 1,           // Blank columns after each glyph
+ *     "fallback": "\uFFFD", // Glyph drawn for characters the font can't show
+ *     "glyphs": { "A": [".###.", "#...#", ...] }   // One string per row, '#' lit
+ *   }
+ *
+ * Glyphs can be any width, which gives proportional spacing. Characters a font lacks are
+ * tried in the other case, then transliterated (accents stripped, Cyrillic and Greek
+ * spelled in Latin letters, currency signs spelled out), then drawn as the fallback glyph.
+ */
+
+import { Registry } from '../../utils/registry.js';
+
+export const DEFAULT_LED_FONT_ID = 'led-5';
+
+// Glyph drawn for characters no font can show
+export const FALLBACK_CHAR = '\uFFFD';
+
+// Invisible characters that only change how the character before them is shown
+const IGNORED_CHARS = /[\uFE0E\uFE0F\u200B-\u200D\u{1F3FB}-\u{1F3FF}]/gu;
+
+// Spellings for characters that don't decompose into ASCII
+const TRANSLITERATIONS = {
+	'ß': 'SS', 'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'Ø': 'O', 'ø': 'o',
+	'Đ': 'D', 'đ': 'd', 'Ł': 'L', 'ł': 'l', 'Þ': 'TH', 'þ': 'th', 'ı': 'i',
+	'‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...', '•': '·',
+	'×': 'x', '÷': '/', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₿': 'BTC', 'Ξ': 'ETH', '◎': 'SOL',
+	// Greek
+	'Α': 'A', 'Β': 'B', 'Γ': 'G', 'Δ': 'D', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Θ': 'TH',
+	'Ι': 'I', 'Κ': 'K', 'Λ': 'L', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Π': 'P', 'Ρ': 'R',
+	'Σ': 'S', 'Τ': 'T', 'Υ': 'Y', 'Φ': 'PH', 'Χ': 'CH', 'Ψ': 'PS', 'Ω': 'O',
+	'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'h', 'θ': 'th',
+	'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ο': 'o', 'π': 'p', 'ρ': 'r',
+	'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'ph', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o',
+	// Cyrillic
+	'А': 'A', 'Б': 'B', 'В': 'V', 'Г': 'G', 'Д': 'D', 'Е': 'E', 'Ё': 'YO', 'Ж': 'ZH',
+	'З': 'Z', 'И': 'I', 'Й': 'Y', 'К': 'K', 'Л': 'L', 'М': 'M', 'Н': 'N', 'О': 'O',
+	'П': 'P', 'Р': 'R', 'С': 'S', 'Т': 'T', 'У': 'U', 'Ф': 'F', 'Х': 'KH', 'Ц': 'TS',
+	'Ч': 'CH', 'Ш': 'SH', 'Щ': 'SHCH', 'Ъ': '', 'Ы': 'Y', 'Ь': '', 'Э': 'E', 'Ю': 'YU', 'Я': 'YA',
+	'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
+	'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+	'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+	'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+// Built-in 5-row font, always available so text can be drawn before other fonts load
+const LED_FONT_5 = {
+	id: DEFAULT_LED_FONT_ID,
+	name: 'LED 5 row',
+	height: 5,
+	spacing: 1,
+	fallback: FALLBACK_CHAR,
+	glyphs: {
+		'0': ['###', '#.#', '#.#', '#.#', '###'],
+		'1': ['.#.', '##.', '.#.', '.#.', '###'],
+		'2': ['###', '..#', '###', '#..', '###'],
+		'3': ['###', '..#', '.##', '..#', '###'],
+		'4': ['#.#', '#.#', '###', '..#', '..#'],
+		'5': ['###', '#..', '###', '..#', '###'],
+		'6': ['###', '#..', '###', '#.#', '###'],
+		'7': ['###', '..#', '.#.', '.#.', '.#.'],
+		'8': ['###', '#.#', '###', '#.#', '###'],
+		'9': ['###', '#.#', '###', '..#', '###'],
+		'$': ['.#.', '###', '.#.', '###', '.#.'],
+		'+': ['...', '.#.', '###', '.#.', '...'],
+		'-': ['...', '...', '###', '...', '...'],
+		'.': ['.', '.', '.', '.', '#'],
+		' ': ['..', '..', '..', '..', '..'],
+		'%': ['#..', '..#', '.#.', '#..', '..#'],
+		'A': ['.#.', '#.#', '###', '#.#', '#.#'],
+		'B': ['##.', '#.#', '##.', '#.#', '##.'],
+		'C': ['.##', '#..', '#..', '#..', '.##'],
+		'D': ['##.', '#.#', '#.#', '#.#', '##.'],
+		'E': ['###', '#..', '##.', '#..', '###'],
+		'F': ['###', '#..', '##.', '#..', '#..'],
+		'G': ['.##', '#..', '#.#', '#.#', '.##'],
+		'H': ['#.#', '#.#', '###', '#.#', '#.#'],
+		'I': ['###', '.#.', '.#.', '.#.', '###'],
+		'J': ['.##', '..#', '..#', '..#', '###'],
+		'K': ['#.#', '#.#', '##.', '#.#', '#.#'],
+		'L': ['#..', '#..', '#..', '#..', '###'],
+		'M': ['#.#', '###', '#.#', '#.#', '#.#'],
+		'N': ['#.#', '###', '###', '#.#', '#.#'],
+		'O': ['.#.', '#.#', '#.#', '#.#', '.#.'],
+		'P': ['##.', '#.#', '##.', '#..', '#..'],
+		'Q': ['###', '#.#', '###', '..#', '..#'],
+		'R': ['##.', '#.#', '##.', '#.#', '#.#'],
+		'S': ['.##', '#..', '.#.', '..#', '##.'],
+		'T': ['###', '.#.', '.#.', '.#.', '.#.'],
+		'U': ['#.#', '#.#', '#.#', '#.#', '###'],
+		'V': ['#.#', '#.#', '#.#', '.#.', '.#.'],
+		'W': ['#.#', '#.#', '#.#', '###', '#.#'],
+		'X': ['#.#', '#.#', '.#.', '#.#', '#.#'],
+		'Y': ['#.#', '#.#', '.#.', '.#.', '.#.'],
+		'Z': ['###', '..#', '.#.', '#..', '###'],
+		'/': ['..#', '.#.', '#..', '...', '...'],
+		'·': ['.', '.', '#', '.', '.'],
+		'@': ['###', '#.#', '###', '#..', '###'],
+		'#': ['#.#', '###', '#.#', '###', '#.#'],
+		'!': ['#', '#', '#', '.', '#'],
+		'?': ['###', '..#', '###', '...', '.#.'],
+		'(': ['.#', '#.', '#.', '#.', '.#'],
+		')': ['#.', '.#', '.#', '.#', '#.'],
+		':': ['.', '#', '.', '#', '.'],
+		';': ['..', '.#', '..', '.#', '#.'],
+		'_': ['...', '...', '...', '...', '###'],
+		',': ['..', '..', '..', '.#', '#.'],
+		"'": ['#', '#', '.', '.', '.'],
+		'"': ['#.#', '#.#', '...', '...', '...'],
+		'<': ['..#', '.#.', '#..', '.#.', '..#'],
+		'>': ['#..', '.#.', '..#', '.#.', '#..'],
+		'=': ['...', '###', '...', '###', '...'],
+		'*': ['...', '#.#', '.#.', '#.#', '...'],
+		'[': ['##', '#.', '#.', '#.', '##'],
+		']': ['##', '.#', '.#', '.#', '##'],
+		'|': ['#', '#', '#', '#', '#'],
+		'\\': ['#..', '.#.', '..#', '...', '...'],
+		'^': ['.#.', '#.#', '...', '...', '...'],
+		'~': ['...', '.##', '##.', '...', '...'],
+		'⟳': ['##.', '..#', '#.#', '#..', '.##'],
+		'⟲': ['.##', '#..', '#.#', '..#', '##.'],
+		'\uFFFD': ['#.#', '.#.', '#.#', '.#.', '#.#']
+	}
+};
+
+/**
+ * Spell a character in characters LED fonts are likely to have
+ * @param {string} char - A single character (code point)
+ * @returns {string} - Replacement text; the character itself if there's no better spelling
+ */
+export function transliterate(char) {
+	if (Object.prototype.hasOwnProperty.call(TRANSLITERATIONS, char)) {
+		return TRANSLITERATIONS[char];
+	}
+	
+	// Accented letters and compatibility forms (e.g. full-width '＄') decompose to ASCII
+	const decomposed = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+	return decomposed && /^[\x20-\x7e]+$/.test(decomposed) ? decomposed : char;
+}
+
+/**
+ * A bitmap font made of fixed-height glyphs of varying width
+ */
+export class LEDFont {
+	/**
+	 * @param {Object} data - Font data in the JSON atlas format (see top of file)
+	 */
+	constructor(data) {
+		this.id = data.id;
+		this.name = data.name || data.id;
+		this.height = data.height;
+		this.spacing = data.spacing ?? 1;
+		this.glyphs = new Map();
+		
+		for (const [char, rows] of Object.entries(data.glyphs)) {
+			// Store each row as an array of lit columns, which is all drawing needs
+			this.glyphs.set(char, {
+				width: rows[0].length,
+				rows: rows.map(row => Array.from(row, pixel => pixel === '#'))
+			});
+		}
+		
+		this.fallback = this.glyphs.get(data.fallback) || this.glyphs.get('?') || this.glyphs.get(' ');
+	}
+	
+	/**
+	 * Create a font from JSON atlas data, checking it's well formed
+	 * @param {Object} data - Parsed font JSON
+	 * @returns {LEDFont} - The font
+	 */
+	static fromJSON(data) {
+		if (!data || !data.id || !Number.isInteger(data.height) || data.height < 1 || !data.glyphs) {
+			throw new Error('LED fonts need an id, a height and glyphs');
+		}
+		
+		for (const [char, rows] of Object.entries(data.glyphs)) {
+			const width = Array.isArray(rows) && rows.length > 0 ? rows[0].length : 0;
+			const wellFormed = Array.isArray(rows)
+				&& rows.length === data.height
+				&& width > 0
+				&& rows.every(row => typeof row === 'string' && row.length === width && /^[#.]+$/.test(row));
+			if (!wellFormed) {
+				throw new Error(`LED font ${data.id}: glyph "${char}" must be ${data.height} rows of '#' and '.' of equal width`);
+			}
+		}
+		
+		return new LEDFont(data);
+	}
+	
+	/**
+	 * Check whether the font can show a character, in either case
+	 * @param {string} char - A single character
+	 * @returns {boolean} - True if the font has a glyph for it
+	 */
+	hasGlyph(char) {
+		return this.glyphs.has(char) || this.glyphs.has(char.toUpperCase()) || this.glyphs.has(char.toLowerCase());
+	}
+	
+	/**
+	 * Get the glyph for a character, in the other case if the font only has one
+	 * @param {string} char - A single character
+	 * @returns {Object|null} - { width, rows }, or null if the font has neither case
+	 */
+	getGlyph(char) {
+		return this.glyphs.get(char) || this.glyphs.get(char.toUpperCase()) || this.glyphs.get(char.toLowerCase()) || null;
+	}
+	
+	/**
+	 * Turn text into the glyphs to draw, transliterating what the font can't show
+	 * @param {string} text - Text to draw
+	 * @returns {Array<Object>} - Glyphs in order, as { width, rows }
+	 */
+	getGlyphs(text) {
+		const glyphs = [];
+		
+		for (const char of String(text).replace(IGNORED_CHARS, '')) {
+			if (this.hasGlyph(char)) {
+				glyphs.push(this.getGlyph(char));
+				continue;
+			}
+			
+			const spelling = transliterate(char);
+			if (spelling === char) {
+				glyphs.push(this.fallback);
+				continue;
+			}
+			
+			// Letters the spelling still can't show become the fallback glyph
+			for (const spelled of spelling) {
+				glyphs.push(this.getGlyph(spelled) || this.fallback);
+			}
+		}
+		
+		return glyphs;
+	}
+	
+	/**
+	 * Measure text in display columns, without the spacing after the last glyph
+	 * @param {string} text - Text to measure
+	 * @returns {number} - Width in columns
+	 */
+	measureText(text) {
+		const glyphs = this.getGlyphs(text);
+		if (glyphs.length === 0) return 0;
+		return glyphs.reduce((width, glyph) => width + glyph.width + this.spacing, 0) - this.spacing;
+	}
+}
+
+/**
+ * Check a font can be registered
+ * @param {LEDFont} font - The font
+ * @throws {Error} - If it isn't an LEDFont with an id
+ */
+function validateFont(font) {
+	if (!font || !font.id || typeof font.getGlyphs !== 'function') {
+		throw new Error('LED fonts must be LEDFont instances with an id');
+	}
+}
+
+/**
+ * Fonts available to an LED display, by id
+ */
+export class LEDFontRegistry extends Registry {
+	constructor() {
+		super(validateFont);
+	}
+	
+	/**
+	 * List registered fonts
+	 * @returns {Array<LEDFont>} - Fonts from shortest to tallest
+	 */
+	list() {
+		return super.list().sort((a, b) => a.height - b.height);
+	}
+	
+	/**
+	 * Pick the tallest font that fits in a number of rows, and optionally a number of columns
+	 * @param {number} maxRows - Rows available for one line of text
+	 * @param {string} text - Text that has to fit, if maxCols is given
+	 * @param {number} maxCols - Columns available for the text
+	 * @returns {LEDFont|null} - The font; the shortest one if none fits, or null if there are none
+	 */
+	pickFont(maxRows, text = '', maxCols = Infinity) {
+		const fonts = this.list();
+		const fitting = fonts.filter(font => font.height <= maxRows && font.measureText(text) <= maxCols);
+		return fitting[fitting.length - 1] || fonts[0] || null;
+	}
+}
+
+/**
+ * Create a registry with the built-in font
+ * @returns {LEDFontRegistry} - Registry holding the 5-row font
+ */
+export function createDefaultLEDFontRegistry() {
+	return new LEDFontRegistry().register(LEDFont.fromJSON(LED_FONT_5));
+}
+
+/**
+ * Load a font from a JSON atlas file
+ * @param {string} url - URL of the font JSON
+ * @returns {Promise<LEDFont>} - The font
+ */
+export async function loadLEDFont(url) {
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`Could not load LED font ${url}: HTTP ${response.status}`);
+	}
+	return LEDFont.fromJSON(await response.json());
+}
@@ -1,4 +1,15 @@
-import { formatPrice, formatChange, getChangeColor, formatCompactNumber } from './utils.js';
+import { formatPrice, formatChange, getChangeColor, formatCompactNumber, resampleSeries, getSeriesLevels, getBuySellSplit } from './utils.js';
+import { scoreTokenRisk, describeRisk } from '../../services/RiskService.js';
+import { getTokenKey } from '../../utils/tokenKey.js';
+import { createDefaultScoreboardLayoutRegistry, getLayoutLines, getSortOrder, sortScoreboardTokens, DEFAULT_SCOREBOARD_LAYOUT, DEFAULT_SCOREBOARD_SORT } from './scoreboard-layouts.js';
+import { createDefaultScoreboardProgramRegistry, ScoreboardPlaylist, ScoreboardEventFeed, DEFAULT_PLAYLIST } from './scoreboard-programs.js';
+
+// Price history behind the detail view sparkline: 5 minute candles, refetched once a minute
+const DETAIL_CHART_RESOLUTION = '5m';
+const DETAIL_CHART_REFRESH_INTERVAL = 60000;
+// Sparkline height in dot rows
+const DETAIL_CHART_ROWS = 8;
+const TALL_DETAIL_CHART_ROWS = 14;
 
 export class ScoreboardDisplayManager {
 	constructor(tokenScoreboard) {
@@ -9,6 +20,84 @@ export class ScoreboardDisplayManager {
 		this.scrollSpeed = 0.7;
 		// Add tracking for clickable token positions
 		this.clickableTokenPositions = [];
+		// Price candles for the sparkline of the token in the detail view
+		this.detailHistory = { key: null, candles: null, fetchedAt: 0, loading: false };
+		// What the scrolling list shows for each token, and in what order
+		this.layoutRegistry = createDefaultScoreboardLayoutRegistry();
+		this.layout = this.layoutRegistry.get(DEFAULT_SCOREBOARD_LAYOUT);
+		this.sortOrder = getSortOrder(DEFAULT_SCOREBOARD_SORT);
+		// Tokens from the last update in provider order, to sort again when the order changes
+		this.sourceTokens = [];
+		// Programs the display rotates through outside the detail view, and the news they report
+		this.programRegistry = createDefaultScoreboardProgramRegistry();
+		this.playlist = new ScoreboardPlaylist(DEFAULT_PLAYLIST);
+		this.pinnedProgramId = null; // Program shown all the time, or null to rotate
+		this.program = null;
+		this.programState = null;
+		this.eventFeed = new ScoreboardEventFeed();
+	}
+
+	/**
+	 * Show one program all the time, or rotate through the playlist again
+	 * @param {string|null} programId - Id of a program in programRegistry, or null to rotate
+	 * @returns {Object|null} - The program, or null when rotating
+	 */
+	setProgram(programId) {
+		if (!programId) {
+			this.playlist.setEntries(DEFAULT_PLAYLIST);
+			this.pinnedProgramId = null;
+			return null;
+		}
+		
+		const program = this.programRegistry.get(programId);
+		if (!program) {
+			throw new Error(`Unknown scoreboard program: ${programId}`);
+		}
+		
+		this.playlist.setEntries([{ program: program.id, duration: Infinity }]);
+		this.pinnedProgramId = program.id;
+		return program;
+	}
+
+	/**
+	 * Switch the scrolling list to another layout
+	 * @param {string} layoutId - Id of a layout in layoutRegistry
+	 * @returns {Object} - The layout
+	 */
+	setLayout(layoutId) {
+		const layout = this.layoutRegistry.get(layoutId);
+		if (!layout) {
+			throw new Error(`Unknown scoreboard layout: ${layoutId}`);
+		}
+		
+		this.layout = layout;
+		// Token heights change with the number of lines, so start from the top
+		this.scrollPosition = 0;
+		return layout;
+	}
+
+	/**
+	 * Sort the scrolling list another way
+	 * @param {string} sortId - Id from SCOREBOARD_SORT_ORDERS
+	 * @returns {Object} - The sort order
+	 */
+	setSortOrder(sortId) {
+		const sortOrder = getSortOrder(sortId);
+		if (!sortOrder) {
+			throw new Error(`Unknown scoreboard sort order: ${sortId}`);
+		}
+		
+		this.sortOrder = sortOrder;
+		if (this.sourceTokens.length > 0) {
+			this.updateTokenData(this.sourceTokens);
+		}
+		this.scrollPosition = 0;
+		return sortOrder;
+	}
+
+	// Layout lines for the current size mode
+	getLayoutLines() {
+		return getLayoutLines(this.layout, this.ts.sizeMode);
 	}
 
 	updateTokenData(tokens) {
@@ -20,11 +109,24 @@ export class ScoreboardDisplayManager {
 			];
 		}
         
+		this.sourceTokens = tokens;
+		
+		// Sponsorships come from the tag cluster's sponsor service when the scoreboard has one
+		const sponsorService = this.ts.sponsorService;
+		const newEvents = this.eventFeed.update(tokens, {
+			isSponsored: token => !!(sponsorService && token.tokenAddress && sponsorService.isTokenSponsored(token.chainId, token.tokenAddress))
+		});
+		if (newEvents.length > 0) {
+			console.log(`ScoreboardDisplayManager: ${newEvents.length} new scoreboard events`);
+		}
+		
 		// Save current scroll position
 		const currentScrollPosition = this.scrollPosition;
 		const oldTokenLength = this.displayData ? this.displayData.length : 0;
 
-		this.displayData = tokens.slice(0, this.maxTokensToShow).map(token => ({
+		// Sort before cutting the list down, so e.g. the top volume tokens are the ones shown
+		const sortedTokens = sortScoreboardTokens(tokens, this.sortOrder.id);
+		this.displayData = sortedTokens.slice(0, this.maxTokensToShow).map(token => ({
 			symbol: token.baseToken?.symbol || (token.tokenAddress ? token.tokenAddress.substring(0, 6) : 'UNKN'),
 			price: token.priceUsd ?? "0",
 			change: typeof token.priceChange?.h24 === 'number' ? token.priceChange.h24 : 0,
@@ -37,7 +139,7 @@ export class ScoreboardDisplayManager {
 			this.scrollPosition = 0;
 		} else {
 			// Adjust scroll position if needed based on new list length
-			const newMaxScroll = this.displayData.length * 12;
+			const newMaxScroll = this.displayData.length * this.getTokenHeight();
 			if (currentScrollPosition >= newMaxScroll) {
 				// If we're past the end of the new list, adjust to a reasonable position
 				this.scrollPosition = Math.max(0, newMaxScroll - 24); // Position near the end
@@ -82,7 +184,8 @@ export class ScoreboardDisplayManager {
 
 		const symbol = (token.baseToken?.symbol || token.symbol || token.name || 'UNKN');
 		let row = 2;
-		let colStart = (d.dotCols > symbol.length * 4 + 4) ? Math.floor((d.dotCols - symbol.length * 4) / 2) : 2;
+		const symbolWidth = d.measureText(symbol);
+		let colStart = (d.dotCols > symbolWidth + 4) ? Math.floor((d.dotCols - symbolWidth) / 2) : 2;
 		d.drawText(symbol, row, colStart, 'cyan');
 
 		row += rowSpacing;
@@ -112,7 +215,20 @@ export class ScoreboardDisplayManager {
 		d.drawText(change1h !== null ? formatChange(change1h, true) : 'N/A', row, 30, change1h !== null ? getChangeColor(change1h) : 'white');
 		d.drawText(':', row, 55, 'yellow');
 		d.drawText(change24h !== null ? formatChange(change24h, true) : 'N/A', row, 60, change24h !== null ? getChangeColor(change24h) : 'white');
+		
+		// Warn about medium and high risk tokens, using the liquidity history the tags' risk service has seen
+		const risk = this.ts.riskService ? this.ts.riskService.getRisk(token) : scoreTokenRisk(token);
+		if (risk.level !== 'low') {
+			row += rowSpacing;
+			let riskText = '!' + describeRisk(risk);
+			while (riskText.length > 1 && d.measureText(riskText) > d.dotCols - 4) {
+				riskText = riskText.slice(0, -1);
+			}
+			d.drawText(riskText, row, 2, risk.level === 'high' ? 'red' : 'yellow');
+		}
 
+		row = this._drawDetailCharts(token, row + rowSpacing, isTallMode ? TALL_DETAIL_CHART_ROWS : DETAIL_CHART_ROWS) - rowSpacing;
+		
 		// In tall mode, show more information
 		if (isTallMode || d.dotRows >= 36) {
 			row += rowSpacing;
@@ -165,6 +281,80 @@ export class ScoreboardDisplayManager {
 		}
 	}
 
+	/**
+	 * Draw the price sparkline and the buy/sell bar under the detail view's numbers
+	 * @param {Object} token - Token shown in the detail view
+	 * @param {number} row - Top row to draw from
+	 * @param {number} chartRows - Height of the sparkline in dot rows
+	 * @returns {number} First free row below the charts
+	 */
+	_drawDetailCharts(token, row, chartRows) {
+		const d = this.ts.ledDisplay;
+		const width = d.dotCols - 4;
+		
+		this._refreshDetailHistory(token);
+		const { candles, loading } = this.detailHistory;
+		const prices = (candles || []).map(candle => candle.close ?? candle.price);
+		const points = resampleSeries(prices, width);
+		
+		if (points.length > 1) {
+			// Colour the line by the move over the whole chart
+			const rising = points[points.length - 1] >= points[0];
+			d.drawArea(row, 2, chartRows, getSeriesLevels(points, chartRows), rising ? 'green' : 'red', rising ? 'darkGreen' : 'darkRed');
+		} else {
+			const message = loading ? 'LOADING CHART' : 'NO CHART DATA';
+			d.drawText(message, row + Math.max(0, Math.floor((chartRows - d.font.height) / 2)), 2, 'white');
+		}
+		row += chartRows + 2;
+		
+		// Buys against sells, as a share of the bar
+		const split = getBuySellSplit(token);
+		if (split) {
+			d.drawBar(row, 2, width, 2, [
+				{ fraction: split.buyShare, color: 'green' },
+				{ fraction: 1 - split.buyShare, color: 'red' }
+			]);
+		} else {
+			d.drawBar(row, 2, width, 2, [{ fraction: 1, color: 'off' }]);
+		}
+		
+		return row + 3;
+	}
+
+	/**
+	 * Fetch the price history for the sparkline when the detail token changes, and
+	 * again every DETAIL_CHART_REFRESH_INTERVAL
+	 * @param {Object} token - Token shown in the detail view
+	 */
+	async _refreshDetailHistory(token) {
+		const provider = this.ts.dataProvider;
+		if (!provider || typeof provider.getTokenPriceHistory !== 'function') return;
+		
+		const history = this.detailHistory;
+		const key = getTokenKey(token);
+		const isSameToken = key === history.key;
+		if (isSameToken && (history.loading || Date.now() - history.fetchedAt < DETAIL_CHART_REFRESH_INTERVAL)) return;
+		
+		// Drop the old token's chart straight away rather than showing it under the new one
+		if (!isSameToken) {
+			history.key = key;
+			history.candles = null;
+		}
+		history.loading = true;
+		
+		try {
+			const candles = await provider.getTokenPriceHistory(token, DETAIL_CHART_RESOLUTION);
+			if (history.key === key) history.candles = candles;
+		} catch (err) {
+			console.warn('ScoreboardDisplayManager: Failed to load price history for the sparkline:', err);
+		} finally {
+			if (history.key === key) {
+				history.loading = false;
+				history.fetchedAt = Date.now();
+			}
+		}
+	}
+
 	_drawScrollingTokenList() {
 		const d = this.ts.ledDisplay;
 		if (!d) return;
@@ -179,8 +369,13 @@ export class ScoreboardDisplayManager {
 		// Increment the scroll position by scrollSpeed with enhanced smoothness
 		this.scrollPosition += this.scrollSpeed;
 		
+		// Each token takes a line of text per layout line, in the token list font, which is larger on tall displays
+		const lines = this.getLayoutLines();
+		const TOKEN_HEIGHT = this.getTokenHeight();
+		const now = Date.now();
+		
 		// Calculate max scroll position based on token count to prevent sudden jumps
-		const maxScrollPosition = (this.displayData.length * 12) + 10; // Add a small gap before restarting
+		const maxScrollPosition = (this.displayData.length * TOKEN_HEIGHT) + 10; // Add a small gap before restarting
 		
 		// Reset scroll position when we reach the end of the list with a smooth transition
 		if (this.scrollPosition >= maxScrollPosition) {
@@ -188,8 +383,6 @@ export class ScoreboardDisplayManager {
 		}
 
 		// Calculate how many tokens can be displayed based on height
-		// Each token takes up approximately 12 rows
-		const TOKEN_HEIGHT = 12;
 		const visibleHeight = d.dotRows - 4; // Account for top/bottom margins
 		
 		// Calculate maximum visible tokens based on display height
@@ -238,25 +431,8 @@ export class ScoreboardDisplayManager {
 
 			if (rowStart < -TOKEN_HEIGHT || rowStart >= d.dotRows) continue;
 
-			// Extract all needed data for the LED display
 			const symbol = token.baseToken?.symbol || 'UNKN';
-			const price = formatPrice(token.priceUsd || 0);
-			const change24h = token.priceChange?.h24 !== undefined ? token.priceChange.h24 : 0;
-			const change1h = token.priceChange?.h1 !== undefined ? token.priceChange.h1 : 0;
-			const change5m = token.priceChange?.m5 !== undefined ? token.priceChange.m5 : 0;
-			
-			// Create enhanced token data for the LED display
-			const enhancedToken = {
-				symbol: symbol,
-				price: token.priceUsd || 0,
-				change: change24h,    // Keep the original change (24h) for backward compatibility
-				change24h: change24h, // Explicitly add 24h change
-				change1h: change1h,   // Add 1h change
-				change5m: change5m    // Add 5m change
-			};
-			
-			// Pass the enhanced token to drawTokenInfo
-			d.drawTokenInfo(enhancedToken, rowStart);
+			const font = d.drawTokenInfo(token, rowStart, lines, { now });
 			
 			// Register this token as clickable - the entire first row is clickable
 			// Only register if fully on screen
@@ -266,7 +442,7 @@ export class ScoreboardDisplayManager {
 					this.addClickableToken(
 						token, 
 						rowStart,                               // rowStart
-						rowStart + 5,                           // rowEnd (5 is character height)
+						rowStart + font.height,                 // rowEnd (first line of text)
 						0,                                       // colStart (entire row)
 						d.dotCols * 2                               // colEnd (entire row)
 					);
@@ -399,10 +575,33 @@ export class ScoreboardDisplayManager {
 				this.ts.ledDisplay.drawText(refreshChar, 2, this.ts.ledDisplay.dotCols - 6, 'cyan');
 			}
 		} else {
-			this._drawScrollingTokenList();
+			this._drawProgram(Date.now());
 		}
 	}
 
+	/**
+	 * Draw the program the playlist is on, starting it afresh when the playlist moves on
+	 * @param {number} now - Current time (ms since the epoch)
+	 */
+	_drawProgram(now) {
+		const entry = this.playlist.update(now, id => !!this.programRegistry.get(id)?.isAvailable(this, now));
+		const program = (entry && this.programRegistry.get(entry.program)) || this.programRegistry.get('list');
+		
+		if (program !== this.program) {
+			this.program = program;
+			this.programState = program.start(this, now);
+		}
+		
+		// Programs register what can be clicked as they draw
+		this.resetClickablePositions();
+		program.draw(this.ts.ledDisplay, this, this.programState, now);
+	}
+
+	// Rows each token takes in the scrolling list
+	getTokenHeight() {
+		return this.ts.ledDisplay ? this.ts.ledDisplay.getTokenInfoRows(this.getLayoutLines().length) : 12;
+	}
+
 	// Find if a click intersects with a token
 	findTokenAtPosition(rowPosition, colPosition) {
 		try {
@@ -0,0 +1,289 @@
+/**
+ * Layouts and sort orders for the scoreboard's scrolling token list
+ * A layout says which fields each token shows, line by line, for each size mode; the
+ * list uses one layout at a time and new ones are added by registering them.
+ *
+ * A layout is { id, label, modes: { normal: lines, tall: lines } } where each line is an
+ * array of cells { field, align, color, label, unit }. Only field is required:
+ * - field: key of SCOREBOARD_FIELDS
+ * - align: 'left', 'center' or 'right' (default 'left'); cells with the same alignment
+ *   are drawn side by side
+ * - color: LED colour name, instead of the field's own colour
+ * - label: text drawn before the value, e.g. 'V:'
+ * - unit: text to use instead of the field's unit; '' hides it
+ * Size modes a layout doesn't define use its normal lines.
+ */
+
+import { formatPrice, formatChange, getChangeColor, formatCompactNumber, getBuySellSplit, formatAge } from './utils.js';
+import { Registry } from '../../utils/registry.js';
+
+export const DEFAULT_SCOREBOARD_LAYOUT = 'price';
+export const DEFAULT_SCOREBOARD_SORT = 'provider';
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Read a number from token data, which may come as a string
+ * @param {*} value - Raw value
+ * @returns {number|null} - The number, or null if there isn't one
+ */
+function toNumber(value) {
+	const number = typeof value === 'string' ? parseFloat(value) : value;
+	return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Create a price change field for one window
+ * @param {string} window - Window key in token.priceChange, e.g. 'h24'
+ * @param {string} label - Field name for menus
+ * @returns {Object} - The field
+ */
+function changeField(window, label) {
+	return {
+		label,
+		unit: '%',
+		unitPosition: 'suffix',
+		value: token => toNumber(token.priceChange?.[window]) ?? 0,
+		format: value => formatChange(value, false, true).replace('%', ''),
+		color: value => getChangeColor(value)
+	};
+}
+
+// Fields a layout can show; value reads it from a token, format turns it into text without
+// its unit and color picks its LED colour. Values of null show as 'N/A' in white.
+export const SCOREBOARD_FIELDS = {
+	symbol: {
+		label: 'Symbol',
+		unit: '$',
+		unitPosition: 'prefix',
+		value: token => token.baseToken?.symbol || token.symbol || 'UNKN',
+		format: value => value,
+		color: () => 'cyan'
+	},
+	price: {
+		label: 'Price',
+		unit: '$',
+		unitPosition: 'prefix',
+		value: token => toNumber(token.priceUsd ?? token.price) ?? 0,
+		format: value => formatPrice(value),
+		color: () => 'yellow'
+	},
+	change5m: changeField('m5', '5m change'),
+	change1h: changeField('h1', '1h change'),
+	change6h: changeField('h6', '6h change'),
+	change24h: changeField('h24', '24h change'),
+	volume24h: {
+		label: '24h volume',
+		unit: '$',
+		unitPosition: 'prefix',
+		value: token => toNumber(token.volume?.h24),
+		format: value => formatCompactNumber(value),
+		color: () => 'yellow'
+	},
+	liquidity: {
+		label: 'Liquidity',
+		unit: '$',
+		unitPosition: 'prefix',
+		value: token => toNumber(token.liquidity?.usd),
+		format: value => formatCompactNumber(value),
+		color: () => 'cyan'
+	},
+	marketCap: {
+		label: 'Market cap',
+		unit: '$',
+		unitPosition: 'prefix',
+		value: token => toNumber(token.marketCap) || toNumber(token.fdv),
+		format: value => formatCompactNumber(value),
+		color: () => 'white'
+	},
+	age: {
+		label: 'Pair age',
+		unit: '',
+		unitPosition: 'suffix',
+		value: token => toNumber(token.pairCreatedAt),
+		format: (value, { now = Date.now() } = {}) => formatAge(value, now),
+		// Launches less than an hour old stand out
+		color: (value, { now = Date.now() } = {}) => now - value < 3600000 ? 'magenta' : 'white'
+	},
+	txns24h: {
+		label: '24h trades',
+		unit: 'TX',
+		unitPosition: 'suffix',
+		value: token => {
+			const txns = token.txns?.h24;
+			return txns ? (toNumber(txns.buys) ?? 0) + (toNumber(txns.sells) ?? 0) : null;
+		},
+		format: value => formatCompactNumber(value),
+		color: () => 'white'
+	},
+	buyShare: {
+		label: 'Buy share',
+		unit: '%',
+		unitPosition: 'suffix',
+		value: token => {
+			const split = getBuySellSplit(token);
+			return split ? split.buyShare * 100 : null;
+		},
+		format: value => Math.round(value).toString(),
+		color: value => value >= 50 ? 'green' : 'red'
+	}
+};
+
+/**
+ * Work out the text and colour of one cell of a layout for a token
+ * @param {Object} cell - Layout cell, see the top of this file
+ * @param {Object} token - Token data
+ * @param {Object} context - { now } for time-based fields
+ * @returns {Object} - { text, color, align }
+ */
+export function formatLayoutCell(cell, token, context = {}) {
+	const field = SCOREBOARD_FIELDS[cell.field];
+	const align = cell.align || 'left';
+	const label = cell.label || '';
+	
+	const value = field.value(token);
+	if (value === null || value === undefined) {
+		return { text: `${label}N/A`, color: cell.color || 'white', align };
+	}
+	
+	const unit = cell.unit ?? field.unit;
+	const formatted = field.format(value, context);
+	const text = field.unitPosition === 'prefix' ? `${unit}${formatted}` : `${formatted}${unit}`;
+	return { text: label + text, color: cell.color || field.color(value, context), align };
+}
+
+/**
+ * Get the lines a layout shows in a size mode
+ * @param {Object} layout - Registered layout
+ * @param {string} sizeMode - Scoreboard size mode, e.g. 'normal' or 'tall'
+ * @returns {Array<Array<Object>>} - Lines of cells
+ */
+export function getLayoutLines(layout, sizeMode) {
+	return layout.modes[sizeMode] || layout.modes.normal;
+}
+
+const priceLayout = {
+	id: 'price',
+	label: 'Price',
+	modes: {
+		normal: [
+			[{ field: 'symbol' }, { field: 'price', align: 'right' }],
+			[{ field: 'change5m' }, { field: 'change1h', align: 'center' }, { field: 'change24h', align: 'right' }]
+		]
+	}
+};
+
+const volumeLayout = {
+	id: 'volume',
+	label: 'Volume',
+	modes: {
+		normal: [
+			[{ field: 'symbol' }, { field: 'volume24h', align: 'right' }],
+			[{ field: 'change24h' }, { field: 'buyShare', align: 'right', label: 'B' }]
+		],
+		tall: [
+			[{ field: 'symbol' }, { field: 'volume24h', align: 'right' }],
+			[{ field: 'change1h' }, { field: 'change24h', align: 'right' }],
+			[{ field: 'txns24h' }, { field: 'buyShare', align: 'right', label: 'B' }]
+		]
+	}
+};
+
+const newLaunchLayout = {
+	id: 'new-launch',
+	label: 'New launches',
+	modes: {
+		normal: [
+			[{ field: 'symbol' }, { field: 'age', align: 'right' }],
+			[{ field: 'liquidity', label: 'L' }, { field: 'marketCap', align: 'right', label: 'MC' }]
+		],
+		tall: [
+			[{ field: 'symbol' }, { field: 'age', align: 'right' }],
+			[{ field: 'price' }, { field: 'change5m', align: 'right' }],
+			[{ field: 'liquidity', label: 'L' }, { field: 'marketCap', align: 'right', label: 'MC' }]
+		]
+	}
+};
+
+/**
+ * Check a layout can be registered
+ * @param {Object} layout - { id, label, modes: { normal, tall } }
+ * @throws {Error} - If it has no normal lines, or a cell has an unknown field or alignment
+ */
+function validateLayout(layout) {
+	if (!layout || !layout.id || !Array.isArray(layout.modes?.normal) || layout.modes.normal.length === 0) {
+		throw new Error('Scoreboard layouts need an id and at least one line for normal mode');
+	}
+	
+	for (const [sizeMode, lines] of Object.entries(layout.modes)) {
+		for (const cell of lines.flat()) {
+			if (!SCOREBOARD_FIELDS[cell?.field]) {
+				throw new Error(`Scoreboard layout ${layout.id}: unknown field "${cell?.field}" in ${sizeMode} mode`);
+			}
+			if (cell.align && !ALIGNMENTS.includes(cell.align)) {
+				throw new Error(`Scoreboard layout ${layout.id}: align must be one of ${ALIGNMENTS.join(', ')}`);
+			}
+		}
+	}
+}
+
+/**
+ * Scoreboard list layouts by id
+ */
+export class ScoreboardLayoutRegistry extends Registry {
+	constructor() {
+		super(validateLayout);
+	}
+}
+
+/**
+ * Create the layout registry the scoreboard list starts with
+ * @returns {ScoreboardLayoutRegistry} - Registry with price, volume and new launch layouts
+ */
+export function createDefaultScoreboardLayoutRegistry() {
+	return new ScoreboardLayoutRegistry()
+		.register(priceLayout)
+		.register(volumeLayout)
+		.register(newLaunchLayout);
+}
+
+// Sort orders for the scrolling list; value reads the number to sort on, highest first.
+// Tokens without one go last, and 'provider' keeps the order the provider gave.
+export const SCOREBOARD_SORT_ORDERS = [
+	{ id: 'provider', label: 'Provider order', value: null },
+	{ id: 'change24h', label: '24h change', value: token => toNumber(token.priceChange?.h24) },
+	{ id: 'change5m', label: '5m change', value: token => toNumber(token.priceChange?.m5) },
+	{ id: 'volume', label: '24h volume', value: token => toNumber(token.volume?.h24) },
+	{ id: 'liquidity', label: 'Liquidity', value: token => toNumber(token.liquidity?.usd) },
+	{ id: 'marketCap', label: 'Market cap', value: token => toNumber(token.marketCap) || toNumber(token.fdv) },
+	{ id: 'newest', label: 'Newest', value: token => toNumber(token.pairCreatedAt) }
+];
+
+/**
+ * Get a sort order by id
+ * @param {string} id - Sort order id
+ * @returns {Object|null} - The sort order or null if there isn't one
+ */
+export function getSortOrder(id) {
+	return SCOREBOARD_SORT_ORDERS.find(order => order.id === id) || null;
+}
+
+/**
+ * Sort tokens for the scrolling list
+ * @param {Array} tokens - Token data, in provider order
+ * @param {string} sortId - Id from SCOREBOARD_SORT_ORDERS
+ * @returns {Array} - A sorted copy; ties keep provider order
+ */
+export function sortScoreboardTokens(tokens, sortId) {
+	const order = getSortOrder(sortId);
+	if (!order || !order.value) return [...tokens];
+	
+	return tokens
+		.map(token => ({ token, value: order.value(token) }))
+		.sort((a, b) => {
+			if (a.value === null) return b.value === null ? 0 : 1;
+			if (b.value === null) return -1;
+			return b.value - a.value;
+		})
+		.map(({ token }) => token);
+}
@@ -0,0 +1,347 @@
+/**
+ * Display programs for the scoreboard and the playlist that rotates them
+ * Outside the detail view the LED display runs one program at a time: the scrolling token
+ * list, a one-line marquee of every token, one token at a time in big digits, or a feed of
+ * events found by comparing provider refreshes. New programs are added by registering them.
+ *
+ * A program is { id, label, isAvailable(manager, now), start(manager, now), draw(display, manager, state, now) }
+ * where manager is the ScoreboardDisplayManager, start returns the program's state for this
+ * run and draw is called every frame on a cleared display.
+ */
+
+import { getTokenKey } from '../../utils/tokenKey.js';
+import { Registry } from '../../utils/registry.js';
+import { formatPrice, formatChange, getChangeColor, formatCompactNumber } from './utils.js';
+
+// Programs in the order they rotate and how long each one shows (ms)
+export const DEFAULT_PLAYLIST = [
+	{ program: 'list', duration: 30000 },
+	{ program: 'marquee', duration: 20000 },
+	{ program: 'events', duration: 12000 },
+	{ program: 'big-number', duration: 24000 }
+];
+
+// A 5m move at least this big (%) is news
+const EVENT_MOVE_THRESHOLD = 20;
+// Pairs younger than this are announced as launches when they first show up (ms)
+const EVENT_LAUNCH_WINDOW = 3600000;
+// Events kept, and how long they stay in the feed (ms)
+const MAX_EVENTS = 20;
+const EVENT_LIFETIME = 15 * 60000;
+
+// Marquee scroll speed in columns per second
+const MARQUEE_SPEED = 24;
+// How long the big number program shows each token (ms)
+const BIG_NUMBER_INTERVAL = 4000;
+
+/**
+ * Get the symbol a token is shown by, with a '$' in front
+ * @param {Object} token - Token data
+ * @returns {string} - e.g. '$PEPE'
+ */
+function getTokenTicker(token) {
+	return '$' + (token.baseToken?.symbol || token.symbol || 'UNKN');
+}
+
+/**
+ * Read a number from token data, which may come as a string
+ * @param {*} value - Raw value
+ * @returns {number|null} - The number, or null if there isn't one
+ */
+function toNumber(value) {
+	const number = typeof value === 'string' ? parseFloat(value) : value;
+	return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Finds news in provider refreshes: big 5m moves, new launches and new sponsorships
+ */
+export class ScoreboardEventFeed {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.moveThreshold - Smallest 5m change (%) to announce
+	 * @param {number} options.launchWindow - Largest pair age (ms) to announce as a launch
+	 * @param {number} options.maxEvents - Events to keep
+	 * @param {number} options.lifetime - How long events stay in the feed (ms)
+	 */
+	constructor({ moveThreshold = EVENT_MOVE_THRESHOLD, launchWindow = EVENT_LAUNCH_WINDOW, maxEvents = MAX_EVENTS, lifetime = EVENT_LIFETIME } = {}) {
+		this.moveThreshold = moveThreshold;
+		this.launchWindow = launchWindow;
+		this.maxEvents = maxEvents;
+		this.lifetime = lifetime;
+		
+		this.previous = new Map(); // Token key => token from the last refresh
+		this.sponsored = new Set(); // Keys of tokens that were sponsored at the last refresh
+		this.events = []; // Newest first
+	}
+	
+	/**
+	 * Compare a refresh with the last one and record what's new
+	 * A refresh with no tokens in common with the last one is a new list (e.g. sample data
+	 * being replaced), so it only sets the baseline.
+	 * @param {Array} tokens - Tokens from the refresh
+	 * @param {Object} context - { now, isSponsored(token) }
+	 * @returns {Array<Object>} - New events as { type, key, text, color, time }
+	 */
+	update(tokens, { now = Date.now(), isSponsored = () => false } = {}) {
+		const current = new Map();
+		for (const token of tokens || []) {
+			const key = getTokenKey(token);
+			if (key) current.set(key, token);
+		}
+		
+		const isBaseline = !Array.from(current.keys()).some(key => this.previous.has(key));
+		const events = [];
+		const sponsored = new Set();
+		
+		for (const [key, token] of current) {
+			const previous = this.previous.get(key);
+			const event = (type, text, color) => events.push({ type, key, text, color, time: now });
+			
+			if (isSponsored(token)) {
+				sponsored.add(key);
+				if (!isBaseline && !this.sponsored.has(key)) {
+					event('sponsored', `${getTokenTicker(token)} SPONSORED`, 'yellow');
+				}
+			}
+			if (isBaseline) continue;
+			
+			if (previous) {
+				// Announce a move once, when it first crosses the threshold
+				const change = toNumber(token.priceChange?.m5);
+				const previousChange = toNumber(previous.priceChange?.m5);
+				const isMove = change !== null && Math.abs(change) >= this.moveThreshold;
+				const wasMove = previousChange !== null && Math.abs(previousChange) >= this.moveThreshold && Math.sign(previousChange) === Math.sign(change);
+				if (isMove && !wasMove) {
+					event('move', `${getTokenTicker(token)} ${formatChange(change, false, true)} in 5m`, getChangeColor(change));
+				}
+			} else {
+				const createdAt = toNumber(token.pairCreatedAt);
+				if (createdAt && now - createdAt < this.launchWindow) {
+					const liquidity = toNumber(token.liquidity?.usd);
+					event('launch', `NEW ${getTokenTicker(token)}` + (liquidity ? ` LIQ $${formatCompactNumber(liquidity)}` : ''), 'magenta');
+				}
+			}
+		}
+		
+		this.previous = current;
+		this.sponsored = sponsored;
+		this.events = [...events, ...this.events].slice(0, this.maxEvents);
+		return events;
+	}
+	
+	/**
+	 * Get the events still in the feed
+	 * @param {number} now - Current time (ms since the epoch)
+	 * @returns {Array<Object>} - Events, newest first
+	 */
+	getRecent(now = Date.now()) {
+		return this.events.filter(event => now - event.time < this.lifetime);
+	}
+}
+
+/**
+ * Rotates programs, showing each for its duration and skipping any with nothing to show
+ */
+export class ScoreboardPlaylist {
+	/**
+	 * @param {Array<Object>} entries - { program, duration } in the order they play
+	 */
+	constructor(entries = DEFAULT_PLAYLIST) {
+		this.setEntries(entries);
+	}
+	
+	/**
+	 * Replace what the playlist plays, starting again from the top
+	 * @param {Array<Object>} entries - { program, duration } in the order they play
+	 */
+	setEntries(entries) {
+		if (!Array.isArray(entries) || entries.length === 0) {
+			throw new Error('A scoreboard playlist needs at least one entry');
+		}
+		
+		this.entries = entries;
+		this.index = 0;
+		this.startedAt = null;
+	}
+	
+	/**
+	 * Get the entry to show now, moving on when the current one has had its time or has
+	 * nothing to show
+	 * @param {number} now - Current time (ms since the epoch)
+	 * @param {Function} isAvailable - Whether a program id has something to show
+	 * @returns {Object|null} - The entry, or null if no program has anything to show
+	 */
+	update(now, isAvailable = () => true) {
+		const current = this.entries[this.index];
+		if (this.startedAt !== null && now - this.startedAt < current.duration && isAvailable(current.program)) {
+			return current;
+		}
+		
+		// Try the next entries in turn, coming back round to the current one last
+		const first = this.startedAt === null ? 0 : 1;
+		for (let step = first; step < this.entries.length + first; step++) {
+			const index = (this.index + step) % this.entries.length;
+			if (isAvailable(this.entries[index].program)) {
+				this.index = index;
+				this.startedAt = now;
+				return this.entries[index];
+			}
+		}
+		
+		this.startedAt = null;
+		return null;
+	}
+}
+
+/**
+ * Break the token list into coloured pieces of marquee text
+ * @param {Array} tokens - Tokens to show
+ * @returns {Array<Object>} - { text, color } in the order they scroll past
+ */
+export function getMarqueeSegments(tokens) {
+	const segments = [];
+	for (const token of tokens) {
+		const change = toNumber(token.priceChange?.h24) ?? 0;
+		segments.push(
+			{ text: getTokenTicker(token) + ' ', color: 'cyan' },
+			{ text: '$' + formatPrice(token.priceUsd || 0) + ' ', color: 'yellow' },
+			{ text: formatChange(change, false, true), color: getChangeColor(change) },
+			{ text: '  ·  ', color: 'white' }
+		);
+	}
+	return segments;
+}
+
+/**
+ * Get the tokens the programs show, in list order
+ * @param {ScoreboardDisplayManager} manager - Display manager
+ * @returns {Array} - Tokens
+ */
+function getProgramTokens(manager) {
+	return (manager.displayData || []).map(entry => entry.originalToken).filter(Boolean);
+}
+
+const listProgram = {
+	id: 'list',
+	label: 'Token list',
+	isAvailable: () => true,
+	start: () => ({}),
+	draw: (display, manager) => manager._drawScrollingTokenList()
+};
+
+const marqueeProgram = {
+	id: 'marquee',
+	label: 'Marquee',
+	isAvailable: manager => getProgramTokens(manager).length > 0,
+	start: (manager, now) => ({ startedAt: now }),
+	draw: (display, manager, state, now) => {
+		const segments = getMarqueeSegments(getProgramTokens(manager));
+		
+		// One line through the middle of the display, double size when there's room
+		const font = display.fonts.pickFont(display.dotRows - 4);
+		const scale = display.dotRows - 4 >= font.height * 2 ? 2 : 1;
+		const row = Math.floor((display.dotRows - font.height * scale) / 2);
+		const widths = segments.map(segment => display.measureText(segment.text, { font, scale }));
+		const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+		if (totalWidth === 0) return;
+		
+		// Draw the line twice, end to end, so it loops without a gap; skip pieces off the display
+		const offset = Math.floor((now - state.startedAt) / 1000 * MARQUEE_SPEED) % totalWidth;
+		for (let start = -offset; start < display.dotCols; start += totalWidth) {
+			let col = start;
+			segments.forEach((segment, index) => {
+				if (col < display.dotCols && col + widths[index] > 0) {
+					display.drawText(segment.text, row, col, segment.color, { font, scale });
+				}
+				col += widths[index];
+			});
+		}
+	}
+};
+
+const bigNumberProgram = {
+	id: 'big-number',
+	label: 'Big numbers',
+	isAvailable: manager => getProgramTokens(manager).length > 0,
+	start: () => ({}),
+	draw: (display, manager, state, now) => {
+		const tokens = getProgramTokens(manager);
+		if (tokens.length === 0) return;
+		
+		// Step through the list on the clock, so the next run carries on where this one stopped
+		const token = tokens[Math.floor(now / BIG_NUMBER_INTERVAL) % tokens.length];
+		const font = display.getTokenInfoFont();
+		const maxWidth = display.dotCols - 4;
+		
+		// Double height always, and double width when the text still fits across
+		const drawCentred = (text, row, color, scaleY) => {
+			const scaleX = scaleY > 1 && display.measureText(text, { font, scale: 2 }) <= maxWidth ? 2 : 1;
+			const width = display.measureText(text, { font, scaleX });
+			display.drawText(text, row, Math.max(2, Math.floor((display.dotCols - width) / 2)), color, { font, scaleX, scaleY });
+			return row + font.height * scaleY + 3;
+		};
+		
+		const change = toNumber(token.priceChange?.h24) ?? 0;
+		let row = 2;
+		row = drawCentred(getTokenTicker(token), row, 'cyan', 1);
+		row = drawCentred('$' + formatPrice(token.priceUsd || 0), row, 'yellow', 2);
+		drawCentred(formatChange(change, false, true) + ' 24h', row, getChangeColor(change), 2);
+		
+		// Clicking anywhere opens the token shown
+		manager.addClickableToken(token, 0, display.dotRows, 0, display.dotCols * 2);
+	}
+};
+
+const eventsProgram = {
+	id: 'events',
+	label: 'Event feed',
+	isAvailable: (manager, now) => manager.eventFeed.getRecent(now).length > 0,
+	start: () => ({}),
+	draw: (display, manager, state, now) => {
+		const listFont = display.getTokenInfoFont();
+		display.drawText('LIVE EVENTS', 2, 2, 'white', { font: listFont });
+		
+		let row = listFont.height + 5;
+		for (const event of manager.eventFeed.getRecent(now)) {
+			if (row + listFont.height > display.dotRows) break;
+			
+			// Long events drop to a smaller font rather than running off the edge
+			const font = display.fonts.pickFont(listFont.height, event.text, display.dotCols - 4);
+			display.drawText(event.text, row, 2, event.color, { font });
+			row += listFont.height + 2;
+		}
+	}
+};
+
+/**
+ * Check a scoreboard program can be registered
+ * @param {Object} program - { id, label, isAvailable, start, draw }
+ * @throws {Error} - If it has no id or draw function
+ */
+function validateProgram(program) {
+	if (!program || !program.id || typeof program.draw !== 'function') {
+		throw new Error('Scoreboard programs need an id and a draw function');
+	}
+}
+
+/**
+ * Scoreboard programs by id
+ */
+export class ScoreboardProgramRegistry extends Registry {
+	constructor() {
+		super(validateProgram);
+	}
+}
+
+/**
+ * Create the program registry the scoreboard starts with
+ * @returns {ScoreboardProgramRegistry} - Registry with the token list, marquee, big number and event feed programs
+ */
+export function createDefaultScoreboardProgramRegistry() {
+	return new ScoreboardProgramRegistry()
+		.register(listProgram)
+		.register(marqueeProgram)
+		.register(bigNumberProgram)
+		.register(eventsProgram);
+}
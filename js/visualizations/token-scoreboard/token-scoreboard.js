@@ -22,6 +22,7 @@ export class TokenScoreboard {
 		this.scene = scene;
 		this.camera = camera;
 		this.dataProvider = dataProvider;
+		this.riskService = null; // RiskService for the detail view's warning line, set by VisualizationManager
 		this.isVisible = true;
 		this.sizeMode = 'hidden'; // Start in hidden mode, will be managed by modeManager after init
 		this.updateInterval = 10000; // Update every 10 seconds
@@ -164,11 +165,14 @@ export class TokenScoreboard {
 		this.socialButtonPositionInterval = 2000; // Update social button positions every 2 seconds
 		// this.changeSizeMode('hidden'); // Now handled by modeManager or initial state
 		this.modeManager.currentSizeMode = 'hidden'; // Ensure manager starts in hidden
+		this.startupSizeMode = 'normal'; // Size to open to after the delay; deep links can change it
+		this.startupSizeModeApplied = false;
 
-		// Automatically resize to normal after a 1-second delay
+		// Automatically resize to the startup size mode after a delay
 		setTimeout(() => {
-			console.log("Auto-resizing scoreboard to normal mode after delay");
-			this.modeManager.changeSizeMode('normal'); // Use modeManager
+			console.log(`Auto-resizing scoreboard to ${this.startupSizeMode} mode after delay`);
+			this.startupSizeModeApplied = true;
+			this.modeManager.changeSizeMode(this.startupSizeMode); // Use modeManager
 		}, 7000);
 
 		// this.lastModeChangeTime = 0; // This might become redundant if fully managed by modeManager
@@ -533,103 +537,37 @@ export class TokenScoreboard {
 		
 		// NEW: Check if a click happened on or near the LED display
 		if (!this.detailMode && this.ledDisplay && this.displayManager) {
-			// Create or update a larger hit area for the LED display
-			if (!this.ledHitPlane) {
-				const hitPlaneGeometry = new THREE.PlaneGeometry(this.width * 1.2, this.height * 1.2);
-				const hitPlaneMaterial = new THREE.MeshBasicMaterial({
-					color: 0x000000,
-					transparent: true,
-					opacity: 0.0,
-					side: THREE.DoubleSide
-				});
-				this.ledHitPlane = new THREE.Mesh(hitPlaneGeometry, hitPlaneMaterial);
-				this.ledHitPlane.position.set(0, 0, -0.1); // Slightly behind the LEDs
-				this.ledHitPlane.userData = {
-					isLEDHitPlane: true
-				};
-				this.ledDisplay.ledGroup.add(this.ledHitPlane);
-			}
-			
-			const intersects = raycaster.intersectObject(this.scoreboardGroup, true);
-			if (intersects.length > 0) {
-				// Check if we hit the LED display or its hit plane
-				let ledHit = false;
-				let ledHitObject = null;
-				let hitPosition = null;
-				
-				// Look for the LED display or hit plane in the intersects
-				for (const hit of intersects) {
-					// Check if hit.object is part of the LED display, has isLED flag, or is the hit plane
-					if (hit.object.parent === this.ledDisplay.ledGroup || 
-						hit.object.userData?.isLED === true || 
-						hit.object.userData?.isLEDHitPlane === true) {
-						ledHit = true;
-						ledHitObject = hit.object;
-						hitPosition = hit.point;
-						break;
-					}
-				}
+			// The LED display covers its dots and the gaps between them with a hit plane
+			const dot = this.ledDisplay.hitTest(raycaster);
+			if (dot) {
+				const { row, col } = dot;
+				console.log(`LED display clicked at row ${row}, col ${col}`);
 				
-				if (ledHit && ledHitObject) {
-					// If we hit the plane or an LED, calculate the approximate row and column
-					if (!ledHitObject.userData || (!ledHitObject.userData.row && !ledHitObject.userData.isLEDHitPlane)) {
-						console.log("LED hit area clicked but has no userData");
-						return false;
-					}
-					
-					let row, col;
-					if (ledHitObject.userData.isLEDHitPlane) {
-						// Convert world position to local LED display coordinates
-						const localPos = this.ledDisplay.ledGroup.worldToLocal(hitPosition.clone());
-						const totalWidth = this.width * 0.98;
-						const totalHeight = this.height * 0.95;
-						const startX = -totalWidth / 2 + this.ledDisplay.dotSpacing / 2 - 1.2;
-						const startY = -totalHeight / 1.88;
-						
-						// Calculate approximate row and column based on position
-						col = Math.floor((localPos.x - startX) / (this.ledDisplay.dotSpacing * 0.9));
-						row = Math.floor((localPos.y - startY) / (this.ledDisplay.dotSpacing * 0.88));
-						
-						// Clamp to valid range
-						row = Math.max(0, Math.min(row, this.ledDisplay.dotRows - 1));
-						col = Math.max(0, Math.min(col, this.ledDisplay.dotCols - 1));
-						console.log(`LED hit plane clicked at approximate row ${row}, col ${col}`);
-					} else {
-						row = ledHitObject.userData.row;
-						col = ledHitObject.userData.col;
-						console.log(`LED dot clicked at row ${row}, col ${col}`);
-					}
+				// Check if this position corresponds to a token
+				const clickedToken = this.displayManager.findTokenAtPosition(row, col);
+				if (clickedToken) {
+					console.log(`Clicked on token: ${clickedToken.baseToken?.symbol || 'Unknown'}`);
 					
-					if (row !== undefined && col !== undefined) {
-						// Check if this position corresponds to a token
-						const clickedToken = this.displayManager.findTokenAtPosition(row, col);
-						if (clickedToken) {
-							console.log(`Clicked on token: ${clickedToken.baseToken?.symbol || 'Unknown'}`);
-							
-							// Highlight the token in the tag cube if we have access to it
-							if (this.tagManager) {
-								const address = clickedToken.tokenAddress;
-								if (address) {
-									console.log(`Highlighting token with address: ${address}`);
-									this.tagManager.highlightToken(address);
-								}
-							} else if (this.scene && this.scene.userData && this.scene.userData.tagManager) {
-								const address = clickedToken.tokenAddress;
-								if (address) {
-									console.log(`Highlighting token with address: ${address}`);
-									this.scene.userData.tagManager.highlightToken(address);
-								}
-							}
-							
-							// Show token detail view
-							this.showTokenDetail(clickedToken);
-							return true;
-						} else {
-							console.log("No token found at click position");
+					// Highlight the token in the tag cube if we have access to it
+					if (this.tagManager) {
+						const address = clickedToken.tokenAddress;
+						if (address) {
+							console.log(`Highlighting token with address: ${address}`);
+							this.tagManager.highlightToken(address);
+						}
+					} else if (this.scene && this.scene.userData && this.scene.userData.tagManager) {
+						const address = clickedToken.tokenAddress;
+						if (address) {
+							console.log(`Highlighting token with address: ${address}`);
+							this.scene.userData.tagManager.highlightToken(address);
 						}
-					} else {
-						console.log("LED hit but row/col undefined");
 					}
+					
+					// Show token detail view
+					this.showTokenDetail(clickedToken);
+					return true;
+				} else {
+					console.log("No token found at click position");
 				}
 			}
 		}
@@ -841,6 +779,18 @@ export class TokenScoreboard {
 		this.modeManager.changeSizeMode(mode);
 	}
 	
+	/**
+	 * Open in a size mode from a deep link, without cutting short the startup delay
+	 * @param {string} mode - The size mode to show ('normal', 'tall', 'hidden')
+	 */
+	restoreSizeMode(mode) {
+		if (this.startupSizeModeApplied) {
+			this.changeSizeMode(mode);
+		} else {
+			this.startupSizeMode = mode;
+		}
+	}
+	
 	/**
 	 * Two-phase animation for going to tall mode:
 	 * 1. First reposition to center of screen
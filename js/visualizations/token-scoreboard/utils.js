@@ -129,4 +129,76 @@ export function formatCompactNumber(value, decimals = 0) {
 		formatted = num.toFixed(decimals);
 	}
 	return formatted;
-} 
\ No newline at end of file
+}
+
+/**
+ * Resample a series to a number of evenly spaced points, interpolating between values
+ * @param {Array<number>} values - Series, oldest first
+ * @param {number} count - Number of points wanted, e.g. one per display column
+ * @returns {Array<number>} Resampled series, or an empty array if there's nothing to draw
+ */
+export function resampleSeries(values, count) {
+	const series = (values || []).map(Number).filter(Number.isFinite);
+	if (series.length === 0 || count < 1) return [];
+	if (series.length === 1 || count === 1) return Array(count).fill(series[series.length - 1]);
+	
+	const result = [];
+	for (let i = 0; i < count; i++) {
+		const position = i * (series.length - 1) / (count - 1);
+		const index = Math.floor(position);
+		const next = Math.min(index + 1, series.length - 1);
+		result.push(series[index] + (series[next] - series[index]) * (position - index));
+	}
+	return result;
+}
+
+/**
+ * Scale a series to whole levels for drawing in LED rows
+ * The lowest value gets level 0 and the highest height - 1; a flat series sits in the middle.
+ * @param {Array<number>} values - Series to scale
+ * @param {number} height - Rows available
+ * @returns {Array<number>} Level of each value, from 0 (bottom row) to height - 1 (top row)
+ */
+export function getSeriesLevels(values, height) {
+	if (!values || values.length === 0 || height < 1) return [];
+	
+	const min = Math.min(...values);
+	const max = Math.max(...values);
+	if (max === min) return values.map(() => Math.floor((height - 1) / 2));
+	
+	return values.map(value => Math.round((value - min) / (max - min) * (height - 1)));
+}
+
+/**
+ * Split a token's recent trades into buys and sells
+ * Providers report trade counts rather than buy and sell volume, so the split is by count,
+ * from the longest window that has trades.
+ * @param {Object} token - Token data with txns, e.g. { txns: { h24: { buys, sells } } }
+ * @returns {Object|null} { buys, sells, buyShare (0-1), window }, or null if there were no trades
+ */
+export function getBuySellSplit(token) {
+	for (const window of ['h24', 'h6', 'h1', 'm5']) {
+		const buys = Number(token?.txns?.[window]?.buys) || 0;
+		const sells = Number(token?.txns?.[window]?.sells) || 0;
+		if (buys + sells > 0) {
+			return { buys, sells, buyShare: buys / (buys + sells), window };
+		}
+	}
+	return null;
+}
+
+/**
+ * Format how long ago something happened, in the largest whole unit
+ * @param {number|string} timestamp - When it happened (ms since the epoch)
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {string} e.g. '45m', '3h' or '12d', or 'N/A' without a timestamp
+ */
+export function formatAge(timestamp, now = Date.now()) {
+	const time = typeof timestamp === 'string' ? parseFloat(timestamp) : timestamp;
+	if (!(time > 0)) return 'N/A';
+	
+	const minutes = Math.max(0, Math.floor((now - time) / 60000));
+	if (minutes < 60) return `${minutes}m`;
+	if (minutes < 1440) return `${Math.floor(minutes / 60)}h`;
+	return `${Math.floor(minutes / 1440)}d`;
+}
@@ -1,9 +1,68 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createTokenProxy, createFixtureUpstream } = require('./server/token-proxy.js');
+const { createTokenStream, createDexScreenerFeed } = require('./server/token-stream.js');
+const { createSponsorshipLedger, createSponsorshipRoutes } = require('./server/sponsorship-ledger.js');
+const { createPaymentVerifier } = require('./server/payment-verifier.js');
+const { createEvmPaymentVerifier, EVM_CHAINS } = require('./server/evm-payment-verifier.js');
+const { decodeRequestPath, isPrivatePath } = require('./server/static-paths.js');
 
 const PORT = process.env.PORT || 3043;
 
+// Serve token data from local fixtures instead of the live APIs (e.g. TOKEN_FIXTURES=server/fixtures)
+const TOKEN_FIXTURES = process.env.TOKEN_FIXTURES || null;
+
+// Shared proxy/cache for upstream token APIs
+const tokenProxy = createTokenProxy({
+	fetchUpstream: TOKEN_FIXTURES ? createFixtureUpstream(TOKEN_FIXTURES) : undefined
+});
+
+// Live token updates pushed to all open tabs over SSE
+const tokenStream = createTokenStream({
+	fetchTokens: createDexScreenerFeed(tokenProxy),
+	interval: parseInt(process.env.TOKEN_STREAM_INTERVAL, 10) || undefined
+});
+
+// Shared sponsorship ledger, persisted to a JSON file outside the served paths
+const SPONSORSHIP_LEDGER_FILE = process.env.SPONSORSHIP_LEDGER_FILE || './data/sponsorships.json';
+const sponsorshipLedger = createSponsorshipLedger({ filePath: SPONSORSHIP_LEDGER_FILE });
+
+// Sponsorship payments are checked on-chain, on the sponsored token's chain where we accept payments there.
+// Solana needs SPONSORSHIP_RECIPIENT; EVM chains need SPONSORSHIP_EVM_RECIPIENT (one address works on all of them).
+const SPONSORSHIP_RECIPIENT = process.env.SPONSORSHIP_RECIPIENT || null;
+const SPONSORSHIP_EVM_RECIPIENT = process.env.SPONSORSHIP_EVM_RECIPIENT || null;
+const paymentVerifiers = {};
+
+if (SPONSORSHIP_RECIPIENT) {
+	paymentVerifiers.solana = createPaymentVerifier({
+		rpcUrl: process.env.SOLANA_RPC_URL,
+		recipient: SPONSORSHIP_RECIPIENT
+	});
+}
+
+if (SPONSORSHIP_EVM_RECIPIENT) {
+	for (const chainId of Object.keys(EVM_CHAINS)) {
+		paymentVerifiers[chainId] = createEvmPaymentVerifier({
+			chainId,
+			rpcUrl: process.env[`${chainId.toUpperCase()}_RPC_URL`],
+			recipient: SPONSORSHIP_EVM_RECIPIENT
+		});
+	}
+}
+
+if (Object.keys(paymentVerifiers).length === 0) {
+	console.log('No sponsorship recipient set - new sponsorships are disabled');
+}
+
+const sponsorshipRoutes = createSponsorshipRoutes(sponsorshipLedger, {
+	adminToken: process.env.SPONSORSHIP_ADMIN_TOKEN,
+	verifiers: paymentVerifiers
+});
+
+// Prune long-expired sponsorships hourly
+setInterval(() => sponsorshipLedger.pruneExpired(), 60 * 60 * 1000).unref();
+
 const MIME_TYPES = {
 	'.html': 'text/html',
 	'.js': 'application/javascript',
@@ -32,6 +91,51 @@ const server = http.createServer((req, res) => {
 		return;
 	}
 	
+	// Live token stream (checked before the proxy, which shares its /api/tokens prefix)
+	if (tokenStream.matches(req.url)) {
+		tokenStream.handle(req, res);
+		return;
+	}
+	
+	// Token data API proxy
+	if (tokenProxy.matches(req.url)) {
+		tokenProxy.handle(req, res).catch(error => {
+			console.error('Token proxy error:', error);
+			if (!res.headersSent) {
+				res.writeHead(500);
+			}
+			res.end();
+		});
+		return;
+	}
+	
+	// Sponsorship ledger API
+	if (sponsorshipRoutes.matches(req.url)) {
+		sponsorshipRoutes.handle(req, res).catch(error => {
+			console.error('Sponsorship API error:', error);
+			if (!res.headersSent) {
+				res.writeHead(500);
+			}
+			res.end();
+		});
+		return;
+	}
+	
+	// Malformed percent-escapes can't name a file
+	const requestPath = decodeRequestPath(req.url);
+	if (requestPath === null) {
+		res.writeHead(400);
+		res.end('Bad request');
+		return;
+	}
+	
+	// Keep the ledger and server code private
+	if (isPrivatePath(requestPath)) {
+		res.writeHead(404);
+		res.end('Not found');
+		return;
+	}
+	
 	// Normalize URL path
 	let filePath = '.' + req.url;
 	if (filePath === './') {
@@ -77,4 +181,7 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, () => {
 	console.log(`Server running at http://localhost:${PORT}/`);
+	if (TOKEN_FIXTURES) {
+		console.log(`Token API proxy serving fixtures from ${TOKEN_FIXTURES}`);
+	}
 }); 
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * EVM Payment Verifier
+ * Checks sponsorship payments made on EVM chains (Ethereum, Base, BSC) before the ledger records them:
+ * the transaction must have succeeded, sent native currency from the sponsor to the sponsorship
+ * wallet, and carry calldata with the memo naming the sponsored token
+ *
+ * Same interface as the Solana verifier in payment-verifier.js, so the routes can pick one per chain.
+ */
+
+const { createJsonRpcClient, pollFor } = require('./json-rpc.js');
+const { createSponsorshipMemo, MEMO_PREFIX } = require('./payment-verifier.js');
+
+// EVM chains sponsorships can be paid on, keyed by DexScreener chain id
+const EVM_CHAINS = {
+	ethereum: { evmChainId: 1, currency: 'ETH', rpcUrl: 'https://ethereum-rpc.publicnode.com' },
+	base: { evmChainId: 8453, currency: 'ETH', rpcUrl: 'https://mainnet.base.org' },
+	bsc: { evmChainId: 56, currency: 'BNB', rpcUrl: 'https://bsc-dataseed.bnbchain.org' }
+};
+
+const WEI_PER_GWEI = 1000000000n;
+
+/**
+ * Decode hex calldata as UTF-8 text
+ * @param {string} hex 0x-prefixed hex
+ * @returns {string} Decoded text (invalid sequences become replacement characters)
+ */
+function hexToUtf8(hex) {
+	return Buffer.from((hex || '0x').replace(/^0x/, ''), 'hex').toString('utf8');
+}
+
+/**
+ * Convert a hex wei quantity to a native currency amount
+ * @param {string} hexWei 0x-prefixed hex wei
+ * @returns {number} Amount in ETH (or BNB)
+ */
+function weiToAmount(hexWei) {
+	// Whole gwei is plenty of precision for sponsorship amounts
+	return Number(BigInt(hexWei) / WEI_PER_GWEI) / 1e9;
+}
+
+/**
+ * Create a payment verifier for one EVM chain
+ * @param {Object} options Configuration options
+ * @param {string} options.chainId DexScreener chain id, one of EVM_CHAINS
+ * @param {string} options.rpcUrl JSON-RPC endpoint (defaults to a public endpoint for the chain)
+ * @param {string} options.recipient Wallet that sponsorship payments must go to
+ * @param {number} options.attempts How many times to look the transaction up before giving up
+ * @param {number} options.retryDelay Delay between lookups in milliseconds
+ * @param {Function} options.fetchImpl fetch implementation, for tests
+ * @returns {Object} Verifier with verify(), getPaymentDetails() and recipient
+ */
+function createEvmPaymentVerifier(options = {}) {
+	const chain = EVM_CHAINS[options.chainId];
+	const recipient = options.recipient;
+	const attempts = options.attempts || 10;
+	const retryDelay = options.retryDelay ?? 3000;
+	
+	if (!chain) {
+		throw new Error(`Unsupported EVM payment chain: ${options.chainId}`);
+	}
+	
+	if (!recipient) {
+		throw new Error('createEvmPaymentVerifier requires a recipient address');
+	}
+	
+	const rpc = createJsonRpcClient({
+		rpcUrl: options.rpcUrl || chain.rpcUrl,
+		fetchImpl: options.fetchImpl
+	});
+	
+	/**
+	 * Details the client needs to build its payment transaction
+	 * @returns {Promise<Object>} { evmChainId }
+	 */
+	async function getPaymentDetails() {
+		return { evmChainId: chain.evmChainId };
+	}
+	
+	/**
+	 * Verify a sponsorship payment
+	 * @param {string} hash Transaction hash from the wallet
+	 * @param {Object} expected What the payment must contain
+	 * @param {string} expected.tokenKey Token key the memo must name
+	 * @param {string} expected.sender Wallet the payment must come from (optional)
+	 * @returns {Promise<Object>} { signature, sender, amount, blockNumber }
+	 * @throws {Error} If the payment can't be verified
+	 */
+	async function verify(hash, expected) {
+		if (typeof hash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+			throw new Error('Invalid transaction hash');
+		}
+		
+		// Hashes are case-insensitive; store one form so a re-cased hash can't be reused
+		const signature = hash.toLowerCase();
+		
+		// A receipt only exists once the transaction is in a block
+		const receipt = await pollFor(() => rpc('eth_getTransactionReceipt', [signature]), { attempts, retryDelay });
+		if (!receipt) {
+			throw new Error('Transaction not found or not yet confirmed');
+		}
+		
+		if (receipt.status !== '0x1') {
+			throw new Error('Transaction failed on-chain');
+		}
+		
+		const transaction = await rpc('eth_getTransactionByHash', [signature]);
+		if (!transaction) {
+			throw new Error('Transaction not found or not yet confirmed');
+		}
+		
+		if (transaction.chainId && Number(transaction.chainId) !== chain.evmChainId) {
+			throw new Error(`Transaction is not on ${options.chainId}`);
+		}
+		
+		if ((transaction.to || '').toLowerCase() !== recipient.toLowerCase()) {
+			throw new Error('Transaction is not a transfer to the sponsorship wallet');
+		}
+		
+		if (expected.sender && transaction.from.toLowerCase() !== expected.sender.toLowerCase()) {
+			throw new Error('Transaction was not sent by the sponsor');
+		}
+		
+		const amount = weiToAmount(transaction.value);
+		if (amount <= 0) {
+			throw new Error('Transaction has no transfer to the sponsorship wallet');
+		}
+		
+		// The memo ties the payment to one token so it can't be replayed for another.
+		// It must match exactly: a token key can be the start of another token's key.
+		if (hexToUtf8(transaction.input).trim() !== createSponsorshipMemo(expected.tokenKey)) {
+			throw new Error(`Transaction memo does not mention ${expected.tokenKey}`);
+		}
+		
+		return {
+			signature,
+			sender: transaction.from,
+			amount,
+			blockNumber: Number(receipt.blockNumber)
+		};
+	}
+	
+	return {
+		verify,
+		getPaymentDetails,
+		network: 'evm',
+		currency: chain.currency,
+		chainId: options.chainId,
+		recipient,
+		memoPrefix: MEMO_PREFIX
+	};
+}
+
+module.exports = {
+	createEvmPaymentVerifier,
+	EVM_CHAINS
+};
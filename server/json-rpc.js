@@ -0,0 +1,71 @@
+/**
+ * JSON-RPC client
+ * Minimal JSON-RPC 2.0 client shared by the Solana and EVM payment verifiers
+ */
+
+/**
+ * Create a JSON-RPC client for one endpoint
+ * @param {Object} options Configuration options
+ * @param {string} options.rpcUrl JSON-RPC endpoint
+ * @param {Function} options.fetchImpl fetch implementation, for tests
+ * @returns {Function} call(method, params) resolving to the RPC result
+ */
+function createJsonRpcClient(options = {}) {
+	const rpcUrl = options.rpcUrl;
+	const fetchImpl = options.fetchImpl || fetch;
+	
+	let requestId = 0;
+	
+	/**
+	 * Call a JSON-RPC method
+	 * @param {string} method RPC method name
+	 * @param {Array} params RPC parameters
+	 * @returns {Promise<*>} The RPC result
+	 */
+	return async function call(method, params) {
+		const response = await fetchImpl(rpcUrl, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params })
+		});
+		
+		if (!response.ok) {
+			throw new Error(`RPC HTTP error! status: ${response.status}`);
+		}
+		
+		const data = await response.json();
+		if (data.error) {
+			throw new Error(`RPC error: ${data.error.message}`);
+		}
+		
+		return data.result;
+	};
+}
+
+/**
+ * Keep calling a lookup until it returns something, for transactions that haven't landed yet
+ * @param {Function} lookup Async function returning the value or null
+ * @param {Object} options Retry options
+ * @param {number} options.attempts How many times to try
+ * @param {number} options.retryDelay Delay between tries in milliseconds
+ * @returns {Promise<*>} The first non-null result, or null if it never showed up
+ */
+async function pollFor(lookup, { attempts, retryDelay }) {
+	for (let attempt = 0; attempt < attempts; attempt++) {
+		const result = await lookup();
+		if (result) {
+			return result;
+		}
+		
+		if (attempt < attempts - 1) {
+			await new Promise(resolve => setTimeout(resolve, retryDelay));
+		}
+	}
+	
+	return null;
+}
+
+module.exports = {
+	createJsonRpcClient,
+	pollFor
+};
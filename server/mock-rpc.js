@@ -0,0 +1,80 @@
+/**
+ * Mock Solana / EVM RPC
+ * A tiny JSON-RPC server that answers getTransaction and getLatestBlockhash (Solana) and
+ * eth_getTransactionByHash and eth_getTransactionReceipt (EVM) from canned data, so payment
+ * verification can be tested without a cluster
+ *
+ * Run standalone with: node server/mock-rpc.js (listens on MOCK_RPC_PORT, default 8899)
+ * and point the app at it with SOLANA_RPC_URL=http://localhost:8899 (or BASE_RPC_URL etc.)
+ */
+
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures/solana-rpc/transactions.json');
+const DEFAULT_EVM_FIXTURES = path.join(__dirname, 'fixtures/evm-rpc/transactions.json');
+
+/**
+ * Create the mock RPC server
+ * @param {Object} options Configuration options
+ * @param {Object} options.transactions Map of signature to getTransaction result
+ * @param {string} options.blockhash Blockhash returned by getLatestBlockhash
+ * @param {Object} options.evmTransactions Map of hash to { transaction, receipt }
+ * @returns {http.Server} Server (not yet listening); its transaction maps can be changed while running
+ */
+function createMockRpcServer(options = {}) {
+	const fixtures = options.transactions ? {} : require(DEFAULT_FIXTURES);
+	const transactions = options.transactions || fixtures.transactions;
+	const blockhash = options.blockhash || fixtures.blockhash;
+	const evmTransactions = options.evmTransactions || require(DEFAULT_EVM_FIXTURES).transactions;
+	
+	const methods = {
+		getTransaction: ([signature]) => transactions[signature] || null,
+		getLatestBlockhash: () => ({
+			context: { slot: 301000000 },
+			value: { blockhash, lastValidBlockHeight: 280000150 }
+		}),
+		eth_getTransactionByHash: ([hash]) => evmTransactions[hash]?.transaction || null,
+		eth_getTransactionReceipt: ([hash]) => evmTransactions[hash]?.receipt || null
+	};
+	
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => {
+			body += chunk;
+		});
+		req.on('end', () => {
+			let request;
+			try {
+				request = JSON.parse(body);
+			} catch (error) {
+				res.writeHead(400, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+				return;
+			}
+			
+			const method = methods[request.method];
+			const response = method
+				? { jsonrpc: '2.0', id: request.id, result: method(request.params || []) }
+				: { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } };
+			
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(response));
+		});
+	});
+	
+	server.transactions = transactions;
+	server.evmTransactions = evmTransactions;
+	return server;
+}
+
+if (require.main === module) {
+	const port = process.env.MOCK_RPC_PORT || 8899;
+	createMockRpcServer().listen(port, () => {
+		console.log(`Mock Solana RPC running at http://localhost:${port}/`);
+	});
+}
+
+module.exports = {
+	createMockRpcServer
+};
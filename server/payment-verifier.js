@@ -0,0 +1,172 @@
+/**
+ * Payment Verifier
+ * Checks Solana sponsorship payments on-chain before the ledger records them:
+ * the transaction must have succeeded, moved at least the claimed SOL from the
+ * sponsor to the sponsorship wallet, and carry a memo naming the sponsored token
+ *
+ * Talks to any Solana JSON-RPC endpoint (SOLANA_RPC_URL), so a local mock can stand in for tests.
+ * EVM chains have their own verifier with the same interface (evm-payment-verifier.js).
+ */
+
+const { createJsonRpcClient, pollFor } = require('./json-rpc.js');
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Memo prefix the client writes before the token key, e.g. "memecube:sponsor:solana-token-ABC"
+const MEMO_PREFIX = 'memecube:sponsor:';
+
+/**
+ * Build the memo a sponsorship payment must carry
+ * @param {string} tokenKey Token key from getTokenKey
+ * @returns {string} Memo text
+ */
+function createSponsorshipMemo(tokenKey) {
+	return `${MEMO_PREFIX}${tokenKey}`;
+}
+
+/**
+ * Create a payment verifier
+ * @param {Object} options Configuration options
+ * @param {string} options.rpcUrl Solana JSON-RPC endpoint
+ * @param {string} options.recipient Wallet that sponsorship payments must go to
+ * @param {string} options.commitment Commitment level to require ('confirmed' or 'finalized')
+ * @param {number} options.attempts How many times to look the transaction up before giving up
+ * @param {number} options.retryDelay Delay between lookups in milliseconds
+ * @param {Function} options.fetchImpl fetch implementation, for tests
+ * @returns {Object} Verifier with verify(), getPaymentDetails(), getLatestBlockhash() and recipient
+ */
+function createPaymentVerifier(options = {}) {
+	const recipient = options.recipient;
+	const commitment = options.commitment || 'confirmed';
+	const attempts = options.attempts || 10;
+	const retryDelay = options.retryDelay ?? 2000;
+	
+	if (!recipient) {
+		throw new Error('createPaymentVerifier requires a recipient address');
+	}
+	
+	const rpc = createJsonRpcClient({
+		rpcUrl: options.rpcUrl || 'https://api.mainnet-beta.solana.com',
+		fetchImpl: options.fetchImpl
+	});
+	
+	/**
+	 * Get a recent blockhash for the client to build its transaction with
+	 * @returns {Promise<string>} Base58 blockhash
+	 */
+	async function getLatestBlockhash() {
+		const result = await rpc('getLatestBlockhash', [{ commitment }]);
+		return result.value.blockhash;
+	}
+	
+	/**
+	 * Details the client needs to build its payment transaction
+	 * @returns {Promise<Object>} { recentBlockhash }
+	 */
+	async function getPaymentDetails() {
+		return { recentBlockhash: await getLatestBlockhash() };
+	}
+	
+	/**
+	 * Look a transaction up, waiting for it to reach the required commitment
+	 * @param {string} signature Transaction signature
+	 * @returns {Promise<Object|null>} The parsed transaction or null if it never showed up
+	 */
+	function fetchTransaction(signature) {
+		return pollFor(() => rpc('getTransaction', [signature, {
+			encoding: 'jsonParsed',
+			commitment,
+			maxSupportedTransactionVersion: 0
+		}]), { attempts, retryDelay });
+	}
+	
+	/**
+	 * Verify a sponsorship payment
+	 * @param {string} signature Transaction signature from the wallet
+	 * @param {Object} expected What the payment must contain
+	 * @param {string} expected.tokenKey Token key the memo must name
+	 * @param {string} expected.sender Wallet the payment must come from (optional)
+	 * @returns {Promise<Object>} { signature, sender, lamports, amount, slot, blockTime }
+	 * @throws {Error} If the payment can't be verified
+	 */
+	async function verify(signature, expected) {
+		if (typeof signature !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(signature)) {
+			throw new Error('Invalid transaction signature');
+		}
+		
+		const transaction = await fetchTransaction(signature);
+		if (!transaction) {
+			throw new Error('Transaction not found or not yet confirmed');
+		}
+		
+		if (!transaction.meta || transaction.meta.err !== null) {
+			throw new Error('Transaction failed on-chain');
+		}
+		
+		const instructions = transaction.transaction?.message?.instructions || [];
+		
+		// Total SOL sent to the sponsorship wallet in this transaction, by the expected sender
+		let lamports = 0;
+		let sender = null;
+		for (const instruction of instructions) {
+			const isTransfer = instruction.programId === SYSTEM_PROGRAM_ID &&
+				instruction.parsed?.type === 'transfer';
+			if (!isTransfer) continue;
+			
+			const { source, destination } = instruction.parsed.info;
+			if (destination !== recipient) continue;
+			if (expected.sender && source !== expected.sender) continue;
+			
+			lamports += Number(instruction.parsed.info.lamports);
+			sender = source;
+		}
+		
+		if (lamports <= 0) {
+			throw new Error(expected.sender
+				? 'Transaction has no transfer from the sponsor to the sponsorship wallet'
+				: 'Transaction has no transfer to the sponsorship wallet');
+		}
+		
+		// The memo ties the payment to one token so it can't be replayed for another.
+		// It must match exactly: a token key can be the start of another token's key.
+		const expectedMemo = createSponsorshipMemo(expected.tokenKey);
+		const hasMemo = instructions.some(instruction =>
+			instruction.programId === MEMO_PROGRAM_ID &&
+			typeof instruction.parsed === 'string' &&
+			instruction.parsed.trim() === expectedMemo
+		);
+		if (!hasMemo) {
+			throw new Error(`Transaction memo does not mention ${expected.tokenKey}`);
+		}
+		
+		return {
+			signature,
+			sender,
+			lamports,
+			amount: lamports / LAMPORTS_PER_SOL,
+			slot: transaction.slot,
+			blockTime: transaction.blockTime
+		};
+	}
+	
+	return {
+		verify,
+		getPaymentDetails,
+		getLatestBlockhash,
+		network: 'solana',
+		currency: 'SOL',
+		chainId: 'solana',
+		recipient,
+		memoPrefix: MEMO_PREFIX
+	};
+}
+
+module.exports = {
+	createPaymentVerifier,
+	createSponsorshipMemo,
+	MEMO_PREFIX,
+	LAMPORTS_PER_SOL
+};
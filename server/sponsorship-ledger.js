@@ -0,0 +1,640 @@
+/**
+ * Sponsorship Ledger
+ * Server-side record of token sponsorships, persisted to a JSON file, so every
+ * viewer sees the same sponsored tokens and sponsorships can't be made up in devtools
+ *
+ * Routes (mounted under /api/sponsorships):
+ *   GET  /api/sponsorships                 - list active sponsorships
+ *   GET  /api/sponsorships/payment-config  - where and how to pay for a token on ?chainId= (recipient, currency, memo prefix...)
+ *   POST /api/sponsorships                 - sponsor a token (tops up the sponsor's existing sponsorship if any)
+ *   POST /api/sponsorships/{id}/extend     - add payment to a sponsorship, extending time or size
+ *   POST /api/sponsorships/{id}/expire     - end a sponsorship now (needs the admin token)
+ *
+ * Creating and extending take the signature of a payment, which is verified on-chain
+ * before anything is recorded. Tokens are paid for on their own chain when it has a
+ * verifier (payment-verifier.js for Solana, evm-payment-verifier.js for EVM chains),
+ * otherwise on the default payment chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTokenKey } = require('./token-key.js');
+
+// Sponsorship pricing, matching the client's SponsoredTokenService
+const SPONSORSHIP_RULES = {
+	// Price of one sponsorship unit in each payment currency
+	basePaymentAmounts: {
+		SOL: 0.1,
+		ETH: 0.003,
+		BNB: 0.015
+	},
+	baseSponsorshipDuration: 6 * 60 * 60 * 1000, // 6 hours per unit
+	baseVisualMultiplier: 1.5                   // Size multiplier for a new sponsorship
+};
+
+// Expired sponsorships are kept this long for history before being pruned
+const EXPIRED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Largest request body accepted by the routes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Generate the token identifier used by SponsoredTokenService
+ * @param {string} chainId The chain ID
+ * @param {string} tokenAddress The token address
+ * @returns {string} Token identifier
+ */
+function createTokenId(chainId, tokenAddress) {
+	return `${chainId}-${tokenAddress}`;
+}
+
+/**
+ * Create a sponsorship ledger backed by a JSON file
+ * @param {Object} options Configuration options
+ * @param {string} options.filePath Where to persist the ledger (omit to keep it in memory only)
+ * @param {Function} options.now Clock function, for tests
+ * @returns {Object} Ledger with list(), get(), sponsor(), extend(), expire(), hasPayment() and pruneExpired()
+ */
+function createSponsorshipLedger(options = {}) {
+	const filePath = options.filePath || null;
+	const now = options.now || Date.now;
+	const rules = { ...SPONSORSHIP_RULES, ...(options.rules || {}) };
+	
+	// Sponsorship records keyed by id
+	const sponsorships = new Map();
+	
+	// Signatures of every payment ever recorded; pruning drops old records but never these,
+	// so a payment can't buy a second sponsorship once its first one is gone
+	const spentSignatures = new Set();
+	
+	/**
+	 * Load the ledger from disk if the file exists
+	 */
+	function load() {
+		if (!filePath || !fs.existsSync(filePath)) return;
+		
+		try {
+			const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+			for (const record of data.sponsorships || []) {
+				sponsorships.set(record.id, record);
+				for (const payment of record.payments || []) {
+					spentSignatures.add(payment.signature);
+				}
+			}
+			for (const signature of data.spentSignatures || []) {
+				spentSignatures.add(signature);
+			}
+			console.log(`Sponsorship ledger: loaded ${sponsorships.size} sponsorships from ${filePath}`);
+		} catch (error) {
+			// Refuse to start over an unreadable ledger rather than silently wiping paid sponsorships
+			throw new Error(`Could not read sponsorship ledger ${filePath}: ${error.message}`);
+		}
+	}
+	
+	/**
+	 * Write the ledger to disk (via a temp file so a crash can't leave it half written)
+	 */
+	function save() {
+		if (!filePath) return;
+		
+		const tempPath = `${filePath}.tmp`;
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(tempPath, JSON.stringify({
+			updatedAt: now(),
+			sponsorships: Array.from(sponsorships.values()),
+			spentSignatures: Array.from(spentSignatures)
+		}, null, '\t'));
+		fs.renameSync(tempPath, filePath);
+	}
+	
+	/**
+	 * Work out how many sponsorship units a payment buys
+	 * @param {number} paymentAmount Amount paid
+	 * @param {string} currency Currency the amount is in
+	 * @returns {number} Number of units
+	 */
+	function getUnits(paymentAmount, currency) {
+		const basePaymentAmount = rules.basePaymentAmounts[currency];
+		if (!basePaymentAmount) {
+			throw new Error(`Payments in ${currency} are not accepted`);
+		}
+		
+		const units = Math.floor(Number(paymentAmount) / basePaymentAmount + 1e-9);
+		if (!Number.isFinite(units) || units <= 0) {
+			throw new Error(`Minimum payment of ${basePaymentAmount} ${currency} required`);
+		}
+		return units;
+	}
+	
+	/**
+	 * Check whether a payment has already been used for a sponsorship, even one since pruned
+	 * @param {string} signature Transaction signature
+	 * @returns {boolean} True if already recorded
+	 */
+	function hasPayment(signature) {
+		return Boolean(signature) && spentSignatures.has(signature);
+	}
+	
+	/**
+	 * Keep a verified payment with its sponsorship and mark its signature as spent
+	 * @param {Object} record The sponsorship record
+	 * @param {Object} payment Verified payment details
+	 */
+	function recordPayment(record, payment) {
+		record.payments = [...(record.payments || []), { ...payment, recordedAt: now() }];
+		if (payment.signature) {
+			spentSignatures.add(payment.signature);
+		}
+	}
+	
+	/**
+	 * Refuse a payment that has already been spent on a sponsorship
+	 * @param {Object} payment Verified payment details
+	 */
+	function assertPaymentUnused(payment) {
+		if (payment && hasPayment(payment.signature)) {
+			throw new Error('This payment has already been used for a sponsorship');
+		}
+	}
+	
+	/**
+	 * Add a payment to an existing sponsorship
+	 * @param {Object} record The sponsorship record
+	 * @param {number} paymentAmount Amount paid in the sponsorship's currency
+	 * @param {boolean} extendTime Whether to extend time instead of increasing size
+	 * @param {Object} payment Verified payment details to keep with the record
+	 */
+	function applyPayment(record, paymentAmount, extendTime, payment = null) {
+		const units = getUnits(paymentAmount, record.currency || 'SOL');
+		
+		if (extendTime) {
+			record.expiresAt += units * rules.baseSponsorshipDuration;
+		} else {
+			record.sizeMultiplier += units * (rules.baseVisualMultiplier - 1);
+		}
+		
+		record.amountPaid += Number(paymentAmount);
+		record.lastUpdated = now();
+		
+		if (payment) {
+			recordPayment(record, payment);
+		}
+	}
+	
+	/**
+	 * List sponsorships
+	 * @param {Object} filter Optional filter
+	 * @param {string} filter.tokenId Only sponsorships for this token
+	 * @param {boolean} filter.includeExpired Include sponsorships that have ended
+	 * @returns {Array} Sponsorship records
+	 */
+	function list(filter = {}) {
+		const time = now();
+		return Array.from(sponsorships.values()).filter(record =>
+			(!filter.tokenId || record.tokenId === filter.tokenId) &&
+			(filter.includeExpired || record.expiresAt > time)
+		);
+	}
+	
+	/**
+	 * Get a sponsorship by id
+	 * @param {string} id Sponsorship id
+	 * @param {Object} filter Optional filter
+	 * @param {boolean} filter.includeExpired Include an expired sponsorship
+	 * @returns {Object|null} The sponsorship or null if there's no (active) sponsorship with that id
+	 */
+	function get(id, { includeExpired = false } = {}) {
+		const record = sponsorships.get(id);
+		if (!record || (!includeExpired && record.expiresAt <= now())) return null;
+		return record;
+	}
+	
+	/**
+	 * Sponsor a token, or top up the sponsor's active sponsorship of it
+	 * @param {Object} params Sponsorship parameters
+	 * @param {Object} params.token The token to sponsor (needs chainId and tokenAddress)
+	 * @param {string} params.userAddress Sponsor's wallet address
+	 * @param {number} params.paymentAmount Amount paid
+	 * @param {string} params.currency Currency the payment was made in (default SOL)
+	 * @param {boolean} params.extendTime Whether to extend time instead of increasing size
+	 * @param {Object} params.payment Verified payment details ({ signature, ... })
+	 * @returns {Object} { sponsorship, created }
+	 */
+	function sponsor({ token, userAddress, paymentAmount, currency = 'SOL', extendTime = false, payment = null }) {
+		validateSponsor(token, userAddress);
+		
+		const units = getUnits(paymentAmount, currency);
+		assertPaymentUnused(payment);
+		const tokenId = createTokenId(token.chainId, token.tokenAddress);
+		const time = now();
+		
+		// Top up if this user is already sponsoring the token in the same currency
+		const existing = list({ tokenId }).find(record =>
+			record.userAddress === userAddress && (record.currency || 'SOL') === currency
+		);
+		if (existing) {
+			applyPayment(existing, paymentAmount, extendTime, payment);
+			save();
+			return { sponsorship: existing, created: false };
+		}
+		
+		const record = {
+			id: crypto.randomUUID(),
+			tokenId,
+			userAddress,
+			tokenData: token,
+			amountPaid: Number(paymentAmount),
+			currency,
+			sizeMultiplier: rules.baseVisualMultiplier,
+			startedAt: time,
+			expiresAt: time + (rules.baseSponsorshipDuration * units),
+			lastUpdated: time,
+			payments: []
+		};
+		if (payment) {
+			recordPayment(record, payment);
+		}
+		
+		sponsorships.set(record.id, record);
+		save();
+		
+		return { sponsorship: record, created: true };
+	}
+	
+	/**
+	 * Add payment to an active sponsorship
+	 * @param {string} id Sponsorship id
+	 * @param {Object} params Extension parameters
+	 * @param {number} params.paymentAmount Amount paid
+	 * @param {string} params.currency Currency the payment was made in (default SOL); must match the sponsorship's
+	 * @param {boolean} params.extendTime Whether to extend time instead of increasing size
+	 * @param {Object} params.payment Verified payment details ({ signature, ... })
+	 * @returns {Object|null} The updated sponsorship, or null if there's no active sponsorship with that id
+	 */
+	function extend(id, { paymentAmount, currency = 'SOL', extendTime = false, payment = null }) {
+		const record = sponsorships.get(id);
+		if (!record || record.expiresAt <= now()) return null;
+		
+		if ((record.currency || 'SOL') !== currency) {
+			throw new Error(`This sponsorship is paid in ${record.currency || 'SOL'}, not ${currency}`);
+		}
+		
+		assertPaymentUnused(payment);
+		applyPayment(record, paymentAmount, extendTime, payment);
+		save();
+		
+		return record;
+	}
+	
+	/**
+	 * End a sponsorship now
+	 * @param {string} id Sponsorship id
+	 * @returns {Object|null} The expired sponsorship, or null if not found
+	 */
+	function expire(id) {
+		const record = sponsorships.get(id);
+		if (!record) return null;
+		
+		const time = now();
+		if (record.expiresAt > time) {
+			record.expiresAt = time;
+			record.lastUpdated = time;
+			save();
+		}
+		
+		return record;
+	}
+	
+	/**
+	 * Drop sponsorships that ended longer ago than the retention period
+	 * Their payment signatures stay spent.
+	 * @returns {number} Number of sponsorships removed
+	 */
+	function pruneExpired() {
+		const cutoff = now() - EXPIRED_RETENTION;
+		let removed = 0;
+		
+		for (const [id, record] of sponsorships.entries()) {
+			if (record.expiresAt < cutoff) {
+				sponsorships.delete(id);
+				removed++;
+			}
+		}
+		
+		if (removed > 0) {
+			save();
+		}
+		
+		return removed;
+	}
+	
+	load();
+	
+	return {
+		list,
+		get,
+		sponsor,
+		extend,
+		expire,
+		hasPayment,
+		pruneExpired,
+		rules
+	};
+}
+
+/**
+ * Check a sponsorship names a token and a sponsor
+ * @param {Object} token The token to sponsor
+ * @param {string} userAddress Sponsor's wallet address
+ * @throws {Error} If either is missing
+ */
+function validateSponsor(token, userAddress) {
+	if (!token || !token.chainId || !token.tokenAddress) {
+		throw new Error('Invalid token data for sponsorship');
+	}
+	
+	if (!userAddress) {
+		throw new Error('User address is required for sponsorship');
+	}
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req The request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		
+		req.on('data', chunk => {
+			body += chunk;
+			if (body.length > MAX_BODY_SIZE) {
+				reject(new Error('Request body too large'));
+				req.destroy();
+			}
+		});
+		
+		req.on('end', () => {
+			try {
+				resolve(body ? JSON.parse(body) : {});
+			} catch (error) {
+				reject(new Error('Request body is not valid JSON'));
+			}
+		});
+		
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res The response
+ * @param {number} status HTTP status code
+ * @param {Object} data Response payload
+ */
+function sendJson(res, status, data) {
+	res.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Cache-Control': 'no-store'
+	});
+	res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the REST request handler for a ledger
+ * @param {Object} ledger Ledger created by createSponsorshipLedger
+ * @param {Object} options Configuration options
+ * @param {string} options.prefix Route prefix
+ * @param {string} options.adminToken Bearer token allowed to expire sponsorships (expiry is disabled without one)
+ * @param {Object} options.verifiers Payment verifiers keyed by chain id (payments are refused without any)
+ * @param {string} options.defaultPaymentChain Chain to pay on for tokens whose chain has no verifier
+ * @returns {Object} Routes with handle(req, res) and matches(url)
+ */
+function createSponsorshipRoutes(ledger, options = {}) {
+	const prefix = options.prefix || '/api/sponsorships';
+	const adminToken = options.adminToken || null;
+	const verifiers = options.verifiers || {};
+	const defaultPaymentChain = options.defaultPaymentChain || 'solana';
+	
+	/**
+	 * Check the request carries the admin token
+	 * @param {http.IncomingMessage} req The request
+	 * @returns {boolean} True if authorised
+	 */
+	function isAdmin(req) {
+		if (!adminToken) return false;
+		
+		const supplied = Buffer.from(req.headers.authorization || '');
+		const expected = Buffer.from(`Bearer ${adminToken}`);
+		return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+	}
+	
+	/**
+	 * Pick the verifier for a token's chain, falling back to the default payment chain
+	 * @param {string} chainId The sponsored token's chain
+	 * @returns {Object} Payment verifier
+	 * @throws {Error} With a status of 503 if no payments are configured for it
+	 */
+	function getVerifier(chainId) {
+		const verifier = verifiers[chainId] || verifiers[defaultPaymentChain];
+		if (!verifier) {
+			throw Object.assign(new Error('Sponsorship payments are not configured on this server'), { status: 503 });
+		}
+		return verifier;
+	}
+	
+	/**
+	 * Verify the on-chain payment behind a create or extend request
+	 * @param {Object} verifier Verifier for the chain the payment was made on
+	 * @param {string} signature Transaction signature from the client
+	 * @param {Object} expected What the payment must contain ({ tokenKey, sender })
+	 * @returns {Promise<Object>} The verified payment
+	 * @throws {Error} With a status of 402 or 409 if the payment can't be used
+	 */
+	async function verifyPayment(verifier, signature, expected) {
+		if (!signature) {
+			throw Object.assign(new Error('A payment transaction signature is required'), { status: 402 });
+		}
+		
+		// Cheap check first, so a replayed signature doesn't cost an RPC round trip
+		if (ledger.hasPayment(signature)) {
+			throw Object.assign(new Error('This payment has already been used for a sponsorship'), { status: 409 });
+		}
+		
+		try {
+			return await verifier.verify(signature, expected);
+		} catch (error) {
+			throw Object.assign(new Error(`Payment could not be verified: ${error.message}`), { status: 402 });
+		}
+	}
+	
+	/**
+	 * Record a payment's sponsorship without letting an already-used signature through
+	 * @param {Function} record Ledger call to make with the verified payment
+	 * @returns {*} Result of the ledger call
+	 */
+	function recordPayment(record) {
+		try {
+			return record();
+		} catch (error) {
+			// Two requests with the same signature can both pass verification; the ledger catches the second
+			if (error.message.startsWith('This payment has already been used')) {
+				error.status = 409;
+			}
+			throw error;
+		}
+	}
+	
+	/**
+	 * Handle an HTTP request for the sponsorship API
+	 * @param {http.IncomingMessage} req The request
+	 * @param {http.ServerResponse} res The response
+	 * @returns {Promise<void>}
+	 */
+	async function handle(req, res) {
+		const parsed = new URL(req.url, 'http://localhost');
+		const rest = parsed.pathname.substring(prefix.length);
+		
+		try {
+			if (rest === '/payment-config') {
+				const verifier = getVerifier(parsed.searchParams.get('chainId') || defaultPaymentChain);
+				
+				sendJson(res, 200, {
+					chainId: verifier.chainId,
+					network: verifier.network,
+					currency: verifier.currency,
+					recipient: verifier.recipient,
+					memoPrefix: verifier.memoPrefix,
+					basePaymentAmount: ledger.rules.basePaymentAmounts[verifier.currency],
+					...await verifier.getPaymentDetails()
+				});
+				return;
+			}
+			
+			// List
+			if (rest === '' || rest === '/') {
+				if (req.method === 'GET') {
+					const sponsorships = ledger.list({
+						tokenId: parsed.searchParams.get('tokenId') || undefined,
+						includeExpired: parsed.searchParams.get('includeExpired') === 'true'
+					});
+					sendJson(res, 200, { serverTime: Date.now(), sponsorships });
+					return;
+				}
+				
+				// Create
+				if (req.method === 'POST') {
+					const { token, userAddress, extendTime, signature } = await readJsonBody(req);
+					validateSponsor(token, userAddress);
+					const verifier = getVerifier(token.chainId);
+					
+					// The amount comes from the chain, never from the request
+					const payment = await verifyPayment(verifier, signature, { tokenKey: getTokenKey(token), sender: userAddress });
+					const { sponsorship, created } = recordPayment(() => ledger.sponsor({
+						token,
+						userAddress,
+						paymentAmount: payment.amount,
+						currency: verifier.currency,
+						extendTime,
+						payment
+					}));
+					sendJson(res, created ? 201 : 200, {
+						sponsorship,
+						tokenSponsorships: ledger.list({ tokenId: sponsorship.tokenId })
+					});
+					return;
+				}
+				
+				sendJson(res, 405, { error: 'Method not allowed' });
+				return;
+			}
+			
+			const match = rest.match(/^\/([^/]+)\/(extend|expire)$/);
+			if (!match) {
+				sendJson(res, 404, { error: 'Unknown sponsorship endpoint' });
+				return;
+			}
+			
+			if (req.method !== 'POST') {
+				sendJson(res, 405, { error: 'Method not allowed' });
+				return;
+			}
+			
+			const [, id, action] = match;
+			
+			if (action === 'extend') {
+				const { extendTime, signature } = await readJsonBody(req);
+				const existing = ledger.get(decodeURIComponent(id));
+				if (!existing) {
+					sendJson(res, 404, { error: 'No active sponsorship with that id' });
+					return;
+				}
+				
+				// Anyone may pay to extend, but on the token's payment chain and with a memo naming it
+				const verifier = getVerifier(existing.tokenData.chainId);
+				const payment = await verifyPayment(verifier, signature, { tokenKey: getTokenKey(existing.tokenData) });
+				const sponsorship = recordPayment(() => ledger.extend(existing.id, {
+					paymentAmount: payment.amount,
+					currency: verifier.currency,
+					extendTime,
+					payment
+				}));
+				if (!sponsorship) {
+					sendJson(res, 404, { error: 'No active sponsorship with that id' });
+					return;
+				}
+				sendJson(res, 200, {
+					sponsorship,
+					tokenSponsorships: ledger.list({ tokenId: sponsorship.tokenId })
+				});
+				return;
+			}
+			
+			// Expire
+			if (!isAdmin(req)) {
+				sendJson(res, 403, { error: 'Not allowed to expire sponsorships' });
+				return;
+			}
+			
+			const sponsorship = ledger.expire(decodeURIComponent(id));
+			if (!sponsorship) {
+				sendJson(res, 404, { error: 'No sponsorship with that id' });
+				return;
+			}
+			sendJson(res, 200, {
+				sponsorship,
+				tokenSponsorships: ledger.list({ tokenId: sponsorship.tokenId })
+			});
+		} catch (error) {
+			if (error.status) {
+				sendJson(res, error.status, { error: error.message });
+				return;
+			}
+			
+			// Filesystem errors (which carry a code) are ours; validation errors and bad bodies are the client's
+			if (error.code) {
+				console.error('Sponsorship ledger error:', error);
+				sendJson(res, 500, { error: 'Could not update the sponsorship ledger' });
+				return;
+			}
+			sendJson(res, 400, { error: error.message });
+		}
+	}
+	
+	return {
+		handle,
+		matches: (requestUrl) => {
+			const pathname = requestUrl.split('?')[0];
+			return pathname === prefix || pathname.startsWith(`${prefix}/`);
+		}
+	};
+}
+
+module.exports = {
+	createSponsorshipLedger,
+	createSponsorshipRoutes,
+	createTokenId,
+	SPONSORSHIP_RULES
+};
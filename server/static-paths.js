@@ -0,0 +1,38 @@
+/**
+ * Static paths
+ * Decodes request paths for the static file server and keeps the ledger and
+ * server code out of what it serves
+ */
+
+const path = require('path');
+
+// Server-side folders that must never be served as static files
+const PRIVATE_PATHS = ['/data/', '/server/'];
+
+/**
+ * Decode and normalize the path of a request URL
+ * @param {string} url Request URL
+ * @returns {string|null} Decoded path, or null if the URL has a malformed percent-escape
+ */
+function decodeRequestPath(url) {
+	try {
+		return path.posix.normalize(decodeURIComponent(url));
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Check whether a decoded request path is under one of the private folders
+ * @param {string} requestPath Path from decodeRequestPath
+ * @returns {boolean} True if the path must not be served
+ */
+function isPrivatePath(requestPath) {
+	return PRIVATE_PATHS.some(privatePath => requestPath.startsWith(privatePath));
+}
+
+module.exports = {
+	decodeRequestPath,
+	isPrivatePath,
+	PRIVATE_PATHS
+};
@@ -0,0 +1,37 @@
+/**
+ * Token key
+ * Server-side copy of getTokenKey from js/utils/tokenKey.js, so the server and
+ * browser agree on token identity (the browser module is an ES module)
+ */
+
+/**
+ * Generate a consistent key for a token
+ * @param {Object} token Token data object
+ * @returns {string|null} Token key or null if the token can't be identified
+ */
+function getTokenKey(token) {
+	if (!token) return null;
+	
+	const chainId = token.chainId || token.baseToken?.chainId || 'eth';
+	
+	const tokenAddress = token.tokenAddress || token.baseToken?.address;
+	if (tokenAddress) {
+		return `${chainId}-token-${tokenAddress}`;
+	}
+	
+	if (token.pairAddress) {
+		return `${chainId}-pair-${token.pairAddress}`;
+	}
+	
+	const symbol = token.baseToken?.symbol || token.symbol;
+	if (symbol) {
+		return `${chainId}-symbol-${symbol}`;
+	}
+	
+	// Unlike the browser version there's no random fallback; callers skip unidentifiable tokens
+	return null;
+}
+
+module.exports = {
+	getTokenKey
+};
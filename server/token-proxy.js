@@ -0,0 +1,343 @@
+/**
+ * Token Data Proxy
+ * Fetches token data from upstream APIs once and serves it to every client
+ * from a shared in-memory cache, so a room of viewers costs one upstream request
+ *
+ * Routes are mounted under /api/tokens/{upstream}/{upstream path}, e.g.
+ *   /api/tokens/dexscreener/token-profiles/latest/v1
+ *   /api/tokens/coingecko/coins/bitcoin/market_chart?vs_currency=usd&days=7
+ *   /api/tokens/geckoterminal/networks/trending_pools?include=base_token
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Upstream API roots, overridable for staging or local stand-ins
+const DEFAULT_UPSTREAMS = {
+	dexscreener: process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com',
+	coingecko: process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3',
+	geckoterminal: process.env.GECKOTERMINAL_API_URL || 'https://api.geckoterminal.com/api/v2',
+	pumpfun: process.env.PUMPFUN_API_URL || 'https://frontend-api-v3.pump.fun'
+};
+
+// Allowed endpoints, the query parameters they pass on and how long their responses stay fresh.
+// Anything not listed here is rejected so the proxy can't be used as an open relay; other
+// query parameters are dropped so they can't be used to make extra cache entries.
+const ENDPOINT_RULES = [
+	{ name: 'profiles', upstream: 'dexscreener', pattern: /^\/token-profiles\/latest\/v1$/, params: [], ttl: 30 * 1000 },
+	{ name: 'boosts', upstream: 'dexscreener', pattern: /^\/token-boosts\/(latest|top)\/v1$/, params: [], ttl: 30 * 1000 },
+	{ name: 'token-pairs', upstream: 'dexscreener', pattern: /^\/token-pairs\/v1\/[^/]+\/[^/]+$/, params: [], ttl: 60 * 1000 },
+	{ name: 'tokens', upstream: 'dexscreener', pattern: /^\/tokens\/v1\/[^/]+\/[^/]+$/, params: [], ttl: 60 * 1000 },
+	{ name: 'pairs', upstream: 'dexscreener', pattern: /^\/latest\/dex\/pairs\/[^/]+\/[^/]+(\/candles)?$/, params: [], ttl: 30 * 1000 },
+	{ name: 'search', upstream: 'dexscreener', pattern: /^\/latest\/dex\/search$/, params: ['q'], ttl: 60 * 1000 },
+	{ name: 'markets', upstream: 'coingecko', pattern: /^\/coins\/markets$/, params: ['vs_currency', 'order', 'per_page', 'page', 'sparkline', 'price_change_percentage'], ttl: 60 * 1000 },
+	{ name: 'market_chart', upstream: 'coingecko', pattern: /^\/coins\/[^/]+\/market_chart$/, params: ['vs_currency', 'days'], ttl: 5 * 60 * 1000 },
+	{ name: 'pools', upstream: 'geckoterminal', pattern: /^\/networks\/(trending|new)_pools$/, params: ['include', 'page'], ttl: 60 * 1000 },
+	{ name: 'ohlcv', upstream: 'geckoterminal', pattern: /^\/networks\/[^/]+\/pools\/[^/]+\/ohlcv\/(minute|hour|day)$/, params: ['aggregate', 'limit'], ttl: 5 * 60 * 1000 },
+	{ name: 'launches', upstream: 'pumpfun', pattern: /^\/coins$/, params: ['offset', 'limit', 'sort', 'order', 'includeNsfw'], ttl: 10 * 1000 },
+	{ name: 'candlesticks', upstream: 'pumpfun', pattern: /^\/candlesticks\/[^/]+$/, params: ['offset', 'limit', 'timeframe'], ttl: 60 * 1000 }
+];
+
+// Stale entries are kept around this long so they can be served if the upstream is down
+const STALE_GRACE_PERIOD = 10 * 60 * 1000;
+
+// Most responses kept in the cache; the least recently used go first
+const MAX_CACHE_ENTRIES = 500;
+
+// How long to wait for an upstream before treating the request as failed
+const UPSTREAM_TIMEOUT = 10 * 1000;
+
+/**
+ * Create the token proxy request handler
+ * @param {Object} options Configuration options
+ * @param {string} options.prefix Route prefix the proxy is mounted on
+ * @param {Object} options.upstreams Map of upstream name to API root URL
+ * @param {Function} options.fetchUpstream Function(url, { timeout }) resolving to { status, contentType, body, retryAfter }
+ * @param {Object} options.ttlOverrides Map of endpoint name to TTL in milliseconds
+ * @param {number} options.maxEntries Most responses to keep cached
+ * @param {number} options.upstreamTimeout Milliseconds to wait for an upstream response
+ * @returns {Object} Proxy with handle(req, res), request(url), matches(url) and clearCache()
+ */
+function createTokenProxy(options = {}) {
+	const prefix = options.prefix || '/api/tokens';
+	const upstreams = { ...DEFAULT_UPSTREAMS, ...(options.upstreams || {}) };
+	const fetchUpstream = options.fetchUpstream || fetchFromNetwork;
+	const ttlOverrides = options.ttlOverrides || {};
+	const maxEntries = options.maxEntries || MAX_CACHE_ENTRIES;
+	const upstreamTimeout = options.upstreamTimeout || UPSTREAM_TIMEOUT;
+	
+	// Cached responses keyed by upstream URL: { status, contentType, body, fetchedAt, expiresAt },
+	// least recently used first
+	const cache = new Map();
+	
+	// In-flight upstream requests keyed by upstream URL, so concurrent clients share one fetch
+	const inFlight = new Map();
+	
+	/**
+	 * Resolve an incoming request URL to an upstream URL and its cache rule
+	 * @param {string} requestUrl The incoming request URL (path and query)
+	 * @returns {Object|null} { rule, upstreamUrl } or null if the route is not allowed
+	 */
+	function resolveRoute(requestUrl) {
+		const parsed = new URL(requestUrl, 'http://localhost');
+		if (!parsed.pathname.startsWith(`${prefix}/`)) return null;
+		
+		// Split "/dexscreener/token-pairs/v1/..." into upstream name and upstream path
+		const rest = parsed.pathname.substring(prefix.length);
+		const match = rest.match(/^\/([^/]+)(\/.*)$/);
+		if (!match) return null;
+		
+		const [, upstreamName, upstreamPath] = match;
+		if (!upstreams[upstreamName]) return null;
+		
+		const rule = ENDPOINT_RULES.find(r => r.upstream === upstreamName && r.pattern.test(upstreamPath));
+		if (!rule) return null;
+		
+		// Pass on only the rule's parameters, in the rule's order, so equivalent requests share a cache entry
+		const query = new URLSearchParams();
+		for (const param of rule.params) {
+			if (parsed.searchParams.has(param)) {
+				query.set(param, parsed.searchParams.get(param));
+			}
+		}
+		const search = query.toString();
+		
+		return {
+			rule,
+			upstreamUrl: `${upstreams[upstreamName]}${upstreamPath}${search ? `?${search}` : ''}`
+		};
+	}
+	
+	/**
+	 * Fetch from the upstream, sharing the request with any concurrent callers
+	 * @param {string} upstreamUrl The upstream URL
+	 * @returns {Promise<Object>} The upstream response
+	 */
+	function fetchShared(upstreamUrl) {
+		if (inFlight.has(upstreamUrl)) {
+			return inFlight.get(upstreamUrl);
+		}
+		
+		const request = Promise.resolve()
+			.then(() => fetchUpstream(upstreamUrl, { timeout: upstreamTimeout }))
+			.finally(() => inFlight.delete(upstreamUrl));
+		
+		inFlight.set(upstreamUrl, request);
+		return request;
+	}
+	
+	/**
+	 * Get a response for an upstream URL, from cache when fresh
+	 * @param {string} upstreamUrl The upstream URL
+	 * @param {Object} rule The endpoint rule for this URL
+	 * @returns {Promise<Object>} { entry, cacheStatus }
+	 */
+	async function getResponse(upstreamUrl, rule) {
+		const now = Date.now();
+		const cached = cache.get(upstreamUrl);
+		
+		if (cached && cached.expiresAt > now) {
+			// Move it to the back of the eviction order
+			cache.delete(upstreamUrl);
+			cache.set(upstreamUrl, cached);
+			return { entry: cached, cacheStatus: 'HIT' };
+		}
+		
+		try {
+			const response = await fetchShared(upstreamUrl);
+			
+			// Only successful responses are cached; errors pass straight through
+			if (response.status < 200 || response.status >= 300) {
+				if (cached && now - cached.expiresAt < STALE_GRACE_PERIOD) {
+					return { entry: cached, cacheStatus: 'STALE' };
+				}
+				return { entry: response, cacheStatus: 'BYPASS' };
+			}
+			
+			const ttl = ttlOverrides[rule.name] ?? rule.ttl;
+			const entry = {
+				...response,
+				fetchedAt: now,
+				expiresAt: now + ttl
+			};
+			cache.delete(upstreamUrl);
+			cache.set(upstreamUrl, entry);
+			pruneCache(now);
+			
+			return { entry, cacheStatus: 'MISS' };
+		} catch (error) {
+			console.error(`Token proxy upstream error for ${upstreamUrl}:`, error.message);
+			
+			// Serve stale data rather than nothing if we have it
+			if (cached && now - cached.expiresAt < STALE_GRACE_PERIOD) {
+				return { entry: cached, cacheStatus: 'STALE' };
+			}
+			
+			return {
+				entry: {
+					status: 502,
+					contentType: 'application/json',
+					body: JSON.stringify({ error: 'Upstream request failed' })
+				},
+				cacheStatus: 'ERROR'
+			};
+		}
+	}
+	
+	/**
+	 * Drop entries that are past their stale grace period, then the least recently used
+	 * until the cache is within its size limit
+	 * @param {number} now Current timestamp
+	 */
+	function pruneCache(now) {
+		for (const [key, entry] of cache.entries()) {
+			if (now - entry.expiresAt > STALE_GRACE_PERIOD) {
+				cache.delete(key);
+			}
+		}
+		
+		for (const key of cache.keys()) {
+			if (cache.size <= maxEntries) break;
+			cache.delete(key);
+		}
+	}
+	
+	/**
+	 * Fetch a proxied endpoint from server-side code, sharing the same cache as HTTP clients
+	 * @param {string} requestUrl A proxy URL, e.g. '/api/tokens/dexscreener/token-profiles/latest/v1'
+	 * @returns {Promise<Object|null>} { status, contentType, body, cacheStatus } or null if the route is not allowed
+	 */
+	async function request(requestUrl) {
+		const route = resolveRoute(requestUrl);
+		if (!route) return null;
+		
+		const { entry, cacheStatus } = await getResponse(route.upstreamUrl, route.rule);
+		return { ...entry, cacheStatus };
+	}
+	
+	/**
+	 * Handle an HTTP request for the proxy
+	 * @param {http.IncomingMessage} req The request
+	 * @param {http.ServerResponse} res The response
+	 * @returns {Promise<void>}
+	 */
+	async function handle(req, res) {
+		if (req.method !== 'GET') {
+			res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET' });
+			res.end(JSON.stringify({ error: 'Method not allowed' }));
+			return;
+		}
+		
+		const route = resolveRoute(req.url);
+		if (!route) {
+			res.writeHead(404, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ error: 'Unknown token endpoint' }));
+			return;
+		}
+		
+		const { entry, cacheStatus } = await getResponse(route.upstreamUrl, route.rule);
+		
+		const headers = {
+			'Content-Type': entry.contentType || 'application/json',
+			'X-Cache': cacheStatus
+		};
+		if (entry.expiresAt) {
+			const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+			headers['Cache-Control'] = `public, max-age=${maxAge}`;
+		}
+		
+		// Pass rate limit hints on so the browser's request scheduler can back off
+		if (entry.retryAfter) {
+			headers['Retry-After'] = entry.retryAfter;
+		}
+		
+		res.writeHead(entry.status, headers);
+		res.end(entry.body);
+	}
+	
+	return {
+		handle,
+		request,
+		resolveRoute,
+		matches: (requestUrl) => requestUrl.startsWith(`${prefix}/`),
+		clearCache: () => cache.clear(),
+		get cacheSize() {
+			return cache.size;
+		}
+	};
+}
+
+/**
+ * Fetch an upstream URL over the network
+ * @param {string} url The upstream URL
+ * @param {Object} options Request options
+ * @param {number} options.timeout Milliseconds to wait for the whole response before giving up
+ * @returns {Promise<Object>} { status, contentType, body, retryAfter }
+ * @throws {Error} If the request fails or times out
+ */
+async function fetchFromNetwork(url, { timeout = UPSTREAM_TIMEOUT } = {}) {
+	let response;
+	let body;
+	try {
+		// The signal also covers reading the body, so a stalled stream can't hang the request either
+		response = await fetch(url, {
+			headers: { 'Accept': 'application/json' },
+			signal: AbortSignal.timeout(timeout)
+		});
+		body = await response.text();
+	} catch (error) {
+		if (error.name === 'TimeoutError') {
+			throw new Error(`Upstream timed out after ${timeout}ms`);
+		}
+		throw error;
+	}
+	
+	return {
+		status: response.status,
+		contentType: response.headers.get('content-type') || 'application/json',
+		body,
+		retryAfter: response.headers.get('retry-after')
+	};
+}
+
+/**
+ * Create an offline stand-in for the upstream APIs backed by JSON fixture files
+ * The upstream URL's host is mapped to a fixture folder and its path to a file, e.g.
+ *   https://api.dexscreener.com/token-pairs/v1/solana/ABC -> {dir}/dexscreener/token-pairs/v1/solana/ABC.json
+ * Query strings are ignored.
+ * @param {string} fixturesDir Directory containing fixture folders per upstream
+ * @param {Object} upstreams Map of upstream name to API root URL
+ * @returns {Function} A fetchUpstream-compatible function
+ */
+function createFixtureUpstream(fixturesDir, upstreams = DEFAULT_UPSTREAMS) {
+	const rootDir = path.resolve(fixturesDir);
+	
+	return async (url) => {
+		const upstreamName = Object.keys(upstreams).find(name => url.startsWith(upstreams[name]));
+		if (!upstreamName) {
+			return { status: 404, contentType: 'application/json', body: JSON.stringify({ error: 'No fixture upstream' }) };
+		}
+		
+		const upstreamPath = url.substring(upstreams[upstreamName].length).split('?')[0];
+		const fixturePath = path.join(rootDir, upstreamName, `${upstreamPath}.json`);
+		
+		// Refuse to read anything outside the fixtures folder
+		if (!fixturePath.startsWith(rootDir)) {
+			return { status: 400, contentType: 'application/json', body: JSON.stringify({ error: 'Bad fixture path' }) };
+		}
+		
+		try {
+			const body = await fs.promises.readFile(fixturePath, 'utf-8');
+			return { status: 200, contentType: 'application/json', body };
+		} catch (error) {
+			return { status: 404, contentType: 'application/json', body: JSON.stringify({ error: 'Fixture not found' }) };
+		}
+	};
+}
+
+module.exports = {
+	createTokenProxy,
+	createFixtureUpstream,
+	ENDPOINT_RULES,
+	DEFAULT_UPSTREAMS
+};
@@ -0,0 +1,270 @@
+/**
+ * Token Stream
+ * Polls the token list once on the server and pushes changes to every connected
+ * browser over Server-Sent Events, instead of each tab polling on its own timer
+ *
+ * Clients connect to /api/tokens/stream and receive:
+ *   event: snapshot  - the full current token list, sent once on connect
+ *   event: diff      - { added, updated, removed } keyed by token key, sent after each poll that changed something
+ */
+
+const { getTokenKey } = require('./token-key.js');
+
+// How often the server polls for token changes while clients are connected
+const DEFAULT_POLL_INTERVAL = 15 * 1000;
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Work out what changed between the previous token map and a new token list
+ * @param {Map} previous Map of token key to token from the last poll
+ * @param {Array} tokens The new token list
+ * @returns {Object} { added, updated, removed, current } where removed is an array of keys
+ *          and current is the new key-to-token map
+ */
+function diffTokenLists(previous, tokens) {
+	const current = new Map();
+	const added = [];
+	const updated = [];
+	
+	for (const token of tokens) {
+		const key = getTokenKey(token);
+		if (!key || current.has(key)) continue;
+		current.set(key, token);
+		
+		if (!previous.has(key)) {
+			added.push(token);
+		} else if (JSON.stringify(previous.get(key)) !== JSON.stringify(token)) {
+			updated.push(token);
+		}
+	}
+	
+	const removed = [];
+	for (const key of previous.keys()) {
+		if (!current.has(key)) {
+			removed.push(key);
+		}
+	}
+	
+	return { added, updated, removed, current };
+}
+
+/**
+ * Create a token list source that reads DexScreener through the token proxy,
+ * so the stream and HTTP clients share one upstream cache
+ * @param {Object} tokenProxy Proxy created by createTokenProxy
+ * @param {Object} options Configuration options
+ * @param {string} options.prefix Proxy route for DexScreener
+ * @returns {Function} Async function resolving to the current token list
+ */
+function createDexScreenerFeed(tokenProxy, options = {}) {
+	const prefix = options.prefix || '/api/tokens/dexscreener';
+	
+	/**
+	 * Fetch and parse a DexScreener endpoint through the proxy
+	 * @param {string} endpointPath Path below the DexScreener API root
+	 * @returns {Promise<*>} Parsed JSON
+	 */
+	async function getJson(endpointPath) {
+		const response = await tokenProxy.request(`${prefix}${endpointPath}`);
+		if (!response || response.status !== 200) {
+			throw new Error(`HTTP error! status: ${response ? response.status : 404}`);
+		}
+		return JSON.parse(response.body);
+	}
+	
+	return async () => {
+		const data = await getJson('/token-profiles/latest/v1');
+		const profiles = (Array.isArray(data) ? data : data.tokens || [])
+			.filter(profile => profile.chainId && profile.tokenAddress);
+		
+		// Merge each profile with its most liquid pair, the same way DexScreenerProvider does
+		return Promise.all(profiles.map(async (profile) => {
+			try {
+				const pairs = await getJson(`/token-pairs/v1/${profile.chainId}/${profile.tokenAddress}`);
+				if (!Array.isArray(pairs) || pairs.length === 0) {
+					return profile;
+				}
+				
+				const topPair = pairs.reduce((best, current) => {
+					const bestLiquidity = parseFloat(best.liquidity?.usd || 0);
+					const currentLiquidity = parseFloat(current.liquidity?.usd || 0);
+					return currentLiquidity > bestLiquidity ? current : best;
+				}, pairs[0]);
+				
+				return { ...profile, ...topPair };
+			} catch (error) {
+				console.error(`Token stream: pair lookup failed for ${profile.chainId}/${profile.tokenAddress}:`, error.message);
+				return profile;
+			}
+		}));
+	};
+}
+
+/**
+ * Create the token stream broadcaster
+ * @param {Object} options Configuration options
+ * @param {Function} options.fetchTokens Async function resolving to the current token list
+ * @param {string} options.path Route the stream is served on
+ * @param {number} options.interval Poll interval in milliseconds
+ * @returns {Object} Stream with handle(req, res), matches(url), refresh(), stop() and clientCount
+ */
+function createTokenStream(options = {}) {
+	const streamPath = options.path || '/api/tokens/stream';
+	const fetchTokens = options.fetchTokens;
+	const interval = options.interval || DEFAULT_POLL_INTERVAL;
+	
+	if (typeof fetchTokens !== 'function') {
+		throw new Error('createTokenStream requires a fetchTokens function');
+	}
+	
+	// Connected SSE responses
+	const clients = new Set();
+	
+	// Open connections, including ones still waiting for their snapshot; polling runs while this is above zero
+	let connections = 0;
+	
+	// Latest token list keyed by token key
+	let tokens = new Map();
+	let version = 0;
+	
+	let pollTimer = null;
+	let heartbeatTimer = null;
+	let refreshing = null;
+	
+	/**
+	 * Write one SSE event to a client
+	 * @param {http.ServerResponse} res The client response
+	 * @param {string} event Event name
+	 * @param {Object} data Event payload
+	 */
+	function send(res, event, data) {
+		res.write(`event: ${event}\nid: ${version}\ndata: ${JSON.stringify(data)}\n\n`);
+	}
+	
+	/**
+	 * Poll the token source and broadcast any changes
+	 * Concurrent calls share the same poll.
+	 * @returns {Promise<Object|null>} The broadcast diff, or null if nothing changed or the poll failed
+	 */
+	function refresh() {
+		if (refreshing) return refreshing;
+		
+		refreshing = (async () => {
+			try {
+				const latest = await fetchTokens();
+				const { added, updated, removed, current } = diffTokenLists(tokens, latest || []);
+				tokens = current;
+				
+				if (added.length === 0 && updated.length === 0 && removed.length === 0) {
+					return null;
+				}
+				
+				version++;
+				const diff = { added, updated, removed };
+				for (const res of clients) {
+					send(res, 'diff', diff);
+				}
+				
+				console.log(`Token stream: v${version} +${added.length} ~${updated.length} -${removed.length} to ${clients.size} clients`);
+				return diff;
+			} catch (error) {
+				// Keep the last good list; a failed poll shouldn't look like every token was removed
+				console.error('Token stream refresh failed:', error.message);
+				return null;
+			} finally {
+				refreshing = null;
+			}
+		})();
+		
+		return refreshing;
+	}
+	
+	/**
+	 * Start polling and heartbeats (only while someone is listening)
+	 */
+	function start() {
+		if (pollTimer) return;
+		
+		pollTimer = setInterval(refresh, interval);
+		heartbeatTimer = setInterval(() => {
+			for (const res of clients) {
+				res.write(': ping\n\n');
+			}
+		}, HEARTBEAT_INTERVAL);
+	}
+	
+	/**
+	 * Stop polling and heartbeats
+	 */
+	function stop() {
+		clearInterval(pollTimer);
+		clearInterval(heartbeatTimer);
+		pollTimer = null;
+		heartbeatTimer = null;
+	}
+	
+	/**
+	 * Handle an incoming stream connection
+	 * @param {http.IncomingMessage} req The request
+	 * @param {http.ServerResponse} res The response
+	 */
+	function handle(req, res) {
+		if (req.method !== 'GET') {
+			res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'GET' });
+			res.end(JSON.stringify({ error: 'Method not allowed' }));
+			return;
+		}
+		
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			'Connection': 'keep-alive'
+		});
+		
+		// Tell EventSource how long to wait before reconnecting
+		res.write('retry: 5000\n\n');
+		
+		// Coming back from idle the list may be stale, so poll before sending the snapshot.
+		// Clients joining while that poll runs get the current list now and the poll's diff after.
+		const ready = pollTimer ? Promise.resolve() : refresh();
+		connections++;
+		start();
+		
+		let closed = false;
+		ready.then(() => {
+			if (closed) return;
+			send(res, 'snapshot', { tokens: Array.from(tokens.values()) });
+			clients.add(res);
+		});
+		
+		req.on('close', () => {
+			closed = true;
+			clients.delete(res);
+			connections--;
+			if (connections === 0) {
+				stop();
+			}
+		});
+	}
+	
+	return {
+		handle,
+		refresh,
+		stop,
+		matches: (requestUrl) => requestUrl.split('?')[0] === streamPath,
+		get clientCount() {
+			return clients.size;
+		},
+		get tokens() {
+			return Array.from(tokens.values());
+		}
+	};
+}
+
+module.exports = {
+	createTokenStream,
+	createDexScreenerFeed,
+	diffTokenLists
+};